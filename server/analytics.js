@@ -0,0 +1,156 @@
+// server/analytics.js
+// Analítica de la tienda: eventos que manda el frontend (POST /api/events) y reportes del back-office
+// (ver routes/reports.js).
+//
+// Tipos de evento (cada uno se guarda con id, type y at, la fecha en que llegó al servidor):
+// - search: { q, results } => búsqueda por texto del catálogo; results (productos encontrados) lo calcula
+//   el servidor con el índice de búsqueda al recibir el evento, así no depende de lo que diga el cliente
+// - impression: { productId } => la tarjeta del producto se vio en pantalla
+// - add_to_cart: { productId, sku, qty }
+// - checkout: { productIds } => el cliente confirmó el checkout con esos productos en el carrito
+// Los eventos son anónimos (no se guarda el cliente ni la sesión), van en un archivo aparte del store (ver
+// db/eventLog.js) y se conservan ANALYTICS_RETENTION_DAYS días (90 por defecto). Los que no cumplen las
+// reglas de su tipo (producto inexistente, SKU de otro producto...) se descartan sin fallar: la tienda los
+// manda sin esperar respuesta.
+//
+// Las ventas salen de los pedidos pagados, no de eventos.
+
+import { randomUUID } from 'node:crypto';
+import { roundMoney } from './catalog.js';
+import { DEFAULT_LANGUAGE, pickText } from './localization.js';
+import { normalize } from './search.js';
+
+export const EVENT_TYPES = ['search', 'impression', 'add_to_cart', 'checkout'];
+
+// Stock máximo (inclusive) con el que una variante a la venta aparece en el reporte de stock bajo
+export const LOW_STOCK_THRESHOLD = Number.parseInt(process.env.LOW_STOCK_THRESHOLD ?? '5', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.ANALYTICS_RETENTION_DAYS) || 90;
+
+// Fecha (ISO 8601) de hace `days` días
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// Evento recibido => evento a guardar, o null si no cumple las reglas de su tipo
+function toStoredEvent(db, event, searchIndex) {
+  const base = { id: randomUUID(), type: event.type, at: new Date().toISOString() };
+  if (event.type === 'search') {
+    const q = event.q?.trim();
+    return q ? { ...base, q, results: searchIndex.search(q).size } : null;
+  }
+  if (event.type === 'checkout') {
+    const productIds = [...new Set(event.productIds ?? [])].filter(id => db.products.findById(id));
+    return productIds.length ? { ...base, productIds } : null;
+  }
+
+  const product = db.products.findById(event.productId);
+  if (!product) return null;
+  if (event.type === 'impression') return { ...base, productId: product.id };
+  if (!product.variants.some(v => v.sku === event.sku)) return null;
+  return { ...base, productId: product.id, sku: event.sku, qty: event.qty ?? 1 };
+}
+
+// Guarda los eventos válidos (en una sola escritura al registro de eventos) y devuelve cuántos se aceptaron.
+// searchIndex: índice del catálogo (ver createSearchIndexCache) para contar los resultados de las búsquedas.
+export function recordEvents(db, events, { searchIndex }) {
+  const stored = events.map(event => toStoredEvent(db, event, searchIndex)).filter(Boolean);
+  if (stored.length) db.events.insertMany(stored, daysAgo(RETENTION_DAYS));
+  return stored.length;
+}
+
+// ========================
+// Reportes
+// ========================
+// Los de eventos y ventas cubren los últimos `days` días.
+
+// Pedidos pagados (los reembolsados no cuentan) creados desde `from`
+const paidOrdersSince = (db, from) => db.orders.all().filter(o => o.status === 'paid' && o.createdAt >= from);
+
+// Búsquedas sin resultados, de la más repetida a la menos.
+// Se agrupan sin distinguir mayúsculas ni acentos; query es el texto tal como se buscó la última vez.
+// Devuelve { searches (total de búsquedas), zeroResults, items: [{ query, count, lastSearchedAt }] }
+export function zeroResultSearches(db, { days, limit }) {
+  const searches = db.events.since(daysAgo(days)).filter(e => e.type === 'search');
+  const groups = new Map();
+  for (const event of searches.filter(e => e.results === 0)) {
+    const key = normalize(event.q);
+    groups.set(key, { query: event.q, count: (groups.get(key)?.count ?? 0) + 1, lastSearchedAt: event.at });
+  }
+  const items = [...groups.values()].sort((a, b) => b.count - a.count || b.lastSearchedAt.localeCompare(a.lastSearchedAt));
+  return {
+    searches: searches.length,
+    zeroResults: items.reduce((acc, item) => acc + item.count, 0),
+    items: items.slice(0, limit),
+  };
+}
+
+// Embudo por producto: impresiones, agregados al carrito, checkouts y unidades pagadas.
+// addToCartRate = agregados / impresiones (null sin impresiones). Ordenado por impresiones.
+// Devuelve { items: [{ productId, title, impressions, addToCarts, checkouts, unitsSold, addToCartRate }] }
+export function productFunnel(db, { days, limit }) {
+  const from = daysAgo(days);
+  const stats = new Map();
+  const statsOf = (productId) => {
+    if (!stats.has(productId)) stats.set(productId, { productId, impressions: 0, addToCarts: 0, checkouts: 0, unitsSold: 0 });
+    return stats.get(productId);
+  };
+
+  for (const event of db.events.since(from)) {
+    if (event.type === 'impression') statsOf(event.productId).impressions += 1;
+    if (event.type === 'add_to_cart') statsOf(event.productId).addToCarts += 1;
+    if (event.type === 'checkout') event.productIds.forEach(id => (statsOf(id).checkouts += 1));
+  }
+  for (const order of paidOrdersSince(db, from)) {
+    for (const item of order.items) statsOf(item.productId).unitsSold += item.qty;
+  }
+
+  const items = [...stats.values()]
+    .map(row => ({
+      ...row,
+      title: db.products.findById(row.productId)?.title ?? row.productId,
+      addToCartRate: row.impressions ? Math.round((row.addToCarts / row.impressions) * 1000) / 1000 : null,
+    }))
+    .sort((a, b) => b.impressions - a.impressions || b.addToCarts - a.addToCarts);
+  return { items: items.slice(0, limit) };
+}
+
+// Ventas por categoría en la moneda base, de la que más vendió a la que menos.
+// Cada línea cuenta en la categoría actual de su producto, neta de los descuentos del pedido (repartidos en
+// proporción al importe de cada línea); el envío y los impuestos no se incluyen.
+// Devuelve { revenue, items: [{ category, name, orders, units, revenue }] }
+export function revenueByCategory(db, { days }) {
+  const rows = new Map();
+  for (const order of paidOrdersSince(db, daysAgo(days))) {
+    const net = order.subtotal ? 1 - order.discountTotal / order.subtotal : 1;
+    const counted = new Set();
+    for (const item of order.items) {
+      const category = db.products.findById(item.productId)?.category ?? null;
+      const row = rows.get(category) ?? { category, orders: 0, units: 0, revenue: 0 };
+      if (!counted.has(category)) row.orders += 1;
+      counted.add(category);
+      row.units += item.qty;
+      row.revenue += item.lineTotal * net * (order.exchangeRate ?? 1);
+      rows.set(category, row);
+    }
+  }
+
+  const items = [...rows.values()]
+    .map(row => {
+      const names = row.category && db.categories.findBySlug(row.category)?.names;
+      return { ...row, name: names ? pickText(names, DEFAULT_LANGUAGE) : row.category, revenue: roundMoney(row.revenue) };
+    })
+    .sort((a, b) => b.revenue - a.revenue);
+  return { revenue: roundMoney(items.reduce((acc, row) => acc + row.revenue, 0)), items };
+}
+
+// Variantes de productos a la venta con stock en o por debajo de `threshold`, las más urgentes primero.
+// Devuelve { items: [{ productId, title, sku, color, size, stock }] }
+export function lowStock(db, { threshold }) {
+  const items = db.products.all()
+    .filter(p => !p.archived)
+    .flatMap(p => p.variants
+      .filter(v => v.stock <= threshold)
+      .map(({ sku, color, size, stock }) => ({ productId: p.id, title: p.title, sku, color, size, stock })))
+    .sort((a, b) => a.stock - b.stock || a.title.localeCompare(b.title));
+  return { items };
+}
@@ -0,0 +1,22 @@
+// server/auth/passwords.js
+// Hash de contraseñas con scrypt (incluido en Node, sin dependencias externas).
+// Formato guardado: "scrypt$<salt hex>$<hash hex>"
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+
+const KEY_LENGTH = 64;
+
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Compara en tiempo constante para no filtrar información por diferencias de tiempo
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
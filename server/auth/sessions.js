@@ -0,0 +1,40 @@
+// server/auth/sessions.js
+// Sesiones de clientes basadas en tokens opacos.
+// El cliente recibe el token una sola vez (al registrarse o ingresar) y lo envía en
+// `Authorization: Bearer <token>`. En el store solo se guarda su hash SHA-256,
+// así una copia de los datos no alcanza para suplantar a nadie.
+
+import { createHash, randomBytes } from 'node:crypto';
+
+// Duración de una sesión: 30 días
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Crea una sesión para el usuario y devuelve el token en claro
+export function createSession(db, userId) {
+  const token = randomBytes(32).toString('hex');
+  const now = Date.now();
+  db.store.transaction(() =>
+    db.sessions.insert({
+      tokenHash: hashToken(token),
+      userId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+    })
+  );
+  return token;
+}
+
+// Devuelve el usuario dueño de un token vigente (o null)
+export function findUserByToken(db, token) {
+  if (!token) return null;
+  const session = db.sessions.findByTokenHash(hashToken(token));
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+  return db.users.findById(session.userId);
+}
+
+// Cierra la sesión de un token
+export function destroySession(db, token) {
+  db.store.transaction(() => db.sessions.removeByTokenHash(hashToken(token)));
+}
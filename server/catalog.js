@@ -0,0 +1,176 @@
+// server/catalog.js
+// Lógica de consulta del catálogo: helpers de variantes y búsqueda con filtros.
+// No sabe de dónde vienen los productos; los recibe del repositorio.
+
+import { createTaxonomy } from './categories.js';
+import { buildSearchIndex } from './search.js';
+
+// ========================
+// Helpers de variantes
+// ========================
+// Stock total del producto: suma del stock de todas sus variantes
+export const totalStock = (product) => product.variants.reduce((acc, v) => acc + v.stock, 0);
+
+// Precio efectivo de una variante (su propio precio o, si no tiene, el del producto)
+export const variantPrice = (product, variant) => variant.price ?? product.price;
+
+// Redondeo a centavos para evitar arrastrar errores de punto flotante
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Representación pública de un producto: agrega el stock total calculado
+export const toPublicProduct = (product) => ({ ...product, stock: totalStock(product) });
+
+// ===================================================
+// Helper/servicio para consultar productos con filtros
+// ===================================================
+// Tamaño de página por defecto y máximo permitido para GET /api/products
+export const DEFAULT_PAGE_SIZE = 12;
+export const MAX_PAGE_SIZE = 48;
+
+// Convierte a entero positivo o devuelve el valor por defecto
+const toPositiveInt = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+// Arma la lista de filtros activos. Cada filtro indica a qué faceta pertenece
+// ('category', 'variant', 'q', 'price') para que las facetas puedan aplicar todos
+// los filtros MENOS el suyo (así el selector de categoría sigue mostrando las demás).
+// `scores` es el resultado de la búsqueda por texto (Map<productId, score>) o null si no hay q.
+// `taxonomy` (ver categories.js) resuelve las subcategorías de la categoría pedida.
+function buildFilters({ category, color, size, minPrice, maxPrice }, scores, taxonomy) {
+  const filters = [];
+
+  // Filtrado por categoría: la pedida y todas sus subcategorías
+  if (category) {
+    const included = taxonomy.descendants(category);
+    filters.push({ facet: 'category', test: p => included.has(p.category) });
+  }
+
+  // Filtrado por color y/o talle a nivel de variante
+  if (color || size) {
+    filters.push({
+      facet: 'variant',
+      test: p => p.variants.some(v => (!color || v.color === color) && (!size || v.size === size)),
+    });
+  }
+
+  // Búsqueda por texto: solo quedan los productos que el índice encontró
+  if (scores) {
+    filters.push({ facet: 'q', test: p => scores.has(p.id) });
+  }
+
+  // Filtros por precio mínimo y máximo
+  const min = parseFloat(minPrice);
+  if (!Number.isNaN(min)) filters.push({ facet: 'price', test: p => p.price >= min });
+  const max = parseFloat(maxPrice);
+  if (!Number.isNaN(max)) filters.push({ facet: 'price', test: p => p.price <= max });
+
+  return filters;
+}
+
+// Aplica todos los filtros, salvo los de la faceta `except` (si se indica)
+const applyFilters = (products, filters, except) =>
+  products.filter(p => filters.every(f => f.facet === except || f.test(p)));
+
+// Cuenta cuántos productos tienen cada valor => [{ value, count }]
+// (un producto suma una sola vez por valor aunque tenga varias variantes con él)
+function countBy(products, valuesOf) {
+  const counts = new Map();
+  for (const product of products) {
+    for (const value of new Set(valuesOf(product))) counts.set(value, (counts.get(value) ?? 0) + 1);
+  }
+  return [...counts].map(([value, count]) => ({ value, count }));
+}
+
+// Facetas del resultado: conteos por categoría, color y talle
+// Cada producto cuenta en su categoría y en las ancestras (así "ropa" suma sus sudaderas).
+// Color y talle respetan el otro filtro de variante (p. ej., con size=M solo cuentan colores disponibles en M)
+function computeFacets(products, filters, { color, size }, taxonomy) {
+  const withoutVariant = applyFilters(products, filters, 'variant');
+  return {
+    category: countBy(applyFilters(products, filters, 'category'), p => taxonomy.ancestors(p.category)),
+    color: countBy(withoutVariant, p => p.variants.filter(v => !size || v.size === size).map(v => v.color)),
+    size: countBy(withoutVariant, p => p.variants.filter(v => !color || v.color === color).map(v => v.size)),
+  };
+}
+
+// Precio mínimo y máximo del conjunto (null si está vacío)
+function priceRange(products) {
+  if (!products.length) return { min: null, max: null };
+  const prices = products.map(p => p.price);
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+// Filtra y ordena los productos (sin paginar) con los parámetros de queryProducts.
+// Devuelve también lo necesario para las facetas: { result, visible, filters, scores, taxonomy }.
+function filterAndSort(products, params, { searchIndex, categories = [], includeArchived = false }) {
+  const { q, sort } = params;
+  const visible = includeArchived ? products : products.filter(p => !p.archived);
+  const scores = q ? (searchIndex ?? buildSearchIndex(visible)).search(q) : null;
+  const taxonomy = createTaxonomy(categories);
+  const filters = buildFilters(params, scores, taxonomy);
+  const result = applyFilters(visible, filters); // filter() ya devuelve un array nuevo
+
+  // Ordenamientos soportados
+  if (sort) {
+    if (sort === 'price_asc') result.sort((a, b) => a.price - b.price);
+    if (sort === 'price_desc') result.sort((a, b) => b.price - a.price);
+    if (sort === 'title_asc') result.sort((a, b) => a.title.localeCompare(b.title));
+    if (sort === 'rating_desc') {
+      result.sort((a, b) => (b.rating?.average ?? 0) - (a.rating?.average ?? 0) || (b.rating?.count ?? 0) - (a.rating?.count ?? 0));
+    }
+  } else if (scores) {
+    // Relevancia: mayor puntaje primero
+    result.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+  }
+  return { result, visible, filters, scores, taxonomy };
+}
+
+// Recibe la lista de productos (desde el repositorio) y los parámetros
+// esperados (provenientes de query string):
+// - category: filtra por categoría, incluidas sus subcategorías
+// - q: búsqueda por texto en título, colores y descripción (ver search.js): ignora acentos,
+//   tolera errores de tipeo y asigna a cada producto un puntaje de relevancia (`score`)
+// - color, size: deja solo productos con alguna variante de ese color y/o talle
+//   (si llegan ambos, deben coincidir en la MISMA variante)
+// - minPrice, maxPrice: filtra por rango de precios
+//   (filtros, orden y rango usan `price` tal como llega: en la tienda, el vigente con las ofertas de pricing.js)
+// - sort: 'price_asc' | 'price_desc' | 'title_asc' | 'rating_desc'; sin sort y con q se ordena por relevancia
+//   (rating_desc: mejor calificación promedio primero, a igual promedio el de más reseñas; sin reseñas al final)
+// - page, limit: paginación (page empieza en 1; limit entre 1 y MAX_PAGE_SIZE)
+// Devuelve:
+// { items, total, page, limit, pages,
+//   facets: { category, color, size } => [{ value, count }],
+//   price: { min, max } }
+// Cada faceta (y el rango de precios) se calcula con todos los filtros excepto el propio.
+// options.searchIndex: índice ya construido (ver createSearchIndexCache); si falta se arma uno al vuelo.
+// options.categories: taxonomía guardada (ver categories.js); sin ella la categoría se compara exacta.
+export function queryProducts(products, params = {}, { searchIndex, categories = [] } = {}) {
+  const { color, size } = params;
+  // Los productos archivados nunca se listan
+  const { result, visible, filters, scores, taxonomy } = filterAndSort(products, params, { searchIndex, categories });
+
+  // Paginación sobre el resultado ya filtrado y ordenado
+  const total = result.length;
+  const limit = Math.min(toPositiveInt(params.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const page = toPositiveInt(params.page, 1);
+  const pages = Math.max(1, Math.ceil(total / limit));
+  const items = result.slice((page - 1) * limit, page * limit);
+
+  return {
+    items: items.map(p => (scores ? { ...toPublicProduct(p), score: scores.get(p.id) } : toPublicProduct(p))),
+    total,
+    page,
+    limit,
+    pages,
+    facets: computeFacets(visible, filters, { color, size }, taxonomy),
+    price: priceRange(applyFilters(visible, filters, 'price')),
+  };
+}
+
+// Todos los productos que cumplen los filtros de queryProducts (category, q, color, size, minPrice, maxPrice)
+// en el orden de `sort`, sin paginar ni facetas. Devuelve los productos tal como llegaron.
+// Lo usa la exportación del catálogo (ver catalogTransfer.js); options.includeArchived suma los archivados.
+export const selectProducts = (products, params = {}, { searchIndex, categories = [], includeArchived = false } = {}) =>
+  filterAndSort(products, params, { searchIndex, categories, includeArchived }).result;
@@ -0,0 +1,250 @@
+// server/catalogTransfer.js
+// Importación y exportación masiva del catálogo en CSV o JSON.
+// La usan los endpoints del back-office (POST /api/admin/products/import, GET /api/admin/products/export)
+// y el CLI server/scripts/catalog.js.
+//
+// Formatos (los dos llevan los mismos campos editables que POST /api/admin/products):
+// - json: lista de productos [{ id, title, description, translations, price, currency, weight, images,
+//   category, colors, sizes, variants, featured }] (la importación acepta también { items: [...] })
+// - csv: una fila por producto con las columnas de CSV_COLUMNS:
+//   - title_en, description_en...: traducciones (una pareja de columnas por idioma distinto del base)
+//   - colors, sizes, images: listas separadas por "|" (p. ej., "negro|gris")
+//   - variants: una entrada por variante separada por "|": "color/talle=stock", con precio propio
+//     "color/talle=stock@precio" y con SKU distinto del generado "SKU:color/talle=stock"
+//   - featured: true o false
+//
+// Importación (upsert por id):
+// - id nuevo => se crea como en POST /api/admin/products (sin variantes, todas las combinaciones con stock 0)
+// - id existente => se actualizan solo los campos que trae la fila: una columna ausente o una celda vacía
+//   (o una clave ausente en JSON) conserva el valor actual. A diferencia de PUT, las variantes de la fila
+//   traen su stock y es el que queda (el archivo es el inventario: exportar y volver a importar no cambia
+//   nada); para no tocar el stock, se omite la columna variants. Si cambian colores/talles sin variantes, se
+//   regeneran las combinaciones (las que ya existían mantienen su precio y stock).
+// - Se valida todo antes de escribir: si alguna fila tiene errores no se importa nada.
+//   En modo prueba (dryRun) solo se informa qué pasaría.
+
+import { selectProducts } from './catalog.js';
+import { BASE_CURRENCY, createConverter } from './currency.js';
+import { parseCsv, stringifyCsv } from './csv.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, localizeProduct } from './localization.js';
+import { buildSku, validateProduct } from './validation/product.js';
+
+export const TRANSFER_FORMATS = ['csv', 'json'];
+
+// Tamaño máximo del archivo a importar (unos miles de productos)
+export const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+const TRANSLATED_LANGUAGES = SUPPORTED_LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE);
+
+export const CSV_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  ...TRANSLATED_LANGUAGES.flatMap(lang => [`title_${lang}`, `description_${lang}`]),
+  'price',
+  'currency',
+  'weight',
+  'category',
+  'colors',
+  'sizes',
+  'images',
+  'variants',
+  'featured',
+];
+
+const LIST_SEPARATOR = '|';
+const VARIANT_PATTERN = /^(?:([^:/=@]+):)?([^/=@]+)\/([^=@]+)=(\d+)(?:@(.+))?$/;
+
+// Campos editables (los que acepta validateProduct): lo que se exporta y lo que se puede importar
+const EDITABLE_FIELDS = [
+  'id', 'title', 'description', 'translations', 'price', 'currency', 'weight',
+  'images', 'category', 'colors', 'sizes', 'variants', 'featured',
+];
+const editableFields = (product) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter(field => product[field] !== undefined).map(field => [field, product[field]]));
+
+// Error de lectura del archivo (el mensaje es para quien lo subió)
+const invalidFile = (message) => Object.assign(new Error(message), { code: 'INVALID_FILE' });
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// ========================
+// Exportación
+// ========================
+
+// Productos del catálogo que cumplen los filtros de queryProducts (category, q, color, size, minPrice,
+// maxPrice, sort), con sus campos editables tal como están guardados (precios en la moneda de cada uno).
+// minPrice/maxPrice se comparan en la moneda base. includeArchived suma los productos archivados.
+export function exportProducts(db, filters = {}, { includeArchived = false } = {}) {
+  const converter = createConverter(db.exchangeRates.all(), BASE_CURRENCY);
+  const selected = selectProducts(
+    db.products.all().map(p => localizeProduct(p, { converter })),
+    filters,
+    { categories: db.categories.all(), includeArchived }
+  );
+  return selected.map(p => editableFields(db.products.findById(p.id)));
+}
+
+// "color/talle=stock", con el precio propio y el SKU solo si no es el generado
+const formatVariant = (product, { sku, color, size, stock, price }) =>
+  `${sku === buildSku(product.id, color, size) ? '' : `${sku}:`}${color}/${size}=${stock}${price === undefined ? '' : `@${price}`}`;
+
+function toCsvRow(product) {
+  const cells = {
+    ...product,
+    weight: product.weight ?? '',
+    colors: product.colors.join(LIST_SEPARATOR),
+    sizes: product.sizes.join(LIST_SEPARATOR),
+    images: (product.images ?? []).join(LIST_SEPARATOR),
+    variants: product.variants.map(variant => formatVariant(product, variant)).join(LIST_SEPARATOR),
+    featured: String(Boolean(product.featured)),
+  };
+  for (const lang of TRANSLATED_LANGUAGES) {
+    cells[`title_${lang}`] = product.translations?.[lang]?.title;
+    cells[`description_${lang}`] = product.translations?.[lang]?.description;
+  }
+  return CSV_COLUMNS.map(column => cells[column]);
+}
+
+// Productos de exportProducts => texto del archivo
+export const toCsv = (products) => stringifyCsv([CSV_COLUMNS, ...products.map(toCsvRow)]);
+export const toJson = (products) => `${JSON.stringify(products, null, 2)}\n`;
+
+// ========================
+// Lectura de archivos
+// ========================
+// Cada lector devuelve los registros para importProducts: [{ row, input, errors }]
+// - row: número de fila para los errores (en CSV, la línea del archivo: la cabecera es la 1; en JSON, la
+//   posición en la lista empezando en 1)
+// - input: producto en el formato de POST /api/admin/products (sin los campos vacíos)
+// - errors: problemas de la fila que el validador no ve (celdas de más o de menos, variantes mal escritas)
+// Si el archivo no se puede leer lanzan un error con code 'INVALID_FILE'.
+
+// Número o, si no lo es, el texto tal cual (así el validador informa el valor inválido)
+const toNumber = (text) => (Number.isFinite(Number(text)) ? Number(text) : text);
+const toList = (text) => text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+const toBoolean = (text) => ({ true: true, false: false })[text.toLowerCase()] ?? text;
+
+function toVariants(text, errors) {
+  const variants = [];
+  for (const entry of toList(text)) {
+    const match = VARIANT_PATTERN.exec(entry);
+    if (!match) {
+      errors.variants = `Invalid variant "${entry}". Use color/size=stock, optionally SKU:color/size=stock@price`;
+      return undefined;
+    }
+    const [, sku, color, size, stock, price] = match.map(part => part?.trim());
+    variants.push({ sku, color, size, stock: Number(stock), ...(price !== undefined && { price: toNumber(price) }) });
+  }
+  return variants;
+}
+
+// Celdas de una fila (por nombre de columna) => producto
+function fromCsvCells(cells, errors) {
+  const input = {};
+  const translations = {};
+  for (const [column, raw] of Object.entries(cells)) {
+    const text = raw.trim();
+    if (text === '') continue;
+    const [field, lang] = column.split('_');
+    if (lang) translations[lang] = { ...translations[lang], [field]: text };
+    else if (field === 'price' || field === 'weight') input[field] = toNumber(text);
+    else if (field === 'colors' || field === 'sizes' || field === 'images') input[field] = toList(text);
+    else if (field === 'variants') input.variants = toVariants(text, errors);
+    else if (field === 'featured') input.featured = toBoolean(text);
+    else input[field] = text;
+  }
+  if (Object.keys(translations).length) input.translations = translations;
+  if (input.variants === undefined) delete input.variants;
+  return input;
+}
+
+export function readCsv(text) {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    throw invalidFile(`Malformed CSV: ${err.message}`);
+  }
+  const [header, ...rows] = records;
+  if (!header) throw invalidFile('The file is empty');
+
+  const columns = header.fields.map(column => column.trim());
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length) throw invalidFile(`Unknown columns: ${unknown.join(', ')}. Allowed: ${CSV_COLUMNS.join(', ')}`);
+  const repeated = columns.filter((column, i) => columns.indexOf(column) !== i);
+  if (repeated.length) throw invalidFile(`Repeated columns: ${repeated.join(', ')}`);
+  if (!columns.includes('id')) throw invalidFile('The id column is required');
+
+  return rows.map(({ line, fields }) => {
+    const errors = {};
+    if (fields.length !== columns.length) errors.row = `Expected ${columns.length} cells, found ${fields.length}`;
+    const cells = Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? '']));
+    return { row: line, input: fromCsvCells(cells, errors), errors };
+  });
+}
+
+export function readJson(body) {
+  const items = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(items)) throw invalidFile('Expected a list of products or { items: [...] }');
+  return items.map((input, i) => ({
+    row: i + 1,
+    input: isPlainObject(input) ? input : {},
+    errors: isPlainObject(input) ? {} : { row: 'Must be a product object' },
+  }));
+}
+
+// ========================
+// Importación
+// ========================
+
+// Producto guardado + campos de la fila (ver la cabecera): lo que se valida al actualizar
+function mergeInput(current, input) {
+  const merged = { ...editableFields(current), ...input };
+  if (isPlainObject(input.translations)) {
+    const translations = { ...current.translations };
+    for (const [lang, texts] of Object.entries(input.translations)) {
+      translations[lang] = isPlainObject(texts) ? { ...translations[lang], ...texts } : texts;
+    }
+    merged.translations = translations;
+  }
+  if (input.variants === undefined && (input.colors || input.sizes)) delete merged.variants;
+  return merged;
+}
+
+// Valida los registros (ver los lectores) y, si no es una prueba y todos son válidos, los guarda en una
+// sola transacción. Devuelve el informe:
+// { dryRun, total, created: [id], updated: [id], errors: [{ row, id, errors: { [campo]: mensaje } }] }
+export function importProducts(db, records, { dryRun = false } = {}) {
+  const report = { dryRun, total: records.length, created: [], updated: [], errors: [] };
+  const writes = [];
+  const seen = new Set();
+  const now = new Date().toISOString();
+
+  for (const { row, input, errors: rowErrors } of records) {
+    const current = typeof input.id === 'string' ? db.products.findById(input.id) : null;
+    const { value, errors } = validateProduct(current ? mergeInput(current, input) : input);
+    const found = { ...rowErrors, ...errors };
+    if (!found.id && seen.has(value.id)) found.id = 'Repeated id: the product is already in a previous row';
+    if (!found.category && !db.categories.findBySlug(value.category)) found.category = 'Unknown category';
+    seen.add(value.id);
+
+    if (Object.keys(found).length) {
+      report.errors.push({ row, id: input.id ?? null, errors: found });
+    } else if (current) {
+      // Variantes regeneradas: las que ya existían quedan como estaban. Las de la fila se guardan tal cual
+      const regenerated = input.variants === undefined && (input.colors || input.sizes);
+      const variants = regenerated
+        ? value.variants.map(variant => current.variants.find(v => v.sku === variant.sku) ?? variant)
+        : value.variants;
+      report.updated.push(value.id);
+      writes.push(() => db.products.update(value.id, { ...value, variants, updatedAt: now }));
+    } else {
+      report.created.push(value.id);
+      writes.push(() => db.products.insert({ ...value, archived: false, rating: { average: null, count: 0 }, createdAt: now }));
+    }
+  }
+
+  if (!dryRun && !report.errors.length && writes.length) db.store.transaction(() => writes.forEach(write => write()));
+  return report;
+}
@@ -0,0 +1,72 @@
+// server/categories.js
+// Taxonomía de categorías del catálogo (colección categories, editable desde /api/admin/categories).
+// Cada categoría guardada tiene:
+// - slug: identificador en URLs y en product.category (minúsculas, números y guiones)
+// - parent: slug de la categoría padre o null si es raíz (p. ej., ropa > hoodies > oversize)
+// - names: nombre visible por idioma { es, en } (si falta uno se usa el del idioma base)
+// - position: orden entre categorías hermanas (menor primero)
+// Un producto pertenece a su categoría y a todas sus ancestras: filtrar (o promocionar) "ropa"
+// incluye las sudaderas y, dentro de ellas, las oversize.
+
+import { pickText } from './localization.js';
+
+// Helpers de navegación sobre la lista de categorías.
+// Los slugs que no están en la taxonomía se tratan como categorías sueltas (sin padre ni hijas).
+export function createTaxonomy(categories = []) {
+  const bySlug = new Map(categories.map(c => [c.slug, c]));
+  const childrenOf = (slug) =>
+    categories
+      .filter(c => c.parent === slug)
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || a.slug.localeCompare(b.slug));
+
+  // Slugs desde la categoría hasta la raíz: 'oversize' => ['oversize', 'hoodies', 'ropa']
+  const ancestors = (slug) => {
+    if (!slug) return [];
+    const path = [slug];
+    let parent = bySlug.get(slug)?.parent;
+    while (parent && !path.includes(parent)) {
+      path.push(parent);
+      parent = bySlug.get(parent)?.parent;
+    }
+    return path;
+  };
+
+  // La categoría y todas sus descendientes (Set de slugs)
+  const descendants = (slug) => {
+    const found = new Set([slug]);
+    for (const current of found) childrenOf(current).forEach(child => found.add(child.slug));
+    return found;
+  };
+
+  return { has: (slug) => bySlug.has(slug), childrenOf, ancestors, descendants };
+}
+
+// Productos por categoría, contando cada producto también en sus ancestras => Map<slug, count>
+export function countByCategory(taxonomy, products) {
+  const counts = new Map();
+  for (const product of products) {
+    for (const slug of taxonomy.ancestors(product.category)) counts.set(slug, (counts.get(slug) ?? 0) + 1);
+  }
+  return counts;
+}
+
+// Árbol de categorías para la tienda, con los nombres en `lang`:
+// [{ slug, name, parent, path: [slug...], count, children: [...] }]
+// path va de la raíz a la categoría (sirve para migas de pan); count son los productos visibles
+// de la categoría y sus descendientes.
+export function buildCategoryTree(categories, products, lang) {
+  const taxonomy = createTaxonomy(categories);
+  const counts = countByCategory(taxonomy, products.filter(p => !p.archived));
+  const toNode = (category, parentPath) => {
+    const path = [...parentPath, category.slug];
+    return {
+      slug: category.slug,
+      name: pickText(category.names, lang),
+      parent: category.parent,
+      path,
+      count: counts.get(category.slug) ?? 0,
+      children: taxonomy.childrenOf(category.slug).map(child => toNode(child, path)),
+    };
+  };
+  return taxonomy.childrenOf(null).map(category => toNode(category, []));
+}
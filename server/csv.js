@@ -0,0 +1,76 @@
+// server/csv.js
+// Lectura y escritura de CSV (RFC 4180) sin dependencias, para la importación/exportación del catálogo.
+// - Separador: coma. Los campos con comas, comillas o saltos de línea van entre comillas dobles
+//   y las comillas internas se duplican ("").
+// - Acepta saltos de línea LF o CRLF y el BOM que agregan algunas planillas al guardar en UTF-8.
+// - Escribe con CRLF (lo que esperan Excel y compañía).
+
+// Parsea el texto completo => [{ line, fields: [texto, ...] }, ...] (line: línea donde empieza el registro).
+// Las líneas vacías se ignoran. Lanza un error con `line` si hay comillas sin cerrar o mal ubicadas.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false; // Dentro de un campo entre comillas
+  let line = 1; // Línea actual (para los mensajes de error)
+  let recordLine = 1; // Línea donde empezó el registro actual
+  let wasQuoted = false; // El campo actual empezó con comillas (después de cerrarlas solo puede seguir , o fin de línea)
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // Una línea vacía llega como [''] y no cuenta como registro
+    if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, fields: record });
+    record = [];
+    recordLine = line;
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (field !== '' || wasQuoted) throw Object.assign(new Error(`Unexpected quote on line ${line}`), { line });
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      if (wasQuoted) throw Object.assign(new Error(`Unexpected text after a closing quote on line ${line}`), { line });
+      field += char;
+    }
+  }
+  if (quoted) throw Object.assign(new Error(`Unclosed quote starting on line ${recordLine}`), { line: recordLine });
+  endRecord();
+  return records;
+}
+
+// Escapa un valor para una celda (null/undefined => celda vacía)
+const formatCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// [[valor, ...], ...] => texto CSV (termina con salto de línea)
+export const stringifyCsv = (records) =>
+  records.map(record => record.map(formatCell).join(',')).join('\r\n') + '\r\n';
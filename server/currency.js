@@ -0,0 +1,45 @@
+// server/currency.js
+// Monedas y tipos de cambio.
+//
+// Los importes configurados en el servidor (promociones, tarifas de envío) están en la moneda base.
+// Cada producto guarda su precio con su propia moneda (product.currency).
+// La tabla de tipos de cambio vive en el store (colección exchangeRates, editable desde /api/admin):
+// [{ currency: 'USD', rate: 18.5 }] => 1 USD equivale a 18.5 unidades de la moneda base.
+// Las respuestas de la tienda se expresan en la moneda que pide el cliente (?currency=USD).
+
+import { roundMoney } from './catalog.js';
+
+export const BASE_CURRENCY = 'MXN';
+export const SUPPORTED_CURRENCIES = ['MXN', 'USD'];
+
+// Moneda pedida por el cliente: sin valor => moneda base; null si no está soportada
+export const parseCurrency = (value) => {
+  if (value === undefined || value === '') return BASE_CURRENCY;
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+};
+
+// Conversor de importes hacia una moneda destino.
+// rates: filas de la colección exchangeRates (la moneda base vale 1 aunque no figure).
+// - fromBase(amount): moneda base => destino
+// - convert(amount, from): cualquier moneda soportada => destino
+export function createConverter(rates, currency = BASE_CURRENCY) {
+  const rateOf = (code) => (code === BASE_CURRENCY ? 1 : rates.find(r => r.currency === code)?.rate);
+  const target = rateOf(currency);
+  if (!target) throw new Error(`Missing exchange rate for ${currency}`);
+
+  const convert = (amount, from = BASE_CURRENCY) => {
+    if (from === currency) return amount;
+    const source = rateOf(from);
+    if (!source) throw new Error(`Missing exchange rate for ${from}`);
+    return roundMoney((amount * source) / target);
+  };
+
+  return {
+    currency,
+    // Valor de 1 unidad de la moneda destino en moneda base (se guarda en los pedidos)
+    rate: target,
+    convert,
+    fromBase: (amount) => convert(amount, BASE_CURRENCY),
+  };
+}
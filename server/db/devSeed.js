@@ -0,0 +1,44 @@
+// server/db/devSeed.js
+// Datos de ejemplo para desarrollo y demos (npm run db:seed-dev, ver scripts/seed-dev.js).
+// Nunca los cargan las migraciones: una tienda real no debe mostrar reseñas inventadas ni tener promociones
+// que nadie anunció.
+
+// Promociones de ejemplo (las guarda desactivadas la segunda migración, ver seedPromotions) que el script
+// activa: el 2x1 automático en gorros y los cupones SUDADERAS10 y BIENVENIDA
+export const samplePromotionIds = ['2x1-gorros', 'sudaderas-10', 'bienvenida'];
+
+// Reseñas de ejemplo de invitados (no figuran como compras verificadas); el script las guarda aprobadas
+export const sampleReviews = [
+  {
+    id: 'review-hoodie-01-a',
+    productId: 'hoodie-01',
+    authorName: 'Mariana',
+    rating: 5,
+    title: 'Muy cómoda',
+    text: 'La tela es suave y abriga sin ser pesada. La uso casi todos los días.',
+  },
+  {
+    id: 'review-hoodie-01-b',
+    productId: 'hoodie-01',
+    authorName: 'Jorge',
+    rating: 4,
+    title: 'Buena calidad',
+    text: 'Buen algodón y costuras firmes. El talle M me quedó un poco justo.',
+  },
+  {
+    id: 'review-hoodie-02-a',
+    productId: 'hoodie-02',
+    authorName: 'Lucía',
+    rating: 5,
+    title: 'El corte es perfecto',
+    text: 'Holgada como se ve en la foto y la felpa de adentro es muy calentita.',
+  },
+  {
+    id: 'review-hat-01-a',
+    productId: 'hat-01',
+    authorName: 'Pablo',
+    rating: 4,
+    title: '',
+    text: 'Abriga mucho y no pica. Me hubiera gustado que viniera en más colores.',
+  },
+];
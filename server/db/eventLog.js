@@ -0,0 +1,64 @@
+// server/db/eventLog.js
+// Registro de los eventos de analítica (ver analytics.js), aparte del store: un archivo JSON Lines con un
+// evento por línea, en orden de llegada.
+// Los eventos llegan a cada rato y no son parte del catálogo: en store.json cada lote reescribiría el archivo
+// entero y contaría como un cambio más del store (índice de búsqueda, recomendaciones, novedades en vivo...).
+// Acá cada lote se agrega al final del archivo y nadie más se entera.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Archivo de eventos de un store: EVENTS_FILE o, junto al archivo de datos, <nombre>.events.jsonl
+// (server/data/store.events.jsonl por defecto)
+export const eventLogFile = (dataFile) =>
+  process.env.EVENTS_FILE || path.join(path.dirname(dataFile), `${path.basename(dataFile, '.json')}.events.jsonl`);
+
+// Lee los eventos del archivo. Una línea incompleta (un corte a mitad de una escritura) se descarta.
+function load(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const events = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      console.error(`Evento ilegible descartado en ${filePath}`);
+    }
+  }
+  return events;
+}
+
+const toLines = (events) => events.map(event => `${JSON.stringify(event)}\n`).join('');
+
+// Crea el registro respaldado por `filePath`. Mantiene los eventos en memoria para los reportes.
+// - all(): los eventos guardados, del más viejo al más nuevo
+// - append(events): los agrega al final del archivo (persiste en el momento, sin transacción)
+// - compact(keepSince): descarta los anteriores a keepSince (ISO 8601) reescribiendo el archivo de forma
+//   atómica, igual que store.save()
+export function createEventLog(filePath) {
+  let events = load(filePath);
+
+  return {
+    filePath,
+
+    all() {
+      return events;
+    },
+
+    append(newEvents) {
+      if (!newEvents.length) return;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, toLines(newEvents));
+      events.push(...newEvents);
+    },
+
+    compact(keepSince) {
+      const kept = events.filter(e => e.at >= keepSince);
+      if (kept.length === events.length) return;
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, toLines(kept));
+      fs.renameSync(tmp, filePath);
+      events = kept;
+    },
+  };
+}
@@ -0,0 +1,54 @@
+// server/db/index.js
+// Punto de entrada de la capa de datos: abre el store, aplica migraciones
+// y expone los repositorios que usan las rutas.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createJsonStore } from './store.js';
+import { createEventLog, eventLogFile } from './eventLog.js';
+import { migrate } from './migrations.js';
+import { createProductRepository } from '../repositories/productRepository.js';
+import { createOrderRepository } from '../repositories/orderRepository.js';
+import { createUserRepository } from '../repositories/userRepository.js';
+import { createSessionRepository } from '../repositories/sessionRepository.js';
+import { createPromotionRepository } from '../repositories/promotionRepository.js';
+import { createExchangeRateRepository } from '../repositories/exchangeRateRepository.js';
+import { createImageRepository } from '../repositories/imageRepository.js';
+import { createCategoryRepository } from '../repositories/categoryRepository.js';
+import { createReviewRepository } from '../repositories/reviewRepository.js';
+import { createStockAlertRepository } from '../repositories/stockAlertRepository.js';
+import { createNotificationRepository } from '../repositories/notificationRepository.js';
+import { createPaymentEventRepository } from '../repositories/paymentEventRepository.js';
+import { createEventRepository } from '../repositories/eventRepository.js';
+import { createPriceRuleRepository } from '../repositories/priceRuleRepository.js';
+import { createPriceHistoryRepository } from '../repositories/priceHistoryRepository.js';
+
+// Ubicación del archivo de datos (configurable con DATA_FILE)
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'store.json');
+export const DATA_FILE = process.env.DATA_FILE || defaultFile;
+
+// Abre el store y lo deja migrado a la última versión.
+// Los eventos de analítica van en un archivo aparte (ver eventLog.js).
+export function openDatabase(filePath = DATA_FILE) {
+  const store = createJsonStore(filePath);
+  const applied = migrate(store);
+  return {
+    store,
+    applied,
+    products: createProductRepository(store),
+    orders: createOrderRepository(store),
+    users: createUserRepository(store),
+    sessions: createSessionRepository(store),
+    promotions: createPromotionRepository(store),
+    exchangeRates: createExchangeRateRepository(store),
+    images: createImageRepository(store),
+    categories: createCategoryRepository(store),
+    reviews: createReviewRepository(store),
+    stockAlerts: createStockAlertRepository(store),
+    notifications: createNotificationRepository(store),
+    paymentEvents: createPaymentEventRepository(store),
+    events: createEventRepository(createEventLog(eventLogFile(store.filePath))),
+    priceRules: createPriceRuleRepository(store),
+    priceHistory: createPriceHistoryRepository(store),
+  };
+}
@@ -0,0 +1,124 @@
+// server/db/migrations.js
+// Migraciones del store, en orden. Cada una tiene:
+// - version: número creciente; el store recuerda la última aplicada
+// - name: descripción corta
+// - up(data): transforma los datos crudos del store (se ejecuta una sola vez)
+// Para cambiar la forma de los datos guardados se agrega una migración nueva al final;
+// nunca se editan las ya publicadas.
+
+import { seedCategories, seedExchangeRates, seedProducts, seedPromotions, seedTranslations } from './seed.js';
+import { summarizeRatings } from '../reviews.js';
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'seed-catalog',
+    up(data) {
+      data.products = structuredClone(seedProducts);
+      data.orders = data.orders ?? [];
+    },
+  },
+  {
+    version: 2,
+    name: 'seed-promotions',
+    up(data) {
+      data.promotions = structuredClone(seedPromotions);
+    },
+  },
+  {
+    version: 3,
+    name: 'product-weights',
+    up(data) {
+      // Peso estimado por categoría para los productos que aún no lo tienen (editable desde el back-office)
+      const defaults = { hats: 0.15, hoodies: 0.7 };
+      for (const product of data.products) {
+        product.weight = product.weight ?? defaults[product.category] ?? null;
+      }
+    },
+  },
+  {
+    version: 4,
+    name: 'currencies-and-translations',
+    up(data) {
+      // Los precios existentes estaban en pesos mexicanos; ahora la moneda queda explícita
+      for (const product of data.products) {
+        product.currency = product.currency ?? 'MXN';
+        product.translations = product.translations ?? structuredClone(seedTranslations[product.id] ?? {});
+      }
+      data.exchangeRates = structuredClone(seedExchangeRates).map(row => ({ ...row, updatedAt: new Date().toISOString() }));
+    },
+  },
+  {
+    version: 5,
+    name: 'category-taxonomy',
+    up(data) {
+      const createdAt = new Date().toISOString();
+      data.categories = structuredClone(seedCategories).map(category => ({ ...category, createdAt }));
+      // La sudadera oversize del catálogo inicial pasa a su subcategoría
+      const oversize = data.products.find(p => p.id === 'hoodie-02' && p.category === 'hoodies');
+      if (oversize) oversize.category = 'oversize';
+      // Categorías creadas a mano en productos existentes: quedan como raíces (se reubican desde el back-office)
+      const used = new Set(data.products.map(p => p.category).filter(Boolean));
+      for (const slug of used) {
+        if (!data.categories.some(c => c.slug === slug)) {
+          data.categories.push({ slug, parent: null, names: { es: slug }, position: data.categories.length, createdAt });
+        }
+      }
+    },
+  },
+  {
+    version: 6,
+    name: 'product-reviews',
+    up(data) {
+      // Colección vacía: las reseñas de ejemplo solo se cargan en desarrollo (npm run db:seed-dev)
+      data.reviews = data.reviews ?? [];
+      for (const product of data.products) {
+        product.rating = summarizeRatings(data.reviews.filter(r => r.productId === product.id && r.status === 'approved'));
+      }
+    },
+  },
+  {
+    version: 7,
+    name: 'favorites-and-stock-alerts',
+    up(data) {
+      for (const user of data.users ?? []) user.favorites = user.favorites ?? [];
+      data.stockAlerts = data.stockAlerts ?? [];
+      data.notifications = data.notifications ?? [];
+    },
+  },
+  {
+    version: 8,
+    name: 'payments',
+    up(data) {
+      // Antes de la pasarela los pedidos se daban por cobrados al confirmarse
+      for (const order of data.orders ?? []) {
+        if (order.status === 'confirmed') order.status = 'paid';
+      }
+      data.paymentEvents = data.paymentEvents ?? [];
+    },
+  },
+  {
+    version: 9,
+    name: 'price-rules',
+    up(data) {
+      // Ofertas programadas e historial de precios (ver pricing.js)
+      data.priceRules = data.priceRules ?? [];
+      data.priceHistory = data.priceHistory ?? [];
+    },
+  },
+];
+
+// Aplica las migraciones pendientes y guarda el store si hubo cambios.
+// Devuelve la lista de migraciones aplicadas (útil para loguear desde la CLI).
+export function migrate(store) {
+  const pending = migrations.filter(m => m.version > store.version);
+  if (!pending.length) return [];
+
+  store.transaction(() => {
+    for (const migration of pending) {
+      migration.up(store.data);
+      store.version = migration.version;
+    }
+  });
+  return pending;
+}
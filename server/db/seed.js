@@ -0,0 +1,174 @@
+// server/db/seed.js
+// Catálogo inicial de la tienda. La primera migración (ver migrations.js)
+// copia estos productos al store cuando la base todavía está vacía.
+// Estructura de cada producto:
+// - id: identificador único (string)
+// - title: nombre visible del producto
+// - description: descripción resumida
+// - price: precio en número decimal
+// - currency: moneda del precio (código ISO 4217; lo agrega la cuarta migración, MXN por defecto)
+// - weight: peso en kg usado para cotizar el envío (lo agrega la tercera migración)
+// - images: fotos originales en db/seed-images/ (el servidor las procesa al iniciar, ver images.js)
+// - category: slug de la categoría (e.g., hats, hoodies; ver seedCategories)
+// - colors: variaciones de color disponibles
+// - sizes: talles disponibles
+// - variants: combinaciones vendibles (color + talle), cada una con:
+//   - sku: código único de la variante (string)
+//   - color / size: valores tomados de colors y sizes
+//   - stock: unidades disponibles de esa variante
+//   - price (opcional): precio propio; si falta se usa el price del producto
+// - featured: si debe destacarse en el listado
+// - translations: textos por idioma { en: { title, description } } (ver localization.js)
+// - archived (opcional): true si se archivó desde el back-office (oculto en la tienda)
+// - rating: { average, count } de las reseñas aprobadas (lo agrega la sexta migración, ver reviews.js)
+// El stock total del producto no se guarda: se calcula sumando el de sus variantes.
+export const seedProducts = [
+  {
+    id: 'hat-01',
+    title: 'Gorro Clásico',
+    description: 'Gorro tejido clásico, abrigado y cómodo para el día a día.',
+    price: 19.99,
+    // Ruta relativa a la carpeta public del frontend
+    images: ['/GorroNY.JPG'],
+    category: 'hats',
+    colors: ['negro', 'gris', 'azul'],
+    sizes: ['única'],
+    variants: [
+      { sku: 'HAT-01-NEGRO-U', color: 'negro', size: 'única', stock: 20 },
+      { sku: 'HAT-01-GRIS-U', color: 'gris', size: 'única', stock: 12 },
+      { sku: 'HAT-01-AZUL-U', color: 'azul', size: 'única', stock: 10 },
+    ],
+    featured: true,
+  },
+  {
+    id: 'hat-02',
+    title: 'Beanie Urbano',
+    description: 'Estilo urbano con tejido elástico y suave.',
+    price: 24.99,
+    // Por ahora reutiliza la misma imagen
+    images: ['/GorroNY.JPG'],
+    category: 'hats',
+    colors: ['negro', 'verde'],
+    sizes: ['única'],
+    variants: [
+      { sku: 'HAT-02-NEGRO-U', color: 'negro', size: 'única', stock: 15 },
+      { sku: 'HAT-02-VERDE-U', color: 'verde', size: 'única', stock: 10 },
+    ],
+    featured: false,
+  },
+  {
+    id: 'hoodie-01',
+    title: 'Sudadera Básica',
+    description: 'Sudadera con capucha de algodón orgánico, ultra cómoda.',
+    price: 39.99,
+    images: ['/hoodie_PNG25-1774699148.png'],
+    category: 'hoodies',
+    colors: ['negro', 'blanco', 'azul'],
+    sizes: ['S', 'M', 'L', 'XL'],
+    variants: [
+      { sku: 'HOODIE-01-NEGRO-S', color: 'negro', size: 'S', stock: 2 },
+      { sku: 'HOODIE-01-NEGRO-M', color: 'negro', size: 'M', stock: 4 },
+      { sku: 'HOODIE-01-NEGRO-L', color: 'negro', size: 'L', stock: 3 },
+      // Los talles XL llevan un sobreprecio por el mayor consumo de tela
+      { sku: 'HOODIE-01-NEGRO-XL', color: 'negro', size: 'XL', stock: 2, price: 42.99 },
+      { sku: 'HOODIE-01-BLANCO-S', color: 'blanco', size: 'S', stock: 2 },
+      { sku: 'HOODIE-01-BLANCO-M', color: 'blanco', size: 'M', stock: 3 },
+      { sku: 'HOODIE-01-BLANCO-L', color: 'blanco', size: 'L', stock: 3 },
+      { sku: 'HOODIE-01-BLANCO-XL', color: 'blanco', size: 'XL', stock: 1, price: 42.99 },
+      { sku: 'HOODIE-01-AZUL-S', color: 'azul', size: 'S', stock: 2 },
+      { sku: 'HOODIE-01-AZUL-M', color: 'azul', size: 'M', stock: 3 },
+      { sku: 'HOODIE-01-AZUL-L', color: 'azul', size: 'L', stock: 3 },
+      { sku: 'HOODIE-01-AZUL-XL', color: 'azul', size: 'XL', stock: 2, price: 42.99 },
+    ],
+    featured: true,
+  },
+  {
+    id: 'hoodie-02',
+    title: 'Sudadera Oversize',
+    description: 'Corte oversize para un look relajado, interior afelpado.',
+    price: 49.99,
+    images: ['/sudaderaoversize.png'],
+    category: 'hoodies',
+    colors: ['gris', 'beige'],
+    sizes: ['M', 'L', 'XL'],
+    variants: [
+      { sku: 'HOODIE-02-GRIS-M', color: 'gris', size: 'M', stock: 2 },
+      { sku: 'HOODIE-02-GRIS-L', color: 'gris', size: 'L', stock: 3 },
+      { sku: 'HOODIE-02-GRIS-XL', color: 'gris', size: 'XL', stock: 2 },
+      { sku: 'HOODIE-02-BEIGE-M', color: 'beige', size: 'M', stock: 2 },
+      { sku: 'HOODIE-02-BEIGE-L', color: 'beige', size: 'L', stock: 3 },
+      { sku: 'HOODIE-02-BEIGE-XL', color: 'beige', size: 'XL', stock: 0 },
+    ],
+    featured: false,
+  },
+];
+
+// Promociones de ejemplo (ver promotions.js para el detalle de cada campo).
+// La segunda migración las copia al store desactivadas: cada tienda decide si las usa (se activan desde
+// /api/admin/promotions; en desarrollo, npm run db:seed-dev).
+export const seedPromotions = [
+  {
+    id: '2x1-gorros',
+    name: '2x1 en gorros',
+    code: null,
+    type: 'buy_x_get_y',
+    buyQty: 1,
+    getQty: 1,
+    category: 'hats',
+    minSubtotal: null,
+    startsAt: null,
+    endsAt: null,
+    usageLimit: null,
+    usageCount: 0,
+    active: false,
+  },
+  {
+    id: 'sudaderas-10',
+    name: '10% en sudaderas',
+    code: 'SUDADERAS10',
+    type: 'percentage',
+    value: 10,
+    category: 'hoodies',
+    minSubtotal: null,
+    startsAt: null,
+    endsAt: null,
+    usageLimit: null,
+    usageCount: 0,
+    active: false,
+  },
+  {
+    id: 'bienvenida',
+    name: 'Bienvenida',
+    code: 'BIENVENIDA',
+    type: 'fixed',
+    value: 5,
+    category: null,
+    minSubtotal: 40,
+    startsAt: null,
+    endsAt: null,
+    usageLimit: 100,
+    usageCount: 0,
+    active: false,
+  },
+];
+
+// Traducciones al inglés del catálogo inicial (las aplica la cuarta migración)
+export const seedTranslations = {
+  'hat-01': { en: { title: 'Classic Beanie', description: 'Classic knit beanie, warm and comfortable for everyday wear.' } },
+  'hat-02': { en: { title: 'Urban Beanie', description: 'Urban style with a soft, stretchy knit.' } },
+  'hoodie-01': { en: { title: 'Basic Hoodie', description: 'Organic cotton hoodie, ultra comfortable.' } },
+  'hoodie-02': { en: { title: 'Oversized Hoodie', description: 'Oversized fit for a relaxed look, fleece-lined inside.' } },
+};
+
+// Tipos de cambio iniciales: cuántos MXN vale 1 unidad de cada moneda (ver currency.js)
+export const seedExchangeRates = [{ currency: 'USD', rate: 18.5 }];
+
+// Taxonomía inicial (ver categories.js); la quinta migración la copia al store.
+// Los slugs hats y hoodies son los que ya usaban los productos y las promociones.
+export const seedCategories = [
+  { slug: 'ropa', parent: null, names: { es: 'Ropa', en: 'Clothing' }, position: 1 },
+  { slug: 'hoodies', parent: 'ropa', names: { es: 'Sudaderas', en: 'Hoodies' }, position: 1 },
+  { slug: 'oversize', parent: 'hoodies', names: { es: 'Oversize', en: 'Oversized' }, position: 1 },
+  { slug: 'accesorios', parent: null, names: { es: 'Accesorios', en: 'Accessories' }, position: 2 },
+  { slug: 'hats', parent: 'accesorios', names: { es: 'Gorros', en: 'Beanies' }, position: 1 },
+];
@@ -0,0 +1,97 @@
+// server/db/store.js
+// Almacenamiento embebido basado en un archivo JSON.
+// Mantiene todos los datos en memoria y los persiste en disco en cada escritura,
+// así la tienda funciona sin conexión y sin un servidor de base de datos aparte.
+//
+// Formato del archivo:
+// {
+//   "version": 1,            // última migración aplicada (ver migrations.js)
+//   "products": [ ... ],     // una colección por clave
+//   "orders": [ ... ]
+// }
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Lee el archivo si existe; si no, arranca con una base vacía (versión 0)
+function load(filePath) {
+  if (!fs.existsSync(filePath)) return { version: 0 };
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Crea un store respaldado por `filePath`.
+// - collection(name): devuelve el array de la colección (lo crea si no existe)
+// - save(): escribe el estado actual en disco de forma atómica
+// - transaction(fn): ejecuta fn y guarda una sola vez al terminar; si fn lanza un error
+//   se descartan los cambios en memoria volviendo al último estado guardado
+// - subscribe(listener): llama a listener() después de cada escritura en disco; devuelve la baja
+export function createJsonStore(filePath) {
+  let data = load(filePath);
+  // Contador de escrituras: permite a los cachés (p. ej., el índice de búsqueda) saber si hay cambios
+  let revision = 0;
+  // Suscriptores a las escrituras (p. ej., las novedades en vivo del catálogo, ver productFeed.js)
+  const listeners = new Set();
+
+  const store = {
+    filePath,
+
+    get revision() {
+      return revision;
+    },
+
+    get version() {
+      return data.version ?? 0;
+    },
+    set version(value) {
+      data.version = value;
+    },
+
+    // Acceso directo a los datos crudos (lo usan las migraciones)
+    get data() {
+      return data;
+    },
+
+    collection(name) {
+      if (!Array.isArray(data[name])) data[name] = [];
+      return data[name];
+    },
+
+    // Escritura atómica: primero a un archivo temporal y luego rename,
+    // para que un corte a mitad de escritura nunca deje el JSON corrupto
+    save() {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, filePath);
+      revision += 1;
+      // Un suscriptor con errores no debe romper la escritura que ya quedó hecha
+      for (const listener of listeners) {
+        try {
+          listener();
+        } catch (err) {
+          console.error('Store listener failed:', err);
+        }
+      }
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Las operaciones son síncronas: nada puede intercalarse entre fn() y save()
+    transaction(fn) {
+      try {
+        const result = fn();
+        store.save();
+        return result;
+      } catch (err) {
+        data = load(filePath);
+        revision += 1;
+        throw err;
+      }
+    },
+  };
+
+  return store;
+}
@@ -0,0 +1,65 @@
+// server/errors.js
+// Formato uniforme de los errores de la API: { code, message, ...detalles }.
+// - code: identificador estable para que los clientes decidan qué hacer (ver ERROR_CODES)
+// - message: descripción en inglés para desarrolladores y logs (la tienda muestra sus propios textos)
+// - detalles según el caso:
+//   - errors: { [campo]: mensaje } en las validaciones (claves como "items[0].qty" o "translations.en.title")
+//     o la lista de líneas rechazadas de un pedido (ORDER_REJECTED)
+//   - coupon: cupón que ya no puede aplicarse (COUPON_REJECTED)
+//   - shipping: método de envío no disponible (SHIPPING_UNAVAILABLE)
+
+// Códigos posibles con su descripción (se publican en el esquema Error de /api/openapi.json)
+export const ERROR_CODES = {
+  INVALID_REQUEST: '400: malformed JSON, unknown or invalid query/path parameters (see errors)',
+  INVALID_SIGNATURE: '400: the payment webhook signature is missing, invalid or too old',
+  SHIPPING_UNAVAILABLE: '400: the shipping method is not available for the address (see shipping)',
+  UNAUTHORIZED: '401: missing or invalid session/admin token',
+  INVALID_CREDENTIALS: '401: wrong email or password',
+  NOT_FOUND: '404: the resource or route does not exist',
+  ORDER_REJECTED: '409: some cart lines cannot be ordered (see errors)',
+  COUPON_REJECTED: '409: the coupon can no longer be applied (see coupon)',
+  CATEGORY_IN_USE: '409: the category still has subcategories, products or promotions',
+  ALREADY_REVIEWED: '409: the customer (or order) already reviewed the product',
+  ORDER_NOT_PAID: '409: only paid orders can be refunded',
+  PAYLOAD_TOO_LARGE: '413: the body exceeds the size limit',
+  UNSUPPORTED_MEDIA_TYPE: '415: the body content type is not supported',
+  VALIDATION_FAILED: '422: the body did not pass validation (see errors)',
+  INTERNAL_ERROR: '500: unexpected server error',
+  PAYMENT_UNAVAILABLE: '502: the payment gateway did not accept the payment (the new order is marked failed) or the refund',
+};
+
+export const sendError = (res, status, code, message, details = {}) =>
+  res.status(status).json({ code, message, ...details });
+
+// Atajos para los casos más comunes
+export const invalidRequest = (res, message, errors) =>
+  sendError(res, 400, 'INVALID_REQUEST', message, errors && { errors });
+export const unauthorized = (res, message) => sendError(res, 401, 'UNAUTHORIZED', message);
+export const notFound = (res, message) => sendError(res, 404, 'NOT_FOUND', message);
+export const validationFailed = (res, errors) =>
+  sendError(res, 422, 'VALIDATION_FAILED', 'Validation failed', { errors });
+
+// load de una ruta (ver middleware/validate.js) o búsqueda dentro de un handler: el recurso que encuentra
+// find(req) o, si no hay ninguno, responde 404 con message y devuelve null
+export const findOrNotFound = (find, message) => (req, res) => {
+  const resource = find(req);
+  if (!resource) notFound(res, message);
+  return resource ?? null;
+};
+
+// Rutas /api que no existen (en lugar de la página HTML por defecto de Express)
+export const routeNotFound = (req, res) =>
+  notFound(res, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+
+// Último middleware: errores del parseo del body y excepciones de los handlers
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return invalidRequest(res, 'Malformed JSON body');
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'PAYLOAD_TOO_LARGE', `Body exceeds the limit of ${err.limit} bytes`);
+  }
+  if (err.status >= 400 && err.status < 500) return invalidRequest(res, err.message);
+
+  console.error(err);
+  sendError(res, 500, 'INTERNAL_ERROR', 'Unexpected server error');
+}
@@ -0,0 +1,32 @@
+// server/gateways/index.js
+// Pasarelas de pago (ver payments.js).
+//
+// Una pasarela es un objeto con:
+// - name: identificador (se guarda en cada pedido y forma la ruta de su webhook: /api/payments/webhooks/<name>)
+// - createIntent({ orderId, amount, currency, description, returnUrl, webhookUrl }) => Promise<{ intentId, redirectUrl }>
+//   crea la intención de cobro; redirectUrl es la página de la pasarela donde el cliente confirma el pago,
+//   y al terminar la pasarela lo devuelve a returnUrl. El resultado llega después por webhook.
+// - cancelIntent(intentId) => Promise: anula una intención que no se llegó a pagar (pedido vencido)
+// - refund(intentId, amount) => Promise: pide el reembolso; la confirmación también llega por webhook
+// - parseWebhook(rawBody, headers) => { id, type, intentId, reason? }: verifica la firma del webhook y lo
+//   traduce a un evento común (type: 'payment.succeeded' | 'payment.failed' | 'payment.refunded').
+//   Si la firma no es válida lanza un error con code 'INVALID_SIGNATURE'.
+// - router?(): páginas propias de la pasarela, montadas en /gateways/<name> (solo la de prueba las tiene)
+// Para producción se agrega aquí la pasarela del proveedor elegido; en desarrollo se usa:
+// - mock: pasarela de prueba local con una página para aprobar o rechazar cada pago (ver mock.js)
+
+import { createMockGateway } from './mock.js';
+
+const GATEWAYS = { mock: createMockGateway };
+
+// Pasarela elegida con PAYMENT_GATEWAY (mock por defecto). Con NODE_ENV=production hay que elegirla: la de
+// prueba deja que cualquiera apruebe su propio pedido, así que el servidor no arranca con ella por omisión.
+export function createPaymentGateway(name = process.env.PAYMENT_GATEWAY) {
+  if (!name && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_GATEWAY is required in production (NODE_ENV=production)');
+  }
+  name ??= 'mock';
+  const factory = GATEWAYS[name];
+  if (!factory) throw new Error(`Unknown payment gateway "${name}". Use one of: ${Object.keys(GATEWAYS).join(', ')}`);
+  return factory();
+}
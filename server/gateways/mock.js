@@ -0,0 +1,144 @@
+// server/gateways/mock.js
+// Pasarela de pago de prueba: permite recorrer todo el flujo de cobro sin conexión ni cuenta en un proveedor.
+// - createIntent guarda la intención en memoria (se pierde al reiniciar) y devuelve la página de pago
+//   /gateways/mock/<intentId>, donde se elige aprobar o rechazar el pago
+// - al elegir, la página devuelve al cliente a la tienda y, como una pasarela real, avisa el resultado
+//   aparte con un webhook firmado (MOCK_WEBHOOK_DELAY_MS después, 1 s por defecto; se reintenta si falla)
+// - refund aprueba siempre el reembolso y lo avisa también por webhook
+// La firma va en el encabezado Mock-Signature: "t=<segundos>,v1=<HMAC-SHA256 hex de `${t}.${body}`>"
+// con PAYMENT_WEBHOOK_SECRET (dev-webhook-secret en desarrollo; con NODE_ENV=production es obligatorio, porque
+// con el secreto público cualquiera podría firmar un webhook).
+
+import express from 'express';
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { PUBLIC_URL } from '../site.js';
+
+const SIGNATURE_HEADER = 'mock-signature';
+// Antigüedad máxima aceptada de un webhook (evita que se reenvíe uno capturado)
+const SIGNATURE_TOLERANCE_S = 5 * 60;
+// Reintentos del webhook si la tienda no responde 2xx: 1 s, 2 s, 4 s...
+const WEBHOOK_ATTEMPTS = 5;
+
+// Firma de un webhook (la exporta para poder simular envíos desde scripts)
+export const signPayload = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Eventos propios de la pasarela => eventos comunes (ver gateways/index.js)
+const EVENT_TYPES = { 'charge.succeeded': 'payment.succeeded', 'charge.failed': 'payment.failed', 'refund.succeeded': 'payment.refunded' };
+
+const signatureError = (message) => Object.assign(new Error(message), { code: 'INVALID_SIGNATURE' });
+
+// Texto seguro para insertar en el HTML de la página de pago
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+export function createMockGateway({
+  secret = process.env.PAYMENT_WEBHOOK_SECRET,
+  webhookDelayMs = Number(process.env.MOCK_WEBHOOK_DELAY_MS ?? 1000),
+} = {}) {
+  if (!secret && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is required in production (NODE_ENV=production)');
+  }
+  secret ||= 'dev-webhook-secret';
+  // Intenciones creadas: Map<intentId, { id, amount, currency, description, returnUrl, webhookUrl, status }>
+  // status: 'requires_confirmation' | 'succeeded' | 'failed' | 'canceled' | 'refunded'
+  const intents = new Map();
+
+  // Envía un evento al webhook de la tienda, reintentando con espera creciente
+  function sendEvent(intent, type, extra = {}) {
+    const body = JSON.stringify({ id: `evt_${randomUUID()}`, type, data: { intentId: intent.id, amount: intent.amount, currency: intent.currency, ...extra } });
+    const deliver = async (attempt) => {
+      try {
+        const res = await fetch(intent.webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(secret, Math.floor(Date.now() / 1000), body) },
+          body,
+        });
+        if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+      } catch (err) {
+        if (attempt >= WEBHOOK_ATTEMPTS) return console.error(`Pasarela de prueba: no se pudo entregar ${type} de ${intent.id}:`, err.message);
+        setTimeout(() => deliver(attempt + 1), 1000 * 2 ** (attempt - 1)).unref();
+      }
+    };
+    setTimeout(() => deliver(1), webhookDelayMs).unref();
+  }
+
+  // Página de pago: muestra el importe y los botones para aprobar o rechazar
+  function paymentPage(intent) {
+    const amount = `${intent.amount.toFixed(2)} ${intent.currency}`;
+    const actions =
+      intent.status === 'requires_confirmation'
+        ? `<form method="post" action="${PUBLIC_URL}/gateways/mock/${intent.id}/approve"><button>Aprobar pago</button></form>
+           <form method="post" action="${PUBLIC_URL}/gateways/mock/${intent.id}/decline"><button>Rechazar pago</button></form>`
+        : `<p>Este pago ya no está pendiente (${escapeHtml(intent.status)}).</p>
+           <p><a href="${escapeHtml(intent.returnUrl)}">Volver a la tienda</a></p>`;
+    return `<!doctype html>
+<html lang="es">
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Pasarela de prueba</title></head>
+  <body style="font-family: system-ui, sans-serif; max-width: 420px; margin: 3rem auto; display: grid; gap: 0.75rem">
+    <h1>Pasarela de pago de prueba</h1>
+    <p>${escapeHtml(intent.description)}</p>
+    <p><strong>${escapeHtml(amount)}</strong></p>
+    ${actions}
+  </body>
+</html>`;
+  }
+
+  return {
+    name: 'mock',
+
+    async createIntent({ amount, currency, description, returnUrl, webhookUrl }) {
+      const intent = { id: `pi_${randomUUID()}`, amount, currency, description, returnUrl, webhookUrl, status: 'requires_confirmation' };
+      intents.set(intent.id, intent);
+      return { intentId: intent.id, redirectUrl: `${PUBLIC_URL}/gateways/mock/${intent.id}` };
+    },
+
+    async cancelIntent(intentId) {
+      const intent = intents.get(intentId);
+      if (intent?.status === 'requires_confirmation') intent.status = 'canceled';
+    },
+
+    async refund(intentId) {
+      const intent = intents.get(intentId);
+      if (!intent) throw new Error(`Unknown payment intent ${intentId}`);
+      if (intent.status !== 'succeeded') throw new Error(`Payment intent ${intentId} is ${intent.status}`);
+      intent.status = 'refunded';
+      sendEvent(intent, 'refund.succeeded');
+    },
+
+    parseWebhook(rawBody, headers) {
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : '';
+      const parts = Object.fromEntries(String(headers[SIGNATURE_HEADER] ?? '').split(',').map(part => part.split('=')));
+      const timestamp = Number(parts.t);
+      if (!parts.v1 || !Number.isInteger(timestamp)) throw signatureError('Missing or malformed signature');
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_S) throw signatureError('Signature timestamp out of tolerance');
+      const expected = Buffer.from(signPayload(secret, timestamp, body));
+      const received = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+      if (expected.length !== received.length || !timingSafeEqual(expected, received)) throw signatureError('Invalid signature');
+
+      const event = JSON.parse(body);
+      return { id: event.id, type: EVENT_TYPES[event.type] ?? event.type, intentId: event.data?.intentId, reason: event.data?.reason };
+    },
+
+    router() {
+      const router = express.Router();
+      const findIntent = (req, res, next) => {
+        req.intent = intents.get(req.params.intentId);
+        if (!req.intent) return res.status(404).type('text/plain').send('Unknown payment intent (the mock gateway forgets them on restart)');
+        next();
+      };
+      router.get('/:intentId', findIntent, (req, res) => res.type('html').send(paymentPage(req.intent)));
+      // Aprobar o rechazar: se avisa a la tienda por webhook y se devuelve al cliente a returnUrl
+      const decide = (approved) => (req, res) => {
+        const { intent } = req;
+        if (intent.status !== 'requires_confirmation') return res.type('html').send(paymentPage(intent));
+        intent.status = approved ? 'succeeded' : 'failed';
+        sendEvent(intent, approved ? 'charge.succeeded' : 'charge.failed', approved ? {} : { reason: 'card_declined' });
+        res.redirect(303, intent.returnUrl);
+      };
+      router.post('/:intentId/approve', findIntent, decide(true));
+      router.post('/:intentId/decline', findIntent, decide(false));
+      return router;
+    },
+  };
+}
@@ -0,0 +1,128 @@
+// server/images.js
+// Pipeline de imágenes de productos.
+//
+// Cada imagen subida se guarda una sola vez y se generan sus versiones redimensionadas en
+// formatos modernos (AVIF y WebP), en tres anchos:
+// - 160 px: miniaturas (galería, carrito)
+// - 480 px: tarjetas del catálogo
+// - 1080 px: página de detalle
+// Los archivos quedan en IMAGES_DIR/<id>/<ancho>.<formato> y se sirven en /images/<id>/<ancho>.<formato>,
+// así el frontend arma `srcset` sin preguntar al servidor. En product.images la imagen se referencia
+// como "/images/<id>"; las rutas a archivos sueltos (fotos del catálogo inicial en db/seed-images/ o archivos
+// de public/) se procesan al iniciar el servidor, así el frontend nunca recibe los originales.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Carpeta de las imágenes generadas (configurable con IMAGES_DIR)
+export const IMAGES_DIR = process.env.IMAGES_DIR || path.join(serverDir, 'data', 'images');
+// Dónde buscar los archivos de las rutas sueltas: fotos originales del catálogo inicial y estáticos del frontend
+const SOURCE_DIRS = [path.join(serverDir, 'db', 'seed-images'), path.join(serverDir, '..', 'public')];
+
+// Prefijo de las URLs de imágenes procesadas
+export const IMAGES_URL = '/images';
+
+// Anchos generados y formatos de salida (el primero es el preferido)
+export const IMAGE_WIDTHS = [160, 480, 1080];
+export const IMAGE_FORMATS = ['avif', 'webp'];
+
+// Tipos aceptados al subir y tamaño máximo del archivo original
+export const UPLOAD_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+// Formatos que se aceptan según el contenido del archivo (sharp informa AVIF como 'heif').
+// No se confía en el Content-Type: un SVG u otro formato renombrado se rechaza igual.
+const INPUT_FORMATS = ['jpeg', 'png', 'webp', 'heif'];
+
+// Calidad por formato; AVIF con poco esfuerzo de compresión para no bloquear un servidor chico
+const ENCODERS = {
+  avif: (img) => img.avif({ quality: 55, effort: 2 }),
+  webp: (img) => img.webp({ quality: 78 }),
+};
+
+// "/images/<id>" => id (o null si la ruta no es de una imagen procesada)
+export const imageIdFromUrl = (url) => {
+  const match = typeof url === 'string' && url.match(/^\/images\/([\w-]+)$/);
+  return match ? match[1] : null;
+};
+
+// Procesa un archivo de imagen (Buffer) y genera todas sus versiones.
+// Devuelve la fila a guardar en la colección images: { id, width, height, formats, widths, createdAt }.
+// Lanza un Error con code 'INVALID_IMAGE' si el archivo no es una imagen legible de un formato aceptado.
+export async function processImage(buffer) {
+  const metadata = await sharp(buffer).metadata().catch(() => null);
+  if (!INPUT_FORMATS.includes(metadata?.format)) {
+    const error = new Error('File is not a supported image');
+    error.code = 'INVALID_IMAGE';
+    throw error;
+  }
+
+  const id = randomUUID();
+  const dir = path.join(IMAGES_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+
+  // rotate() aplica la orientación EXIF (fotos de celular) antes de redimensionar
+  const base = sharp(buffer).rotate();
+  for (const width of IMAGE_WIDTHS) {
+    const resized = base.clone().resize({ width, withoutEnlargement: true });
+    for (const format of IMAGE_FORMATS) {
+      await ENCODERS[format](resized.clone()).toFile(path.join(dir, `${width}.${format}`));
+    }
+  }
+
+  return {
+    id,
+    // Medidas ya con la orientación EXIF aplicada
+    width: metadata.autoOrient?.width ?? metadata.width,
+    height: metadata.autoOrient?.height ?? metadata.height,
+    widths: IMAGE_WIDTHS,
+    formats: IMAGE_FORMATS,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Borra los archivos generados de una imagen
+export const removeImageFiles = (id) => fs.rm(path.join(IMAGES_DIR, id), { recursive: true, force: true });
+
+// Lee el archivo de una ruta suelta ("/GorroNY.JPG") o devuelve null si no está en ninguna carpeta de origen
+async function readSourceImage(src) {
+  for (const dir of SOURCE_DIRS) {
+    const file = path.join(dir, path.normalize(src));
+    if (!file.startsWith(dir + path.sep)) continue;
+    const buffer = await fs.readFile(file).catch(() => null);
+    if (buffer) return buffer;
+  }
+  return null;
+}
+
+// Procesa las imágenes del catálogo que todavía apuntan a archivos sueltos (p. ej., "/GorroNY.JPG")
+// y reemplaza esas rutas por las de la imagen procesada. Un mismo archivo usado por varios productos
+// se procesa una sola vez. Las rutas que no se encuentran se dejan como están.
+// Devuelve la cantidad de archivos procesados.
+export async function importPublicImages(db) {
+  const processed = new Map(); // ruta original => url procesada
+  for (const product of db.products.all()) {
+    for (const src of product.images ?? []) {
+      if (imageIdFromUrl(src) || processed.has(src) || !src.startsWith('/')) continue;
+      const buffer = await readSourceImage(src);
+      if (!buffer) continue;
+      const image = await processImage(buffer);
+      db.store.transaction(() => db.images.insert({ ...image, source: src }));
+      processed.set(src, `${IMAGES_URL}/${image.id}`);
+    }
+  }
+
+  if (processed.size) {
+    db.store.transaction(() => {
+      for (const product of db.products.all()) {
+        const images = (product.images ?? []).map(src => processed.get(src) ?? src);
+        db.products.update(product.id, { images });
+      }
+    });
+  }
+  return processed.size;
+}
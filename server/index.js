@@ -4,6 +4,57 @@
 
 import express from 'express'; // Framework para crear el servidor HTTP y definir rutas
 import cors from 'cors'; // Middleware para habilitar CORS (acceso desde otros orígenes)
+import { randomUUID } from 'node:crypto'; // Ids de reseñas y avisos de stock
+import { openDatabase } from './db/index.js'; // Capa de datos persistente (store JSON + repositorios)
+import { queryProducts, toPublicProduct } from './catalog.js'; // Consulta del catálogo con filtros
+import { createOrder } from './orders.js'; // Servicio de checkout
+import { buildPricingLines } from './promotions.js'; // Líneas con precio para promociones y envío
+import { quoteOrder } from './quote.js'; // Cotización: descuentos, envío e impuestos
+import { isValidEmail, normalizeEmail, validateAddress } from './validation/account.js'; // Dirección y email de invitados
+import { createAdminRouter } from './routes/admin.js'; // Endpoints del back-office
+import { createSearchIndexCache } from './search.js'; // Índice de búsqueda del catálogo
+import { createAccountRouter } from './routes/account.js'; // Cuentas de clientes
+import { createReportsRouter } from './routes/reports.js'; // Reportes de analítica del back-office
+import { authenticate } from './middleware/authenticate.js'; // Sesión del cliente (opcional)
+import { locale } from './middleware/locale.js'; // Idioma y moneda pedidos por el cliente
+import { localizeProduct } from './localization.js'; // Textos y precios del producto para el cliente
+import { IMAGES_DIR, IMAGES_URL, importPublicImages } from './images.js'; // Imágenes procesadas de productos
+import { createProductFeed } from './productFeed.js'; // Cambios de stock y precio en vivo
+import { createConverter } from './currency.js'; // Conversión de precios a la moneda del cliente
+import { createPricing, watchPrices } from './pricing.js'; // Ofertas programadas e historial de precios
+import { buildCategoryTree } from './categories.js'; // Árbol de categorías con nombres y conteos
+import { findPurchase, ratingDistribution, summarizeRatings, toPublicReview } from './reviews.js'; // Reseñas y calificaciones
+import { validateReview } from './validation/review.js'; // Reseñas enviadas por clientes e invitados
+import { createNotifier } from './notifiers/index.js'; // Canal de salida de los mensajes (NOTIFIER)
+import { createNotificationQueue } from './notifications.js'; // Cola de mensajes a clientes
+import { toPublicAlert, watchBackInStock } from './stockAlerts.js'; // Avisos de vuelta de stock
+import { createPaymentGateway } from './gateways/index.js'; // Pasarela de pagos (PAYMENT_GATEWAY)
+import { handleWebhook, startPayment, watchUnpaidOrders } from './payments.js'; // Cobro de los pedidos
+import { IMPORT_MAX_BYTES } from './catalogTransfer.js'; // Límite del archivo de importación del catálogo
+import { recordEvents } from './analytics.js'; // Eventos de analítica de la tienda
+import { createRecommender } from './recommendations.js'; // Productos recomendados (similares y comprados juntos)
+import { createApiDoc } from './openapi.js'; // Rutas validadas con esquemas y documento OpenAPI
+import { buildRobots, buildSitemap } from './seo.js'; // sitemap.xml y robots.txt para buscadores
+import { createStorefrontRouter } from './ssr.js'; // Páginas de la tienda renderizadas en el servidor
+import {
+  cartRecommendationQuery,
+  components,
+  couponBody,
+  eventsBody,
+  gatewayParams,
+  idParams,
+  localeQuery,
+  orderBody,
+  productListQuery,
+  quoteBody,
+  recommendationQuery,
+  ref,
+  reviewBody,
+  reviewListQuery,
+  stockAlertBody,
+  suggestionsQuery,
+} from './schemas.js'; // Esquemas de entrada y de respuesta de la API
+import { errorHandler, findOrNotFound, invalidRequest, notFound, routeNotFound, sendError } from './errors.js'; // Formato uniforme de errores
 
 const app = express(); // Instancia principal de la aplicación Express
 const PORT = process.env.PORT || 4000; // Puerto de escucha (usa PORT del entorno o 4000 por defecto)
@@ -13,152 +64,694 @@ const PORT = process.env.PORT || 4000; // Puerto de escucha (usa PORT del entorn
 // ========================
 // Habilita CORS para que el frontend (p. ej., Vite en 5173) pueda consumir esta API sin bloqueos del navegador
 app.use(cors());
+// Los webhooks de pago se firman sobre el body tal como llegó: ahí req.body queda como Buffer (sin parsear)
+app.use('/api/payments/webhooks', express.raw({ type: 'application/json' }));
+// La importación del catálogo recibe archivos enteros (CSV como texto o JSON): admite bodies más grandes
+app.use(
+  '/api/admin/products/import',
+  express.json({ limit: IMPORT_MAX_BYTES }),
+  express.text({ type: 'text/csv', limit: IMPORT_MAX_BYTES })
+);
 // Habilita el parseo automático de JSON en el body de las peticiones entrantes (req.body)
 app.use(express.json());
 
 // ========================
-// Datos en memoria (catálogo)
+// Datos (catálogo y pedidos)
 // ========================
-// En una app real, estos datos vendrían de una base de datos.
-// Estructura de cada producto:
-// - id: identificador único (string)
-// - title: nombre visible del producto
-// - description: descripción resumida
-// - price: precio en número decimal
-// - images: rutas a imágenes estáticas servidas por el frontend
-// - category: categoría para filtrar (e.g., hats, hoodies)
-// - colors: variaciones de color disponibles
-// - sizes: talles disponibles
-// - stock: unidades disponibles
-// - featured: si debe destacarse en el listado
-const products = [
-  {
-    id: 'hat-01',
-    title: 'Gorro Clásico',
-    description: 'Gorro tejido clásico, abrigado y cómodo para el día a día.',
-    price: 19.99,
-    // Ruta relativa a la carpeta public del frontend
-    images: ['/GorroNY.JPG'],
-    category: 'hats',
-    colors: ['negro', 'gris', 'azul'],
-    sizes: ['única'],
-    stock: 42,
-    featured: true,
-  },
-  {
-    id: 'hat-02',
-    title: 'Beanie Urbano',
-    description: 'Estilo urbano con tejido elástico y suave.',
-    price: 24.99,
-    // Por ahora reutiliza la misma imagen
-    images: ['/GorroNY.JPG'],
-    category: 'hats',
-    colors: ['negro', 'verde'],
-    sizes: ['única'],
-    stock: 25,
-    featured: false,
-  },
-  {
-    id: 'hoodie-01',
-    title: 'Sudadera Básica',
-    description: 'Sudadera con capucha de algodón orgánico, ultra cómoda.',
-    price: 39.99,
-    images: ['/hoodie_PNG25-1774699148.png'],
-    category: 'hoodies',
-    colors: ['negro', 'blanco', 'azul'],
-    sizes: ['S', 'M', 'L', 'XL'],
-    stock: 30,
-    featured: true,
-  },
-  {
-    id: 'hoodie-02',
-    title: 'Sudadera Oversize',
-    description: 'Corte oversize para un look relajado, interior afelpado.',
-    price: 49.99,
-    images: ['/sudaderaoversize.png'],
-    category: 'hoodies',
-    colors: ['gris', 'beige'],
-    sizes: ['M', 'L', 'XL'],
-    stock: 12,
-    featured: false,
-  },
-];
-
-// ===================================================
-// Helper/servicio para consultar productos con filtros
-// ===================================================
-// Parámetros esperados (provenientes de query string):
-// - category: filtra por categoría exacta
-// - q: término de búsqueda; busca en título y descripción (sin distinción de mayúsculas)
-// - minPrice, maxPrice: filtra por rango de precios
-// - sort: 'price_asc' | 'price_desc' | 'title_asc'
-function queryProducts({ category, q, minPrice, maxPrice, sort } = {}) {
-  let result = [...products]; // Copia para no mutar el array original
-
-  // Filtrado por categoría exacta
-  if (category) {
-    result = result.filter(p => p.category === category);
-  }
+// Los datos viven en un archivo JSON (server/data/store.json por defecto, o DATA_FILE).
+// Al abrirlo se aplican las migraciones pendientes; la primera carga el catálogo inicial.
+const db = openDatabase();
+if (db.applied.length) {
+  console.log(`Migraciones aplicadas: ${db.applied.map(m => m.name).join(', ')}`);
+}
 
-  // Búsqueda por término en título o descripción
-  if (q) {
-    const term = q.toLowerCase();
-    result = result.filter(
-      p => p.title.toLowerCase().includes(term) || p.description.toLowerCase().includes(term)
-    );
-  }
+// /images/<id>/<ancho>.<formato>
+// Versiones redimensionadas de las imágenes de productos (ver images.js). Cada subida genera un id nuevo,
+// así los archivos nunca cambian y se pueden cachear indefinidamente.
+app.use(IMAGES_URL, express.static(IMAGES_DIR, { immutable: true, maxAge: '1y' }));
 
-  // Filtro por precio mínimo
-  if (minPrice !== undefined) {
-    const min = parseFloat(minPrice);
-    if (!Number.isNaN(min)) result = result.filter(p => p.price >= min);
-  }
+// Si la petición trae un token de cliente válido, deja el usuario en req.user
+// (las rutas públicas siguen funcionando para invitados)
+app.use('/api', authenticate(db));
 
-  // Filtro por precio máximo
-  if (maxPrice !== undefined) {
-    const max = parseFloat(maxPrice);
-    if (!Number.isNaN(max)) result = result.filter(p => p.price <= max);
-  }
+// Idioma (?lang) y moneda (?currency) de las rutas de la tienda => req.locale
+const storefront = locale(db);
 
-  // Ordenamientos soportados
-  if (sort) {
-    if (sort === 'price_asc') result.sort((a, b) => a.price - b.price);
-    if (sort === 'price_desc') result.sort((a, b) => b.price - a.price);
-    if (sort === 'title_asc') result.sort((a, b) => a.title.localeCompare(b.title));
-  }
+// Índice de búsqueda de los productos visibles; se reconstruye solo cuando cambian los datos
+const searchIndex = createSearchIndexCache(db.store, () => db.products.all().filter(p => !p.archived));
+const recommend = createRecommender(db);
 
-  // Respuesta con items y total (útil para paginación futura)
-  return { items: result, total: result.length };
-}
+// Historial de precios: cada cambio del precio vigente (ediciones y ofertas que empiezan o terminan) queda guardado
+watchPrices(db);
+
+// Productos que cambiaron de stock o precio, para las tiendas abiertas (ver GET /api/products/stream)
+const productFeed = createProductFeed(db);
+// Cada cuánto se envía un comentario vacío para que proxies y navegadores no corten la conexión
+const STREAM_HEARTBEAT_MS = 25_000;
+
+// Mensajes a clientes: se encolan en el store y se entregan con el notifier elegido en NOTIFIER
+// (console o file en desarrollo, ver notifiers/index.js). Las variantes repuestas encolan sus avisos de stock.
+const notificationQueue = createNotificationQueue(db, createNotifier());
+watchBackInStock(db, notificationQueue);
+
+// Pagos: los pedidos se crean pendientes y la pasarela confirma el cobro por webhook (ver payments.js).
+// Los que no se pagan a tiempo vencen y devuelven su stock. La pasarela de prueba sirve su página de pago
+// en /gateways/mock/<intentId>.
+const paymentGateway = createPaymentGateway();
+if (paymentGateway.router) app.use(`/gateways/${paymentGateway.name}`, paymentGateway.router());
+watchUnpaidOrders(db, paymentGateway);
 
 // ========================
 // Rutas HTTP (endpoints)
 // ========================
+// Cada ruta se declara con sus esquemas (schemas.js): se validan params, query y body antes del handler
+// y la misma definición se publica en GET /api/openapi.json (ver openapi.js).
+// Los errores responden siempre { code, message, ...detalles } (ver errors.js).
+const api = createApiDoc({
+  info: {
+    title: 'Tienda API',
+    version: '1.0.0',
+    description: 'Catalog, cart, checkout, customer accounts and back-office of the store. '
+      + 'Errors always respond { code, message, ...details } (see the Error schema).',
+  },
+  components,
+});
+const routes = api.routes(app);
 
 // GET /api/products
-// Devuelve una lista de productos con soporte de filtros/búsqueda/orden.
-// Query params soportados: category, q, minPrice, maxPrice, sort.
-app.get('/api/products', (req, res) => {
-  const { category, q, minPrice, maxPrice, sort } = req.query; // Extrae filtros desde la URL
-  const data = queryProducts({ category, q, minPrice, maxPrice, sort }); // Aplica filtros
-  res.json(data); // Responde en formato JSON
-});
+// Devuelve una página de productos con soporte de filtros/búsqueda/orden,
+// más facetas (conteos por categoría/color/talle) y el rango de precios del resultado.
+// Query params soportados: category, q, color, size, minPrice, maxPrice, sort, page, limit, lang, currency.
+// Los precios (y minPrice/maxPrice) se expresan en la moneda pedida; la respuesta la indica en currency.
+// Con una oferta vigente (ver pricing.js) price es el de oferta, también para filtrar y ordenar, y compareAtPrice
+// el precio "antes".
+routes.get(
+  '/api/products',
+  {
+    operationId: 'listProducts',
+    summary: 'Search, filter, sort and paginate the catalog',
+    tags: ['catalog'],
+    query: productListQuery,
+    responses: { 200: { description: 'Page of products with facets', schema: ref('ProductPage') } },
+  },
+  storefront,
+  (req, res) => {
+    const { category, q, color, size, minPrice, maxPrice, sort, page, limit } = req.query; // Filtros ya validados
+    const data = queryProducts(
+      db.products.all().map(p => localizeProduct(p, req.locale)),
+      { category, q, color, size, minPrice, maxPrice, sort, page, limit },
+      { searchIndex: searchIndex(), categories: db.categories.all() }
+    ); // Aplica filtros
+    res.json({ ...data, currency: req.locale.currency }); // Responde en formato JSON
+  }
+);
+
+// GET /api/products/stream
+// Server-Sent Events con los cambios de stock y precio del catálogo (en la moneda pedida en ?currency).
+// Cada cambio llega como `event: product` con
+// { id, price, compareAtPrice, currency, stock, variants: [{ sku, stock, price?, compareAtPrice? }] }
+// (compareAtPrice: precio "antes" de una oferta, null sin oferta), o { id, archived: true } si el producto
+// dejó de estar a la venta. Al reconectarse conviene volver a pedir los productos: los cambios
+// ocurridos mientras no hubo conexión no se reenvían.
+routes.get(
+  '/api/products/stream',
+  {
+    operationId: 'streamProductUpdates',
+    summary: 'Live stock and price changes (Server-Sent Events)',
+    description: 'Each change is sent as `event: product` whose data is a ProductUpdate. '
+      + 'Changes that happen while disconnected are not replayed.',
+    tags: ['catalog'],
+    query: localeQuery,
+    responses: {
+      200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' }, 'x-event-data': ref('ProductUpdate') } } },
+    },
+  },
+  storefront,
+  (req, res) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const { lang, currency } = req.locale;
+    const unsubscribe = productFeed.subscribe((ids) => {
+      // El tipo de cambio se lee en cada envío: pudo actualizarse después de abrir la conexión
+      const converter = createConverter(db.exchangeRates.all(), currency);
+      // Las ofertas vigentes en este momento (pudieron empezar o terminar después de abrir la conexión)
+      const pricing = createPricing(db);
+      for (const id of ids) {
+        const product = db.products.findById(id);
+        let data = { id, archived: true };
+        if (product && !product.archived) {
+          const { price, compareAtPrice = null, stock, variants } = toPublicProduct(localizeProduct(product, { lang, converter, pricing }));
+          data = {
+            id,
+            price,
+            compareAtPrice,
+            currency,
+            stock,
+            variants: variants.map(({ sku, stock, price, compareAtPrice }) => ({ sku, stock, price, compareAtPrice })),
+          };
+        }
+        res.write(`event: product\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+);
 
 // GET /api/products/:id
-// Devuelve un único producto por su id. Si no existe, responde 404.
-app.get('/api/products/:id', (req, res) => {
-  const product = products.find(p => p.id === req.params.id);
-  if (!product) return res.status(404).json({ message: 'Product not found' });
-  res.json(product);
+// Devuelve un único producto por su id (en el idioma y la moneda pedidos). Si no existe, responde 404.
+routes.get(
+  '/api/products/:id',
+  {
+    operationId: 'getProduct',
+    summary: 'Get a product',
+    tags: ['catalog'],
+    params: idParams,
+    query: localeQuery,
+    responses: { 200: { description: 'Product', schema: ref('Product') }, 404: 'Product not found or archived' },
+  },
+  storefront,
+  (req, res) => {
+    const product = db.products.findById(req.params.id);
+    // Los productos archivados desde el back-office no son visibles en la tienda
+    if (!product || product.archived) return notFound(res, 'Product not found');
+    res.json(toPublicProduct(localizeProduct(product, req.locale)));
+  }
+);
+
+// Recomendaciones (ver recommendations.js) en el idioma y la moneda pedidos: { items: [{ ...producto, reason }] }.
+// Solo productos a la venta con stock; sin datos suficientes se completa con los destacados.
+const toRecommendations = (recommendations, req) => ({
+  items: recommendations.map(({ product, reason }) => ({ ...toPublicProduct(localizeProduct(product, req.locale)), reason })),
 });
 
+// GET /api/products/:id/recommendations?limit=8
+// "También te puede gustar" en la página del producto. Si el producto no existe o está archivado, responde 404.
+routes.get(
+  '/api/products/:id/recommendations',
+  {
+    operationId: 'getProductRecommendations',
+    summary: 'Recommended products for a product',
+    description: 'Bought together in paid orders first, then similar (category, colors, price band, text); featured products as fallback.',
+    tags: ['catalog'],
+    params: idParams,
+    query: recommendationQuery,
+    responses: { 200: { description: 'Recommended products', schema: ref('RecommendationList') }, 404: 'Product not found or archived' },
+  },
+  storefront,
+  (req, res) => {
+    const product = db.products.findById(req.params.id);
+    if (!product || product.archived) return notFound(res, 'Product not found');
+    res.json(toRecommendations(recommend([product.id], req.query), req));
+  }
+);
+
+// GET /api/recommendations?productIds=a,b&limit=8
+// Recomendaciones para el carrito: combina las de todos sus productos y nunca repite uno de ellos.
+// Los ids que no existen se ignoran (el carrito puede tener productos borrados).
+routes.get(
+  '/api/recommendations',
+  {
+    operationId: 'getCartRecommendations',
+    summary: 'Recommended products for a set of products (the cart)',
+    tags: ['catalog'],
+    query: cartRecommendationQuery,
+    responses: { 200: { description: 'Recommended products', schema: ref('RecommendationList') } },
+  },
+  storefront,
+  (req, res) => {
+    const productIds = (req.query.productIds ?? '').split(',').map(id => id.trim()).filter(Boolean);
+    res.json(toRecommendations(recommend(productIds, req.query), req));
+  }
+);
+
+// Producto visible de la ruta (/api/products/:id/...) o 404
+const loadVisibleProduct = findOrNotFound(req => {
+  const product = db.products.findById(req.params.id);
+  return product && !product.archived ? product : null;
+}, 'Product not found');
+
+// GET /api/products/:id/reviews?page=1&limit=10
+// Reseñas aprobadas del producto, de la más reciente a la más antigua, con el promedio y la cantidad
+// por estrella => { items, total, page, limit, pages, rating: { average, count }, distribution }
+routes.get(
+  '/api/products/:id/reviews',
+  {
+    operationId: 'listProductReviews',
+    summary: 'Approved reviews of a product, newest first',
+    tags: ['reviews'],
+    params: idParams,
+    query: reviewListQuery,
+    responses: { 200: { description: 'Page of reviews with the rating summary', schema: ref('ReviewPage') }, 404: 'Product not found or archived' },
+  },
+  (req, res) => {
+    if (!loadVisibleProduct(req, res)) return;
+    const approved = db.reviews.findByProduct(req.params.id)
+      .filter(r => r.status === 'approved')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const { page, limit } = req.query;
+    res.json({
+      items: approved.slice((page - 1) * limit, page * limit).map(toPublicReview),
+      total: approved.length,
+      page,
+      limit,
+      pages: Math.max(1, Math.ceil(approved.length / limit)),
+      rating: summarizeRatings(approved),
+      distribution: ratingDistribution(approved),
+    });
+  }
+);
+
+// POST /api/products/:id/reviews
+// Body: { rating: 1-5, title?, text, authorName? (invitados), orderId? }
+// La reseña queda pendiente de moderación (se publica cuando el back-office la aprueba).
+// Es "compra verificada" si el pedido indicado (o, con sesión, alguno del cliente) incluye el producto.
+// Respuestas: 201 con la reseña y su status; 422 VALIDATION_FAILED (orderId que no prueba la compra incluido);
+// 409 ALREADY_REVIEWED si el cliente o el pedido ya reseñaron el producto.
+routes.post(
+  '/api/products/:id/reviews',
+  {
+    operationId: 'createProductReview',
+    summary: 'Submit a review (published after moderation)',
+    description: 'Marked as verified purchase when the given order (or, with a session, any order of the customer) includes the product.',
+    tags: ['reviews'],
+    security: 'optionalUser',
+    params: idParams,
+    load: loadVisibleProduct,
+    body: reviewBody,
+    // El pedido indicado tiene que probar la compra: si no, es un error más del body
+    check: (body, req) => {
+      const user = req.user ?? null;
+      const { value, errors } = validateReview(body, { user });
+      const { orderId } = value;
+      if (orderId === undefined || findPurchase(db, { productId: req.resource.id, user, orderId })) return { value, errors };
+      return { value, errors: { ...errors, orderId: 'Not a paid order of yours that includes this product' } };
+    },
+    responses: {
+      201: { description: 'Review received, pending moderation', schema: ref('AdminReview') },
+      404: 'Product not found or archived',
+      409: 'The customer or the order already reviewed the product (ALREADY_REVIEWED)',
+    },
+  },
+  (req, res) => {
+    const product = req.resource;
+    const user = req.user ?? null;
+    const value = req.body;
+    const order = findPurchase(db, { productId: product.id, user, orderId: value.orderId });
+    const repeated = db.reviews.findByProduct(product.id).some(r =>
+      (user && r.userId === user.id) || (order && r.orderId === order.id)
+    );
+    if (repeated) return sendError(res, 409, 'ALREADY_REVIEWED', 'The product was already reviewed');
+
+    const { orderId: _orderId, ...fields } = value;
+    const review = db.store.transaction(() =>
+      db.reviews.insert({
+        id: randomUUID(),
+        productId: product.id,
+        userId: user?.id ?? null,
+        ...fields,
+        orderId: order?.id ?? null,
+        verifiedPurchase: Boolean(order),
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        moderatedAt: null,
+      })
+    );
+    res.status(201).json(review);
+  }
+);
+
+// POST /api/products/:id/stock-alerts
+// Pide un aviso cuando una variante agotada vuelva a tener stock. Body: { sku, email? }
+// Con sesión el email por defecto es el de la cuenta; los invitados deben indicarlo. El mensaje va en ?lang.
+// Respuestas: 201 con el aviso; 200 con el existente si ya había uno pendiente para esa variante y email;
+// 422 VALIDATION_FAILED si el SKU no es de este producto, todavía tiene stock o falta el email.
+routes.post(
+  '/api/products/:id/stock-alerts',
+  {
+    operationId: 'createStockAlert',
+    summary: 'Ask to be notified when a sold-out variant is back in stock',
+    description: 'The message is sent once, in the requested language, through the configured notifier.',
+    tags: ['catalog'],
+    security: 'optionalUser',
+    params: idParams,
+    query: localeQuery,
+    load: loadVisibleProduct,
+    body: stockAlertBody,
+    check: (body, req) => {
+      const variant = req.resource.variants.find(v => v.sku === body.sku);
+      const email = normalizeEmail(body.email ?? req.user?.email);
+      const errors = {};
+      if (!variant) errors.sku = 'Not a variant of this product';
+      else if (variant.stock > 0) errors.sku = 'The variant is in stock';
+      if (!isValidEmail(email)) errors.email = email ? 'Must be a valid email' : 'Required';
+      return { value: { sku: body.sku, email }, errors: Object.keys(errors).length ? errors : null };
+    },
+    responses: {
+      200: { description: 'There was already a pending alert for the variant and email', schema: ref('StockAlert') },
+      201: { description: 'Alert created', schema: ref('StockAlert') },
+      404: 'Product not found or archived',
+    },
+  },
+  storefront,
+  (req, res) => {
+    const product = req.resource;
+    const { email } = req.body;
+    const variant = product.variants.find(v => v.sku === req.body.sku);
+    const existing = db.stockAlerts.findActiveBySku(variant.sku).find(a => a.email === email);
+    if (existing) return res.json(toPublicAlert(existing));
+
+    const alert = db.store.transaction(() =>
+      db.stockAlerts.insert({
+        id: randomUUID(),
+        productId: product.id,
+        sku: variant.sku,
+        email,
+        userId: req.user?.id ?? null,
+        lang: req.locale.lang,
+        createdAt: new Date().toISOString(),
+        notifiedAt: null,
+      })
+    );
+    res.status(201).json(toPublicAlert(alert));
+  }
+);
+
+// GET /api/search/suggestions?q=sud&limit=5
+// Autocompletado para el buscador: productos más relevantes y términos que completan
+// la última palabra escrita => { products: [{ id, title }], terms: [string] } (títulos en ?lang)
+routes.get(
+  '/api/search/suggestions',
+  {
+    operationId: 'getSearchSuggestions',
+    summary: 'Autocomplete suggestions for the search box',
+    tags: ['catalog'],
+    query: suggestionsQuery,
+    responses: { 200: { description: 'Matching products and terms', schema: ref('Suggestions') } },
+  },
+  storefront,
+  (req, res) => res.json(searchIndex().suggest(req.query.q, req.query.limit, req.locale.lang))
+);
+
+// GET /api/categories
+// Árbol de categorías con el nombre en ?lang y la cantidad de productos visibles de cada una
+// (incluidas sus subcategorías) => { items: [{ slug, name, parent, path, count, children }] }.
+// ?category=<slug> en /api/products filtra por la categoría y todas sus descendientes.
+routes.get(
+  '/api/categories',
+  {
+    operationId: 'listCategories',
+    summary: 'Category tree with localized names and product counts',
+    tags: ['catalog'],
+    query: localeQuery,
+    responses: { 200: { description: 'Root categories with their descendants', schema: ref('CategoryTree') } },
+  },
+  storefront,
+  (req, res) => res.json({ items: buildCategoryTree(db.categories.all(), db.products.all(), req.locale.lang) })
+);
+
+// Destino para cotizar ya validado por el esquema, normalizado: { country: 'MX', postalCode: '06700' }
+// (null => solo retiro en tienda)
+const parseDestination = (destination) =>
+  destination ? { country: destination.country.toUpperCase(), postalCode: destination.postalCode?.trim() ?? '' } : null;
+
+// Importes del carrito con las ofertas y promociones vigentes, el cupón, el envío y los impuestos,
+// expresados en la moneda pedida (?currency)
+const quoteCart = (body, { converter, lang, pricing }) =>
+  quoteOrder(buildPricingLines(db, body.items, converter, pricing), db.promotions.all(), {
+    converter,
+    lang,
+    couponCode: body.couponCode,
+    destination: parseDestination(body.destination),
+    shippingMethod: body.shippingMethod,
+  });
+
+// POST /api/cart/quote
+// Cotiza un carrito. Body: { items: [{ sku, qty }], couponCode?, destination?: { country, postalCode }, shippingMethod? }
+// Query: ?currency=USD para cotizar en otra moneda; ?lang=en para las etiquetas de envío.
+// Respuesta: { currency, subtotal, discounts: [{ promotionId, name, code, amount }], discountTotal, coupon,
+//   shipping: { zone, options: [{ id, label, amount, estimatedDays, freeOver? }], selected, amount },
+//   taxes: [{ id, name, rate, base, amount }], taxTotal, total }
+// coupon es null si no se envió cupón o { code, valid, reason?, message? } (un cupón inválido no es un error HTTP).
+// Si shippingMethod no está disponible para el destino, shipping.selected indica el que se usó.
+routes.post(
+  '/api/cart/quote',
+  {
+    operationId: 'quoteCart',
+    summary: 'Quote a cart: discounts, coupon, shipping and taxes',
+    description: 'An invalid coupon is not an HTTP error: see coupon.valid and coupon.reason.',
+    tags: ['checkout'],
+    query: localeQuery,
+    body: quoteBody,
+    responses: { 200: { description: 'Quote', schema: ref('Quote') } },
+  },
+  storefront,
+  (req, res) => res.json(quoteCart(req.body, req.locale))
+);
+
+// POST /api/coupons/validate
+// Valida un cupón contra un carrito. Body: { code: string, items: [{ sku, qty }], destination?, shippingMethod? }
+// Responde como /api/cart/quote; coupon.valid indica si el cupón puede aplicarse
+// y coupon.reason el motivo si no (NOT_FOUND, EXPIRED, MIN_SUBTOTAL_NOT_MET, ...).
+routes.post(
+  '/api/coupons/validate',
+  {
+    operationId: 'validateCoupon',
+    summary: 'Check a coupon against a cart',
+    description: 'Responds like /api/cart/quote; coupon.valid tells whether the coupon applies and coupon.reason why not.',
+    tags: ['checkout'],
+    query: localeQuery,
+    body: couponBody,
+    responses: { 200: { description: 'Quote including the coupon result', schema: ref('Quote') } },
+  },
+  storefront,
+  (req, res) => res.json(quoteCart({ ...req.body, couponCode: req.body.code }, req.locale))
+);
+
+// POST /api/orders
+// Crea un pedido a partir del carrito. Body esperado:
+// { items: [{ sku: string, qty: number, price?: number }], couponCode?: string, shippingMethod?: string,
+//   shippingAddressId?: string (dirección guardada) | shippingAddress?: { ... } (invitados) }
+// Con sesión de cliente, el pedido queda asociado a su cuenta (y puede usar una dirección guardada).
+// Query: ?currency=USD para cobrar en otra moneda (los price enviados deben estar en esa moneda) y ?lang.
+// Sin dirección el único método de envío es el retiro en tienda.
+// El pedido se crea pendiente de pago, con el stock reservado: la tienda lleva al cliente a payment.redirectUrl
+// (la página de la pasarela) y el pedido pasa a pagado o fallido cuando llega el webhook.
+// Respuestas:
+// - 201 con el pedido creado (status 'pending' y payment.redirectUrl)
+// - 400 INVALID_REQUEST si la dirección guardada no es del cliente; SHIPPING_UNAVAILABLE si el método de envío
+//   no está disponible
+// - 422 VALIDATION_FAILED si el body no tiene el formato esperado o la dirección de envío no es válida
+// - 409 ORDER_REJECTED con errors: [...] si alguna línea no puede venderse (sin stock, precio cambiado, etc.)
+// - 409 COUPON_REJECTED con coupon: { code, reason, message } si el cupón ya no puede aplicarse
+// - 502 PAYMENT_UNAVAILABLE con orderId si la pasarela no creó el cobro (el pedido queda fallido y el stock se devuelve)
+routes.post(
+  '/api/orders',
+  {
+    operationId: 'createOrder',
+    summary: 'Place an order with the cart',
+    description: 'With a customer session the order is linked to the account and may use a saved address. '
+      + 'Without an address the only shipping method is store pickup.',
+    tags: ['checkout'],
+    security: 'optionalUser',
+    query: localeQuery,
+    body: orderBody,
+    // La dirección tipeada por un invitado se valida junto con el body (una guardada la busca el handler)
+    check: (body) => {
+      const typed = body.shippingAddress;
+      if (body.shippingAddressId !== undefined || typed === null || typeof typed !== 'object') {
+        return { value: body, errors: null };
+      }
+      const { value, errors } = validateAddress(typed);
+      const { isDefault: _isDefault, ...shippingAddress } = value;
+      const prefixed = errors && Object.entries(errors).map(([field, message]) => [`shippingAddress.${field}`, message]);
+      return { value: { ...body, shippingAddress }, errors: prefixed && Object.fromEntries(prefixed) };
+    },
+    responses: {
+      201: { description: 'Order created', schema: ref('Order') },
+      400: 'Unknown saved address (INVALID_REQUEST) or shipping method not available (SHIPPING_UNAVAILABLE)',
+      409: 'Some lines cannot be ordered (ORDER_REJECTED) or the coupon no longer applies (COUPON_REJECTED)',
+      502: 'The payment gateway did not create the payment (PAYMENT_UNAVAILABLE); the order is marked failed',
+    },
+  },
+  storefront,
+  async (req, res) => {
+    // La dirección guardada debe pertenecer al cliente autenticado (la de un invitado ya la validó check)
+    const { shippingAddressId } = req.body;
+    let shippingAddress = req.body.shippingAddress ?? null;
+    if (shippingAddressId !== undefined) {
+      shippingAddress = req.user?.addresses?.find(a => a.id === shippingAddressId) ?? null;
+      if (!shippingAddress) {
+        return invalidRequest(res, 'Unknown shipping address', { shippingAddressId: 'Not an address of the customer' });
+      }
+    }
+
+    const { items, couponCode, shippingMethod } = req.body;
+    const { order, errors, couponError, shippingError } = createOrder(db, items, {
+      user: req.user,
+      shippingAddress,
+      couponCode,
+      shippingMethod,
+      converter: req.locale.converter,
+      lang: req.locale.lang,
+    });
+    if (shippingError) return sendError(res, 400, 'SHIPPING_UNAVAILABLE', shippingError.message, { shipping: shippingError });
+    if (errors) return sendError(res, 409, 'ORDER_REJECTED', 'Some items cannot be ordered', { errors });
+    if (couponError) return sendError(res, 409, 'COUPON_REJECTED', 'Coupon cannot be applied', { coupon: couponError });
+    try {
+      res.status(201).json(await startPayment(db, paymentGateway, order));
+    } catch (err) {
+      console.error(`No se pudo iniciar el pago del pedido ${order.id}:`, err);
+      sendError(res, 502, 'PAYMENT_UNAVAILABLE', 'The payment gateway is not available', { orderId: order.id });
+    }
+  }
+);
+
+// GET /api/orders/:id
+// Devuelve un pedido por su id (la página /pedido/:id lo consulta hasta que se confirma el pago). Si no existe, responde 404.
+// Cualquiera con el id puede verlo: sin la sesión del cliente del pedido no incluye sus datos personales
+// (userId ni dirección de envío).
+routes.get(
+  '/api/orders/:id',
+  {
+    operationId: 'getOrder',
+    summary: 'Get an order',
+    description: 'userId and shippingAddress are only included with the session of the customer who placed the order.',
+    tags: ['checkout'],
+    security: 'optionalUser',
+    params: idParams,
+    responses: { 200: { description: 'Order', schema: ref('Order') }, 404: 'Order not found' },
+  },
+  (req, res) => {
+    const order = db.orders.findById(req.params.id);
+    if (!order) return notFound(res, 'Order not found');
+    if (order.userId && order.userId === req.user?.id) return res.json(order);
+    const { userId: _userId, shippingAddress: _shippingAddress, ...publicOrder } = order;
+    res.json(publicOrder);
+  }
+);
+
+// POST /api/payments/webhooks/:gateway
+// Resultado de los cobros y reembolsos que avisa la pasarela. El body se verifica con la firma de la pasarela
+// antes de usarlo; los eventos repetidos responden 200 sin volver a aplicarse (ver payments.js).
+// Respuestas: 200 { received, duplicate, applied }; 400 INVALID_SIGNATURE; 404 si no es la pasarela configurada.
+routes.post(
+  '/api/payments/webhooks/:gateway',
+  {
+    operationId: 'receivePaymentWebhook',
+    summary: 'Payment result notified by the gateway',
+    description: 'Signed by the gateway; repeated events are acknowledged without being applied again.',
+    tags: ['payments'],
+    params: gatewayParams,
+    requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', description: 'Gateway-specific event' } } } },
+    responses: {
+      200: { description: 'Event received', schema: ref('PaymentWebhookResult') },
+      400: 'Missing, invalid or expired signature (INVALID_SIGNATURE)',
+      404: 'Not the configured payment gateway',
+    },
+  },
+  async (req, res) => {
+    if (req.params.gateway !== paymentGateway.name) return notFound(res, 'Unknown payment gateway');
+    try {
+      const { duplicate, applied = false } = await handleWebhook(db, paymentGateway, req.body, req.headers);
+      res.json({ received: true, duplicate, applied });
+    } catch (err) {
+      if (err.code === 'INVALID_SIGNATURE') return sendError(res, 400, 'INVALID_SIGNATURE', err.message);
+      throw err;
+    }
+  }
+);
+
+// POST /api/events
+// Eventos de analítica de la tienda, en lotes: { events: [{ type, ...datos }] } (tipos y reglas en analytics.js).
+// Son anónimos y no requieren sesión. Responde 202 { received, accepted }: los eventos que no cumplen las
+// reglas de su tipo (p. ej., un producto que no existe) se descartan sin error.
+routes.post(
+  '/api/events',
+  {
+    operationId: 'trackEvents',
+    summary: 'Record storefront analytics events',
+    description: 'Types: search { q }, impression { productId }, add_to_cart { productId, sku, qty }, checkout { productIds }.',
+    tags: ['analytics'],
+    body: eventsBody,
+    responses: { 202: { description: 'Events received', schema: ref('EventsReceipt') } },
+  },
+  (req, res) => {
+    const accepted = recordEvents(db, req.body.events, { searchIndex: searchIndex() });
+    res.status(202).json({ received: req.body.events.length, accepted });
+  }
+);
+
+// /api/auth/* y /api/me/*
+// Registro, ingreso, pedidos, direcciones y carrito de la cuenta del cliente.
+app.use('/api', createAccountRouter(db, api));
+
+// /api/admin/*
+// Gestión del catálogo (crear, editar, archivar, reponer stock) y de los pedidos. Requiere token de administrador.
+app.use('/api/admin', createAdminRouter(db, api, { paymentGateway }));
+
+// /api/admin/reports/*
+// Reportes de analítica (búsquedas, embudo por producto, ventas por categoría, stock bajo). Requiere token de administrador.
+app.use('/api/admin/reports', createReportsRouter(db, api));
+
 // GET /api/health
 // Endpoint simple de salud del servicio, útil para monitoreo.
-app.get('/api/health', (_req, res) => res.json({ status: 'ok' }));
+routes.get(
+  '/api/health',
+  {
+    operationId: 'getHealth',
+    summary: 'Service health',
+    tags: ['meta'],
+    responses: { 200: { description: 'The service is up', schema: { type: 'object', properties: { status: { type: 'string', enum: ['ok'] } } } } },
+  },
+  (_req, res) => res.json({ status: 'ok' })
+);
+
+// GET /api/openapi.json
+// Documento OpenAPI 3.1 con todas las rutas, sus parámetros, bodies y respuestas (para generar SDKs).
+routes.get(
+  '/api/openapi.json',
+  {
+    operationId: 'getOpenApiDocument',
+    summary: 'This OpenAPI document',
+    tags: ['meta'],
+    responses: { 200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } } },
+  },
+  (_req, res) => res.json(api.document())
+);
+
+// Cualquier otra ruta /api responde 404 con el formato de errores
+app.use('/api', routeNotFound);
+
+// GET /sitemap.xml y GET /robots.txt
+// Catálogo, categorías y productos a la venta para los buscadores (ver seo.js)
+app.get('/sitemap.xml', (_req, res) => res.type('application/xml').send(buildSitemap(db)));
+app.get('/robots.txt', (_req, res) => res.type('text/plain').send(buildRobots()));
+
+// Tienda: con el build de producción (npm run build), catálogo y detalle de producto se renderizan en el
+// servidor con título, Open Graph y JSON-LD (ver ssr.js); las páginas piden sus datos a esta misma API
+const storefrontRouter = createStorefrontRouter({ apiOrigin: `http://127.0.0.1:${PORT}` });
+if (storefrontRouter) app.use(storefrontRouter);
+
+// El manejador final convierte los errores no controlados (JSON mal formado, excepciones) al formato de errores
+app.use(errorHandler);
 
 // ========================
 // Inicio del servidor
 // ========================
 app.listen(PORT, () => {
   console.log(`API corriendo en http://localhost:${PORT}`);
+  if (storefrontRouter) console.log(`Tienda (renderizada en el servidor) en http://localhost:${PORT}`);
+  // Mensajes que quedaron pendientes de una ejecución anterior
+  notificationQueue.drain();
+  // Las imágenes que todavía apuntan a archivos de public/ (catálogo inicial) se procesan en segundo plano
+  importPublicImages(db)
+    .then(count => count && console.log(`Imágenes procesadas: ${count}`))
+    .catch(err => console.error('No se pudieron procesar las imágenes del catálogo:', err));
 });
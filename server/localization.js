@@ -0,0 +1,38 @@
+// server/localization.js
+// Idiomas de la tienda y versión localizada de los productos.
+//
+// Los textos base de los productos están en español (DEFAULT_LANGUAGE); las traducciones
+// se guardan por producto: translations: { en: { title, description } }.
+// Si falta una traducción se usa el texto base.
+
+import { createConverter } from './currency.js';
+
+export const DEFAULT_LANGUAGE = 'es';
+export const SUPPORTED_LANGUAGES = ['es', 'en'];
+
+// Texto de una etiqueta con versiones por idioma ({ es, en }); si falta, el del idioma base
+export const pickText = (texts, lang) => texts[lang] ?? texts[DEFAULT_LANGUAGE];
+
+// Producto tal como lo ve un cliente: textos en su idioma y precios en su moneda, con la oferta vigente si se
+// indica `pricing` (ver createPricing en pricing.js); con oferta, compareAtPrice es el precio "antes".
+// No incluye las traducciones crudas (esas solo las usa el back-office).
+export function localizeProduct(product, { lang = DEFAULT_LANGUAGE, converter = createConverter([]), pricing } = {}) {
+  const { translations, ...rest } = pricing ? pricing.apply(product) : product;
+  const texts = translations?.[lang] ?? {};
+  const price = (amount) => converter.convert(amount, product.currency);
+  // El precio "antes" solo existe mientras hay una oferta
+  const withPrices = (item) => ({
+    price: price(item.price),
+    ...(item.compareAtPrice !== undefined && { compareAtPrice: price(item.compareAtPrice) }),
+  });
+  return {
+    ...rest,
+    title: texts.title || product.title,
+    description: texts.description || product.description,
+    ...withPrices(rest),
+    currency: converter.currency,
+    variants: rest.variants.map(variant =>
+      variant.price === undefined ? variant : { ...variant, ...withPrices(variant) }
+    ),
+  };
+}
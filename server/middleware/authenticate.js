@@ -0,0 +1,23 @@
+// server/middleware/authenticate.js
+// Middlewares de sesión de clientes (ver auth/sessions.js).
+// - authenticate(db): si llega un token válido deja el usuario en req.user (si no, sigue como invitado)
+// - requireUser: corta con 401 UNAUTHORIZED si no hay usuario autenticado
+
+import { findUserByToken } from '../auth/sessions.js';
+import { unauthorized } from '../errors.js';
+
+// Extrae el token de `Authorization: Bearer <token>`
+export function bearerToken(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+export const authenticate = (db) => (req, _res, next) => {
+  req.user = findUserByToken(db, bearerToken(req));
+  next();
+};
+
+export function requireUser(req, res, next) {
+  if (!req.user) return unauthorized(res, 'Authentication required');
+  next();
+}
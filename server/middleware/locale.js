@@ -0,0 +1,32 @@
+// server/middleware/locale.js
+// Idioma y moneda de la petición para las rutas de la tienda.
+// - ?lang=en (o, si no viene, el encabezado Accept-Language); por defecto español
+// - ?currency=USD; por defecto la moneda base. Una moneda no soportada responde 400 INVALID_REQUEST
+//   (las rutas ya la rechazan al validar la query; esto cubre a las que no declaran ?currency).
+// Deja en req.locale { lang, currency, converter, pricing } (ver currency.js, localization.js y pricing.js):
+// pricing tiene las ofertas vigentes al llegar la petición.
+
+import { createConverter, parseCurrency, SUPPORTED_CURRENCIES } from '../currency.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../localization.js';
+import { createPricing } from '../pricing.js';
+import { invalidRequest } from '../errors.js';
+
+const pickLanguage = (req) => {
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.trim().toLowerCase() : '';
+  if (SUPPORTED_LANGUAGES.includes(requested)) return requested;
+  return req.acceptsLanguages(...SUPPORTED_LANGUAGES) || DEFAULT_LANGUAGE;
+};
+
+export const locale = (db) => (req, res, next) => {
+  const currency = parseCurrency(req.query.currency);
+  if (!currency) {
+    return invalidRequest(res, 'Unsupported currency', { currency: `Must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+  }
+  req.locale = {
+    lang: pickLanguage(req),
+    currency,
+    converter: createConverter(db.exchangeRates.all(), currency),
+    pricing: createPricing(db),
+  };
+  next();
+};
@@ -0,0 +1,33 @@
+// server/middleware/requireAdmin.js
+// Middleware de autenticación para el back-office.
+// Espera el header `Authorization: Bearer <ADMIN_TOKEN>`; el token se configura
+// con la variable de entorno ADMIN_TOKEN. Sin token válido responde 401 UNAUTHORIZED.
+// El token de desarrollo está en el repositorio: con NODE_ENV=production el servidor no arranca sin ADMIN_TOKEN.
+
+import { timingSafeEqual } from 'node:crypto';
+import { unauthorized } from '../errors.js';
+
+const DEV_TOKEN = 'dev-admin-token';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || DEV_TOKEN;
+
+if (!process.env.ADMIN_TOKEN && process.env.NODE_ENV === 'production') {
+  throw new Error('ADMIN_TOKEN is required in production (NODE_ENV=production)');
+}
+if (ADMIN_TOKEN === DEV_TOKEN) {
+  console.warn('ADMIN_TOKEN no está definido: se usa el token de desarrollo. No lo uses en producción.');
+}
+
+// Comparación en tiempo constante para no filtrar el token por diferencias de tiempo
+function sameToken(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+export function requireAdmin(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !sameToken(token, ADMIN_TOKEN)) {
+    return unauthorized(res, 'Admin authentication required');
+  }
+  next();
+}
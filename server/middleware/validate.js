@@ -0,0 +1,46 @@
+// server/middleware/validate.js
+// Valida la petición contra los esquemas de la ruta (ver validation/schema.js y openapi.js).
+// - params y query: 400 INVALID_REQUEST; la query no admite parámetros que la ruta no declare
+// - load(req, res): busca el recurso de la ruta (el producto de un PUT /products/:id...) y lo deja en req.resource;
+//   si no existe responde 404 y devuelve null. Corre antes del body: un id desconocido es 404 aunque el body
+//   también tenga errores
+// - body: 422 VALIDATION_FAILED con los errores campo por campo (mismo formato que los validadores de cada recurso)
+// - check(body, req): reglas del recurso que el esquema no expresa (los validadores de validation/, que devuelven
+//   { value, errors }). Corre en la misma pasada que el esquema del body y sus errores se suman a los de este
+//   (si un campo tiene los dos, queda el del esquema): un solo 422 trae todo lo que hay que corregir.
+//   Con todo válido, su value reemplaza al body
+// Los valores normalizados (textos convertidos a números, defaults aplicados) reemplazan a los recibidos.
+
+import { invalidRequest, validationFailed } from '../errors.js';
+import { validateSchema } from '../validation/schema.js';
+
+// Sin esquema de query, la ruta no acepta ningún parámetro
+const NO_QUERY = { type: 'object', properties: {}, additionalProperties: false };
+
+export const validate = ({ params, query = NO_QUERY, load, body, check } = {}) => (req, res, next) => {
+  if (params) {
+    const result = validateSchema(params, req.params, { coerce: true, root: 'params' });
+    if (result.errors) return invalidRequest(res, 'Invalid path parameters', result.errors);
+    req.params = result.value;
+  }
+
+  const result = validateSchema(query, req.query, { coerce: true, root: 'query', unknown: 'Unknown parameter' });
+  if (result.errors) return invalidRequest(res, 'Invalid query parameters', result.errors);
+  // En Express 5 req.query es un getter de solo lectura: se reemplaza en la petición con los valores convertidos
+  Object.defineProperty(req, 'query', { value: result.value, writable: true, configurable: true, enumerable: true });
+
+  if (load) {
+    const resource = load(req, res);
+    if (!resource) return;
+    req.resource = resource;
+  }
+
+  if (body) {
+    // Sin body (o sin Content-Type JSON) se valida como un objeto vacío: cada campo obligatorio da su error
+    const { value, errors } = validateSchema(body, req.body ?? {}, { root: 'body' });
+    const checked = check?.(req.body ?? {}, req);
+    if (errors || checked?.errors) return validationFailed(res, { ...checked?.errors, ...errors });
+    req.body = checked ? checked.value : value;
+  }
+  next();
+};
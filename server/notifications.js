@@ -0,0 +1,72 @@
+// server/notifications.js
+// Cola de notificaciones a clientes (p. ej., avisos de vuelta de stock, ver stockAlerts.js).
+//
+// Los mensajes se guardan en la colección `notifications` dentro de la misma transacción que los origina,
+// así no se pierden si el envío falla o el servidor se reinicia; después se entregan en segundo plano
+// con el notifier configurado (ver notifiers/index.js). Cada notificación guardada tiene:
+// - id, template ('back-in-stock', ...), to (email), subject, text, data (datos del template)
+// - status: 'queued' hasta entregarse ('sent'); 'failed' tras MAX_ATTEMPTS intentos fallidos
+// - attempts / lastError: intentos hechos y el último error
+// - createdAt / sentAt: fechas en ISO 8601
+
+import { randomUUID } from 'node:crypto';
+
+export const MAX_ATTEMPTS = 5;
+// Cada cuánto se reintentan las pendientes (las nuevas se envían en cuanto se encolan)
+const RETRY_INTERVAL_MS = 60_000;
+
+// Crea la cola:
+// - enqueue(message): guarda { template, to, subject, text, data } como pendiente. No persiste por sí solo:
+//   se usa dentro de store.transaction(); después hay que llamar a drain()
+// - drain(): envía las pendientes (una sola tanda a la vez); devuelve cuántas se entregaron
+// - stop(): deja de reintentar periódicamente
+export function createNotificationQueue(db, notifier) {
+  let draining = null;
+
+  const enqueue = (message) =>
+    db.notifications.insert({
+      id: randomUUID(),
+      ...message,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+    });
+
+  // Envía las pendientes, incluidas las que se encolen mientras tanto; cada una se intenta una vez por tanda
+  async function sendQueued() {
+    const tried = new Set();
+    const next = () => db.notifications.queued().find(n => !tried.has(n.id));
+    let sent = 0;
+    for (let notification = next(); notification; notification = next()) {
+      const { id, template, to, subject, text, data } = notification;
+      tried.add(id);
+      try {
+        await notifier.send({ id, template, to, subject, text, data });
+        db.store.transaction(() => db.notifications.update(id, { status: 'sent', attempts: notification.attempts + 1, sentAt: new Date().toISOString() }));
+        sent += 1;
+      } catch (err) {
+        const attempts = notification.attempts + 1;
+        db.store.transaction(() =>
+          db.notifications.update(id, { status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued', attempts, lastError: err.message })
+        );
+        console.error(`No se pudo enviar la notificación ${id} (${notifier.name}):`, err.message);
+      }
+    }
+    return sent;
+  }
+
+  const drain = () => {
+    draining ??= sendQueued().finally(() => {
+      draining = null;
+    });
+    return draining;
+  };
+
+  // Reintento periódico de las que fallaron (no impide que el proceso termine)
+  const timer = setInterval(() => drain(), RETRY_INTERVAL_MS);
+  timer.unref();
+
+  return { enqueue, drain, stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,43 @@
+// server/notifiers/index.js
+// Canales de salida de las notificaciones a clientes (ver notifications.js).
+//
+// Un notifier es un objeto { name, send(notification) } donde send devuelve una promesa que se resuelve
+// cuando el mensaje quedó entregado (o la rechaza si falló, y la cola lo reintenta).
+// notification: { id, to, subject, text, template, data }.
+// Para producción se agrega aquí un notifier que use el proveedor de correo elegido; en desarrollo alcanza con:
+// - console: imprime cada mensaje en la consola del servidor
+// - file: agrega cada mensaje como una línea JSON a NOTIFICATIONS_FILE (server/data/outbox.jsonl por defecto)
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'outbox.jsonl');
+
+export function createConsoleNotifier() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`[notificación] Para: ${to} | ${subject}\n${text}`);
+    },
+  };
+}
+
+export function createFileNotifier(filePath = process.env.NOTIFICATIONS_FILE || defaultFile) {
+  return {
+    name: 'file',
+    async send(notification) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify({ ...notification, sentAt: new Date().toISOString() })}\n`);
+    },
+  };
+}
+
+const NOTIFIERS = { console: createConsoleNotifier, file: createFileNotifier };
+
+// Notifier elegido con NOTIFIER (console por defecto)
+export function createNotifier(name = process.env.NOTIFIER || 'console') {
+  const factory = NOTIFIERS[name];
+  if (!factory) throw new Error(`Unknown notifier "${name}". Use one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+  return factory();
+}
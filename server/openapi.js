@@ -0,0 +1,114 @@
+// server/openapi.js
+// Documento OpenAPI 3.1 de la API (GET /api/openapi.json), armado con las mismas definiciones
+// que validan cada ruta: así lo publicado no puede desfasarse de lo que el servidor acepta.
+//
+// Las rutas se declaran con los métodos que devuelve api.routes(router):
+//   routes.get('/products/:id', spec, ...handlers)
+// que registra la operación en el documento y monta la ruta con validate(spec) antes de los handlers.
+// spec: {
+//   operationId, summary, description?, tags?,
+//   security?: 'user' | 'optionalUser' | 'admin',
+//   params?, query?, body?: esquemas (ver validation/schema.js y schemas.js),
+//   load?(req, res): recurso de la ruta (req.resource), buscado antes del body: 404 si no existe
+//     (ver middleware/validate.js),
+//   check?(body, req): reglas del recurso que se validan junto con el body (ver middleware/validate.js),
+//   requestBody?: cuerpo documentado a mano cuando no es JSON (p. ej., la subida de imágenes),
+//   responses: { [status]: { description, schema?, content? } | 'descripción de un error' }
+// }
+// Las respuestas de error usan el esquema Error; 400, 401 y 422 se agregan solas según params/query, security y body.
+
+import { validate } from './middleware/validate.js';
+
+const SECURITY = {
+  user: [{ sessionToken: [] }],
+  optionalUser: [{ sessionToken: [] }, {}],
+  admin: [{ adminToken: [] }],
+};
+
+const SECURITY_SCHEMES = {
+  sessionToken: { type: 'http', scheme: 'bearer', description: 'Customer session token returned by /api/auth/login or /api/auth/register' },
+  adminToken: { type: 'http', scheme: 'bearer', description: 'Back-office token (ADMIN_TOKEN environment variable)' },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+// '/api/products/:id' => '/api/products/{id}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Parámetros de OpenAPI a partir del esquema de objeto de params o query
+const parameters = (schema, location) =>
+  Object.entries(schema?.properties ?? {}).map(([name, propSchema]) => {
+    const { description, ...rest } = propSchema;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || Boolean(schema.required?.includes(name)),
+      ...(description && { description }),
+      schema: rest,
+    };
+  });
+
+function buildOperation({ method, path, spec }) {
+  const { operationId, summary, description, tags, security, params, query, body, requestBody } = spec;
+  const responses = {};
+  for (const [status, response] of Object.entries(spec.responses)) {
+    if (typeof response === 'string') responses[status] = errorResponse(response);
+    else {
+      const { description: text, schema, content } = response;
+      responses[status] = { description: text, ...(schema && { content: { 'application/json': { schema } } }), ...(content && { content }) };
+    }
+  }
+  if ((params || query) && !responses[400]) responses[400] = errorResponse('Invalid path or query parameters');
+  if (security && security !== 'optionalUser' && !responses[401]) responses[401] = errorResponse('Authentication required');
+  if (body && !responses[422]) responses[422] = errorResponse('Validation failed');
+
+  return [
+    toOpenApiPath(path),
+    method,
+    {
+      operationId,
+      summary,
+      ...(description && { description }),
+      ...(tags && { tags }),
+      ...(security && { security: SECURITY[security] }),
+      parameters: [...parameters(params, 'path'), ...parameters(query, 'query')],
+      ...(body && { requestBody: { required: true, content: { 'application/json': { schema: body } } } }),
+      ...(requestBody && { requestBody }),
+      responses,
+    },
+  ];
+}
+
+// info: { title, version, description }; components: esquemas reutilizables (respuestas)
+export function createApiDoc({ info, components = {} }) {
+  const operations = [];
+
+  // Métodos para declarar rutas sobre app o un Router.
+  // prefix: dónde está montado el router (para la ruta publicada); tags/security: valores por defecto del grupo.
+  const routes = (router, { prefix = '', tags, security } = {}) => {
+    const define = (method) => (path, spec, ...handlers) => {
+      operations.push({ method, path: prefix + path, spec: { tags, security, ...spec } });
+      router[method](path, validate(spec), ...handlers);
+    };
+    return { get: define('get'), post: define('post'), put: define('put'), delete: define('delete') };
+  };
+
+  const document = () => {
+    const paths = {};
+    for (const operation of operations) {
+      const [path, method, definition] = buildOperation(operation);
+      paths[path] = { ...paths[path], [method]: definition };
+    }
+    return {
+      openapi: '3.1.0',
+      info,
+      paths,
+      components: { schemas: components, securitySchemes: SECURITY_SCHEMES },
+    };
+  };
+
+  return { routes, document };
+}
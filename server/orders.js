@@ -0,0 +1,163 @@
+// server/orders.js
+// Servicio de pedidos (checkout): valida el carrito contra el catálogo y reserva stock.
+// El cobro se hace después, con la pasarela de pagos (ver payments.js).
+
+import { randomUUID } from 'node:crypto'; // Generador de ids únicos para pedidos
+import { roundMoney } from './catalog.js';
+import { createPricing } from './pricing.js';
+import { buildPricingLines } from './promotions.js';
+import { quoteOrder } from './quote.js';
+
+// ========================
+// Pedidos (checkout)
+// ========================
+// Cada pedido guardado tiene:
+// - id: identificador único (string)
+// - currency / exchangeRate: moneda en la que se cobró y su valor en moneda base al momento del pedido
+// - items: líneas con sku, productId, title, color, size, unitPrice, qty y lineTotal
+// - itemCount: unidades totales del pedido
+// - subtotal / total: importes calculados en el servidor (nunca se confía en el cliente)
+// - discounts / discountTotal: promociones aplicadas ({ promotionId, name, code, amount }) y su suma
+// - couponCode: cupón usado (si el cliente ingresó uno)
+// - shipping: método elegido { method, label, amount, estimatedDays }
+// - taxes / taxTotal: impuestos cobrados ({ id, name, rate, base, amount }) y su suma
+// - total: subtotal - descuentos + envío + impuestos
+// - status: estado del pago: 'pending' al crearse, después 'paid', 'failed' o 'refunded' (ver payments.js)
+// - payment: datos del cobro en la pasarela (ver payments.js)
+// - userId: cliente (solo si compró con su cuenta)
+// - shippingAddress: dirección de envío, guardada de la cuenta o escrita en el checkout (también la de los
+//   invitados); sin dirección el pedido se retira en tienda. GET /api/orders/:id solo la muestra con la
+//   sesión del cliente del pedido
+// - createdAt / updatedAt: fechas de creación y del último cambio de estado en ISO 8601
+
+// Valida una línea del carrito (una variante) contra el catálogo actual.
+// Devuelve null si la línea es válida o un objeto de error estructurado
+// ({ sku, productId, code, message, ...detalles }) que el frontend muestra por artículo.
+// Códigos posibles: NOT_FOUND, INVALID_QUANTITY, OUT_OF_STOCK, INSUFFICIENT_STOCK, PRICE_CHANGED
+// (el precio vigente incluye las ofertas de `pricing`, ver pricing.js)
+function validateOrderLine(line, match, converter, pricing) {
+  const { sku, qty, price } = line;
+
+  // Una variante de un producto archivado ya no se vende
+  if (!match || match.product.archived) {
+    return { sku, code: 'NOT_FOUND', message: 'Variant not found' };
+  }
+  const { product, variant } = match;
+  const productId = product.id;
+  if (!Number.isInteger(qty) || qty <= 0) {
+    return { sku, productId, code: 'INVALID_QUANTITY', message: 'Quantity must be a positive integer' };
+  }
+  if (variant.stock <= 0) {
+    return { sku, productId, code: 'OUT_OF_STOCK', message: 'Variant is out of stock', available: 0 };
+  }
+  if (qty > variant.stock) {
+    return {
+      sku,
+      productId,
+      code: 'INSUFFICIENT_STOCK',
+      message: `Only ${variant.stock} units available`,
+      available: variant.stock,
+    };
+  }
+  // Si el cliente envía el precio que vio (en su moneda), lo comparamos con el vigente (precio desactualizado)
+  const currentPrice = converter.convert(pricing.variantPrice(product, variant), product.currency);
+  if (price !== undefined && roundMoney(Number(price)) !== roundMoney(currentPrice)) {
+    return { sku, productId, code: 'PRICE_CHANGED', message: 'Price has changed', currentPrice };
+  }
+  return null;
+}
+
+// Crea un pedido a partir de las líneas del carrito.
+// Primero valida TODAS las líneas y solo si ninguna falla descuenta el stock.
+// Como validación, descuento y guardado ocurren en el mismo tick síncrono (sin awaits de por medio)
+// y dentro de una transacción del store, ninguna otra petición puede intercalarse:
+// la reserva de stock es atómica y se persiste junto con el pedido.
+// `db` es el objeto devuelto por openDatabase() (store + repositorios).
+// options.user / options.shippingAddress: cliente autenticado y dirección elegida (opcionales);
+// si hay cliente, su carrito de cuenta se vacía junto con la creación del pedido.
+// options.couponCode: cupón a aplicar; las promociones automáticas se aplican siempre que califiquen.
+// options.shippingMethod: método de envío (ver shipping.js); sin dirección solo hay retiro en tienda.
+// options.converter: moneda del pedido (ver currency.js); precios, descuentos, envío e impuestos se cobran en ella.
+// options.lang: idioma del cliente; los títulos y la etiqueta del envío quedan guardados en ese idioma.
+// Devuelve { order } si todo salió bien, { errors } con un error por línea rechazada,
+// { couponError } ({ code, reason, message }) si el cupón ya no es válido
+// o { shippingError } si el método de envío no está disponible para la dirección.
+export function createOrder(db, lines, { user = null, shippingAddress = null, couponCode, shippingMethod, converter, lang } = {}) {
+  // Agrupa líneas repetidas de la misma variante para validar la cantidad total
+  const merged = new Map();
+  for (const line of lines) {
+    const prev = merged.get(line.sku);
+    merged.set(line.sku, prev ? { ...line, qty: prev.qty + line.qty } : { ...line });
+  }
+
+  // Las ofertas vigentes al validar son las que se cobran
+  const pricing = createPricing(db);
+  const errors = [];
+  for (const line of merged.values()) {
+    const error = validateOrderLine(line, db.products.findVariant(line.sku), converter, pricing);
+    if (error) errors.push(error);
+  }
+  if (errors.length) return { errors };
+
+  // Descuentos, envío e impuestos calculados con los precios vigentes; el límite de usos de las
+  // promociones se comprueba en el mismo tick en que se registra el uso, así dos pedidos no pueden pasarse
+  const destination = shippingAddress && { country: shippingAddress.country, postalCode: shippingAddress.postalCode };
+  const quote = quoteOrder(buildPricingLines(db, [...merged.values()], converter, pricing), db.promotions.all(), {
+    converter,
+    lang,
+    couponCode,
+    destination,
+    shippingMethod,
+  });
+  if (quote.coupon && !quote.coupon.valid) {
+    const { code, reason, message } = quote.coupon;
+    return { couponError: { code, reason, message } };
+  }
+  const shipping = quote.shipping.options.find(o => o.id === quote.shipping.selected);
+  if (shippingMethod !== undefined && shipping.id !== shippingMethod) {
+    return { shippingError: { method: shippingMethod, message: 'Shipping method not available for this address' } };
+  }
+
+  // Todas las líneas son válidas: descontamos stock de cada variante y guardamos el pedido
+  const order = db.store.transaction(() => {
+    const items = [...merged.values()].map(({ sku, qty }) => {
+      const { product, variant } = db.products.adjustStock(sku, -qty);
+      const unitPrice = converter.convert(pricing.variantPrice(product, variant), product.currency);
+      return {
+        sku,
+        productId: product.id,
+        title: product.translations?.[lang]?.title || product.title,
+        color: variant.color,
+        size: variant.size,
+        unitPrice,
+        qty,
+        lineTotal: roundMoney(unitPrice * qty),
+      };
+    });
+
+    const subtotal = roundMoney(items.reduce((acc, item) => acc + item.lineTotal, 0));
+    quote.discounts.forEach(discount => db.promotions.recordUsage(discount.promotionId));
+    if (user) db.users.update(user.id, { cart: {} });
+    return db.orders.insert({
+      id: randomUUID(),
+      ...(user && { userId: user.id }),
+      ...(shippingAddress && { shippingAddress }),
+      currency: converter.currency,
+      exchangeRate: converter.rate,
+      items,
+      itemCount: items.reduce((acc, item) => acc + item.qty, 0),
+      subtotal,
+      discounts: quote.discounts,
+      discountTotal: quote.discountTotal,
+      ...(quote.coupon && { couponCode: quote.coupon.code }),
+      shipping: { method: shipping.id, label: shipping.label, amount: shipping.amount, estimatedDays: shipping.estimatedDays },
+      taxes: quote.taxes,
+      taxTotal: quote.taxTotal,
+      total: quote.total,
+      status: 'pending',
+      payment: null,
+      createdAt: new Date().toISOString(),
+    });
+  });
+  return { order };
+}
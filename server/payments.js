@@ -0,0 +1,143 @@
+// server/payments.js
+// Cobro de los pedidos con la pasarela configurada (ver gateways/index.js).
+//
+// Estados del pedido (status):
+// - 'pending': creado, con el stock reservado, esperando el pago
+// - 'paid': la pasarela confirmó el cobro
+// - 'failed': el pago se rechazó, venció (PAYMENT_TIMEOUT_MINUTES) o la pasarela no respondió;
+//   el stock reservado vuelve al catálogo
+// - 'refunded': se devolvió el dinero de un pedido pagado
+// Transiciones: pending → paid → refunded y pending → failed. Solo las mueven los webhooks de la pasarela
+// (y el vencimiento), nunca el navegador del cliente al volver de la página de pago.
+//
+// Cada pedido guarda en `payment`:
+// - gateway / intentId: pasarela e intención de cobro
+// - redirectUrl: página de la pasarela donde el cliente paga
+// - failureReason: 'declined' (u otro motivo de la pasarela), 'expired' o 'gateway_error'; null si no falló
+// - paidAt / failedAt / refundRequestedAt / refundedAt: fechas en ISO 8601
+// Los webhooks recibidos quedan en paymentEvents: uno repetido (las pasarelas reenvían hasta recibir 2xx)
+// no se vuelve a aplicar, y uno que ya no corresponde al estado del pedido se registra sin cambiarlo.
+
+import { PUBLIC_URL, STORE_URL } from './site.js'; // Webhooks (servidor) y regreso del cliente (tienda)
+
+export const ORDER_STATUSES = ['pending', 'paid', 'failed', 'refunded'];
+
+// Tiempo para pagar antes de que el pedido se dé por fallido y se libere el stock
+export const PAYMENT_TIMEOUT_MS = Number(process.env.PAYMENT_TIMEOUT_MINUTES ?? 30) * 60_000;
+const EXPIRY_CHECK_INTERVAL_MS = 60_000;
+
+// Cambio de estado que produce cada evento y la fecha que registra
+const TRANSITIONS = {
+  'payment.succeeded': { from: 'pending', to: 'paid', at: 'paidAt' },
+  'payment.failed': { from: 'pending', to: 'failed', at: 'failedAt' },
+  'payment.refunded': { from: 'paid', to: 'refunded', at: 'refundedAt' },
+};
+
+// Devuelve al catálogo el stock que reservó el pedido
+function releaseStock(db, order) {
+  for (const { sku, qty } of order.items) {
+    if (db.products.findVariant(sku)) db.products.adjustStock(sku, qty);
+  }
+}
+
+// Da por fallido un pedido pendiente. No persiste por sí solo: se usa dentro de store.transaction()
+// Además del stock devuelve los usos de sus promociones: un pago rechazado o vencido no agota un cupón
+function failOrder(db, order, reason) {
+  releaseStock(db, order);
+  for (const { promotionId } of order.discounts ?? []) db.promotions.releaseUsage(promotionId);
+  return db.orders.update(order.id, {
+    status: 'failed',
+    payment: { ...order.payment, failureReason: reason, failedAt: new Date().toISOString() },
+  });
+}
+
+// Crea la intención de cobro de un pedido recién creado y la guarda en el pedido.
+// Si la pasarela falla, el pedido queda 'failed' (con el stock devuelto) y el error se propaga.
+export async function startPayment(db, gateway, order) {
+  try {
+    const { intentId, redirectUrl } = await gateway.createIntent({
+      orderId: order.id,
+      amount: order.total,
+      currency: order.currency,
+      description: `Pedido ${order.id}`,
+      returnUrl: `${STORE_URL}/pedido/${encodeURIComponent(order.id)}`,
+      webhookUrl: `${PUBLIC_URL}/api/payments/webhooks/${gateway.name}`,
+    });
+    return db.store.transaction(() =>
+      db.orders.update(order.id, { payment: { gateway: gateway.name, intentId, redirectUrl, failureReason: null } })
+    );
+  } catch (err) {
+    db.store.transaction(() => failOrder(db, order, 'gateway_error'));
+    throw err;
+  }
+}
+
+// Aplica un evento ya verificado ({ id, type, intentId, reason? }) de la pasarela gatewayName.
+// Devuelve { duplicate: true } si ya se había recibido, o { duplicate: false, order, applied }
+// con el pedido (null si no es de ninguno) y si su estado cambió.
+export function applyPaymentEvent(db, gatewayName, event) {
+  const key = `${gatewayName}:${event.id}`;
+  if (db.paymentEvents.findById(key)) return { duplicate: true };
+
+  const order = db.orders.findByPaymentIntent(gatewayName, event.intentId);
+  const transition = TRANSITIONS[event.type];
+  const applied = Boolean(order && transition && order.status === transition.from);
+  const receivedAt = new Date().toISOString();
+  const updated = db.store.transaction(() => {
+    db.paymentEvents.insert({ id: key, type: event.type, intentId: event.intentId ?? null, orderId: order?.id ?? null, applied, receivedAt });
+    if (!applied) return order;
+    if (transition.to === 'failed') return failOrder(db, order, event.reason || 'declined');
+    return db.orders.update(order.id, { status: transition.to, payment: { ...order.payment, [transition.at]: receivedAt } });
+  });
+  return { duplicate: false, order: updated, applied };
+}
+
+// Recibe un webhook: verifica la firma con la pasarela, aplica el evento y responde qué se hizo.
+// Un cobro que llega cuando el pedido ya había fallado (p. ej., se pagó justo al vencer) se reembolsa solo.
+// Lanza el error de parseWebhook si la firma no es válida.
+export async function handleWebhook(db, gateway, rawBody, headers) {
+  const event = gateway.parseWebhook(rawBody, headers);
+  const result = applyPaymentEvent(db, gateway.name, event);
+  const { order, applied } = result;
+  if (!applied && order && event.type === 'payment.succeeded' && order.status === 'failed') {
+    console.warn(`Cobro recibido para el pedido ${order.id}, que ya había fallado: se reembolsa`);
+    await gateway.refund(event.intentId, order.total)
+      .catch(err => console.error(`No se pudo reembolsar el cobro tardío del pedido ${order.id}:`, err.message));
+  }
+  return result;
+}
+
+// Pide a la pasarela el reembolso de un pedido pagado; pasa a 'refunded' cuando llega el webhook.
+export async function requestRefund(db, gateway, order) {
+  if (order.payment?.gateway !== gateway.name) throw new Error(`Order ${order.id} was not paid with ${gateway.name}`);
+  await gateway.refund(order.payment.intentId, order.total);
+  return db.store.transaction(() =>
+    db.orders.update(order.id, { payment: { ...order.payment, refundRequestedAt: new Date().toISOString() } })
+  );
+}
+
+// Da por fallidos los pedidos que no se pagaron a tiempo y anula su intención en la pasarela.
+// Devuelve cuántos vencieron.
+export async function expireUnpaidOrders(db, gateway, now = Date.now()) {
+  const expired = db.orders.pending().filter(o => now - Date.parse(o.createdAt) > PAYMENT_TIMEOUT_MS);
+  for (const order of expired) {
+    if (order.payment?.gateway === gateway.name) {
+      await gateway.cancelIntent(order.payment.intentId)
+        .catch(err => console.error(`No se pudo anular el pago del pedido ${order.id}:`, err.message));
+    }
+    // Pudo pagarse mientras se anulaba la intención
+    const current = db.orders.findById(order.id);
+    if (current.status === 'pending') db.store.transaction(() => failOrder(db, current, 'expired'));
+  }
+  return expired.length;
+}
+
+// Revisa periódicamente los pedidos sin pagar (no impide que el proceso termine).
+// Devuelve una función para dejar de revisar.
+export function watchUnpaidOrders(db, gateway) {
+  const check = () => expireUnpaidOrders(db, gateway).catch(err => console.error('No se pudieron vencer los pedidos sin pagar:', err));
+  const timer = setInterval(check, EXPIRY_CHECK_INTERVAL_MS);
+  timer.unref();
+  check();
+  return () => clearInterval(timer);
+}
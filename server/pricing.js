@@ -0,0 +1,166 @@
+// server/pricing.js
+// Ofertas programadas (precio de oferta con el precio "antes" tachado) e historial de precios.
+//
+// Cada regla de precio guardada tiene:
+// - id, name: identificador y nombre interno (p. ej., "Fin de semana de gorros")
+// - productId o category (una de las dos): el producto al que aplica o una categoría (incluye sus subcategorías)
+// - percentOff: % de descuento sobre el precio normal (1 a 99), o
+//   salePrice: precio de oferta fijo (solo en reglas de un producto, en la moneda del producto)
+// - compareAtPrice: precio "antes" que se muestra tachado (solo en reglas de un producto); por defecto, el normal.
+//   Nunca supera el precio normal: el % de descuento no se puede inflar
+// - startsAt / endsAt: ventana de vigencia en ISO 8601 (obligatorias: la oferta termina sola)
+// - active: permite pausarla sin borrarla
+//
+// Mientras una regla está vigente el producto se vende al precio de oferta en toda la tienda: listado (filtros,
+// orden y facetas usan ese precio), detalle, carrito, cotización y checkout. Si varias reglas alcanzan al mismo
+// producto gana la que deja el precio más bajo; una regla que no baja el precio no aplica.
+// Las variantes con precio propio bajan en la misma proporción que el producto.
+// Las promociones y cupones (promotions.js) se calculan sobre el precio de oferta.
+//
+// Historial: cada cambio del precio vigente de un producto (edición, importación, inicio o fin de una oferta)
+// se guarda con su fecha y nunca se edita, para poder demostrar que un descuento es real (ver watchPrices).
+
+import { roundMoney, variantPrice } from './catalog.js';
+import { createTaxonomy } from './categories.js';
+
+// Cada cuánto se revisa si empezó o terminó una oferta (sin escrituras en el store de por medio)
+export const PRICE_CHECK_INTERVAL_MS = 60_000;
+// Período del precio más bajo que acompaña al historial (el "precio anterior" de una oferta)
+export const LOWEST_PRICE_DAYS = 30;
+
+// Vigencia de la regla en la fecha `now`
+export const isRuleActive = (rule, now = new Date()) =>
+  rule.active && new Date(rule.startsAt) <= now && now < new Date(rule.endsAt);
+
+// Precio de oferta que deja la regla sobre el precio normal del producto
+const salePriceOf = (rule, product) => rule.salePrice ?? roundMoney((product.price * (100 - rule.percentOff)) / 100);
+
+// Precios vigentes en la fecha `now`, según las reglas y categorías guardadas en `db`.
+// Devuelve { apply(product), variantPrice(product, variant) }:
+// - apply: el producto con la oferta aplicada: price (y el de sus variantes con precio propio) pasa a ser el de
+//   oferta, compareAtPrice el precio "antes" y sale: { ruleId, percentOff, endsAt }. Sin oferta, el mismo objeto
+// - variantPrice: precio vigente de una variante (el que se cobra), en la moneda del producto
+export function createPricing(db, now = new Date()) {
+  const rules = db.priceRules.all().filter(rule => isRuleActive(rule, now));
+  // Solo hace falta la taxonomía si hay ofertas por categoría
+  const taxonomy = rules.some(rule => rule.category) ? createTaxonomy(db.categories.all()) : null;
+
+  const bestOffer = (product) => {
+    let best = null;
+    for (const rule of rules) {
+      const applies = rule.productId
+        ? rule.productId === product.id
+        : taxonomy.ancestors(product.category).includes(rule.category);
+      if (!applies) continue;
+      const price = salePriceOf(rule, product);
+      if (price < product.price && (!best || price < best.price)) best = { rule, price };
+    }
+    return best;
+  };
+
+  const apply = (product) => {
+    const offer = rules.length ? bestOffer(product) : null;
+    if (!offer) return product;
+    const { rule, price } = offer;
+    const compareAtPrice = rule.compareAtPrice > price ? Math.min(rule.compareAtPrice, product.price) : product.price;
+    const scale = (amount, target) => roundMoney((amount * target) / product.price);
+    return {
+      ...product,
+      price,
+      compareAtPrice,
+      sale: { ruleId: rule.id, percentOff: Math.round((1 - price / compareAtPrice) * 100), endsAt: rule.endsAt },
+      variants: product.variants.map(variant =>
+        variant.price === undefined
+          ? variant
+          : { ...variant, price: scale(variant.price, price), compareAtPrice: scale(variant.price, compareAtPrice) }
+      ),
+    };
+  };
+
+  return {
+    apply,
+    variantPrice(product, variant) {
+      const current = apply(product);
+      return variantPrice(current, current.variants.find(v => v.sku === variant.sku) ?? variant);
+    },
+  };
+}
+
+// ========================
+// Historial de precios
+// ========================
+// Precio vigente de un producto tal como se guarda en el historial
+const historyEntry = (product) => ({
+  productId: product.id,
+  price: product.price,
+  compareAtPrice: product.compareAtPrice ?? null,
+  currency: product.currency,
+  ruleId: product.sale?.ruleId ?? null,
+});
+
+const sameEntry = (a, b) =>
+  Boolean(a) && a.price === b.price && a.compareAtPrice === b.compareAtPrice && a.currency === b.currency && a.ruleId === b.ruleId;
+
+// Vigila el precio vigente de cada producto y guarda cada cambio en el historial: al arrancar, después de cada
+// escritura del store (edición, importación, nueva regla...) y cada PRICE_CHECK_INTERVAL_MS (una oferta que
+// empieza o termina no escribe nada). Los productos sin historial reciben su precio actual como primera entrada.
+// Devuelve una función para dejar de vigilar.
+export function watchPrices(db) {
+  const latest = new Map(db.priceHistory.all().map(entry => [entry.productId, entry]));
+  let scheduled = false;
+
+  const check = () => {
+    scheduled = false;
+    const pricing = createPricing(db);
+    const changes = db.products.all()
+      .map(product => historyEntry(pricing.apply(product)))
+      .filter(entry => !sameEntry(latest.get(entry.productId), entry));
+    if (!changes.length) return;
+    const at = new Date().toISOString();
+    db.store.transaction(() => {
+      for (const entry of changes) latest.set(entry.productId, db.priceHistory.insert({ ...entry, at }));
+    });
+  };
+
+  check();
+  const timer = setInterval(check, PRICE_CHECK_INTERVAL_MS);
+  timer.unref();
+  // Fuera de la escritura en curso (registrar también escribe en el store); una sola revisión por tanda
+  const unsubscribe = db.store.subscribe(() => {
+    if (scheduled) return;
+    scheduled = true;
+    setImmediate(check);
+  });
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+  };
+}
+
+// Historial de precios de un producto, del cambio más reciente al más antiguo, y el precio más bajo que tuvo en
+// los `days` días anteriores (incluye el que regía al empezar el período) en su moneda actual: el "precio
+// anterior" con el que se compara una oferta. Durante una oferta el período termina cuando empezó, así sus
+// propias entradas no cuentan; sin oferta, son los últimos `days` días.
+// Devuelve { productId, items, lowestPrice: { days, price, currency } } (price null si no hay historial
+// anterior a la oferta).
+export function priceHistoryOf(db, productId, { days = LOWEST_PRICE_DAYS } = {}) {
+  const entries = db.priceHistory.findByProduct(productId);
+  const current = entries.at(-1);
+  // Entradas anteriores a la oferta vigente (la misma regla desde que empezó)
+  let end = entries.length;
+  while (current?.ruleId && end > 0 && entries[end - 1].ruleId === current.ruleId) end -= 1;
+  const until = end < entries.length ? Date.parse(entries[end].at) : Date.now();
+  const from = new Date(until - days * 24 * 60 * 60 * 1000).toISOString();
+  // Las entradas del período más la que estaba vigente cuando empezó
+  const previous = entries.slice(0, end);
+  const start = previous.findLastIndex(entry => entry.at <= from);
+  const prices = previous
+    .slice(Math.max(start, 0))
+    .filter(entry => entry.currency === current?.currency)
+    .map(entry => entry.price);
+  return {
+    productId,
+    items: [...entries].reverse(),
+    lowestPrice: { days, price: prices.length ? Math.min(...prices) : null, currency: current?.currency ?? null },
+  };
+}
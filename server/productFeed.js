@@ -0,0 +1,58 @@
+// server/productFeed.js
+// Novedades en vivo del catálogo: avisa qué productos cambiaron de stock o de precio.
+//
+// Después de cada escritura del store se compara una "firma" de cada producto (archivado, precios y stock
+// de sus variantes) con la anterior; los ids que cambiaron se envían a los suscriptores. Así no importa
+// qué ruta hizo el cambio (una venta, una reposición, una edición en el back-office).
+// Un cambio en los tipos de cambio altera el precio convertido de todos los productos. Las ofertas que empiezan
+// o terminan (ver pricing.js) no escriben en el store: se revisan también cada PRICE_CHECK_INTERVAL_MS.
+
+import { createPricing, PRICE_CHECK_INTERVAL_MS } from './pricing.js';
+
+// Datos del producto que ve el cliente en tarjetas y carrito (con la oferta vigente)
+const signature = (product) =>
+  JSON.stringify([
+    product.archived,
+    product.price,
+    product.compareAtPrice,
+    product.currency,
+    product.variants.map(v => [v.sku, v.stock, v.price]),
+  ]);
+
+const takeSnapshot = (db) => {
+  const pricing = createPricing(db);
+  return {
+    rates: JSON.stringify(db.exchangeRates.all().map(r => [r.currency, r.rate])),
+    products: new Map(db.products.all().map(p => [p.id, signature(pricing.apply(p))])),
+  };
+};
+
+// Crea el canal de novedades del catálogo.
+// - subscribe(listener): llama a listener(ids) con los ids de los productos que cambiaron; devuelve la baja
+export function createProductFeed(db) {
+  const listeners = new Set();
+  let snapshot = takeSnapshot(db);
+
+  const check = () => {
+    if (!listeners.size) {
+      snapshot = takeSnapshot(db);
+      return;
+    }
+    const next = takeSnapshot(db);
+    const changed = [...next.products]
+      .filter(([id, sig]) => next.rates !== snapshot.rates || snapshot.products.get(id) !== sig)
+      .map(([id]) => id);
+    snapshot = next;
+    if (changed.length) listeners.forEach(listener => listener(changed));
+  };
+
+  db.store.subscribe(check);
+  setInterval(check, PRICE_CHECK_INTERVAL_MS).unref();
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,141 @@
+// server/promotions.js
+// Motor de promociones: calcula los descuentos de un carrito a partir de las reglas guardadas.
+//
+// Cada promoción tiene:
+// - id, name: identificador y nombre visible (p. ej., "2x1 en gorros")
+// - code: cupón que la activa (en mayúsculas) o null si se aplica sola a todo carrito que califique
+// - type: 'percentage' (value = % de descuento), 'fixed' (value = importe fijo)
+//   o 'buy_x_get_y' (por cada buyQty unidades, las siguientes getQty salen gratis: 2x1 => 1 + 1)
+// - category: si se indica, solo cuentan las líneas de esa categoría o de sus subcategorías
+// - minSubtotal: compra mínima (subtotal del carrito completo) para que aplique
+// - startsAt / endsAt: ventana de vigencia en ISO 8601 (opcionales)
+// - usageLimit / usageCount: usos máximos (null => sin límite) y usos ya consumidos por pedidos (un pedido
+//   que falla o vence sin pagarse devuelve el suyo, ver payments.js)
+// - active: permite pausarla sin borrarla
+//
+// Todas las promociones automáticas que califican se suman, más un único cupón.
+// El descuento total nunca supera el subtotal.
+// Los importes de las reglas (value de 'fixed', minSubtotal) están en la moneda base (ver currency.js).
+
+import { roundMoney } from './catalog.js';
+import { createTaxonomy } from './categories.js';
+import { createPricing } from './pricing.js';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+// Los cupones no distinguen mayúsculas ni espacios alrededor
+export const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Motivos por los que una promoción no aplica (se devuelven en coupon.reason)
+const REASON_MESSAGES = {
+  NOT_FOUND: 'Coupon not found',
+  INACTIVE: 'Coupon is not active',
+  NOT_STARTED: 'Coupon is not valid yet',
+  EXPIRED: 'Coupon has expired',
+  USAGE_LIMIT_REACHED: 'Coupon usage limit reached',
+  MIN_SUBTOTAL_NOT_MET: 'Cart subtotal is below the minimum for this coupon',
+  NOT_APPLICABLE: 'Coupon does not apply to any item in the cart',
+};
+
+// Vigencia de la promoción en la fecha `now` (null => vigente)
+function availabilityReason(promotion, now) {
+  if (!promotion.active) return 'INACTIVE';
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) return 'NOT_STARTED';
+  if (promotion.endsAt && now > new Date(promotion.endsAt)) return 'EXPIRED';
+  if (promotion.usageLimit != null && (promotion.usageCount ?? 0) >= promotion.usageLimit) {
+    return 'USAGE_LIMIT_REACHED';
+  }
+  return null;
+}
+
+// Descuento de la promoción sobre las líneas que alcanza.
+// fromBase convierte los importes fijos de la regla a la moneda del carrito.
+function computeDiscount(promotion, lines, fromBase) {
+  const eligibleSubtotal = lines.reduce((acc, line) => acc + line.unitPrice * line.qty, 0);
+  switch (promotion.type) {
+    case 'percentage':
+      return roundMoney((eligibleSubtotal * promotion.value) / 100);
+    case 'fixed':
+      return Math.min(fromBase(promotion.value), roundMoney(eligibleSubtotal));
+    case 'buy_x_get_y': {
+      // Se ordenan las unidades de mayor a menor precio y en cada grupo de buyQty + getQty
+      // salen gratis las últimas (las más baratas del grupo), como en un 2x1 de tienda
+      const units = lines
+        .flatMap(line => Array.from({ length: line.qty }, () => line.unitPrice))
+        .sort((a, b) => b - a);
+      const groupSize = promotion.buyQty + promotion.getQty;
+      const free = units.filter((_price, i) => i % groupSize >= promotion.buyQty);
+      return roundMoney(free.reduce((acc, price) => acc + price, 0));
+    }
+    default:
+      return 0;
+  }
+}
+
+// Evalúa una promoción contra el carrito => { amount } si aplica o { reason } si no
+function evaluatePromotion(promotion, lines, subtotal, now, fromBase) {
+  const reason = availabilityReason(promotion, now);
+  if (reason) return { reason };
+  if (promotion.minSubtotal && subtotal < fromBase(promotion.minSubtotal)) return { reason: 'MIN_SUBTOTAL_NOT_MET' };
+
+  const eligible = promotion.category ? lines.filter(line => line.categories.includes(promotion.category)) : lines;
+  const amount = eligible.length ? computeDiscount(promotion, eligible, fromBase) : 0;
+  return amount > 0 ? { amount } : { reason: 'NOT_APPLICABLE' };
+}
+
+// Calcula los importes de un carrito.
+// lines: [{ sku, productId, categories, unitPrice, qty }] con precios ya tomados del catálogo.
+// options.couponCode: cupón ingresado por el cliente; options.now: fecha de evaluación.
+// options.fromBase: conversión de moneda base a la moneda de las líneas (por defecto, la misma).
+// Devuelve { subtotal, discounts: [{ promotionId, name, code, amount }], discountTotal, total, coupon }
+// donde coupon es null (sin cupón) o { code, valid, reason?, message? }.
+export function priceCart(lines, promotions, { couponCode, now = new Date(), fromBase = (amount) => amount } = {}) {
+  const subtotal = roundMoney(lines.reduce((acc, line) => acc + line.unitPrice * line.qty, 0));
+
+  const candidates = promotions.filter(p => !p.code);
+  const code = normalizeCode(couponCode);
+  let coupon = null;
+  if (code) {
+    const promotion = promotions.find(p => p.code === code);
+    const { reason } = promotion ? evaluatePromotion(promotion, lines, subtotal, now, fromBase) : { reason: 'NOT_FOUND' };
+    coupon = reason ? { code, valid: false, reason, message: REASON_MESSAGES[reason] } : { code, valid: true };
+    if (!reason) candidates.push(promotion);
+  }
+
+  // Se aplican en orden hasta agotar el subtotal (el total nunca queda negativo)
+  let remaining = subtotal;
+  const discounts = [];
+  for (const promotion of candidates) {
+    const { amount } = evaluatePromotion(promotion, lines, subtotal, now, fromBase);
+    if (!amount || remaining <= 0) continue;
+    const applied = roundMoney(Math.min(amount, remaining));
+    remaining = roundMoney(remaining - applied);
+    discounts.push({ promotionId: promotion.id, name: promotion.name, code: promotion.code ?? null, amount: applied });
+  }
+
+  const discountTotal = roundMoney(subtotal - remaining);
+  return { subtotal, discounts, discountTotal, total: remaining, coupon };
+}
+
+// Convierte líneas de carrito [{ sku, qty }] en líneas con precio (y peso, para el envío).
+// converter (ver currency.js) expresa los precios en la moneda del carrito; los precios son los vigentes
+// según `pricing` (ofertas programadas, ver pricing.js; por defecto las de este momento).
+// Las variantes inexistentes, archivadas o con cantidades inválidas se ignoran
+// (el checkout es quien las rechaza con un error por línea).
+// Cada línea lleva la categoría del producto y sus ancestras (una promoción de "ropa" alcanza a las sudaderas).
+export function buildPricingLines(db, items, converter, pricing = createPricing(db)) {
+  const taxonomy = createTaxonomy(db.categories.all());
+  return items.flatMap(({ sku, qty }) => {
+    const match = db.products.findVariant(sku);
+    if (!match || match.product.archived || !Number.isInteger(qty) || qty <= 0) return [];
+    const { product, variant } = match;
+    return [{
+      sku,
+      productId: product.id,
+      categories: taxonomy.ancestors(product.category),
+      unitPrice: converter.convert(pricing.variantPrice(product, variant), product.currency),
+      weight: product.weight,
+      qty,
+    }];
+  });
+}
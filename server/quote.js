@@ -0,0 +1,44 @@
+// server/quote.js
+// Cotización completa de un carrito: subtotal, promociones, envío, impuestos y total.
+// La usan tanto POST /api/cart/quote (lo que ve el cliente) como el checkout (lo que se cobra),
+// así ambos importes salen siempre del mismo cálculo.
+//
+// Orden del cálculo:
+// 1. subtotal de las líneas y descuentos (promotions.js) => mercadería
+// 2. envío según destino, peso y mercadería (shipping.js)
+// 3. impuestos sobre mercadería + envío según el país (taxes.js)
+
+import { roundMoney } from './catalog.js';
+import { priceCart } from './promotions.js';
+import { shippingOptions, STORE_COUNTRY } from './shipping.js';
+import { computeTaxes } from './taxes.js';
+
+// lines: líneas de buildPricingLines(); promotions: reglas guardadas.
+// options.converter: moneda del carrito (ver currency.js); las líneas ya vienen en esa moneda.
+// options.lang: idioma de las etiquetas de envío.
+// options.destination: { country, postalCode } o null (solo retiro en tienda).
+// options.shippingMethod: método elegido; si no está disponible se usa el primer envío a domicilio
+// (o el retiro si no hay destino).
+// Devuelve { currency, subtotal, discounts, discountTotal, coupon, shipping, taxes, taxTotal, total } donde
+// shipping = { zone, options: [{ id, label, amount, estimatedDays, freeOver? }], selected, amount }.
+export function quoteOrder(lines, promotions, { converter, lang, couponCode, destination = null, shippingMethod, now } = {}) {
+  const { fromBase } = converter;
+  const { total: merchandise, ...pricing } = priceCart(lines, promotions, { couponCode, now, fromBase });
+
+  const { zone, options } = shippingOptions(lines, destination, merchandise, { fromBase, lang });
+  const selected = options.find(o => o.id === shippingMethod) ?? options[1] ?? options[0];
+
+  // El retiro en tienda tributa como una venta local
+  const taxCountry = selected.id === 'pickup' ? STORE_COUNTRY : destination.country;
+  const taxes = computeTaxes(taxCountry, merchandise + selected.amount);
+  const taxTotal = roundMoney(taxes.reduce((acc, tax) => acc + tax.amount, 0));
+
+  return {
+    currency: converter.currency,
+    ...pricing,
+    shipping: { zone, options, selected: selected.id, amount: selected.amount },
+    taxes,
+    taxTotal,
+    total: roundMoney(merchandise + selected.amount + taxTotal),
+  };
+}
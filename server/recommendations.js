@@ -0,0 +1,132 @@
+// server/recommendations.js
+// Recomendaciones de productos: "también te puede gustar" en la página de un producto y en el carrito.
+//
+// A partir de uno o más productos (el que se está viendo o los del carrito), cada candidato a la venta,
+// con stock y que no esté entre los de partida suma:
+// - similitud de contenido con el producto de partida más parecido (ver CONTENT_WEIGHTS):
+//   - categoría: 1 si es la misma, 0.5 si comparten una categoría superior (sudaderas y oversize)
+//   - colores: proporción de colores en común (Jaccard)
+//   - precio: 1 si cuestan lo mismo y baja hasta 0 cuando uno cuesta el doble que el otro (en moneda base)
+//   - texto: proporción de palabras en común en título y descripción
+// - compras conjuntas: en cuántos pedidos pagados aparece junto a los productos de partida, relativo al
+//   candidato más comprado junto a ellos. Pesa más que el contenido: apenas hay pedidos, manda la venta
+//   cruzada (el gorro para quien compra una sudadera)
+// Los candidatos con poca similitud y sin compras conjuntas no se recomiendan. Si no alcanza (catálogo
+// nuevo, producto sin parecidos), se completa con los productos destacados (featured) con stock.
+// Cada recomendación indica su motivo (reason): 'bought_together' | 'similar' | 'featured'.
+
+import { createTaxonomy } from './categories.js';
+import { totalStock } from './catalog.js';
+import { BASE_CURRENCY, createConverter } from './currency.js';
+import { tokenize } from './search.js';
+
+export const DEFAULT_RECOMMENDATIONS = 8;
+export const MAX_RECOMMENDATIONS = 12;
+
+const CONTENT_WEIGHTS = { category: 3, colors: 1, price: 1.5, text: 2 };
+const CO_PURCHASE_WEIGHT = 6;
+// Puntaje de contenido mínimo para recomendar un producto sin compras conjuntas
+const MIN_SIMILARITY = 2;
+
+// Proporción de elementos en común entre dos conjuntos (0 a 1)
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared += 1;
+  return shared / (a.size + b.size - shared);
+};
+
+// Pedidos pagados => Map<productId, Map<otroProductId, pedidos en los que aparecen juntos>>
+function coPurchases(orders) {
+  const pairs = new Map();
+  for (const order of orders.filter(o => o.status === 'paid')) {
+    const ids = [...new Set(order.items.map(item => item.productId))];
+    for (const id of ids) {
+      const row = pairs.get(id) ?? new Map();
+      for (const other of ids) if (other !== id) row.set(other, (row.get(other) ?? 0) + 1);
+      pairs.set(id, row);
+    }
+  }
+  return pairs;
+}
+
+// Arma el recomendador sobre los datos actuales de `db`. Los datos derivados (palabras de cada producto,
+// compras conjuntas) se recalculan solo cuando el store cambió (cada escritura incrementa store.revision).
+// Devuelve recommend(seedIds, { limit }) => [{ product, reason }] con los productos tal como están guardados.
+export function createRecommender(db) {
+  let revision = -1;
+  let data = null;
+
+  const load = () => {
+    if (!data || revision !== db.store.revision) {
+      const products = db.products.all();
+      const converter = createConverter(db.exchangeRates.all(), BASE_CURRENCY);
+      data = {
+        products,
+        taxonomy: createTaxonomy(db.categories.all()),
+        pairs: coPurchases(db.orders.all()),
+        features: new Map(products.map(p => [p.id, {
+          colors: new Set(p.colors),
+          words: new Set(tokenize(`${p.title} ${p.description}`)),
+          price: converter.convert(p.price, p.currency),
+        }])),
+      };
+      revision = db.store.revision;
+    }
+    return data;
+  };
+
+  const sameBranch = (taxonomy, a, b) => {
+    if (a === b) return 1;
+    const above = new Set(taxonomy.ancestors(a).filter(slug => slug !== a));
+    return taxonomy.ancestors(b).some(slug => slug !== b && above.has(slug)) ? 0.5 : 0;
+  };
+
+  // Similitud de contenido entre dos productos (0 a la suma de CONTENT_WEIGHTS)
+  const similarity = ({ taxonomy, features }, a, b) => {
+    const fa = features.get(a.id);
+    const fb = features.get(b.id);
+    const ratio = Math.max(fa.price, fb.price) / Math.min(fa.price, fb.price);
+    return CONTENT_WEIGHTS.category * sameBranch(taxonomy, a.category, b.category)
+      + CONTENT_WEIGHTS.colors * jaccard(fa.colors, fb.colors)
+      + CONTENT_WEIGHTS.price * Math.max(0, 1 - Math.log2(ratio))
+      + CONTENT_WEIGHTS.text * jaccard(fa.words, fb.words);
+  };
+
+  return function recommend(seedIds, { limit = DEFAULT_RECOMMENDATIONS } = {}) {
+    const current = load();
+    const seedSet = new Set(seedIds);
+    const seeds = current.products.filter(p => seedSet.has(p.id));
+    const candidates = current.products.filter(p => !p.archived && !seedSet.has(p.id) && totalStock(p) > 0);
+
+    // Compras conjuntas de cada candidato con los productos de partida
+    const together = new Map();
+    for (const seed of seeds) {
+      for (const [id, count] of current.pairs.get(seed.id) ?? []) together.set(id, (together.get(id) ?? 0) + count);
+    }
+    const maxTogether = Math.max(0, ...together.values());
+
+    const ranked = candidates
+      .map(product => {
+        const bought = together.get(product.id) ?? 0;
+        const content = Math.max(0, ...seeds.map(seed => similarity(current, seed, product)));
+        return {
+          product,
+          reason: bought ? 'bought_together' : 'similar',
+          score: content + (bought ? (CO_PURCHASE_WEIGHT * bought) / maxTogether : 0),
+          eligible: bought > 0 || content >= MIN_SIMILARITY,
+        };
+      })
+      .filter(r => r.eligible)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ product, reason }) => ({ product, reason }));
+
+    // Sin datos suficientes: se completa con los destacados
+    const chosen = new Set(ranked.map(r => r.product.id));
+    const featured = candidates
+      .filter(p => p.featured && !chosen.has(p.id))
+      .map(product => ({ product, reason: 'featured' }));
+    return [...ranked, ...featured].slice(0, limit);
+  };
+}
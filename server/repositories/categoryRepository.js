@@ -0,0 +1,33 @@
+// server/repositories/categoryRepository.js
+// Repositorio de categorías (ver categories.js para la forma de cada una).
+
+export function createCategoryRepository(store) {
+  const categories = () => store.collection('categories');
+
+  return {
+    all() {
+      return categories();
+    },
+
+    findBySlug(slug) {
+      return categories().find(c => c.slug === slug) ?? null;
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(category) {
+      categories().push(category);
+      return category;
+    },
+
+    update(slug, changes) {
+      const category = this.findBySlug(slug);
+      if (!category) return null;
+      Object.assign(category, changes, { slug });
+      return category;
+    },
+
+    remove(slug) {
+      store.data.categories = categories().filter(c => c.slug !== slug);
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// server/repositories/eventRepository.js
+// Repositorio de los eventos de analítica (ver analytics.js): { id, type, at, ...datos del tipo }.
+// Se guardan en orden de llegada (at: fecha en ISO 8601) en su propio archivo, no en el store (ver db/eventLog.js).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createEventRepository(log) {
+  // Última vez que se descartaron los eventos vencidos (0: todavía no en este proceso)
+  let compactedAt = 0;
+
+  return {
+    // Eventos desde la fecha `from` (ISO 8601) en adelante
+    since(from) {
+      return log.all().filter(e => e.at >= from);
+    },
+
+    // Persiste por sí solo (se agregan al archivo, fuera de store.transaction()).
+    // Aprovecha para descartar los eventos anteriores a `keepSince` (ISO 8601): eso reescribe el archivo,
+    // así que se hace a lo sumo una vez por día
+    insertMany(newEvents, keepSince) {
+      log.append(newEvents);
+      if (Date.now() - compactedAt >= DAY_MS) {
+        log.compact(keepSince);
+        compactedAt = Date.now();
+      }
+      return newEvents;
+    },
+  };
+}
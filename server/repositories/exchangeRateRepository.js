@@ -0,0 +1,26 @@
+// server/repositories/exchangeRateRepository.js
+// Repositorio de tipos de cambio ({ currency, rate, updatedAt }, ver currency.js).
+
+export function createExchangeRateRepository(store) {
+  const rates = () => store.collection('exchangeRates');
+
+  return {
+    all() {
+      return rates();
+    },
+
+    findByCurrency(currency) {
+      return rates().find(r => r.currency === currency) ?? null;
+    },
+
+    // Crea o actualiza el tipo de cambio de una moneda.
+    // No persiste por sí solo: se usa dentro de store.transaction().
+    set(currency, rate) {
+      const row = { currency, rate, updatedAt: new Date().toISOString() };
+      const current = this.findByCurrency(currency);
+      if (current) return Object.assign(current, row);
+      rates().push(row);
+      return row;
+    },
+  };
+}
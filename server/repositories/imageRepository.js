@@ -0,0 +1,23 @@
+// server/repositories/imageRepository.js
+// Repositorio de imágenes procesadas ({ id, width, height, widths, formats, source?, createdAt }, ver images.js).
+// Los archivos viven en disco; aquí solo se guardan sus datos.
+
+export function createImageRepository(store) {
+  const images = () => store.collection('images');
+
+  return {
+    findById(id) {
+      return images().find(i => i.id === id) ?? null;
+    },
+
+    // No persisten por sí solos: se usan dentro de store.transaction()
+    insert(image) {
+      images().push(image);
+      return image;
+    },
+
+    remove(id) {
+      store.data.images = images().filter(i => i.id !== id);
+    },
+  };
+}
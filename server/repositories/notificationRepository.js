@@ -0,0 +1,30 @@
+// server/repositories/notificationRepository.js
+// Repositorio de la cola de notificaciones (ver notifications.js para la forma de cada una).
+
+export function createNotificationRepository(store) {
+  const notifications = () => store.collection('notifications');
+
+  return {
+    all() {
+      return notifications();
+    },
+
+    // Pendientes de envío, de la más antigua a la más reciente
+    queued() {
+      return notifications().filter(n => n.status === 'queued');
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(notification) {
+      notifications().push(notification);
+      return notification;
+    },
+
+    update(id, changes) {
+      const notification = notifications().find(n => n.id === id);
+      if (!notification) return null;
+      Object.assign(notification, changes, { id });
+      return notification;
+    },
+  };
+}
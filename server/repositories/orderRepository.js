@@ -0,0 +1,46 @@
+// server/repositories/orderRepository.js
+// Repositorio de pedidos. Igual que el de productos, oculta el detalle del store.
+
+export function createOrderRepository(store) {
+  const orders = () => store.collection('orders');
+
+  return {
+    // Un pedido por id (o null si no existe)
+    findById(id) {
+      return orders().find(o => o.id === id) ?? null;
+    },
+
+    // Pedidos de un cliente registrado
+    findByUser(userId) {
+      return orders().filter(o => o.userId === userId);
+    },
+
+    // Pedido cobrado con una intención de pago de la pasarela (ver payments.js)
+    findByPaymentIntent(gateway, intentId) {
+      return orders().find(o => o.payment?.gateway === gateway && o.payment.intentId === intentId) ?? null;
+    },
+
+    // Pedidos esperando el pago
+    pending() {
+      return orders().filter(o => o.status === 'pending');
+    },
+
+    all() {
+      return orders();
+    },
+
+    // Agrega un pedido. No persiste por sí solo: se usa dentro de store.transaction().
+    insert(order) {
+      orders().push(order);
+      return order;
+    },
+
+    // Mismo criterio que insert()
+    update(id, changes) {
+      const order = orders().find(o => o.id === id);
+      if (!order) return null;
+      Object.assign(order, changes, { id, updatedAt: new Date().toISOString() });
+      return order;
+    },
+  };
+}
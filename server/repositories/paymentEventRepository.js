@@ -0,0 +1,22 @@
+// server/repositories/paymentEventRepository.js
+// Repositorio de los webhooks de pago ya procesados (ver payments.js). Cada uno tiene:
+// - id: `<pasarela>:<id del evento>`, así un evento reenviado se reconoce y no se aplica dos veces
+// - type, intentId, orderId: evento recibido y pedido al que corresponde (null si no es de ningún pedido)
+// - applied: si cambió el estado del pedido (false si llegó tarde o fuera de orden)
+// - receivedAt: fecha en ISO 8601
+
+export function createPaymentEventRepository(store) {
+  const events = () => store.collection('paymentEvents');
+
+  return {
+    findById(id) {
+      return events().find(e => e.id === id) ?? null;
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(event) {
+      events().push(event);
+      return event;
+    },
+  };
+}
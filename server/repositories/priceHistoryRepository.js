@@ -0,0 +1,24 @@
+// server/repositories/priceHistoryRepository.js
+// Repositorio del historial de precios (ver pricing.js): { productId, price, compareAtPrice, currency, ruleId, at }.
+// Se guarda en orden cronológico y nunca se edita: es la prueba de qué precio tuvo cada producto y cuándo.
+
+export function createPriceHistoryRepository(store) {
+  const entries = () => store.collection('priceHistory');
+
+  return {
+    all() {
+      return entries();
+    },
+
+    // Cambios de precio de un producto, del más antiguo al más reciente
+    findByProduct(productId) {
+      return entries().filter(e => e.productId === productId);
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(entry) {
+      entries().push(entry);
+      return entry;
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// server/repositories/priceRuleRepository.js
+// Repositorio de las ofertas programadas (ver pricing.js para la forma de cada regla).
+
+export function createPriceRuleRepository(store) {
+  const rules = () => store.collection('priceRules');
+
+  return {
+    all() {
+      return rules();
+    },
+
+    findById(id) {
+      return rules().find(r => r.id === id) ?? null;
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(rule) {
+      rules().push(rule);
+      return rule;
+    },
+
+    update(id, changes) {
+      const rule = this.findById(id);
+      if (!rule) return null;
+      Object.assign(rule, changes, { id });
+      return rule;
+    },
+  };
+}
@@ -0,0 +1,51 @@
+// server/repositories/productRepository.js
+// Repositorio de productos: único lugar que sabe dónde y cómo se guardan.
+// Las rutas y servicios piden datos a través de estos métodos, nunca al store directamente.
+
+export function createProductRepository(store) {
+  const products = () => store.collection('products');
+
+  return {
+    // Todos los productos del catálogo
+    all() {
+      return products();
+    },
+
+    // Un producto por id (o null si no existe)
+    findById(id) {
+      return products().find(p => p.id === id) ?? null;
+    },
+
+    // Busca una variante por SKU en todo el catálogo. Devuelve { product, variant } o null.
+    findVariant(sku) {
+      for (const product of products()) {
+        const variant = product.variants.find(v => v.sku === sku);
+        if (variant) return { product, variant };
+      }
+      return null;
+    },
+
+    // Agrega un producto nuevo. No persiste por sí solo: se usa dentro de store.transaction().
+    insert(product) {
+      products().push(product);
+      return product;
+    },
+
+    // Reemplaza los datos de un producto existente conservando su id
+    update(id, changes) {
+      const product = this.findById(id);
+      if (!product) return null;
+      Object.assign(product, changes, { id });
+      return product;
+    },
+
+    // Suma (o resta, con delta negativo) unidades al stock de una variante.
+    // No persiste por sí solo: se usa dentro de store.transaction().
+    adjustStock(sku, delta) {
+      const match = this.findVariant(sku);
+      if (!match) throw new Error(`Unknown SKU ${sku}`);
+      match.variant.stock += delta;
+      return match;
+    },
+  };
+}
@@ -0,0 +1,43 @@
+// server/repositories/promotionRepository.js
+// Repositorio de promociones y cupones (ver promotions.js para la forma de cada regla).
+
+export function createPromotionRepository(store) {
+  const promotions = () => store.collection('promotions');
+
+  return {
+    all() {
+      return promotions();
+    },
+
+    findById(id) {
+      return promotions().find(p => p.id === id) ?? null;
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(promotion) {
+      promotions().push(promotion);
+      return promotion;
+    },
+
+    update(id, changes) {
+      const promotion = this.findById(id);
+      if (!promotion) return null;
+      Object.assign(promotion, changes, { id });
+      return promotion;
+    },
+
+    // Suma un uso a la promoción (se llama al confirmar un pedido que la aplicó)
+    recordUsage(id) {
+      const promotion = this.findById(id);
+      if (promotion) promotion.usageCount = (promotion.usageCount ?? 0) + 1;
+      return promotion;
+    },
+
+    // Devuelve el uso de un pedido que no se llegó a pagar (ver payments.js)
+    releaseUsage(id) {
+      const promotion = this.findById(id);
+      if (promotion) promotion.usageCount = Math.max((promotion.usageCount ?? 0) - 1, 0);
+      return promotion;
+    },
+  };
+}
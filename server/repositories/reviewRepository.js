@@ -0,0 +1,34 @@
+// server/repositories/reviewRepository.js
+// Repositorio de reseñas (ver reviews.js para la forma de cada una).
+
+export function createReviewRepository(store) {
+  const reviews = () => store.collection('reviews');
+
+  return {
+    all() {
+      return reviews();
+    },
+
+    findById(id) {
+      return reviews().find(r => r.id === id) ?? null;
+    },
+
+    // Reseñas de un producto, en cualquier estado
+    findByProduct(productId) {
+      return reviews().filter(r => r.productId === productId);
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(review) {
+      reviews().push(review);
+      return review;
+    },
+
+    update(id, changes) {
+      const review = this.findById(id);
+      if (!review) return null;
+      Object.assign(review, changes, { id });
+      return review;
+    },
+  };
+}
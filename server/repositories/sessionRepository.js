@@ -0,0 +1,26 @@
+// server/repositories/sessionRepository.js
+// Repositorio de sesiones: { tokenHash, userId, createdAt, expiresAt }
+
+export function createSessionRepository(store) {
+  const sessions = () => store.collection('sessions');
+
+  return {
+    findByTokenHash(tokenHash) {
+      return sessions().find(s => s.tokenHash === tokenHash) ?? null;
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(session) {
+      // Aprovecha para descartar sesiones vencidas
+      const now = Date.now();
+      const alive = sessions().filter(s => Date.parse(s.expiresAt) > now);
+      alive.push(session);
+      store.data.sessions = alive;
+      return session;
+    },
+
+    removeByTokenHash(tokenHash) {
+      store.data.sessions = sessions().filter(s => s.tokenHash !== tokenHash);
+    },
+  };
+}
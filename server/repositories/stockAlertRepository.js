@@ -0,0 +1,30 @@
+// server/repositories/stockAlertRepository.js
+// Repositorio de avisos de vuelta de stock (ver stockAlerts.js para la forma de cada uno).
+
+export function createStockAlertRepository(store) {
+  const alerts = () => store.collection('stockAlerts');
+
+  return {
+    all() {
+      return alerts();
+    },
+
+    // Avisos todavía sin enviar de una variante
+    findActiveBySku(sku) {
+      return alerts().filter(a => a.sku === sku && !a.notifiedAt);
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(alert) {
+      alerts().push(alert);
+      return alert;
+    },
+
+    update(id, changes) {
+      const alert = alerts().find(a => a.id === id);
+      if (!alert) return null;
+      Object.assign(alert, changes, { id });
+      return alert;
+    },
+  };
+}
@@ -0,0 +1,36 @@
+// server/repositories/userRepository.js
+// Repositorio de clientes registrados. Cada usuario guarda:
+// - id, name, email (único, en minúsculas), passwordHash
+// - addresses: direcciones de envío guardadas
+// - cart: carrito de la cuenta ({ [sku]: qty })
+// - createdAt
+
+export function createUserRepository(store) {
+  const users = () => store.collection('users');
+
+  return {
+    findById(id) {
+      return users().find(u => u.id === id) ?? null;
+    },
+
+    findByEmail(email) {
+      return users().find(u => u.email === email) ?? null;
+    },
+
+    // No persiste por sí solo: se usa dentro de store.transaction()
+    insert(user) {
+      users().push(user);
+      return user;
+    },
+
+    update(id, changes) {
+      const user = this.findById(id);
+      if (!user) return null;
+      Object.assign(user, changes, { id });
+      return user;
+    },
+  };
+}
+
+// Datos públicos de un usuario (nunca se expone el hash de la contraseña)
+export const toPublicUser = ({ id, name, email, createdAt }) => ({ id, name, email, createdAt });
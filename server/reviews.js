@@ -0,0 +1,71 @@
+// server/reviews.js
+// Reseñas de productos: calificación promedio, compra verificada y forma pública.
+// Cada reseña guardada tiene:
+// - id: identificador único (string)
+// - productId: producto reseñado
+// - userId: cliente que la escribió (null si fue un invitado)
+// - authorName: nombre que se muestra en la tienda
+// - rating: estrellas, entero de 1 a 5
+// - title (opcional) / text: título y cuerpo de la reseña
+// - orderId: pedido con el que se compró el producto (null si no se pudo verificar la compra)
+// - verifiedPurchase: true si está asociada a un pedido cobrado que incluye el producto (ver findPurchase)
+// - status: 'pending' al crearse; el back-office la pasa a 'approved' (visible) o 'rejected'
+// - createdAt / moderatedAt: fechas en ISO 8601
+// Cada producto guarda `rating: { average, count }` con sus reseñas aprobadas; se recalcula al moderar
+// (así el catálogo puede ordenar por calificación sin recorrer las reseñas).
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Promedio (con un decimal) y cantidad de reseñas; average es null si no hay ninguna
+export function summarizeRatings(reviews) {
+  if (!reviews.length) return { average: null, count: 0 };
+  const sum = reviews.reduce((acc, r) => acc + r.rating, 0);
+  return { average: Math.round((sum / reviews.length) * 10) / 10, count: reviews.length };
+}
+
+// Cantidad de reseñas por estrella => { 1: n, 2: n, 3: n, 4: n, 5: n }
+export function ratingDistribution(reviews) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const review of reviews) distribution[review.rating] += 1;
+  return distribution;
+}
+
+// Recalcula la calificación guardada en el producto con sus reseñas aprobadas.
+// No persiste por sí solo: se usa dentro de store.transaction().
+export function refreshProductRating(db, productId) {
+  const approved = db.reviews.findByProduct(productId).filter(r => r.status === 'approved');
+  return db.products.update(productId, { rating: summarizeRatings(approved) });
+}
+
+// Estados de pedido que prueban la compra (ver payments.js). Un pedido pendiente, fallido o vencido nunca se
+// cobró. Los reembolsados sí cuentan: el cliente compró y recibió el producto, y el reembolso suele venir de
+// una mala experiencia; excluirlos dejaría afuera justo las reseñas críticas.
+const PURCHASED_STATUSES = ['paid', 'refunded'];
+
+// Pedido que prueba la compra del producto, o null. Solo cuentan los pedidos cobrados (PURCHASED_STATUSES).
+// - Con orderId: debe incluir el producto y ser del mismo cliente (o de un invitado si no hay sesión)
+// - Sin orderId y con sesión: el pedido más reciente del cliente que lo incluya
+export function findPurchase(db, { productId, user = null, orderId }) {
+  const includesProduct = (order) =>
+    PURCHASED_STATUSES.includes(order.status) && order.items.some(item => item.productId === productId);
+  if (orderId !== undefined) {
+    const order = db.orders.findById(orderId);
+    const owner = order?.userId ?? null;
+    return order && owner === (user?.id ?? null) && includesProduct(order) ? order : null;
+  }
+  if (!user) return null;
+  return db.orders.findByUser(user.id)
+    .filter(includesProduct)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] ?? null;
+}
+
+// Lo que ve la tienda de una reseña (sin datos del cliente ni del pedido)
+export const toPublicReview = ({ id, authorName, rating, title, text, verifiedPurchase, createdAt }) => ({
+  id,
+  authorName,
+  rating,
+  title,
+  text,
+  verifiedPurchase,
+  createdAt,
+});
@@ -0,0 +1,286 @@
+// server/routes/account.js
+// Cuentas de clientes: registro, ingreso, pedidos, direcciones, carrito y favoritos de la cuenta.
+//
+// Autenticación: `Authorization: Bearer <token>` con el token devuelto por register/login.
+// Cada ruta se declara con sus esquemas (ver openapi.js y schemas.js).
+// Errores de validación: 422 VALIDATION_FAILED con { code, message, errors: { [campo]: mensaje } } (ver errors.js).
+
+import { randomUUID } from 'node:crypto';
+import { Router } from 'express';
+import { hashPassword, verifyPassword } from '../auth/passwords.js';
+import { createSession, destroySession } from '../auth/sessions.js';
+import { bearerToken, requireUser } from '../middleware/authenticate.js';
+import { findOrNotFound, notFound, sendError } from '../errors.js';
+import { addressBody, cartBody, favoritesBody, idParams, loginBody, ref, registrationBody } from '../schemas.js';
+import { toPublicUser } from '../repositories/userRepository.js';
+import { normalizeEmail, validateAddress, validateRegistration } from '../validation/account.js';
+
+// Normaliza líneas de carrito [{ sku, qty }] contra el catálogo:
+// descarta SKUs desconocidos o archivados y limita cada cantidad al stock disponible.
+function sanitizeCart(db, lines) {
+  const cart = {};
+  for (const { sku, qty } of lines) {
+    const match = db.products.findVariant(sku);
+    if (!match || match.product.archived || !Number.isInteger(qty) || qty <= 0) continue;
+    const total = (cart[sku] ?? 0) + qty;
+    cart[sku] = Math.min(total, match.variant.stock);
+    if (cart[sku] <= 0) delete cart[sku];
+  }
+  return cart;
+}
+
+// Cada línea incluye productId para que el cliente pueda pedir los productos que aún no conoce
+const cartResponse = (db, cart = {}) => ({
+  items: Object.entries(cart).map(([sku, qty]) => ({ sku, qty, productId: db.products.findVariant(sku)?.product.id })),
+});
+
+// Normaliza una lista de favoritos (ids de producto): sin repetidos, desconocidos ni archivados
+const sanitizeFavorites = (db, ids) =>
+  [...new Set(ids)].filter(id => {
+    const product = db.products.findById(id);
+    return product && !product.archived;
+  });
+
+// api: documento OpenAPI donde se registran las rutas (ver openapi.js)
+export function createAccountRouter(db, api) {
+  const router = Router();
+  const routes = api.routes(router, { prefix: '/api', tags: ['account'] });
+
+  // POST /api/auth/register
+  // Body: { name, email, password } => 201 { user, token }
+  const registerSpec = {
+    operationId: 'register',
+    summary: 'Create a customer account',
+    body: registrationBody,
+    check: (body) => {
+      const { value, errors } = validateRegistration(body);
+      const taken = !errors?.email && db.users.findByEmail(value.email);
+      return taken ? { value, errors: { ...errors, email: 'Email already registered' } } : { value, errors };
+    },
+    responses: { 201: { description: 'Account created and signed in', schema: ref('Session') } },
+  };
+  routes.post('/auth/register', registerSpec, (req, res) => {
+    const value = req.body;
+    const user = db.store.transaction(() =>
+      db.users.insert({
+        id: randomUUID(),
+        name: value.name,
+        email: value.email,
+        passwordHash: hashPassword(value.password),
+        addresses: [],
+        cart: {},
+        favorites: [],
+        createdAt: new Date().toISOString(),
+      })
+    );
+    const token = createSession(db, user.id);
+    res.status(201).json({ user: toPublicUser(user), token });
+  });
+
+  // POST /api/auth/login
+  // Body: { email, password } => { user, token }
+  // Responde 401 INVALID_CREDENTIALS con el mismo mensaje si falla el email o la contraseña (no revela cuál).
+  const loginSpec = {
+    operationId: 'login',
+    summary: 'Sign in',
+    body: loginBody,
+    responses: { 200: { description: 'Signed in', schema: ref('Session') }, 401: 'Invalid email or password' },
+  };
+  routes.post('/auth/login', loginSpec, (req, res) => {
+    const { email, password } = req.body;
+    const user = db.users.findByEmail(normalizeEmail(email));
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+    const token = createSession(db, user.id);
+    res.json({ user: toPublicUser(user), token });
+  });
+
+  // POST /api/auth/logout => 204 (invalida el token enviado)
+  const logoutSpec = {
+    operationId: 'logout',
+    summary: 'Sign out (invalidates the sent token)',
+    security: 'optionalUser',
+    responses: { 204: { description: 'Signed out' } },
+  };
+  routes.post('/auth/logout', logoutSpec, (req, res) => {
+    const token = bearerToken(req);
+    if (token) destroySession(db, token);
+    res.status(204).end();
+  });
+
+  // Todo lo que sigue es de la cuenta autenticada
+  router.use('/me', requireUser);
+  const me = api.routes(router, { prefix: '/api', tags: ['account'], security: 'user' });
+
+  // GET /api/me => datos del cliente
+  const profileSpec = {
+    operationId: 'getProfile',
+    summary: 'Authenticated customer',
+    responses: { 200: { description: 'Customer', schema: ref('User') } },
+  };
+  me.get('/me', profileSpec, (req, res) => res.json(toPublicUser(req.user)));
+
+  // GET /api/me/orders => pedidos del cliente, del más reciente al más antiguo
+  const ordersSpec = {
+    operationId: 'listMyOrders',
+    summary: 'Orders of the customer, newest first',
+    responses: { 200: { description: 'Orders', schema: ref('OrderList') } },
+  };
+  me.get('/me/orders', ordersSpec, (req, res) => {
+    const items = db.orders.findByUser(req.user.id).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ items, total: items.length });
+  });
+
+  // ========================
+  // Direcciones de envío
+  // ========================
+  // Solo una dirección puede ser la predeterminada; la primera que se guarda lo es siempre.
+  const saveAddresses = (user, addresses) => {
+    if (addresses.length && !addresses.some(a => a.isDefault)) addresses[0].isDefault = true;
+    db.store.transaction(() => db.users.update(user.id, { addresses }));
+    return addresses;
+  };
+  const withDefault = (addresses, address) =>
+    address.isDefault ? addresses.map(a => ({ ...a, isDefault: false })) : addresses;
+
+  // GET /api/me/addresses
+  const addressesSpec = {
+    operationId: 'listAddresses',
+    summary: 'Saved shipping addresses',
+    responses: { 200: { description: 'Addresses', schema: ref('AddressList') } },
+  };
+  me.get('/me/addresses', addressesSpec, (req, res) => res.json({ items: req.user.addresses ?? [] }));
+
+  // POST /api/me/addresses => 201 con la dirección creada
+  const createAddressSpec = {
+    operationId: 'createAddress',
+    summary: 'Save a shipping address',
+    body: addressBody,
+    check: validateAddress,
+    responses: { 201: { description: 'Address saved', schema: ref('Address') } },
+  };
+  me.post('/me/addresses', createAddressSpec, (req, res) => {
+    const address = { id: randomUUID(), ...req.body };
+    const addresses = saveAddresses(req.user, [...withDefault(req.user.addresses ?? [], address), address]);
+    res.status(201).json(addresses.find(a => a.id === address.id));
+  });
+
+  // PUT /api/me/addresses/:id
+  const updateAddressSpec = {
+    operationId: 'updateAddress',
+    summary: 'Replace a saved address',
+    params: idParams,
+    load: findOrNotFound(req => (req.user.addresses ?? []).find(a => a.id === req.params.id), 'Address not found'),
+    body: addressBody,
+    check: validateAddress,
+    responses: { 200: { description: 'Address updated', schema: ref('Address') }, 404: 'Address not found' },
+  };
+  me.put('/me/addresses/:id', updateAddressSpec, (req, res) => {
+    const address = { ...req.body, id: req.resource.id };
+    const addresses = saveAddresses(
+      req.user,
+      withDefault(req.user.addresses, address).map(a => (a.id === address.id ? address : a))
+    );
+    res.json(addresses.find(a => a.id === address.id));
+  });
+
+  // DELETE /api/me/addresses/:id => 204
+  const deleteAddressSpec = {
+    operationId: 'deleteAddress',
+    summary: 'Delete a saved address',
+    params: idParams,
+    responses: { 204: { description: 'Address deleted' }, 404: 'Address not found' },
+  };
+  me.delete('/me/addresses/:id', deleteAddressSpec, (req, res) => {
+    const addresses = (req.user.addresses ?? []).filter(a => a.id !== req.params.id);
+    if (addresses.length === (req.user.addresses ?? []).length) return notFound(res, 'Address not found');
+    saveAddresses(req.user, addresses);
+    res.status(204).end();
+  });
+
+  // ========================
+  // Carrito de la cuenta
+  // ========================
+  // Formato de entrada: { items: [{ sku, qty }] }; salida: { items: [{ sku, qty, productId }] }
+
+  // GET /api/me/cart
+  const cartSpec = {
+    operationId: 'getCart',
+    summary: 'Cart saved in the account',
+    responses: { 200: { description: 'Cart', schema: ref('Cart') } },
+  };
+  me.get('/me/cart', cartSpec, (req, res) => res.json(cartResponse(db, req.user.cart)));
+
+  // PUT /api/me/cart => reemplaza el carrito de la cuenta
+  const saveCartSpec = {
+    operationId: 'saveCart',
+    summary: 'Replace the account cart',
+    description: 'Unknown or archived SKUs are dropped and quantities are capped to the available stock.',
+    body: cartBody,
+    responses: { 200: { description: 'Saved cart', schema: ref('Cart') } },
+  };
+  me.put('/me/cart', saveCartSpec, (req, res) => {
+    const cart = sanitizeCart(db, req.body.items);
+    db.store.transaction(() => db.users.update(req.user.id, { cart }));
+    res.json(cartResponse(db, cart));
+  });
+
+  // POST /api/me/cart/merge
+  // Suma el carrito de invitado al de la cuenta (se usa al ingresar) y devuelve el resultado.
+  const mergeCartSpec = {
+    operationId: 'mergeCart',
+    summary: 'Add a guest cart to the account cart',
+    body: cartBody,
+    responses: { 200: { description: 'Merged cart', schema: ref('Cart') } },
+  };
+  me.post('/me/cart/merge', mergeCartSpec, (req, res) => {
+    const accountLines = Object.entries(req.user.cart ?? {}).map(([sku, qty]) => ({ sku, qty }));
+    const cart = sanitizeCart(db, [...accountLines, ...req.body.items]);
+    db.store.transaction(() => db.users.update(req.user.id, { cart }));
+    res.json(cartResponse(db, cart));
+  });
+
+  // ========================
+  // Favoritos de la cuenta
+  // ========================
+  // Formato de entrada y salida: { items: [productId] }, en el orden en que se agregaron
+
+  // GET /api/me/favorites
+  const favoritesSpec = {
+    operationId: 'getFavorites',
+    summary: 'Favorite products saved in the account',
+    responses: { 200: { description: 'Favorites', schema: ref('Favorites') } },
+  };
+  me.get('/me/favorites', favoritesSpec, (req, res) => res.json({ items: sanitizeFavorites(db, req.user.favorites ?? []) }));
+
+  // PUT /api/me/favorites => reemplaza la lista de la cuenta
+  const saveFavoritesSpec = {
+    operationId: 'saveFavorites',
+    summary: 'Replace the account favorites',
+    description: 'Unknown or archived products are dropped.',
+    body: favoritesBody,
+    responses: { 200: { description: 'Saved favorites', schema: ref('Favorites') } },
+  };
+  me.put('/me/favorites', saveFavoritesSpec, (req, res) => {
+    const favorites = sanitizeFavorites(db, req.body.items);
+    db.store.transaction(() => db.users.update(req.user.id, { favorites }));
+    res.json({ items: favorites });
+  });
+
+  // POST /api/me/favorites/merge
+  // Agrega los favoritos de invitado a los de la cuenta (se usa al ingresar) y devuelve el resultado.
+  const mergeFavoritesSpec = {
+    operationId: 'mergeFavorites',
+    summary: 'Add guest favorites to the account favorites',
+    body: favoritesBody,
+    responses: { 200: { description: 'Merged favorites', schema: ref('Favorites') } },
+  };
+  me.post('/me/favorites/merge', mergeFavoritesSpec, (req, res) => {
+    const favorites = sanitizeFavorites(db, [...(req.user.favorites ?? []), ...req.body.items]);
+    db.store.transaction(() => db.users.update(req.user.id, { favorites }));
+    res.json({ items: favorites });
+  });
+
+  return router;
+}
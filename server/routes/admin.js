@@ -0,0 +1,698 @@
+// server/routes/admin.js
+// Endpoints del back-office para gestionar el catálogo (con su importación/exportación), sus imágenes,
+// las categorías, las promociones, las ofertas programadas (con el historial de precios), la moderación de reseñas, los pedidos (reembolsos) y los tipos de cambio.
+// Todos requieren `Authorization: Bearer <ADMIN_TOKEN>` (ver middleware/requireAdmin.js).
+//
+// Cada ruta se declara con sus esquemas (ver openapi.js y schemas.js).
+// Errores de validación: 422 VALIDATION_FAILED con { code, message, errors: { [campo]: mensaje } } (ver errors.js).
+
+import express, { Router } from 'express';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+import { validateProduct } from '../validation/product.js';
+import { validatePromotion } from '../validation/promotion.js';
+import { validatePriceRule } from '../validation/priceRule.js';
+import { validateCategory } from '../validation/category.js';
+import { createTaxonomy } from '../categories.js';
+import { refreshProductRating } from '../reviews.js';
+import { requestRefund } from '../payments.js';
+import { priceHistoryOf } from '../pricing.js';
+import { toPublicProduct } from '../catalog.js';
+import { CSV_COLUMNS, IMPORT_MAX_BYTES, exportProducts, importProducts, readCsv, readJson, toCsv, toJson } from '../catalogTransfer.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from '../currency.js';
+import { IMAGES_URL, MAX_UPLOAD_BYTES, UPLOAD_TYPES, imageIdFromUrl, processImage, removeImageFiles } from '../images.js';
+import { findOrNotFound, invalidRequest, notFound, sendError, validationFailed } from '../errors.js';
+import {
+  adminOrderQuery,
+  adminReviewQuery,
+  categoryBody,
+  categoryUpdateBody,
+  currencyParams,
+  exchangeRateBody,
+  idParams,
+  imageParams,
+  priceHistoryQuery,
+  priceRuleBody,
+  priceRuleUpdateBody,
+  productBody,
+  productExportQuery,
+  productFile,
+  productImportQuery,
+  productUpdateBody,
+  promotionBody,
+  promotionUpdateBody,
+  ref,
+  restockBody,
+  reviewModerationBody,
+  slugParams,
+} from '../schemas.js';
+
+// api: documento OpenAPI donde se registran las rutas (ver openapi.js)
+// paymentGateway: pasarela con la que se piden los reembolsos (ver gateways/index.js)
+export function createAdminRouter(db, api, { paymentGateway }) {
+  const router = Router();
+  router.use(requireAdmin);
+  const routes = api.routes(router, { prefix: '/api/admin', tags: ['admin'], security: 'admin' });
+
+  // Busca el producto de la ruta o responde 404
+  const loadProduct = findOrNotFound(req => db.products.findById(req.params.id), 'Product not found');
+  const productResponse = (description) => ({ description, schema: ref('Product') });
+
+  // Productos, promociones y ofertas solo pueden usar categorías de la taxonomía (ver categories.js)
+  const unknownCategory = (slug) => slug !== null && !db.categories.findBySlug(slug);
+
+  // Resultado de un validador más los errores de las reglas que dependen del store (categoría existente,
+  // id libre...). Si un campo tiene los dos queda el del validador
+  const withRules = ({ value, errors }, rules) => {
+    const all = { ...rules, ...errors };
+    return { value, errors: Object.keys(all).length ? all : null };
+  };
+
+  // Reglas de un producto que no expresa productBody (formato del id, variantes, categoría existente...),
+  // validadas junto con el esquema. isNew: además el id no puede estar en uso
+  const checkProduct = (input, { isNew }) => {
+    const result = validateProduct(input);
+    const rules = {};
+    if (isNew && db.products.findById(result.value.id)) rules.id = 'A product with this id already exists';
+    if (unknownCategory(result.value.category)) rules.category = 'Unknown category';
+    return withRules(result, rules);
+  };
+
+  // GET /api/admin/products
+  // Lista completa del catálogo, incluidos los productos archivados.
+  const listSpec = {
+    operationId: 'adminListProducts',
+    summary: 'Whole catalog, including archived products',
+    responses: { 200: { description: 'Products', schema: ref('ProductList') } },
+  };
+  routes.get('/products', listSpec, (_req, res) => {
+    const items = db.products.all().map(toPublicProduct);
+    res.json({ items, total: items.length });
+  });
+
+  // POST /api/admin/products
+  // Crea un producto. Si no se envían variantes se generan todas las combinaciones color/talle con stock 0.
+  const createSpec = {
+    operationId: 'adminCreateProduct',
+    summary: 'Create a product',
+    body: productBody,
+    check: (body) => checkProduct(body, { isNew: true }),
+    responses: { 201: productResponse('Product created') },
+  };
+  routes.post('/products', createSpec, (req, res) => {
+    const product = db.store.transaction(() =>
+      db.products.insert({ ...req.body, archived: false, rating: { average: null, count: 0 }, createdAt: new Date().toISOString() })
+    );
+    res.status(201).json(toPublicProduct(product));
+  });
+
+  // PUT /api/admin/products/:id
+  // Reemplaza los datos editables de un producto. El id no se puede cambiar.
+  // El stock de las variantes que ya existían se conserva: solo cambia con ventas o restock,
+  // así un formulario abierto hace rato no pisa las unidades vendidas mientras tanto.
+  const updateSpec = {
+    operationId: 'adminUpdateProduct',
+    summary: 'Replace the editable data of a product',
+    description: 'The stock of existing variants is kept: it only changes with sales and restocks.',
+    params: idParams,
+    body: productUpdateBody,
+    load: loadProduct,
+    check: (body, req) => checkProduct({ ...body, id: req.params.id }, { isNew: false }),
+    responses: { 200: productResponse('Product updated'), 404: 'Product not found' },
+  };
+  routes.put('/products/:id', updateSpec, (req, res) => {
+    const current = req.resource;
+    const value = req.body;
+    const variants = value.variants.map(variant => {
+      const existing = current.variants.find(v => v.sku === variant.sku);
+      return existing ? { ...variant, stock: existing.stock } : variant;
+    });
+    const product = db.store.transaction(() =>
+      db.products.update(req.params.id, { ...value, variants, updatedAt: new Date().toISOString() })
+    );
+    res.json(toPublicProduct(product));
+  });
+
+  // ========================
+  // Importación y exportación
+  // ========================
+  // Formatos, columnas del CSV y reglas del upsert: ver catalogTransfer.js.
+
+  // GET /api/admin/products/export?format=csv|json
+  // Descarga los productos que cumplen los mismos filtros que GET /api/products (sin paginar),
+  // con los campos que acepta la importación: el archivo se puede editar y volver a subir.
+  const exportSpec = {
+    operationId: 'adminExportProducts',
+    summary: 'Download the catalog as CSV or JSON',
+    description: 'Accepts the same filters as GET /api/products (prices in the base currency) and returns every match. '
+      + `CSV columns: ${CSV_COLUMNS.join(', ')}.`,
+    query: productExportQuery,
+    responses: {
+      200: {
+        description: 'Catalog file (sent as an attachment)',
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: productFile },
+        },
+      },
+    },
+  };
+  routes.get('/products/export', exportSpec, (req, res) => {
+    const { format, includeArchived, ...filters } = req.query;
+    const products = exportProducts(db, filters, { includeArchived });
+    res.attachment(`catalogo-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json').send(format === 'csv' ? toCsv(products) : toJson(products));
+  });
+
+  // POST /api/admin/products/import?dryRun=true|false
+  // Body: el archivo tal cual, con Content-Type text/csv o application/json (el body se parsea en index.js,
+  // con un límite mayor que el del resto de la API). Crea o actualiza productos por id.
+  // Con dryRun solo valida y responde el informe. Sin dryRun, si alguna fila tiene errores no se guarda nada
+  // y responde 422 con errores por fila ("rows[<fila>].<campo>"); si no, responde el informe.
+  const importSpec = {
+    operationId: 'adminImportProducts',
+    summary: 'Create or update products from a CSV or JSON file',
+    description: 'Upsert by id: rows with a new id create a product, the rest update only the fields they bring '
+      + '(the stock of the variants they bring included). Everything is validated first: if any row is invalid '
+      + 'nothing is imported.',
+    query: productImportQuery,
+    requestBody: {
+      required: true,
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': { schema: productFile },
+      },
+    },
+    responses: {
+      200: { description: 'What was imported (or, with dryRun, what would be)', schema: ref('ProductImportReport') },
+      400: 'The file cannot be read (malformed CSV, unknown columns...)',
+      413: `File larger than ${IMPORT_MAX_BYTES} bytes`,
+      415: 'Unsupported content type',
+      422: 'Some rows are invalid; nothing was imported',
+    },
+  };
+  routes.post('/products/import', importSpec, (req, res) => {
+    let records;
+    try {
+      if (req.is('text/csv') && typeof req.body === 'string') records = readCsv(req.body);
+      else if (req.is('application/json') && req.body !== undefined) records = readJson(req.body);
+      else return sendError(res, 415, 'UNSUPPORTED_MEDIA_TYPE', 'Send the file as text/csv or application/json');
+    } catch (err) {
+      if (err.code === 'INVALID_FILE') return invalidRequest(res, err.message);
+      throw err;
+    }
+
+    const report = importProducts(db, records, { dryRun: req.query.dryRun });
+    if (!report.dryRun && report.errors.length) {
+      const errors = Object.fromEntries(
+        report.errors.flatMap(({ row, errors }) => Object.entries(errors).map(([field, message]) => [`rows[${row}].${field}`, message]))
+      );
+      return sendError(res, 422, 'VALIDATION_FAILED', `Invalid rows: ${report.errors.length}. Nothing was imported`, { errors });
+    }
+    res.json(report);
+  });
+
+  // POST /api/admin/products/:id/archive  |  POST /api/admin/products/:id/unarchive
+  // Un producto archivado desaparece del catálogo público y no puede comprarse,
+  // pero se conserva para los pedidos históricos.
+  const setArchived = (archived) => (req, res) => {
+    if (!loadProduct(req, res)) return;
+    const product = db.store.transaction(() => db.products.update(req.params.id, { archived }));
+    res.json(toPublicProduct(product));
+  };
+  const archiveSpec = (archived) => ({
+    operationId: archived ? 'adminArchiveProduct' : 'adminUnarchiveProduct',
+    summary: archived ? 'Hide a product from the store' : 'Show an archived product again',
+    params: idParams,
+    responses: { 200: productResponse('Product updated'), 404: 'Product not found' },
+  });
+  routes.post('/products/:id/archive', archiveSpec(true), setArchived(true));
+  routes.post('/products/:id/unarchive', archiveSpec(false), setArchived(false));
+
+  // GET /api/admin/products/:id/price-history?days=30
+  // Cada cambio del precio vigente (normal u oferta, ver pricing.js), del más reciente al más antiguo, y el precio
+  // más bajo de los últimos `days` días: la prueba de que el precio "antes" de una oferta fue real.
+  const priceHistorySpec = {
+    operationId: 'adminProductPriceHistory',
+    summary: 'Price history of a product and its lowest price in the period',
+    params: idParams,
+    query: priceHistoryQuery,
+    responses: { 200: { description: 'Price changes, newest first', schema: ref('PriceHistory') }, 404: 'Product not found' },
+  };
+  routes.get('/products/:id/price-history', priceHistorySpec, (req, res) => {
+    if (!loadProduct(req, res)) return;
+    res.json(priceHistoryOf(db, req.params.id, req.query));
+  });
+
+  // POST /api/admin/products/:id/restock
+  // Body: { sku: string, qty: number } => suma qty unidades al stock de la variante.
+  const restockSpec = {
+    operationId: 'adminRestockVariant',
+    summary: 'Add units to the stock of a variant',
+    params: idParams,
+    body: restockBody,
+    responses: { 200: productResponse('Product updated'), 404: 'Product not found' },
+  };
+  routes.post('/products/:id/restock', restockSpec, (req, res) => {
+    const product = loadProduct(req, res);
+    if (!product) return;
+    const { sku, qty } = req.body;
+    if (!product.variants.some(v => v.sku === sku)) return validationFailed(res, { sku: 'Unknown SKU for this product' });
+
+    db.store.transaction(() => db.products.adjustStock(sku, qty));
+    res.json(toPublicProduct(product));
+  });
+
+  // ========================
+  // Imágenes de productos
+  // ========================
+
+  // POST /api/admin/products/:id/images
+  // Body: el archivo de imagen tal cual (Content-Type image/jpeg, image/png, image/webp o image/avif, hasta 10 MB).
+  // Genera las versiones redimensionadas (ver images.js) y agrega "/images/<id>" al final de product.images.
+  // 415 si el tipo no está soportado; 413 si supera el límite; 422 si el archivo no es una imagen legible.
+  const uploadSpec = {
+    operationId: 'adminUploadProductImage',
+    summary: 'Upload a product image',
+    description: 'Generates resized AVIF/WebP versions and appends "/images/<id>" to product.images.',
+    params: idParams,
+    requestBody: {
+      required: true,
+      content: Object.fromEntries(UPLOAD_TYPES.map(type => [type, { schema: { type: 'string', format: 'binary' } }])),
+    },
+    responses: {
+      201: productResponse('Image added'),
+      404: 'Product not found',
+      413: `Image larger than ${MAX_UPLOAD_BYTES} bytes`,
+      415: 'Unsupported content type',
+      422: 'The file is not a readable image',
+    },
+  };
+  routes.post(
+    '/products/:id/images',
+    uploadSpec,
+    express.raw({ type: UPLOAD_TYPES, limit: MAX_UPLOAD_BYTES }),
+    async (req, res) => {
+      if (!loadProduct(req, res)) return;
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return sendError(res, 415, 'UNSUPPORTED_MEDIA_TYPE', `Unsupported image type, expected one of: ${UPLOAD_TYPES.join(', ')}`);
+      }
+
+      let image;
+      try {
+        image = await processImage(req.body);
+      } catch (err) {
+        if (err.code === 'INVALID_IMAGE') return validationFailed(res, { image: err.message });
+        throw err;
+      }
+      // El producto se vuelve a leer: el procesamiento es asíncrono y pudo cambiar mientras tanto
+      const product = db.store.transaction(() => {
+        db.images.insert({ ...image, productId: req.params.id });
+        const current = db.products.findById(req.params.id);
+        return db.products.update(req.params.id, { images: [...(current.images ?? []), `${IMAGES_URL}/${image.id}`] });
+      });
+      res.status(201).json(toPublicProduct(product));
+    }
+  );
+
+  // DELETE /api/admin/products/:id/images/:imageId
+  // Quita la imagen del producto y borra sus archivos generados.
+  const deleteImageSpec = {
+    operationId: 'adminDeleteProductImage',
+    summary: 'Remove an image from a product',
+    params: imageParams,
+    responses: { 200: productResponse('Image removed'), 404: 'Product or image not found' },
+  };
+  routes.delete('/products/:id/images/:imageId', deleteImageSpec, async (req, res) => {
+    const product = loadProduct(req, res);
+    if (!product) return;
+    const url = `${IMAGES_URL}/${req.params.imageId}`;
+    if (!product.images?.includes(url)) return notFound(res, 'Image not found');
+
+    // Otro producto puede seguir usando la misma imagen (p. ej., el catálogo inicial comparte archivos):
+    // en ese caso solo se quita de este producto
+    const inUse = db.products.all()
+      .some(p => p.id !== product.id && p.images?.some(src => imageIdFromUrl(src) === req.params.imageId));
+    const updated = db.store.transaction(() => {
+      if (!inUse) db.images.remove(req.params.imageId);
+      return db.products.update(req.params.id, { images: product.images.filter(src => src !== url) });
+    });
+    if (!inUse) await removeImageFiles(req.params.imageId);
+    res.json(toPublicProduct(updated));
+  });
+
+  // ========================
+  // Categorías
+  // ========================
+  // La tienda las lee como árbol en GET /api/categories; aquí se editan las filas guardadas.
+
+  // Productos asignados directamente a la categoría (incluidos los archivados)
+  const withProductCount = (category) => ({
+    ...category,
+    productCount: db.products.all().filter(p => p.category === category.slug).length,
+  });
+
+  // GET /api/admin/categories => { items: [{ slug, parent, names, position, productCount }], total }
+  const categoriesSpec = {
+    operationId: 'adminListCategories',
+    summary: 'Every category with its names in all languages',
+    responses: { 200: { description: 'Categories', schema: ref('AdminCategoryList') } },
+  };
+  routes.get('/categories', categoriesSpec, (_req, res) => {
+    const items = db.categories.all().map(withProductCount);
+    res.json({ items, total: items.length });
+  });
+
+  // POST /api/admin/categories
+  // Body: { slug, parent?, names: { es, en? }, position? }. El padre debe existir.
+  const createCategorySpec = {
+    operationId: 'adminCreateCategory',
+    summary: 'Create a category',
+    body: categoryBody,
+    check: (body) => {
+      const result = validateCategory(body);
+      const rules = {};
+      if (db.categories.findBySlug(result.value.slug)) rules.slug = 'A category with this slug already exists';
+      if (unknownCategory(result.value.parent)) rules.parent = 'Unknown category';
+      return withRules(result, rules);
+    },
+    responses: { 201: { description: 'Category created', schema: ref('AdminCategory') } },
+  };
+  routes.post('/categories', createCategorySpec, (req, res) => {
+    const category = db.store.transaction(() =>
+      db.categories.insert({ ...req.body, createdAt: new Date().toISOString() })
+    );
+    res.status(201).json(withProductCount(category));
+  });
+
+  // PUT /api/admin/categories/:slug
+  // Reemplaza nombres, padre y posición; el slug no se puede cambiar (lo usan productos y promociones).
+  // El nuevo padre no puede ser la propia categoría ni una de sus subcategorías.
+  const updateCategorySpec = {
+    operationId: 'adminUpdateCategory',
+    summary: 'Rename or move a category',
+    params: slugParams,
+    load: findOrNotFound(req => db.categories.findBySlug(req.params.slug), 'Category not found'),
+    body: categoryUpdateBody,
+    check: (body, req) => {
+      const result = validateCategory({ ...body, slug: req.params.slug });
+      const { parent } = result.value;
+      const rules = {};
+      if (unknownCategory(parent)) rules.parent = 'Unknown category';
+      else if (parent && createTaxonomy(db.categories.all()).descendants(req.params.slug).has(parent)) {
+        rules.parent = 'Cannot be the category itself or one of its subcategories';
+      }
+      return withRules(result, rules);
+    },
+    responses: { 200: { description: 'Category updated', schema: ref('AdminCategory') }, 404: 'Category not found' },
+  };
+  routes.put('/categories/:slug', updateCategorySpec, (req, res) => {
+    const category = db.store.transaction(() =>
+      db.categories.update(req.params.slug, { ...req.body, updatedAt: new Date().toISOString() })
+    );
+    res.json(withProductCount(category));
+  });
+
+  // DELETE /api/admin/categories/:slug => 204
+  // Solo se borran categorías sin subcategorías, productos (ni archivados) ni promociones: 409 si no.
+  const deleteCategorySpec = {
+    operationId: 'adminDeleteCategory',
+    summary: 'Delete an unused category',
+    params: slugParams,
+    responses: {
+      204: { description: 'Category deleted' },
+      404: 'Category not found',
+      409: 'The category still has subcategories, products, promotions or price rules (CATEGORY_IN_USE)',
+    },
+  };
+  routes.delete('/categories/:slug', deleteCategorySpec, (req, res) => {
+    const { slug } = req.params;
+    if (!db.categories.findBySlug(slug)) return notFound(res, 'Category not found');
+    const inUse =
+      db.categories.all().some(c => c.parent === slug) ||
+      db.products.all().some(p => p.category === slug) ||
+      db.promotions.all().some(p => p.category === slug) ||
+      db.priceRules.all().some(r => r.category === slug);
+    if (inUse) return sendError(res, 409, 'CATEGORY_IN_USE', 'Category has subcategories, products, promotions or price rules');
+
+    db.store.transaction(() => db.categories.remove(slug));
+    res.status(204).end();
+  });
+
+  // ========================
+  // Promociones y cupones
+  // ========================
+
+  // GET /api/admin/promotions
+  const promotionsSpec = {
+    operationId: 'adminListPromotions',
+    summary: 'Promotions and coupons',
+    responses: { 200: { description: 'Promotions', schema: ref('PromotionList') } },
+  };
+  routes.get('/promotions', promotionsSpec, (_req, res) => {
+    const items = db.promotions.all();
+    res.json({ items, total: items.length });
+  });
+
+  // Un cupón solo puede pertenecer a una promoción, y la categoría tiene que existir
+  const checkPromotion = ({ id, code, category }) => {
+    const rules = {};
+    if (code !== null && db.promotions.all().some(p => p.code === code && p.id !== id)) {
+      rules.code = 'Code already used by another promotion';
+    }
+    if (unknownCategory(category)) rules.category = 'Unknown category';
+    return rules;
+  };
+
+  // POST /api/admin/promotions
+  const createPromotionSpec = {
+    operationId: 'adminCreatePromotion',
+    summary: 'Create a promotion or coupon',
+    body: promotionBody,
+    check: (body) => {
+      const result = validatePromotion(body);
+      const rules = checkPromotion(result.value);
+      if (db.promotions.findById(result.value.id)) rules.id = 'A promotion with this id already exists';
+      return withRules(result, rules);
+    },
+    responses: { 201: { description: 'Promotion created', schema: ref('Promotion') } },
+  };
+  routes.post('/promotions', createPromotionSpec, (req, res) => {
+    const promotion = db.store.transaction(() =>
+      db.promotions.insert({ ...req.body, usageCount: 0, createdAt: new Date().toISOString() })
+    );
+    res.status(201).json(promotion);
+  });
+
+  // PUT /api/admin/promotions/:id
+  // Reemplaza la regla; el contador de usos se conserva.
+  const updatePromotionSpec = {
+    operationId: 'adminUpdatePromotion',
+    summary: 'Replace a promotion (the usage count is kept)',
+    params: idParams,
+    load: findOrNotFound(req => db.promotions.findById(req.params.id), 'Promotion not found'),
+    body: promotionUpdateBody,
+    check: (body, req) => {
+      const result = validatePromotion({ ...body, id: req.params.id });
+      return withRules(result, checkPromotion(result.value));
+    },
+    responses: { 200: { description: 'Promotion updated', schema: ref('Promotion') }, 404: 'Promotion not found' },
+  };
+  routes.put('/promotions/:id', updatePromotionSpec, (req, res) => {
+    const promotion = db.store.transaction(() =>
+      db.promotions.update(req.params.id, { ...req.body, updatedAt: new Date().toISOString() })
+    );
+    res.json(promotion);
+  });
+
+  // ========================
+  // Ofertas programadas
+  // ========================
+
+  // GET /api/admin/price-rules
+  const priceRulesSpec = {
+    operationId: 'adminListPriceRules',
+    summary: 'Scheduled sale prices',
+    responses: { 200: { description: 'Price rules', schema: ref('PriceRuleList') } },
+  };
+  routes.get('/price-rules', priceRulesSpec, (_req, res) => {
+    const items = db.priceRules.all();
+    res.json({ items, total: items.length });
+  });
+
+  // El producto o la categoría de la oferta tienen que existir, y el precio "antes" no puede superar el precio
+  // normal del producto (inflaría el % de descuento)
+  const checkTarget = (rule) => {
+    const rules = {};
+    const product = rule.productId !== null && db.products.findById(rule.productId);
+    if (rule.productId !== null && !product) rules.productId = 'Unknown product';
+    if (unknownCategory(rule.category)) rules.category = 'Unknown category';
+    if (product && rule.compareAtPrice > product.price) {
+      rules.compareAtPrice = `Must not exceed the regular price of the product (${product.price})`;
+    }
+    return rules;
+  };
+
+  // POST /api/admin/price-rules
+  const createPriceRuleSpec = {
+    operationId: 'adminCreatePriceRule',
+    summary: 'Schedule a sale price for a product or a category',
+    body: priceRuleBody,
+    check: (body) => {
+      const result = validatePriceRule(body);
+      const rules = checkTarget(result.value);
+      if (db.priceRules.findById(result.value.id)) rules.id = 'A price rule with this id already exists';
+      return withRules(result, rules);
+    },
+    responses: { 201: { description: 'Price rule created', schema: ref('PriceRule') } },
+  };
+  routes.post('/price-rules', createPriceRuleSpec, (req, res) => {
+    const rule = db.store.transaction(() => db.priceRules.insert({ ...req.body, createdAt: new Date().toISOString() }));
+    res.status(201).json(rule);
+  });
+
+  // PUT /api/admin/price-rules/:id
+  // Reemplaza la regla (para terminar una oferta antes de tiempo: active: false o un endsAt anterior).
+  // El historial de precios no cambia: registra lo que rigió en cada momento.
+  const updatePriceRuleSpec = {
+    operationId: 'adminUpdatePriceRule',
+    summary: 'Replace a price rule',
+    params: idParams,
+    load: findOrNotFound(req => db.priceRules.findById(req.params.id), 'Price rule not found'),
+    body: priceRuleUpdateBody,
+    check: (body, req) => {
+      const result = validatePriceRule({ ...body, id: req.params.id });
+      return withRules(result, checkTarget(result.value));
+    },
+    responses: { 200: { description: 'Price rule updated', schema: ref('PriceRule') }, 404: 'Price rule not found' },
+  };
+  routes.put('/price-rules/:id', updatePriceRuleSpec, (req, res) => {
+    const rule = db.store.transaction(() =>
+      db.priceRules.update(req.params.id, { ...req.body, updatedAt: new Date().toISOString() })
+    );
+    res.json(rule);
+  });
+
+  // ========================
+  // Reseñas
+  // ========================
+
+  // GET /api/admin/reviews?status=pending&productId=hoodie-01
+  // Reseñas en cualquier estado (o filtradas), de la más antigua a la más reciente (la cola de moderación).
+  const reviewsSpec = {
+    operationId: 'adminListReviews',
+    summary: 'Reviews in any status, oldest first',
+    query: adminReviewQuery,
+    responses: { 200: { description: 'Reviews', schema: ref('AdminReviewList') } },
+  };
+  routes.get('/reviews', reviewsSpec, (req, res) => {
+    const { status, productId } = req.query;
+    const items = db.reviews.all()
+      .filter(r => (!status || r.status === status) && (!productId || r.productId === productId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ items, total: items.length });
+  });
+
+  // PUT /api/admin/reviews/:id
+  // Body: { status: 'approved' | 'rejected' }. Solo las aprobadas se publican y cuentan en la calificación
+  // del producto, que se recalcula en la misma transacción.
+  const moderateReviewSpec = {
+    operationId: 'adminModerateReview',
+    summary: 'Approve or reject a review',
+    params: idParams,
+    body: reviewModerationBody,
+    responses: { 200: { description: 'Review moderated', schema: ref('AdminReview') }, 404: 'Review not found' },
+  };
+  routes.put('/reviews/:id', moderateReviewSpec, (req, res) => {
+    const current = db.reviews.findById(req.params.id);
+    if (!current) return notFound(res, 'Review not found');
+
+    const review = db.store.transaction(() => {
+      const updated = db.reviews.update(req.params.id, { status: req.body.status, moderatedAt: new Date().toISOString() });
+      refreshProductRating(db, updated.productId);
+      return updated;
+    });
+    res.json(review);
+  });
+
+  // ========================
+  // Pedidos
+  // ========================
+
+  // GET /api/admin/orders?status=paid&userId=...
+  // Pedidos en cualquier estado (o filtrados), del más reciente al más antiguo.
+  const ordersSpec = {
+    operationId: 'adminListOrders',
+    summary: 'Orders in any status, newest first',
+    query: adminOrderQuery,
+    responses: { 200: { description: 'Orders', schema: ref('OrderList') } },
+  };
+  routes.get('/orders', ordersSpec, (req, res) => {
+    const { status, userId } = req.query;
+    const items = db.orders.all()
+      .filter(o => (!status || o.status === status) && (!userId || o.userId === userId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ items, total: items.length });
+  });
+
+  // POST /api/admin/orders/:id/refund
+  // Pide a la pasarela el reembolso de un pedido pagado. El pedido pasa a 'refunded' cuando la pasarela lo
+  // confirma por webhook; mientras tanto responde 202 con payment.refundRequestedAt (también si ya se había pedido).
+  // Respuestas: 409 ORDER_NOT_PAID si el pedido no está pagado; 502 PAYMENT_UNAVAILABLE si la pasarela no lo aceptó.
+  const refundSpec = {
+    operationId: 'adminRefundOrder',
+    summary: 'Refund a paid order',
+    description: 'The order becomes refunded when the gateway confirms it through the webhook.',
+    params: idParams,
+    responses: {
+      202: { description: 'Refund requested', schema: ref('Order') },
+      404: 'Order not found',
+      409: 'The order is not paid (ORDER_NOT_PAID)',
+      502: 'The payment gateway rejected the refund (PAYMENT_UNAVAILABLE)',
+    },
+  };
+  routes.post('/orders/:id/refund', refundSpec, async (req, res) => {
+    const order = db.orders.findById(req.params.id);
+    if (!order) return notFound(res, 'Order not found');
+    if (order.status !== 'paid') return sendError(res, 409, 'ORDER_NOT_PAID', `The order is ${order.status}`, { status: order.status });
+    if (order.payment?.refundRequestedAt) return res.status(202).json(order);
+    try {
+      res.status(202).json(await requestRefund(db, paymentGateway, order));
+    } catch (err) {
+      console.error(`No se pudo reembolsar el pedido ${order.id}:`, err);
+      sendError(res, 502, 'PAYMENT_UNAVAILABLE', 'The payment gateway rejected the refund');
+    }
+  });
+
+  // ========================
+  // Tipos de cambio
+  // ========================
+
+  // GET /api/admin/exchange-rates
+  // => { base: 'MXN', items: [{ currency, rate, updatedAt }] } (rate = valor de 1 unidad en moneda base)
+  const ratesSpec = {
+    operationId: 'adminListExchangeRates',
+    summary: 'Exchange rates (value of 1 unit in the base currency)',
+    responses: { 200: { description: 'Exchange rates', schema: ref('ExchangeRates') } },
+  };
+  routes.get('/exchange-rates', ratesSpec, (_req, res) => {
+    res.json({ base: BASE_CURRENCY, items: db.exchangeRates.all() });
+  });
+
+  // PUT /api/admin/exchange-rates/:currency
+  // Body: { rate: number } => actualiza el tipo de cambio. Los pedidos ya creados conservan el suyo.
+  const updateRateSpec = {
+    operationId: 'adminUpdateExchangeRate',
+    summary: 'Update an exchange rate (existing orders keep theirs)',
+    params: currencyParams,
+    body: exchangeRateBody,
+    responses: { 200: { description: 'Exchange rate updated', schema: ref('ExchangeRate') }, 404: 'Currency not found' },
+  };
+  routes.put('/exchange-rates/:currency', updateRateSpec, (req, res) => {
+    const currency = req.params.currency.toUpperCase();
+    if (currency === BASE_CURRENCY || !SUPPORTED_CURRENCIES.includes(currency)) return notFound(res, 'Currency not found');
+    const row = db.store.transaction(() => db.exchangeRates.set(currency, req.body.rate));
+    res.json(row);
+  });
+
+  return router;
+}
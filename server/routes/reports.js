@@ -0,0 +1,58 @@
+// server/routes/reports.js
+// Reportes del back-office (ver analytics.js): búsquedas sin resultados, embudo por producto,
+// ventas por categoría y stock bajo. Requieren `Authorization: Bearer <ADMIN_TOKEN>`.
+// ?days=N limita los reportes de eventos y ventas a los últimos N días (30 por defecto).
+
+import { Router } from 'express';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+import { lowStock, productFunnel, revenueByCategory, zeroResultSearches } from '../analytics.js';
+import { lowStockQuery, ref, reportQuery, revenueReportQuery } from '../schemas.js';
+
+export function createReportsRouter(db, api) {
+  const router = Router();
+  router.use(requireAdmin);
+  const routes = api.routes(router, { prefix: '/api/admin/reports', tags: ['admin'], security: 'admin' });
+
+  // GET /api/admin/reports/searches?days=30&limit=20
+  // Búsquedas que no encontraron productos, de la más repetida a la menos
+  const searchesSpec = {
+    operationId: 'adminZeroResultSearches',
+    summary: 'Most repeated searches without results',
+    query: reportQuery,
+    responses: { 200: { description: 'Searches without results', schema: ref('ZeroResultSearches') } },
+  };
+  routes.get('/searches', searchesSpec, (req, res) => res.json(zeroResultSearches(db, req.query)));
+
+  // GET /api/admin/reports/products?days=30&limit=20
+  // Impresiones, agregados al carrito, checkouts y unidades vendidas de los productos más vistos
+  const productsSpec = {
+    operationId: 'adminProductFunnel',
+    summary: 'Impressions, add-to-cart rate, checkouts and units sold per product',
+    query: reportQuery,
+    responses: { 200: { description: 'Products, most viewed first', schema: ref('ProductFunnel') } },
+  };
+  routes.get('/products', productsSpec, (req, res) => res.json(productFunnel(db, req.query)));
+
+  // GET /api/admin/reports/revenue?days=30
+  // Ventas de los pedidos pagados por categoría, en la moneda base
+  const revenueSpec = {
+    operationId: 'adminRevenueByCategory',
+    summary: 'Revenue of paid orders per category',
+    description: 'In the base currency, net of order discounts, without shipping and taxes.',
+    query: revenueReportQuery,
+    responses: { 200: { description: 'Categories, best selling first', schema: ref('CategoryRevenue') } },
+  };
+  routes.get('/revenue', revenueSpec, (req, res) => res.json(revenueByCategory(db, req.query)));
+
+  // GET /api/admin/reports/low-stock?threshold=5
+  // Variantes a la venta con pocas unidades (o ninguna), las más urgentes primero
+  const lowStockSpec = {
+    operationId: 'adminLowStock',
+    summary: 'Variants on sale whose stock is at or below the threshold',
+    query: lowStockQuery,
+    responses: { 200: { description: 'Variants, lowest stock first', schema: ref('LowStock') } },
+  };
+  routes.get('/low-stock', lowStockSpec, (req, res) => res.json(lowStock(db, req.query)));
+
+  return router;
+}
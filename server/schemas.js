@@ -0,0 +1,674 @@
+// server/schemas.js
+// Esquemas de la API (JSON Schema, ver validation/schema.js).
+// - Los de entrada (query, params y bodies) validan cada petición y se publican en /api/openapi.json
+// - Los de `components` solo documentan las respuestas (para generar SDKs de otros clientes)
+// Los esquemas de entrada cubren tipos, obligatorios y límites; las reglas que dependen de otros campos
+// o de los datos guardados (talles de las variantes, cupón repetido, stock...) siguen en cada validador/servicio.
+
+import { EVENT_TYPES, LOW_STOCK_THRESHOLD } from './analytics.js';
+import { MAX_PAGE_SIZE } from './catalog.js';
+import { TRANSFER_FORMATS } from './catalogTransfer.js';
+import { SUPPORTED_CURRENCIES } from './currency.js';
+import { ERROR_CODES } from './errors.js';
+import { SUPPORTED_LANGUAGES } from './localization.js';
+import { ORDER_STATUSES } from './payments.js';
+import { LOWEST_PRICE_DAYS } from './pricing.js';
+import { PROMOTION_TYPES } from './promotions.js';
+import { DEFAULT_RECOMMENDATIONS, MAX_RECOMMENDATIONS } from './recommendations.js';
+import { REVIEW_STATUSES } from './reviews.js';
+
+// Referencia a un esquema de components (solo en respuestas: el validador no resuelve $ref)
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const object = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length && { required }),
+  ...extra,
+});
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+// Query string: no admite parámetros desconocidos
+const query = (properties) => object(properties, [], { additionalProperties: false });
+// Body sin la clave del recurso como obligatoria (en las ediciones llega en la ruta)
+const withoutKey = (schema, key = 'id') => ({ ...schema, required: schema.required.filter(field => field !== key) });
+
+const string = { type: 'string' };
+const requiredString = { type: 'string', minLength: 1 };
+const nullableString = { type: ['string', 'null'] };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const currency = { type: 'string', enum: SUPPORTED_CURRENCIES };
+
+// ========================
+// Parámetros
+// ========================
+export const idParams = object({ id: requiredString }, ['id']);
+
+// ?lang y ?currency de las rutas de la tienda (ver middleware/locale.js)
+const localeParams = {
+  lang: { type: 'string', enum: SUPPORTED_LANGUAGES, description: 'Language of texts and labels (default: Accept-Language)' },
+  currency: { ...currency, description: 'Currency of every amount in the response (default: MXN)' },
+};
+export const localeQuery = query(localeParams);
+
+// Filtros del catálogo (ver queryProducts en catalog.js): los usan el listado de la tienda y la exportación
+const productFilterParams = {
+  category: { type: 'string', description: 'Category slug; includes its subcategories' },
+  q: { type: 'string', description: 'Text search (accent-insensitive, typo-tolerant)' },
+  color: string,
+  size: string,
+  minPrice: { type: 'number', minimum: 0, description: 'In the requested currency' },
+  maxPrice: { type: 'number', minimum: 0, description: 'In the requested currency' },
+  sort: {
+    type: 'string',
+    enum: ['price_asc', 'price_desc', 'title_asc', 'rating_desc'],
+    description: 'Without sort, results with q are ranked by relevance; rating_desc puts the best rated first',
+  },
+};
+
+export const productListQuery = query({
+  ...localeParams,
+  ...productFilterParams,
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 12 },
+});
+
+export const suggestionsQuery = query({
+  ...localeParams,
+  q: { type: 'string', default: '' },
+  limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
+});
+
+// Recomendaciones (ver recommendations.js)
+const recommendationLimit = { type: 'integer', minimum: 1, maximum: MAX_RECOMMENDATIONS, default: DEFAULT_RECOMMENDATIONS };
+export const recommendationQuery = query({ ...localeParams, limit: recommendationLimit });
+export const cartRecommendationQuery = query({
+  ...localeParams,
+  productIds: { type: 'string', minLength: 1, description: 'Comma-separated ids of the products in the cart' },
+  limit: recommendationLimit,
+});
+
+// ========================
+// Reseñas
+// ========================
+export const reviewListQuery = query({
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+});
+
+export const reviewBody = object(
+  {
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    title: { type: 'string', maxLength: 80 },
+    text: { type: 'string', minLength: 10, maxLength: 2000 },
+    authorName: { type: 'string', maxLength: 60, description: 'Required for guests; customers sign with their account name' },
+    orderId: { ...requiredString, description: 'Paid (or refunded) order that includes the product (marks the review as a verified purchase)' },
+  },
+  ['rating', 'text']
+);
+
+export const stockAlertBody = object(
+  {
+    sku: { ...requiredString, description: 'Sold-out variant to watch' },
+    email: { type: 'string', description: 'Required for guests; defaults to the account email' },
+  },
+  ['sku']
+);
+
+// ========================
+// Carrito, cotización y pedidos
+// ========================
+// La cantidad solo se exige numérica: las cantidades inválidas se informan por línea (INVALID_QUANTITY)
+const cartLine = object({ sku: requiredString, qty: number }, ['sku', 'qty']);
+
+export const cartBody = object({ items: arrayOf(cartLine) }, ['items']);
+
+const destination = object(
+  { country: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'ISO 3166 alpha-2 code' }, postalCode: string },
+  ['country'],
+  { type: ['object', 'null'], description: 'Shipping destination; null means store pickup only' }
+);
+
+export const quoteBody = object(
+  { items: arrayOf(cartLine), couponCode: string, destination, shippingMethod: string },
+  ['items']
+);
+
+export const couponBody = object({ ...quoteBody.properties, code: requiredString }, ['code', 'items']);
+
+export const addressBody = object(
+  {
+    fullName: requiredString,
+    line1: requiredString,
+    line2: string,
+    city: requiredString,
+    state: requiredString,
+    postalCode: requiredString,
+    country: { type: 'string', description: 'ISO 3166 alpha-2 code (default: MX)' },
+    phone: string,
+    isDefault: boolean,
+  },
+  ['fullName', 'line1', 'city', 'state', 'postalCode']
+);
+
+export const orderBody = object(
+  {
+    items: arrayOf(
+      object({ ...cartLine.properties, price: { ...number, description: 'Unit price seen by the customer, in the requested currency' } }, ['sku', 'qty']),
+      { minItems: 1 }
+    ),
+    couponCode: string,
+    shippingMethod: string,
+    shippingAddressId: { ...requiredString, description: 'Saved address of the authenticated customer' },
+    shippingAddress: { ...addressBody, description: 'Address typed at checkout (guests)' },
+  },
+  ['items']
+);
+
+export const gatewayParams = object({ gateway: { ...requiredString, description: 'Payment gateway name (PAYMENT_GATEWAY)' } }, ['gateway']);
+
+// ========================
+// Cuentas
+// ========================
+export const registrationBody = object(
+  { name: requiredString, email: requiredString, password: { type: 'string', minLength: 8 } },
+  ['name', 'email', 'password']
+);
+
+export const loginBody = object({ email: string, password: string }, ['email', 'password']);
+
+export const favoritesBody = object({ items: arrayOf(requiredString, { maxItems: 200, description: 'Product ids' }) }, ['items']);
+
+// ========================
+// Back-office
+// ========================
+const variantInput = object({
+  sku: { type: 'string', description: 'Default: ID-COLOR-SIZE' },
+  color: string,
+  size: string,
+  stock: { type: 'integer', minimum: 0 },
+  price: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Overrides the product price' },
+});
+
+export const productBody = object(
+  {
+    id: { ...requiredString, description: 'Lowercase letters, numbers and dashes' },
+    title: { ...requiredString, maxLength: 120 },
+    description: string,
+    translations: object({}, [], {
+      additionalProperties: object({ title: { ...nullableString, maxLength: 120 }, description: nullableString }),
+      description: 'Texts in other languages, e.g. { en: { title, description } }',
+    }),
+    price: positive,
+    currency,
+    weight: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'In kg, used to quote shipping' },
+    images: arrayOf(requiredString),
+    category: requiredString,
+    colors: arrayOf(requiredString, { minItems: 1 }),
+    sizes: arrayOf(requiredString, { minItems: 1 }),
+    variants: arrayOf(variantInput, { description: 'Default: every color/size combination with stock 0' }),
+    featured: boolean,
+  },
+  ['id', 'title', 'price', 'category', 'colors', 'sizes']
+);
+export const productUpdateBody = withoutKey(productBody);
+// Archivo JSON de la importación/exportación del catálogo (ver catalogTransfer.js)
+export const productFile = arrayOf(productBody);
+
+export const restockBody = object({ sku: requiredString, qty: { type: 'integer', minimum: 1 } }, ['sku', 'qty']);
+
+export const imageParams = object({ id: requiredString, imageId: requiredString }, ['id', 'imageId']);
+
+export const promotionBody = object(
+  {
+    id: { ...requiredString, description: 'Lowercase letters, numbers and dashes' },
+    name: requiredString,
+    code: { ...nullableString, description: 'Coupon code; null for automatic promotions' },
+    type: { type: 'string', enum: PROMOTION_TYPES },
+    value: { ...positive, description: 'Percentage (up to 100) or fixed amount in MXN' },
+    buyQty: { type: 'integer', minimum: 1 },
+    getQty: { type: 'integer', minimum: 1 },
+    category: nullableString,
+    minSubtotal: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    startsAt: { ...dateTime, type: ['string', 'null'] },
+    endsAt: { ...dateTime, type: ['string', 'null'] },
+    usageLimit: { type: ['integer', 'null'], minimum: 1 },
+    active: boolean,
+  },
+  ['id', 'name', 'type']
+);
+export const promotionUpdateBody = withoutKey(promotionBody);
+
+// Ofertas programadas (ver pricing.js)
+export const priceRuleBody = object(
+  {
+    id: { ...requiredString, description: 'Lowercase letters, numbers and dashes' },
+    name: requiredString,
+    productId: { ...nullableString, description: 'Product on sale; set productId or category' },
+    category: { ...nullableString, description: 'Category on sale, including its subcategories' },
+    percentOff: { type: ['integer', 'null'], minimum: 1, maximum: 99, description: 'Set percentOff or salePrice' },
+    salePrice: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Fixed sale price in the product currency (product rules only)' },
+    compareAtPrice: {
+      type: ['number', 'null'],
+      exclusiveMinimum: 0,
+      description: 'Struck-through original price (product rules only), up to the regular price; default: the regular price',
+    },
+    startsAt: dateTime,
+    endsAt: dateTime,
+    active: boolean,
+  },
+  ['id', 'name', 'startsAt', 'endsAt']
+);
+export const priceRuleUpdateBody = withoutKey(priceRuleBody);
+export const priceHistoryQuery = query({
+  days: { type: 'integer', minimum: 1, maximum: 365, default: LOWEST_PRICE_DAYS, description: 'Period of lowestPrice' },
+});
+
+export const slugParams = object({ slug: requiredString }, ['slug']);
+
+export const categoryBody = object(
+  {
+    slug: { ...requiredString, description: 'Lowercase letters, numbers and dashes; used in product.category and ?category' },
+    parent: { ...nullableString, description: 'Slug of the parent category; null for a root category' },
+    names: object(
+      Object.fromEntries(SUPPORTED_LANGUAGES.map(lang => [lang, { ...nullableString, maxLength: 60 }])),
+      [],
+      { description: 'Display name per language (the Spanish one is required)' }
+    ),
+    position: { type: 'integer', minimum: 0, description: 'Order among sibling categories' },
+  },
+  ['slug', 'names']
+);
+export const categoryUpdateBody = withoutKey(categoryBody, 'slug');
+
+export const adminReviewQuery = query({
+  status: { type: 'string', enum: REVIEW_STATUSES },
+  productId: string,
+});
+
+export const reviewModerationBody = object(
+  { status: { type: 'string', enum: REVIEW_STATUSES.filter(status => status !== 'pending') } },
+  ['status']
+);
+
+// Exportación del catálogo: los filtros de la tienda sin paginar (precios en la moneda base)
+export const productExportQuery = query({
+  format: { type: 'string', enum: TRANSFER_FORMATS, default: 'csv' },
+  ...productFilterParams,
+  minPrice: { type: 'number', minimum: 0, description: 'In the base currency (MXN)' },
+  maxPrice: { type: 'number', minimum: 0, description: 'In the base currency (MXN)' },
+  includeArchived: { type: 'boolean', default: false },
+});
+
+export const productImportQuery = query({
+  dryRun: { type: 'boolean', default: false, description: 'Only validate and report what would change' },
+});
+
+export const adminOrderQuery = query({
+  status: { type: 'string', enum: ORDER_STATUSES },
+  userId: string,
+});
+
+// Eventos de analítica (ver analytics.js). Las reglas de cada tipo (qué campos usa, que el producto exista...)
+// las aplica el servicio: los eventos que no las cumplen se descartan.
+const analyticsEvent = object(
+  {
+    type: { type: 'string', enum: EVENT_TYPES },
+    q: { type: 'string', maxLength: 200, description: 'search' },
+    productId: { ...string, description: 'impression, add_to_cart' },
+    sku: { ...string, description: 'add_to_cart' },
+    qty: { type: 'integer', minimum: 1, maximum: 999, description: 'add_to_cart (default 1)' },
+    productIds: arrayOf(string, { maxItems: 100, description: 'checkout' }),
+  },
+  ['type']
+);
+export const eventsBody = object({ events: arrayOf(analyticsEvent, { minItems: 1, maxItems: 50 }) }, ['events']);
+
+// Reportes del back-office
+const reportDays = { type: 'integer', minimum: 1, maximum: 365, default: 30, description: 'Last N days' };
+export const reportQuery = query({ days: reportDays, limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 } });
+export const revenueReportQuery = query({ days: reportDays });
+export const lowStockQuery = query({
+  threshold: { type: 'integer', minimum: 0, default: LOW_STOCK_THRESHOLD, description: 'Highest stock included' },
+});
+
+export const currencyParams = object({ currency: { type: 'string', pattern: '^[A-Za-z]{3}$' } }, ['currency']);
+
+export const exchangeRateBody = object({ rate: { ...positive, description: 'Value of 1 unit in MXN' } }, ['rate']);
+
+// ========================
+// Respuestas (components)
+// ========================
+const variant = object(
+  { sku: string, color: string, size: string, stock: integer, price: number, compareAtPrice: { ...number, description: 'Only on sale' } },
+  ['sku', 'color', 'size', 'stock']
+);
+
+const money = { ...number, description: 'In the response currency' };
+
+const discount = object({ promotionId: string, name: string, code: nullableString, amount: money });
+const tax = object({ id: string, name: string, rate: number, base: money, amount: money });
+const shippingOption = object({
+  id: string,
+  label: string,
+  amount: money,
+  estimatedDays: arrayOf(integer, { minItems: 2, maxItems: 2 }),
+  freeOver: money,
+});
+const facet = arrayOf(object({ value: string, count: integer }));
+
+export const components = {
+  Error: object(
+    {
+      code: { type: 'string', enum: Object.keys(ERROR_CODES), description: Object.entries(ERROR_CODES).map(([code, text]) => `${code}: ${text}`).join('\n') },
+      message: string,
+      errors: {
+        description: 'Field errors keyed by path (VALIDATION_FAILED, INVALID_REQUEST) or rejected lines (ORDER_REJECTED)',
+        oneOf: [object({}, [], { additionalProperties: string }), arrayOf(ref('OrderLineError'))],
+      },
+      coupon: object({ code: string, reason: string, message: string }, [], { description: 'COUPON_REJECTED' }),
+      shipping: object({ method: string, message: string }, [], { description: 'SHIPPING_UNAVAILABLE' }),
+    },
+    ['code', 'message']
+  ),
+  OrderLineError: object(
+    {
+      sku: string,
+      productId: string,
+      code: { type: 'string', enum: ['NOT_FOUND', 'INVALID_QUANTITY', 'OUT_OF_STOCK', 'INSUFFICIENT_STOCK', 'PRICE_CHANGED'] },
+      message: string,
+      available: integer,
+      currentPrice: money,
+    },
+    ['sku', 'code', 'message']
+  ),
+  Product: object(
+    {
+      id: string,
+      title: string,
+      description: string,
+      translations: { type: 'object', description: 'Back-office only' },
+      price: { ...money, description: 'In the response currency; the sale price while a price rule is active' },
+      compareAtPrice: { ...money, description: 'Only on sale: original price to show struck through' },
+      sale: object(
+        { ruleId: string, percentOff: integer, endsAt: dateTime },
+        [],
+        { description: 'Only on sale: the active price rule, its discount and when it ends' }
+      ),
+      currency,
+      weight: { type: ['number', 'null'] },
+      images: arrayOf(string, { description: 'Uploaded images are served under /images/<id>/<width>.<avif|webp>' }),
+      category: string,
+      colors: arrayOf(string),
+      sizes: arrayOf(string),
+      variants: arrayOf(variant),
+      stock: { ...integer, description: 'Sum of the variants stock' },
+      featured: boolean,
+      archived: boolean,
+      rating: object(
+        { average: { type: ['number', 'null'] }, count: integer },
+        [],
+        { description: 'Average stars (1-5, null without reviews) and number of approved reviews' }
+      ),
+      score: { ...number, description: 'Search relevance (only with q)' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    ['id', 'title', 'price', 'currency', 'category', 'variants', 'stock']
+  ),
+  ProductPage: object({
+    items: arrayOf(ref('Product')),
+    total: integer,
+    page: integer,
+    limit: integer,
+    pages: integer,
+    facets: object({ category: facet, color: facet, size: facet }),
+    price: object({ min: { type: ['number', 'null'] }, max: { type: ['number', 'null'] } }),
+    currency,
+  }),
+  ProductUpdate: object(
+    {
+      id: string,
+      archived: boolean,
+      price: money,
+      compareAtPrice: { ...money, type: ['number', 'null'], description: 'Original price while on sale; null otherwise' },
+      currency,
+      stock: integer,
+      variants: arrayOf(object({ sku: string, stock: integer, price: number, compareAtPrice: number })),
+    },
+    ['id'],
+    { description: 'Data of each `product` event of the stream' }
+  ),
+  Recommendation: {
+    allOf: [
+      ref('Product'),
+      object({
+        reason: {
+          type: 'string',
+          enum: ['bought_together', 'similar', 'featured'],
+          description: 'bought_together: in paid orders with the product; similar: same category, colors, price or text; featured: fallback',
+        },
+      }, ['reason']),
+    ],
+  },
+  RecommendationList: object({ items: arrayOf(ref('Recommendation')) }),
+  Suggestions: object({ products: arrayOf(object({ id: string, title: string })), terms: arrayOf(string) }),
+  Quote: object({
+    currency,
+    subtotal: money,
+    discounts: arrayOf(discount),
+    discountTotal: money,
+    coupon: object({ code: string, valid: boolean, reason: string, message: string }, [], { type: ['object', 'null'] }),
+    shipping: object({ zone: nullableString, options: arrayOf(shippingOption), selected: string, amount: money }),
+    taxes: arrayOf(tax),
+    taxTotal: money,
+    total: money,
+  }),
+  Order: object({
+    id: string,
+    userId: string,
+    status: { type: 'string', enum: ORDER_STATUSES, description: 'pending → paid → refunded, or pending → failed' },
+    payment: object(
+      {
+        gateway: string,
+        intentId: string,
+        redirectUrl: { ...string, description: 'Gateway page where the customer pays (while pending)' },
+        failureReason: { ...nullableString, description: 'declined (or a gateway reason), expired or gateway_error' },
+        paidAt: dateTime,
+        failedAt: dateTime,
+        refundRequestedAt: dateTime,
+        refundedAt: dateTime,
+      },
+      [],
+      { type: ['object', 'null'] }
+    ),
+    currency,
+    exchangeRate: { ...number, description: 'Value of 1 unit of the order currency in MXN' },
+    items: arrayOf(object({
+      sku: string,
+      productId: string,
+      title: string,
+      color: string,
+      size: string,
+      unitPrice: money,
+      qty: integer,
+      lineTotal: money,
+    })),
+    itemCount: integer,
+    subtotal: money,
+    discounts: arrayOf(discount),
+    discountTotal: money,
+    couponCode: string,
+    shipping: object({ method: string, label: string, amount: money, estimatedDays: arrayOf(integer) }),
+    shippingAddress: ref('Address'),
+    taxes: arrayOf(tax),
+    taxTotal: money,
+    total: money,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  OrderList: object({ items: arrayOf(ref('Order')), total: integer }),
+  User: object({ id: string, name: string, email: string, createdAt: dateTime }),
+  Session: object({ user: ref('User'), token: string }),
+  Address: object({
+    id: string,
+    fullName: string,
+    line1: string,
+    line2: string,
+    city: string,
+    state: string,
+    postalCode: string,
+    country: string,
+    phone: string,
+    isDefault: boolean,
+  }),
+  AddressList: object({ items: arrayOf(ref('Address')) }),
+  Cart: object({ items: arrayOf(object({ sku: string, qty: integer, productId: string })) }),
+  Favorites: object({ items: arrayOf(string, { description: 'Product ids' }) }),
+  StockAlert: object({
+    id: string,
+    productId: string,
+    sku: string,
+    email: string,
+    createdAt: dateTime,
+    notifiedAt: { ...dateTime, type: ['string', 'null'], description: 'When the back-in-stock message was queued' },
+  }),
+  Category: object(
+    {
+      slug: string,
+      name: { ...string, description: 'In the requested language' },
+      parent: nullableString,
+      path: arrayOf(string, { description: 'Slugs from the root to this category' }),
+      count: { ...integer, description: 'Visible products in the category and its descendants' },
+      children: arrayOf(ref('Category')),
+    },
+    ['slug', 'name', 'parent', 'path', 'count', 'children']
+  ),
+  CategoryTree: object({ items: arrayOf(ref('Category')) }),
+  AdminCategory: object({
+    ...categoryBody.properties,
+    productCount: { ...integer, description: 'Products assigned directly to the category (including archived ones)' },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  AdminCategoryList: object({ items: arrayOf(ref('AdminCategory')), total: integer }),
+  Review: object(
+    {
+      id: string,
+      authorName: string,
+      rating: integer,
+      title: string,
+      text: string,
+      verifiedPurchase: boolean,
+      createdAt: dateTime,
+    },
+    ['id', 'authorName', 'rating', 'text', 'verifiedPurchase', 'createdAt']
+  ),
+  ReviewPage: object({
+    items: arrayOf(ref('Review')),
+    total: integer,
+    page: integer,
+    limit: integer,
+    pages: integer,
+    rating: object({ average: { type: ['number', 'null'] }, count: integer }),
+    distribution: object({}, [], { additionalProperties: integer, description: 'Approved reviews per star: { 1: n, ..., 5: n }' }),
+  }),
+  AdminReview: object({
+    id: string,
+    productId: string,
+    userId: nullableString,
+    orderId: nullableString,
+    authorName: string,
+    rating: integer,
+    title: string,
+    text: string,
+    verifiedPurchase: boolean,
+    status: { type: 'string', enum: REVIEW_STATUSES },
+    createdAt: dateTime,
+    moderatedAt: { ...dateTime, type: ['string', 'null'] },
+  }),
+  AdminReviewList: object({ items: arrayOf(ref('AdminReview')), total: integer }),
+  ProductList: object({ items: arrayOf(ref('Product')), total: integer }),
+  ProductImportReport: object({
+    dryRun: boolean,
+    total: { ...integer, description: 'Rows in the file' },
+    created: arrayOf(string, { description: 'Ids of the new products' }),
+    updated: arrayOf(string, { description: 'Ids of the existing products that were updated' }),
+    errors: arrayOf(
+      object({
+        row: { ...integer, description: 'CSV: line of the file (the header is 1). JSON: position in the list, from 1' },
+        id: nullableString,
+        errors: object({}, [], { additionalProperties: string }),
+      }),
+      { description: 'Invalid rows; when there is any, nothing is imported' }
+    ),
+  }),
+  Promotion: object({
+    ...promotionBody.properties,
+    usageCount: integer,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  PromotionList: object({ items: arrayOf(ref('Promotion')), total: integer }),
+  PriceRule: object({
+    ...priceRuleBody.properties,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  PriceRuleList: object({ items: arrayOf(ref('PriceRule')), total: integer }),
+  PriceHistory: object({
+    productId: string,
+    items: arrayOf(
+      object({
+        price: { ...number, description: 'Price in effect, in the product currency' },
+        compareAtPrice: { type: ['number', 'null'] },
+        currency,
+        ruleId: { ...nullableString, description: 'Price rule that set the price; null for the regular price' },
+        at: dateTime,
+      }),
+      { description: 'Every change of the price in effect, newest first' }
+    ),
+    lowestPrice: object({ days: integer, price: { type: ['number', 'null'] }, currency: nullableString }, [], {
+      description: 'Lowest price in effect during the `days` days before the current sale (or the last `days` days), in the current currency of the product',
+    }),
+  }),
+  PaymentWebhookResult: object({
+    received: boolean,
+    duplicate: { ...boolean, description: 'The event had already been received (it is not applied again)' },
+    applied: { ...boolean, description: 'The event changed the order status' },
+  }),
+  EventsReceipt: object({
+    received: integer,
+    accepted: { ...integer, description: 'Stored events; the rest broke the rules of their type and were dropped' },
+  }),
+  ZeroResultSearches: object({
+    searches: { ...integer, description: 'Every search in the period' },
+    zeroResults: { ...integer, description: 'Searches without results' },
+    items: arrayOf(object({ query: string, count: integer, lastSearchedAt: dateTime })),
+  }),
+  ProductFunnel: object({
+    items: arrayOf(
+      object({
+        productId: string,
+        title: string,
+        impressions: integer,
+        addToCarts: integer,
+        checkouts: integer,
+        unitsSold: { ...integer, description: 'Units in paid orders' },
+        addToCartRate: { type: ['number', 'null'], description: 'addToCarts / impressions' },
+      })
+    ),
+  }),
+  CategoryRevenue: object({
+    revenue: { ...number, description: 'In the base currency, net of order discounts, without shipping and taxes' },
+    items: arrayOf(object({ category: nullableString, name: nullableString, orders: integer, units: integer, revenue: number })),
+  }),
+  LowStock: object({
+    items: arrayOf(object({ productId: string, title: string, sku: string, color: string, size: string, stock: integer })),
+  }),
+  ExchangeRate: object({ currency, rate: number, updatedAt: dateTime }),
+  ExchangeRates: object({ base: currency, items: arrayOf(ref('ExchangeRate')) }),
+};
@@ -0,0 +1,101 @@
+// server/scripts/catalog.js
+// CLI de importación/exportación del catálogo (formatos y reglas en catalogTransfer.js).
+// Uso:
+//   npm run catalog:export -- [archivo.csv|archivo.json] [--format csv|json] [--category ropa] [--q texto]
+//                             [--color negro] [--size M] [--min-price 100] [--max-price 500] [--sort price_asc]
+//                             [--include-archived]
+//       => sin archivo escribe en la salida estándar; sin --format lo deduce de la extensión (por defecto csv)
+//   npm run catalog:import -- archivo.csv|archivo.json [--dry-run]
+//       => crea o actualiza productos por id; con --dry-run solo muestra qué cambiaría y los errores por fila
+//
+// Trabaja directo sobre el archivo de datos (DATA_FILE): usarlo con el servidor apagado, porque el servidor
+// guarda su copia en memoria y la próxima escritura pisaría los cambios. Con el servidor en marcha, usar
+// los endpoints /api/admin/products/import y /api/admin/products/export.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { DATA_FILE, openDatabase } from '../db/index.js';
+import { exportProducts, importProducts, readCsv, readJson, toCsv, toJson } from '../catalogTransfer.js';
+import { productExportQuery } from '../schemas.js';
+import { validateSchema } from '../validation/schema.js';
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string' },
+    category: { type: 'string' },
+    q: { type: 'string' },
+    color: { type: 'string' },
+    size: { type: 'string' },
+    'min-price': { type: 'string' },
+    'max-price': { type: 'string' },
+    sort: { type: 'string' },
+    'include-archived': { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+  },
+});
+const [command, file] = positionals;
+// Formato pedido o, si no, el de la extensión del archivo
+const formatOf = (file) => values.format ?? (path.extname(file ?? '').toLowerCase() === '.json' ? 'json' : 'csv');
+
+const db = openDatabase(DATA_FILE);
+
+if (command === 'export') {
+  // Los filtros se validan con el mismo esquema que el endpoint
+  const { value, errors } = validateSchema(
+    productExportQuery,
+    Object.fromEntries(
+      Object.entries({
+        format: formatOf(file),
+        category: values.category,
+        q: values.q,
+        color: values.color,
+        size: values.size,
+        minPrice: values['min-price'],
+        maxPrice: values['max-price'],
+        sort: values.sort,
+        includeArchived: values['include-archived'],
+      }).filter(([, option]) => option !== undefined)
+    ),
+    { coerce: true, root: 'options', unknown: 'Unknown option' }
+  );
+  if (errors) fail(Object.entries(errors).map(([key, message]) => `${key}: ${message}`).join('\n'));
+
+  const { format, includeArchived, ...filters } = value;
+  const products = exportProducts(db, filters, { includeArchived });
+  const content = format === 'csv' ? toCsv(products) : toJson(products);
+  if (file) {
+    fs.writeFileSync(file, content);
+    console.log(`✔ ${products.length} productos exportados a ${file}`);
+  } else {
+    process.stdout.write(content);
+  }
+} else if (command === 'import') {
+  if (!file) fail('Indica el archivo a importar: npm run catalog:import -- productos.csv');
+  if (!fs.existsSync(file)) fail(`No existe el archivo ${file}`);
+
+  let records;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    records = formatOf(file) === 'csv' ? readCsv(text) : readJson(JSON.parse(text));
+  } catch (err) {
+    fail(`No se pudo leer ${file}: ${err.message}`);
+  }
+
+  const report = importProducts(db, records, { dryRun: Boolean(values['dry-run']) });
+  for (const { row, id, errors } of report.errors) {
+    console.error(`✘ fila ${row}${id ? ` (${id})` : ''}`);
+    for (const [field, message] of Object.entries(errors)) console.error(`    ${field}: ${message}`);
+  }
+  const summary = `${report.created.length} nuevos, ${report.updated.length} actualizados (${report.total} filas)`;
+  if (report.errors.length) fail(`${report.errors.length} filas con errores: no se importó nada.`);
+  console.log(report.dryRun ? `Prueba sin cambios: se importarían ${summary}.` : `✔ Importados ${summary}.`);
+} else {
+  fail('Uso: node server/scripts/catalog.js export [archivo] [filtros] | import <archivo> [--dry-run]');
+}
@@ -0,0 +1,36 @@
+// server/scripts/migrate.js
+// CLI de la capa de datos.
+// Uso:
+//   npm run db:migrate   => aplica las migraciones pendientes (la primera carga el catálogo inicial)
+//   npm run db:reset     => borra el archivo de datos, los eventos de analítica y las imágenes procesadas, y vuelve
+//                           a crear los datos desde cero
+// El servidor también migra al arrancar; este script sirve para preparar datos sin levantarlo.
+
+import fs from 'node:fs';
+import { DATA_FILE, openDatabase } from '../db/index.js';
+import { eventLogFile } from '../db/eventLog.js';
+import { IMAGES_DIR } from '../images.js';
+
+if (process.argv.includes('--reset') && fs.existsSync(DATA_FILE)) {
+  fs.rmSync(DATA_FILE);
+  console.log(`Datos eliminados: ${DATA_FILE}`);
+}
+// Los eventos van en su propio archivo (ver db/eventLog.js): sin esto sobrevivirían al reset
+const EVENTS_FILE = eventLogFile(DATA_FILE);
+if (process.argv.includes('--reset') && fs.existsSync(EVENTS_FILE)) {
+  fs.rmSync(EVENTS_FILE);
+  console.log(`Eventos eliminados: ${EVENTS_FILE}`);
+}
+// Sin datos, las imágenes procesadas quedarían huérfanas (el servidor regenera las del catálogo inicial)
+if (process.argv.includes('--reset') && fs.existsSync(IMAGES_DIR)) {
+  fs.rmSync(IMAGES_DIR, { recursive: true });
+  console.log(`Imágenes eliminadas: ${IMAGES_DIR}`);
+}
+
+const { store, applied } = openDatabase(DATA_FILE);
+if (applied.length) {
+  applied.forEach(m => console.log(`✔ ${m.version} ${m.name}`));
+} else {
+  console.log('Sin migraciones pendientes.');
+}
+console.log(`Store en ${store.filePath} (versión ${store.version})`);
@@ -0,0 +1,38 @@
+// server/scripts/seed-dev.js
+// Carga datos de ejemplo para desarrollo y demos (ver db/devSeed.js): reseñas aprobadas de los productos
+// del catálogo inicial que sigan existiendo y las promociones de ejemplo activas.
+// Se puede correr varias veces: no repite lo que ya está.
+// Uso: npm run db:seed-dev (con el servidor apagado, igual que scripts/catalog.js)
+// Se niega a correr con NODE_ENV=production.
+
+import { DATA_FILE, openDatabase } from '../db/index.js';
+import { samplePromotionIds, sampleReviews } from '../db/devSeed.js';
+import { refreshProductRating } from '../reviews.js';
+
+if (process.env.NODE_ENV === 'production') {
+  console.error('Los datos de ejemplo son solo para desarrollo (NODE_ENV=production).');
+  process.exit(1);
+}
+
+const db = openDatabase(DATA_FILE);
+const createdAt = new Date().toISOString();
+const reviews = sampleReviews.filter(review => db.products.findById(review.productId) && !db.reviews.findById(review.id));
+const promotions = samplePromotionIds.map(id => db.promotions.findById(id)).filter(p => p && !p.active);
+
+db.store.transaction(() => {
+  for (const review of reviews) {
+    db.reviews.insert({
+      ...structuredClone(review),
+      userId: null,
+      orderId: null,
+      verifiedPurchase: false,
+      status: 'approved',
+      createdAt,
+      moderatedAt: createdAt,
+    });
+  }
+  for (const productId of new Set(reviews.map(r => r.productId))) refreshProductRating(db, productId);
+  for (const promotion of promotions) db.promotions.update(promotion.id, { active: true });
+});
+console.log(`Reseñas de ejemplo agregadas: ${reviews.length}`);
+console.log(`Promociones de ejemplo activadas: ${promotions.map(p => p.id).join(', ') || 'ninguna'}`);
@@ -0,0 +1,164 @@
+// server/search.js
+// Índice de búsqueda del catálogo.
+// - Normaliza acentos y mayúsculas ("Gorró" => "gorro")
+// - Tokeniza título, descripción y colores, descartando palabras vacías ("de", "con"...)
+// - Indexa también los textos traducidos (product.translations), así se encuentra en cualquier idioma
+// - Tolera errores de tipeo (distancia de edición) y prefijos mientras se escribe
+// - Pondera el título por encima de la descripción y devuelve un puntaje de relevancia
+
+// Peso de cada campo en el puntaje final
+const FIELD_WEIGHTS = { title: 3, colors: 1, description: 1 };
+
+// Puntaje según el tipo de coincidencia entre un término buscado y un token del índice
+const MATCH_SCORES = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+// Palabras demasiado comunes para aportar relevancia
+const STOPWORDS = new Set(['a', 'al', 'con', 'de', 'del', 'el', 'en', 'la', 'las', 'los', 'para', 'por', 'un', 'una', 'y']);
+
+// Sinónimos frecuentes en búsquedas (ya normalizados). Valen un poco menos que el término literal.
+const SYNONYMS = {
+  sueter: ['sudadera'],
+  buzo: ['sudadera'],
+  hoodie: ['sudadera'],
+  capucha: ['sudadera'],
+  gorra: ['gorro'],
+  beanie: ['gorro'],
+};
+const SYNONYM_FACTOR = 0.9;
+
+// "Gorró Clásico" => "gorro clasico"
+export const normalize = (text = '') =>
+  String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Texto => lista de tokens normalizados sin palabras vacías
+export const tokenize = (text = '') =>
+  normalize(text)
+    .split(/[^a-z0-9ñ]+/)
+    .filter(token => token && !STOPWORDS.has(token));
+
+// Errores de tipeo tolerados según el largo del término (los términos cortos deben ser exactos)
+const maxEditsFor = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+// Distancia de Levenshtein con corte temprano: devuelve max + 1 si se pasa del límite
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Qué tan bien coincide un término buscado con un token del índice (0 = nada)
+function matchScore(term, token) {
+  if (token === term) return MATCH_SCORES.exact;
+  if (term.length >= 2 && token.startsWith(term)) return MATCH_SCORES.prefix;
+  const maxEdits = maxEditsFor(term);
+  if (!maxEdits) return 0;
+  const distance = editDistance(term, token, maxEdits);
+  return distance <= maxEdits ? MATCH_SCORES.fuzzy / distance : 0;
+}
+
+// Construye el índice a partir de los productos visibles.
+// Devuelve:
+// - search(q): Map<productId, score> con los productos que coinciden
+// - suggest(q, limit, lang): sugerencias para autocompletar { products: [{ id, title }], terms: [string] }
+//   con los títulos en el idioma pedido
+export function buildSearchIndex(products) {
+  const docs = products.map(p => {
+    const translations = Object.values(p.translations ?? {});
+    return {
+      id: p.id,
+      title: p.title,
+      translations: p.translations ?? {},
+      fields: {
+        title: tokenize([p.title, ...translations.map(t => t.title)].join(' ')),
+        colors: tokenize((p.colors ?? []).join(' ')),
+        description: tokenize([p.description, ...translations.map(t => t.description)].join(' ')),
+      },
+    };
+  });
+
+  // Vocabulario con frecuencia de aparición (para completar términos)
+  const vocabulary = new Map();
+  for (const doc of docs) {
+    for (const token of new Set([...doc.fields.title, ...doc.fields.description])) {
+      vocabulary.set(token, (vocabulary.get(token) ?? 0) + 1);
+    }
+  }
+
+  // Mejor puntaje de un término (con sus sinónimos) dentro de un documento
+  function termScore(term, doc) {
+    const alternatives = [[term, 1], ...(SYNONYMS[term] ?? []).map(s => [s, SYNONYM_FACTOR])];
+    let best = 0;
+    for (const [candidate, factor] of alternatives) {
+      for (const [field, tokens] of Object.entries(doc.fields)) {
+        for (const token of tokens) {
+          best = Math.max(best, factor * FIELD_WEIGHTS[field] * matchScore(candidate, token));
+        }
+      }
+    }
+    return best;
+  }
+
+  // Puntaje = suma de los términos, penalizado por la proporción de términos que no coinciden
+  function search(q) {
+    const terms = tokenize(q);
+    const scores = new Map();
+    if (!terms.length) return scores;
+
+    for (const doc of docs) {
+      const termScores = terms.map(term => termScore(term, doc));
+      const matched = termScores.filter(score => score > 0).length;
+      if (!matched) continue;
+      const sum = termScores.reduce((acc, score) => acc + score, 0);
+      scores.set(doc.id, Math.round(sum * (matched / terms.length) * 1000) / 1000);
+    }
+    return scores;
+  }
+
+  function suggest(q, limit = 5, lang) {
+    const scores = search(q);
+    const products = docs
+      .filter(doc => scores.has(doc.id))
+      .sort((a, b) => scores.get(b.id) - scores.get(a.id))
+      .slice(0, limit)
+      .map(({ id, title, translations }) => ({ id, title: translations[lang]?.title || title }));
+
+    // Completa el último término que se está escribiendo
+    const last = tokenize(q).at(-1);
+    const terms = last
+      ? [...vocabulary]
+          .filter(([token]) => token.startsWith(last) && token !== last)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, limit)
+          .map(([token]) => token)
+      : [];
+
+    return { products, terms };
+  }
+
+  return { search, suggest };
+}
+
+// Mantiene un índice reutilizable: solo se reconstruye cuando el store cambió
+// (cada escritura incrementa store.revision).
+export function createSearchIndexCache(store, getProducts) {
+  let revision = -1;
+  let index = null;
+  return () => {
+    if (!index || revision !== store.revision) {
+      index = buildSearchIndex(getProducts());
+      revision = store.revision;
+    }
+    return index;
+  };
+}
@@ -0,0 +1,187 @@
+// server/seo.js
+// Metadatos para buscadores y redes sociales de las páginas renderizadas en el servidor (ver ssr.js),
+// sitemap.xml y robots.txt.
+// - <head> de cada página: título, descripción, URL canónica y Open Graph; el detalle de un producto además
+//   lleva JSON-LD de schema.org (Product con una Offer por variante, calificación y fin de la oferta vigente)
+// - Todo sale de las respuestas de la API que usó el render: textos y precios en el idioma y la moneda de la página
+// - Las URL públicas usan STORE_URL (la dirección con la que se publica la tienda, ver site.js)
+
+import { createTaxonomy } from './categories.js';
+import { IMAGES_URL } from './images.js';
+import { STORE_URL } from './site.js';
+
+// Nombre y descripción de la tienda (los mismos de la barra superior, ver src/i18n/messages.js)
+const SITE = {
+  es: {
+    name: 'Sudaderas & Gorros',
+    description: 'Sudaderas, hoodies oversize y gorros tejidos. Elige color y talla y compra en línea.',
+    notFound: 'Producto no encontrado',
+  },
+  en: {
+    name: 'Hoodies & Beanies',
+    description: 'Hoodies, oversize hoodies and knit beanies. Pick your color and size and shop online.',
+    notFound: 'Product not found',
+  },
+};
+const OG_LOCALES = { es: 'es_MX', en: 'en_US' };
+// Largo máximo de la meta descripción (lo que muestran los buscadores)
+const DESCRIPTION_MAX_LENGTH = 160;
+// Ancho de la versión de la imagen para Open Graph y JSON-LD (ver IMAGE_WIDTHS en images.js)
+const SHARE_IMAGE_WIDTH = 1080;
+
+// Rutas de la tienda que no se indexan (carrito, checkout, cuenta, back-office)
+const PRIVATE_PATHS = ['/admin', '/carrito', '/checkout', '/pedido/', '/favoritos', '/ingresar', '/mis-pedidos', '/mi-cuenta'];
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// JSON dentro de <script>: sin "<" literal, así un texto con "</script>" no cierra la etiqueta
+export const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const truncate = (text = '', max = DESCRIPTION_MAX_LENGTH) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length <= max ? clean : `${clean.slice(0, max - 1).trimEnd()}…`;
+};
+
+const productUrl = (id) => `${STORE_URL}/producto/${encodeURIComponent(id)}`;
+
+// URL absoluta de una imagen del producto: la versión WebP de SHARE_IMAGE_WIDTH px de las procesadas por el
+// servidor o la ruta tal cual. Las rutas /img/ del catálogo inicial todavía no existen (null).
+const imageUrl = (image) => {
+  if (!image || image.startsWith('/img/')) return null;
+  if (image.startsWith(`${IMAGES_URL}/`)) return `${STORE_URL}${image}/${SHARE_IMAGE_WIDTH}.webp`;
+  return /^https?:\/\//.test(image) ? image : `${STORE_URL}${image}`;
+};
+
+const findCategory = (nodes = [], slug) => {
+  for (const node of nodes) {
+    if (node.slug === slug) return node;
+    const found = findCategory(node.children, slug);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Disponibilidad de schema.org según las unidades en stock
+const availability = (stock) => `https://schema.org/${stock > 0 ? 'InStock' : 'OutOfStock'}`;
+
+// JSON-LD de schema.org de un producto (tal como lo devuelve GET /api/products/:id).
+// Cada variante es una Offer con su SKU, precio y disponibilidad; durante una oferta priceValidUntil es su fin.
+function productJsonLd(product) {
+  const offer = ({ sku, price, stock }) => ({
+    '@type': 'Offer',
+    ...(sku && { sku }),
+    url: productUrl(product.id),
+    price: price ?? product.price,
+    priceCurrency: product.currency,
+    availability: availability(stock),
+    itemCondition: 'https://schema.org/NewCondition',
+    ...(product.sale && { priceValidUntil: product.sale.endsAt.slice(0, 10) }),
+  });
+  const images = (product.images ?? []).map(imageUrl).filter(Boolean);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    productID: product.id,
+    name: product.title,
+    description: product.description,
+    ...(images.length && { image: images }),
+    ...(product.category && { category: product.category }),
+    offers: product.variants?.length ? product.variants.map(offer) : offer({ stock: product.stock }),
+    ...(product.rating?.count > 0 && {
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: product.rating.average, reviewCount: product.rating.count },
+    }),
+  };
+}
+
+// Etiquetas del <head> => { title, tags } (tags: HTML de las <meta>, <link> y <script> JSON-LD)
+const headTags = ({ title, description, url, lang, type = 'website', image = null, noindex = false, extra = [] }) => {
+  const meta = (attr, key, content) => `<meta ${attr}="${key}" content="${escapeHtml(content)}" />`;
+  const tags = [
+    meta('name', 'description', description),
+    noindex && meta('name', 'robots', 'noindex, follow'),
+    url && `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    meta('property', 'og:site_name', SITE[lang].name),
+    meta('property', 'og:locale', OG_LOCALES[lang]),
+    meta('property', 'og:type', type),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    url && meta('property', 'og:url', url),
+    image && meta('property', 'og:image', image),
+    meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+    ...extra,
+  ];
+  return { title: escapeHtml(title), tags: tags.filter(Boolean).join('\n    ') };
+};
+
+// <head> de una página renderizada por src/entry-server.jsx.
+// page: { name: 'catalog' | 'product', data }; search: query de la URL; lang: idioma de la página.
+// Devuelve { status, title, tags }: un producto inexistente o archivado responde 404 (y no se indexa).
+export function pageHead(page, { search, lang }) {
+  const site = SITE[lang];
+
+  if (page.name === 'product') {
+    const { product } = page.data;
+    if (!product) return { status: 404, ...headTags({ title: `${site.notFound} | ${site.name}`, description: site.description, lang, noindex: true }) };
+    const image = imageUrl(product.images?.[0]);
+    return {
+      status: 200,
+      ...headTags({
+        title: `${product.title} | ${site.name}`,
+        description: truncate(product.description) || site.description,
+        url: productUrl(product.id),
+        lang,
+        type: 'product',
+        image,
+        extra: [
+          `<meta property="product:price:amount" content="${product.price}" />`,
+          `<meta property="product:price:currency" content="${escapeHtml(product.currency)}" />`,
+          `<script type="application/ld+json">${toScriptJson(productJsonLd(product))}</script>`,
+        ],
+      }),
+    };
+  }
+
+  // Catálogo: la URL canónica es la de la categoría (sin el resto de los filtros ni la página);
+  // las búsquedas por texto no se indexan
+  const params = new URLSearchParams(search);
+  const category = params.get('category') ? findCategory(page.data.categories?.items, params.get('category')) : null;
+  const url = category ? `${STORE_URL}/?category=${encodeURIComponent(category.slug)}` : `${STORE_URL}/`;
+  return {
+    status: 200,
+    ...headTags({
+      title: category ? `${category.name} | ${site.name}` : site.name,
+      description: site.description,
+      url,
+      lang,
+      noindex: Boolean(params.get('q')),
+    }),
+  };
+}
+
+// ========================
+// sitemap.xml y robots.txt
+// ========================
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+
+// Sitemap de la tienda: el catálogo, cada categoría con productos a la venta y cada producto no archivado
+// (lastmod: su última edición, si la tiene)
+export function buildSitemap(db) {
+  const products = db.products.all().filter(p => !p.archived);
+  const taxonomy = createTaxonomy(db.categories.all());
+  const categories = new Set(products.flatMap(p => taxonomy.ancestors(p.category)));
+  const entry = (loc, lastmod) =>
+    `  <url><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.slice(0, 10)}</lastmod>` : ''}</url>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    entry(`${STORE_URL}/`),
+    ...[...categories].map(slug => entry(`${STORE_URL}/?category=${encodeURIComponent(slug)}`)),
+    ...products.map(p => entry(productUrl(p.id), p.updatedAt ?? p.createdAt)),
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+export const buildRobots = () =>
+  ['User-agent: *', ...PRIVATE_PATHS.map(path => `Disallow: ${path}`), '', `Sitemap: ${STORE_URL}/sitemap.xml`, ''].join('\n');
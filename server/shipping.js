@@ -0,0 +1,80 @@
+// server/shipping.js
+// Tarifas de envío por zona y peso.
+//
+// El destino ({ country, postalCode }) determina la zona; cada zona ofrece métodos con:
+// - base: costo hasta el primer kg
+// - perKg: costo por cada kg adicional (el peso se redondea hacia arriba)
+// - freeOver: importe de mercadería (ya con descuentos) desde el que el método es gratis
+// - days: [mínimo, máximo] de días hábiles estimados
+// El peso de cada producto se configura en el back-office (product.weight, en kg).
+// Los importes de las tarifas están en la moneda base y se convierten a la del carrito.
+// "Retiro en tienda" está siempre disponible y es el único método sin destino.
+// Las etiquetas de los métodos se devuelven en el idioma del cliente.
+
+import { roundMoney } from './catalog.js';
+import { pickText } from './localization.js';
+
+// País de la tienda (origen de los envíos y de los impuestos del retiro en tienda)
+export const STORE_COUNTRY = 'MX';
+
+// Peso que se asume para productos sin peso configurado
+export const DEFAULT_WEIGHT_KG = 0.5;
+
+const PICKUP = { id: 'pickup', label: { es: 'Retiro en tienda', en: 'Store pickup' }, amount: 0, estimatedDays: [0, 1] };
+
+// Zonas en orden de prioridad: gana la primera cuyo match acepta el destino.
+// Los códigos postales 01000-16999 (CDMX) y 50000-57999 (Estado de México) son la zona local.
+const ZONES = [
+  {
+    id: 'local',
+    match: ({ country, postalCode }) => country === 'MX' && /^(0[1-9]|1[0-6]|5[0-7])\d{3}$/.test(postalCode ?? ''),
+    methods: [
+      { id: 'standard', label: { es: 'Envío estándar', en: 'Standard shipping' }, base: 4, perKg: 1, freeOver: 60, days: [1, 2] },
+      { id: 'express', label: { es: 'Envío exprés (mismo día)', en: 'Express shipping (same day)' }, base: 9, perKg: 2, days: [0, 1] },
+    ],
+  },
+  {
+    id: 'national',
+    match: ({ country }) => country === 'MX',
+    methods: [
+      { id: 'standard', label: { es: 'Envío estándar', en: 'Standard shipping' }, base: 6, perKg: 1.5, freeOver: 80, days: [3, 5] },
+      { id: 'express', label: { es: 'Envío exprés', en: 'Express shipping' }, base: 12, perKg: 3, days: [1, 2] },
+    ],
+  },
+  {
+    id: 'international',
+    match: () => true,
+    methods: [
+      { id: 'standard', label: { es: 'Envío internacional', en: 'International shipping' }, base: 25, perKg: 8, days: [7, 15] },
+    ],
+  },
+];
+
+// Peso total facturable del carrito en kg (mínimo 1, redondeado hacia arriba)
+export const billableWeight = (lines) => {
+  const kg = lines.reduce((acc, line) => acc + (line.weight ?? DEFAULT_WEIGHT_KG) * line.qty, 0);
+  return Math.max(1, Math.ceil(kg));
+};
+
+// Opciones de envío para un carrito.
+// lines: [{ qty, weight }]; destination: { country, postalCode } o null; merchandise: importe con descuentos.
+// options.fromBase: conversión de moneda base a la moneda del carrito; options.lang: idioma de las etiquetas.
+// Devuelve { zone, options: [{ id, label, amount, estimatedDays }] } (retiro en tienda primero).
+export function shippingOptions(lines, destination, merchandise, { fromBase = (amount) => amount, lang } = {}) {
+  const pickup = { ...PICKUP, label: pickText(PICKUP.label, lang) };
+  if (!destination) return { zone: null, options: [pickup] };
+
+  const zone = ZONES.find(z => z.match(destination));
+  const kg = billableWeight(lines);
+  const options = zone.methods.map(method => {
+    const freeOver = method.freeOver != null ? fromBase(method.freeOver) : null;
+    return {
+      id: method.id,
+      label: pickText(method.label, lang),
+      amount: freeOver != null && merchandise >= freeOver ? 0 : fromBase(roundMoney(method.base + method.perKg * (kg - 1))),
+      estimatedDays: method.days,
+      ...(freeOver != null && { freeOver }),
+    };
+  });
+  return { zone: zone.id, options: [pickup, ...options] };
+}
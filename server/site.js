@@ -0,0 +1,24 @@
+// server/site.js
+// Dónde se publica la tienda: build de producción y direcciones públicas con las que se arman los enlaces
+// absolutos (páginas y webhooks de la pasarela de pago, correos, URL canónicas, Open Graph, sitemap).
+// - PUBLIC_URL: el servidor Express (por defecto http://localhost:<PORT>)
+// - STORE_URL: la tienda. Si el servidor sirve el build (ver ssr.js), la tienda es el propio servidor y por
+//   defecto es PUBLIC_URL; sin build (desarrollo con `npm run dev`) es el servidor de Vite, http://localhost:5173
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Build de la tienda (npm run build): dist/ para el navegador y dist-ssr/ para el render en el servidor
+export const CLIENT_DIR = path.join(rootDir, 'dist');
+export const SERVER_ENTRY = path.join(rootDir, 'dist-ssr', 'entry-server.js');
+
+export const hasStorefrontBuild = () =>
+  fs.existsSync(path.join(CLIENT_DIR, 'index.html')) && fs.existsSync(SERVER_ENTRY);
+
+const withoutSlash = (url) => url.replace(/\/$/, '');
+
+export const PUBLIC_URL = withoutSlash(process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 4000}`);
+export const STORE_URL = withoutSlash(process.env.STORE_URL || (hasStorefrontBuild() ? PUBLIC_URL : 'http://localhost:5173'));
@@ -0,0 +1,89 @@
+// server/ssr.js
+// Tienda renderizada en el servidor a partir del build de producción (npm run build):
+// - dist/ (build del navegador) se sirve como archivos estáticos; dist/index.html es la plantilla de las páginas
+// - dist-ssr/entry-server.js (ver src/entry-server.jsx) renderiza el catálogo y el detalle de producto con
+//   las mismas respuestas de la API que usará el navegador, que las recibe en window.__SSR_DATA__ y no las
+//   vuelve a esperar al hidratar
+// - el <head> lleva título, descripción, URL canónica, Open Graph y JSON-LD de cada página (ver seo.js)
+// - las demás rutas (carrito, checkout, cuenta, back-office) reciben la plantilla y se arman en el navegador
+// El idioma y la moneda de la página son los que eligió el cliente (cookies lang y currency, que guarda el
+// navegador); sin cookies, el idioma de Accept-Language y la moneda base.
+// Sin build (desarrollo con `npm run dev`) no se monta nada: la tienda la sirve Vite.
+
+import express, { Router } from 'express';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { BASE_CURRENCY, parseCurrency } from './currency.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from './localization.js';
+import { pageHead, toScriptJson } from './seo.js';
+import { CLIENT_DIR, SERVER_ENTRY, hasStorefrontBuild } from './site.js';
+
+// Marcas de index.html donde van el <head> de la página, su HTML y las respuestas de la API
+const HEAD_MARK = '<!--app-head-->';
+const HTML_MARK = '<!--app-html-->';
+const DATA_MARK = '<!--app-data-->';
+
+const readCookies = (header = '') =>
+  Object.fromEntries(
+    header.split(';').map(part => part.trim().split('=')).filter(([name, value]) => name && value !== undefined)
+  );
+
+// Idioma y moneda de la página
+const pageLocale = (req) => {
+  const cookies = readCookies(req.headers.cookie);
+  return {
+    lang: SUPPORTED_LANGUAGES.includes(cookies.lang) ? cookies.lang : req.acceptsLanguages(...SUPPORTED_LANGUAGES) || DEFAULT_LANGUAGE,
+    currency: (cookies.currency && parseCurrency(cookies.currency)) || BASE_CURRENCY,
+  };
+};
+
+// Consulta GET a la propia API (apiOrigin: p. ej. http://127.0.0.1:4000): mismas respuestas que recibe el
+// navegador. Un 404 devuelve null (producto inexistente); cualquier otro error se lanza.
+const apiFetcher = (apiOrigin) => async (apiPath) => {
+  const response = await fetch(`${apiOrigin}/api${apiPath}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`GET /api${apiPath} respondió ${response.status}`);
+  return response.json();
+};
+
+// Router de la tienda (montarlo después de las rutas de la API), o null si no hay build
+export function createStorefrontRouter({ apiOrigin }) {
+  if (!hasStorefrontBuild()) return null;
+
+  const template = fs.readFileSync(path.join(CLIENT_DIR, 'index.html'), 'utf8');
+  const fetchApi = apiFetcher(apiOrigin);
+  let entry = null;
+
+  const router = Router();
+  // Los archivos con hash en el nombre no cambian nunca
+  router.use('/assets', express.static(path.join(CLIENT_DIR, 'assets'), { immutable: true, maxAge: '1y' }));
+  router.use(express.static(CLIENT_DIR, { index: false }));
+
+  router.get('/{*path}', async (req, res) => {
+    const locale = pageLocale(req);
+    let rendered = null;
+    try {
+      entry ??= await import(pathToFileURL(SERVER_ENTRY).href);
+      rendered = await entry.render(req.originalUrl, { locale, fetchApi });
+    } catch (err) {
+      // La página se arma igual en el navegador (que mostrará el error de la API, si sigue)
+      console.error(`No se pudo renderizar ${req.originalUrl}:`, err);
+    }
+    // Distinto HTML según idioma y moneda
+    res.vary('Cookie').vary('Accept-Language');
+    if (!rendered) return res.type('html').send(template);
+
+    const head = pageHead(rendered.page, { search: req.url.split('?')[1] ?? '', lang: locale.lang });
+    const data = `<script>window.__SSR_DATA__ = ${toScriptJson({ responses: rendered.responses })}</script>`;
+    // Reemplazos con función: el HTML puede tener "$&" y otros patrones especiales de replace()
+    const html = template
+      .replace(/<html lang="[^"]*">/, () => `<html lang="${locale.lang}">`)
+      .replace(/<title>[^<]*<\/title>/, () => `<title>${head.title}</title>`)
+      .replace(HEAD_MARK, () => head.tags)
+      .replace(HTML_MARK, () => rendered.html)
+      .replace(DATA_MARK, () => data);
+    res.status(head.status).type('html').send(html);
+  });
+  return router;
+}
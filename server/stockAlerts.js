@@ -0,0 +1,90 @@
+// server/stockAlerts.js
+// Avisos de vuelta de stock: el cliente pide que le avisen cuando una variante agotada vuelva a venderse.
+// Cada aviso guardado tiene:
+// - id, productId, sku: variante que esperaba el cliente
+// - email: a dónde se envía (el de la cuenta si pidió el aviso con sesión)
+// - userId: cliente con sesión (null para invitados)
+// - lang: idioma del mensaje (el de la tienda al suscribirse)
+// - createdAt / notifiedAt: fechas en ISO 8601; un aviso se envía una sola vez (notifiedAt deja de ser null)
+//
+// Igual que productFeed.js, después de cada escritura del store se compara el stock de cada variante con el
+// anterior: no importa qué ruta lo repuso (restock, edición en el back-office, importación...).
+// Las variantes que pasaron de 0 a positivo encolan un mensaje por aviso pendiente (ver notifications.js).
+
+import { DEFAULT_LANGUAGE } from './localization.js';
+import { STORE_URL } from './site.js'; // Dirección pública de la tienda para el enlace del mensaje
+
+const MESSAGES = {
+  es: {
+    subject: ({ title }) => `Volvió el stock: ${title}`,
+    text: ({ title, color, size, url }) =>
+      `¡Buenas noticias! ${title} (${color}, ${size}) ya está disponible otra vez.\nCómpralo aquí: ${url}\n\n`
+      + 'Recibes este mensaje porque pediste que te avisáramos. No te volveremos a escribir por este producto.',
+  },
+  en: {
+    subject: ({ title }) => `Back in stock: ${title}`,
+    text: ({ title, color, size, url }) =>
+      `Good news! ${title} (${color}, ${size}) is available again.\nGet it here: ${url}\n\n`
+      + 'You are receiving this message because you asked us to let you know. We will not write again about this product.',
+  },
+};
+
+// Lo que ve el cliente de su aviso (sin idioma ni cliente)
+export const toPublicAlert = ({ id, productId, sku, email, createdAt, notifiedAt }) => ({
+  id,
+  productId,
+  sku,
+  email,
+  createdAt,
+  notifiedAt,
+});
+
+// Mensaje de vuelta de stock para un aviso, en su idioma
+function backInStockMessage(alert, product, variant) {
+  const lang = MESSAGES[alert.lang] ? alert.lang : DEFAULT_LANGUAGE;
+  const title = product.translations?.[lang]?.title || product.title;
+  const vars = { title, color: variant.color, size: variant.size, url: `${STORE_URL}/producto/${encodeURIComponent(product.id)}` };
+  return {
+    template: 'back-in-stock',
+    to: alert.email,
+    subject: MESSAGES[lang].subject(vars),
+    text: MESSAGES[lang].text(vars),
+    data: { alertId: alert.id, productId: product.id, sku: variant.sku, url: vars.url },
+  };
+}
+
+// Stock de cada variante de los productos a la venta: Map<sku, stock>
+const takeSnapshot = (db) =>
+  new Map(db.products.all().filter(p => !p.archived).flatMap(p => p.variants.map(v => [v.sku, v.stock])));
+
+// Vigila el catálogo y encola los avisos de las variantes repuestas en `queue` (ver createNotificationQueue).
+// Las variantes nuevas o que vuelven de estar archivadas no cuentan como reposición.
+// Devuelve una función para dejar de vigilar.
+export function watchBackInStock(db, queue) {
+  let snapshot = takeSnapshot(db);
+
+  const notify = (skus) => {
+    const matches = skus.flatMap(sku => {
+      const match = db.products.findVariant(sku);
+      // Pudo volver a agotarse antes de llegar aquí
+      return match?.variant.stock > 0 ? db.stockAlerts.findActiveBySku(sku).map(alert => ({ alert, ...match })) : [];
+    });
+    if (!matches.length) return;
+    const notifiedAt = new Date().toISOString();
+    db.store.transaction(() => {
+      for (const { alert, product, variant } of matches) {
+        queue.enqueue(backInStockMessage(alert, product, variant));
+        db.stockAlerts.update(alert.id, { notifiedAt });
+      }
+    });
+    queue.drain();
+  };
+
+  return db.store.subscribe(() => {
+    const next = takeSnapshot(db);
+    const restocked = [...next].filter(([sku, stock]) => stock > 0 && snapshot.get(sku) === 0).map(([sku]) => sku);
+    snapshot = next;
+    // Fuera de la escritura en curso: encolar también escribe en el store
+    if (restocked.length) setImmediate(() => notify(restocked));
+  });
+}
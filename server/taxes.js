@@ -0,0 +1,16 @@
+// server/taxes.js
+// Impuestos por país de destino. Los precios del catálogo no incluyen impuestos:
+// se calculan sobre la mercadería (con descuentos) más el envío.
+// Las ventas a otros países se consideran exportación y no llevan IVA.
+
+import { roundMoney } from './catalog.js';
+
+// Reglas por país (ISO 3166 alfa-2)
+const TAX_RULES = {
+  MX: [{ id: 'iva', name: 'IVA', rate: 0.16 }],
+};
+
+// Devuelve [{ id, name, rate, base, amount }] para el país indicado
+export function computeTaxes(country, base) {
+  return (TAX_RULES[country] ?? []).map(rule => ({ ...rule, base: roundMoney(base), amount: roundMoney(base * rule.rate) }));
+}
@@ -0,0 +1,156 @@
+// server/test/catalogTransfer.test.js
+// Importación y exportación del catálogo (ver catalogTransfer.js): lectura del CSV, upsert por id y el
+// recorrido completo exportar => importar.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { exportProducts, importProducts, readCsv, readJson, toCsv, toJson } from '../catalogTransfer.js';
+import { openDatabase } from '../db/index.js';
+
+const csv = (...lines) => `${lines.join('\n')}\n`;
+const rejectsFile = (text, message) => assert.throws(() => readCsv(text), { code: 'INVALID_FILE', message });
+
+describe('readCsv', () => {
+  it('convierte cada fila al formato de POST /api/admin/products, sin las celdas vacías', () => {
+    const [record] = readCsv(csv(
+      'id,title,title_en,price,weight,category,colors,sizes,variants,featured',
+      'tee-01,Camiseta,T-shirt,19.5,,ropa,negro|blanco,M,negro/M=7|TEE-BLANCA:blanco/M=2@21,TRUE'
+    ));
+    assert.equal(record.row, 2);
+    assert.deepEqual(record.errors, {});
+    assert.deepEqual(record.input, {
+      id: 'tee-01',
+      title: 'Camiseta',
+      translations: { en: { title: 'T-shirt' } },
+      price: 19.5,
+      category: 'ropa',
+      colors: ['negro', 'blanco'],
+      sizes: ['M'],
+      variants: [
+        { sku: undefined, color: 'negro', size: 'M', stock: 7 },
+        { sku: 'TEE-BLANCA', color: 'blanco', size: 'M', stock: 2, price: 21 },
+      ],
+      featured: true,
+    });
+  });
+
+  it('deja los valores que no son números tal cual, para que el validador los informe', () => {
+    const [record] = readCsv(csv('id,price', 'tee-01,barato'));
+    assert.equal(record.input.price, 'barato');
+  });
+
+  it('informa las filas con celdas de más o de menos y las variantes mal escritas', () => {
+    const [short, badVariant] = readCsv(csv('id,title,variants', 'tee-01,Camiseta', 'tee-02,Camiseta,negro-M-7'));
+    assert.deepEqual(short.errors, { row: 'Expected 3 cells, found 2' });
+    assert.match(badVariant.errors.variants, /Invalid variant "negro-M-7"/);
+    assert.equal(badVariant.input.variants, undefined);
+  });
+
+  it('rechaza los archivos que no se pueden leer', () => {
+    rejectsFile('', 'The file is empty');
+    rejectsFile(csv('id,stock'), /Unknown columns: stock/);
+    rejectsFile(csv('id,title,title'), 'Repeated columns: title');
+    rejectsFile(csv('title,price'), 'The id column is required');
+    rejectsFile(csv('id,title', 'tee-01,"Camiseta'), /Malformed CSV: Unclosed quote/);
+  });
+});
+
+describe('importProducts', () => {
+  let dir;
+  let db;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tienda-catalog-'));
+    db = openDatabase(path.join(dir, 'store.json'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const importCsv = (text, options) => importProducts(db, readCsv(text), options);
+  const stockOf = (id) => Object.fromEntries(db.products.findById(id).variants.map(v => [v.sku, v.stock]));
+  // Productos guardados sin las fechas (cambian en cada escritura)
+  const snapshot = () => db.products.all().map(product => {
+    const { createdAt: _createdAt, updatedAt: _updatedAt, ...fields } = product;
+    return fields;
+  });
+
+  it('crea los productos nuevos con el stock de sus variantes', () => {
+    const report = importCsv(csv(
+      'id,title,price,category,colors,sizes,variants',
+      'tee-01,Camiseta,19.5,ropa,negro,M|L,negro/M=1|negro/L=0'
+    ));
+    assert.deepEqual(report, { dryRun: false, total: 1, created: ['tee-01'], updated: [], errors: [] });
+    assert.deepEqual(stockOf('tee-01'), { 'TEE-01-NEGRO-M': 1, 'TEE-01-NEGRO-L': 0 });
+  });
+
+  it('al actualizar aplica el stock de la columna variants', () => {
+    const report = importCsv(csv('id,title,variants', 'tee-01,Camiseta 2,negro/M=7|negro/L=3'));
+    assert.deepEqual(report.updated, ['tee-01']);
+    assert.equal(db.products.findById('tee-01').title, 'Camiseta 2');
+    assert.deepEqual(stockOf('tee-01'), { 'TEE-01-NEGRO-M': 7, 'TEE-01-NEGRO-L': 3 });
+  });
+
+  it('sin la columna variants conserva el stock, también al regenerar las combinaciones', () => {
+    importCsv(csv('id,price', 'tee-01,21'));
+    assert.equal(db.products.findById('tee-01').price, 21);
+    assert.deepEqual(stockOf('tee-01'), { 'TEE-01-NEGRO-M': 7, 'TEE-01-NEGRO-L': 3 });
+
+    importCsv(csv('id,colors', 'tee-01,negro|blanco'));
+    assert.deepEqual(stockOf('tee-01'), {
+      'TEE-01-NEGRO-M': 7,
+      'TEE-01-NEGRO-L': 3,
+      'TEE-01-BLANCO-M': 0,
+      'TEE-01-BLANCO-L': 0,
+    });
+  });
+
+  it('con una fila inválida no importa nada e informa cada error con su fila', () => {
+    const initial = snapshot();
+    const report = importCsv(csv(
+      'id,title,price,category,colors,sizes',
+      'tee-02,Camiseta,10,ropa,negro,M',
+      'tee-01,Camiseta,10,zapatos,,',
+      'tee-02,Repetida,10,ropa,negro,M'
+    ));
+    assert.deepEqual(report.created, ['tee-02']);
+    assert.deepEqual(report.errors, [
+      { row: 3, id: 'tee-01', errors: { category: 'Unknown category' } },
+      { row: 4, id: 'tee-02', errors: { id: 'Repeated id: the product is already in a previous row' } },
+    ]);
+    assert.deepEqual(snapshot(), initial);
+  });
+
+  it('en modo prueba informa sin escribir', () => {
+    const initial = snapshot();
+    const rows = csv('id,title,variants', 'tee-01,Otra,negro/M=0|negro/L=0|blanco/M=0|blanco/L=0');
+    const report = importCsv(rows, { dryRun: true });
+    assert.deepEqual(report.updated, ['tee-01']);
+    assert.deepEqual(snapshot(), initial);
+  });
+
+  describe('exportar y volver a importar', () => {
+    it('en CSV deja el catálogo igual', () => {
+      const initial = snapshot();
+      const report = importCsv(toCsv(exportProducts(db)));
+      assert.deepEqual(report.errors, []);
+      assert.equal(report.updated.length, initial.length);
+      assert.deepEqual(snapshot(), initial);
+    });
+
+    it('en JSON deja el catálogo igual', () => {
+      const initial = snapshot();
+      const report = importProducts(db, readJson(JSON.parse(toJson(exportProducts(db)))));
+      assert.deepEqual(report.errors, []);
+      assert.deepEqual(snapshot(), initial);
+    });
+
+    it('el stock editado en el archivo es el que queda', () => {
+      const edited = toCsv(exportProducts(db)).replace('negro/M=7', 'negro/M=12');
+      importCsv(edited);
+      assert.equal(stockOf('tee-01')['TEE-01-NEGRO-M'], 12);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// server/test/csv.test.js
+// Lectura y escritura de CSV (ver csv.js): comillas, saltos de línea y errores con su línea.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseCsv, stringifyCsv } from '../csv.js';
+
+const fieldsOf = (text) => parseCsv(text).map(record => record.fields);
+
+describe('parseCsv', () => {
+  it('separa por comas y numera cada registro con su línea', () => {
+    assert.deepEqual(parseCsv('id,title\nhoodie-01,Hoodie\n'), [
+      { line: 1, fields: ['id', 'title'] },
+      { line: 2, fields: ['hoodie-01', 'Hoodie'] },
+    ]);
+  });
+
+  it('entre comillas acepta comas, comillas duplicadas y saltos de línea', () => {
+    const records = parseCsv('id,description\nhoodie-01,"Suave, ""oversize""\ny abrigada"\nhat-01,Gorro\n');
+    assert.deepEqual(records[1].fields, ['hoodie-01', 'Suave, "oversize"\ny abrigada']);
+    // El registro siguiente empieza en la línea 4: el anterior ocupó dos
+    assert.deepEqual(records[2], { line: 4, fields: ['hat-01', 'Gorro'] });
+  });
+
+  it('acepta CRLF y el BOM, ignora las líneas vacías y conserva las celdas vacías', () => {
+    assert.deepEqual(fieldsOf('\uFEFFid,title\r\n\r\nhat-01,\r\n'), [['id', 'title'], ['hat-01', '']]);
+  });
+
+  it('el último registro no necesita salto de línea', () => {
+    assert.deepEqual(fieldsOf('id\nhat-01'), [['id'], ['hat-01']]);
+  });
+
+  it('informa la línea de las comillas sin cerrar o mal ubicadas', () => {
+    assert.throws(() => parseCsv('id,title\nhat-01,"Gorro\n'), { line: 2, message: /Unclosed quote/ });
+    assert.throws(() => parseCsv('id,title\nhat-01,Go"rro\n'), { line: 2, message: /Unexpected quote/ });
+    assert.throws(() => parseCsv('id,title\nhat-01,"Gorro" azul\n'), { line: 2, message: /after a closing quote/ });
+  });
+});
+
+describe('stringifyCsv', () => {
+  it('pone entre comillas solo las celdas que lo necesitan y termina con CRLF', () => {
+    assert.equal(stringifyCsv([['id', 'title'], ['hat-01', 'Gorro, "azul"'], ['hat-02', null]]),
+      'id,title\r\nhat-01,"Gorro, ""azul"""\r\nhat-02,\r\n');
+  });
+
+  it('lo que escribe se lee igual', () => {
+    const records = [['id', 'description'], ['hoodie-01', 'Línea 1\r\nLínea 2, con "comillas"'], ['hat-01', '']];
+    assert.deepEqual(fieldsOf(stringifyCsv(records)), records);
+  });
+});
@@ -0,0 +1,188 @@
+// server/test/payments.test.js
+// Webhooks de la pasarela de prueba (ver gateways/mock.js) y cambios de estado de los pedidos (ver payments.js).
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { openDatabase } from '../db/index.js';
+import { createMockGateway, signPayload } from '../gateways/mock.js';
+import { applyPaymentEvent, expireUnpaidOrders, handleWebhook, PAYMENT_TIMEOUT_MS } from '../payments.js';
+
+const SECRET = 'test-webhook-secret';
+const gateway = createMockGateway({ secret: SECRET, webhookDelayMs: 0 });
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Webhook como lo manda la pasarela: body crudo y encabezado de firma
+function webhook(type, intentId, { secret = SECRET, timestamp = nowSeconds(), extra = {} } = {}) {
+  const body = JSON.stringify({ id: `evt_${type}_${intentId}`, type, data: { intentId, ...extra } });
+  return { rawBody: Buffer.from(body), headers: { 'mock-signature': signPayload(secret, timestamp, body) } };
+}
+
+const rejectsSignature = (fn) => assert.throws(fn, { code: 'INVALID_SIGNATURE' });
+
+describe('parseWebhook de la pasarela de prueba', () => {
+  it('acepta un webhook firmado con el secreto', () => {
+    const { rawBody, headers } = webhook('charge.succeeded', 'pi_1');
+    assert.deepEqual(gateway.parseWebhook(rawBody, headers), {
+      id: 'evt_charge.succeeded_pi_1',
+      type: 'payment.succeeded',
+      intentId: 'pi_1',
+      reason: undefined,
+    });
+  });
+
+  it('rechaza la firma hecha con otro secreto', () => {
+    const { rawBody, headers } = webhook('charge.succeeded', 'pi_1', { secret: 'otro-secreto' });
+    rejectsSignature(() => gateway.parseWebhook(rawBody, headers));
+  });
+
+  it('rechaza un body modificado después de firmar', () => {
+    const { headers } = webhook('charge.failed', 'pi_1');
+    const tampered = Buffer.from(JSON.stringify({ id: 'evt_charge.failed_pi_1', type: 'charge.succeeded', data: { intentId: 'pi_1' } }));
+    rejectsSignature(() => gateway.parseWebhook(tampered, headers));
+  });
+
+  it('rechaza un webhook sin firma o con la firma mal formada', () => {
+    const { rawBody } = webhook('charge.succeeded', 'pi_1');
+    rejectsSignature(() => gateway.parseWebhook(rawBody, {}));
+    rejectsSignature(() => gateway.parseWebhook(rawBody, { 'mock-signature': 'v1=abc' }));
+  });
+
+  it('rechaza una firma vieja (un webhook capturado y reenviado)', () => {
+    const { rawBody, headers } = webhook('charge.succeeded', 'pi_1', { timestamp: nowSeconds() - 10 * 60 });
+    rejectsSignature(() => gateway.parseWebhook(rawBody, headers));
+  });
+});
+
+describe('estado de los pedidos según los webhooks', () => {
+  let dir;
+  let db;
+  let sku;
+  let sequence = 0;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tienda-payments-'));
+    db = openDatabase(path.join(dir, 'store.json'));
+    sku = db.products.all()[0].variants[0].sku;
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Pedido pendiente con 2 unidades reservadas y su intención de cobro en la pasarela de prueba
+  let order;
+  beforeEach(() => {
+    sequence += 1;
+    order = db.store.transaction(() => {
+      db.products.adjustStock(sku, -2);
+      return db.orders.insert({
+        id: `order-${sequence}`,
+        status: 'pending',
+        items: [{ sku, qty: 2 }],
+        total: 100,
+        payment: { gateway: 'mock', intentId: `pi_${sequence}`, failureReason: null },
+        createdAt: new Date().toISOString(),
+      });
+    });
+  });
+
+  const stock = () => db.products.findVariant(sku).variant.stock;
+  const receive = (type, extra) => {
+    const { rawBody, headers } = webhook(type, order.payment.intentId, { extra });
+    return handleWebhook(db, gateway, rawBody, headers);
+  };
+
+  it('un cobro aprobado pasa el pedido a pagado', async () => {
+    const initial = stock();
+    const result = await receive('charge.succeeded');
+
+    assert.equal(result.applied, true);
+    assert.equal(result.duplicate, false);
+    const paid = db.orders.findById(order.id);
+    assert.equal(paid.status, 'paid');
+    assert.ok(paid.payment.paidAt);
+    assert.equal(stock(), initial, 'el stock reservado queda vendido');
+  });
+
+  it('un cobro rechazado pasa el pedido a fallido y devuelve el stock', async () => {
+    const initial = stock();
+    await receive('charge.failed', { reason: 'card_declined' });
+
+    const failed = db.orders.findById(order.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.payment.failureReason, 'card_declined');
+    assert.ok(failed.payment.failedAt);
+    assert.equal(stock(), initial + 2);
+  });
+
+  it('un webhook repetido no se vuelve a aplicar', async () => {
+    await receive('charge.succeeded');
+    const result = await receive('charge.succeeded');
+    assert.deepEqual(result, { duplicate: true });
+    assert.equal(db.orders.findById(order.id).status, 'paid');
+  });
+
+  it('un webhook con firma inválida no cambia el pedido', async () => {
+    const { rawBody } = webhook('charge.succeeded', order.payment.intentId);
+    const headers = webhook('charge.succeeded', order.payment.intentId, { secret: 'otro-secreto' }).headers;
+    await assert.rejects(handleWebhook(db, gateway, rawBody, headers), { code: 'INVALID_SIGNATURE' });
+    assert.equal(db.orders.findById(order.id).status, 'pending');
+    assert.equal(db.paymentEvents.findById(`mock:evt_charge.succeeded_${order.payment.intentId}`), null);
+  });
+
+  it('un evento que no corresponde al estado del pedido se registra sin aplicarse', () => {
+    const { intentId } = order.payment;
+    applyPaymentEvent(db, 'mock', { id: `evt_paid_${intentId}`, type: 'payment.succeeded', intentId });
+    const initial = stock();
+
+    // Un rechazo que llega después del cobro no devuelve el stock de un pedido pagado
+    const result = applyPaymentEvent(db, 'mock', { id: `evt_late_${intentId}`, type: 'payment.failed', intentId });
+    assert.equal(result.applied, false);
+    assert.equal(db.orders.findById(order.id).status, 'paid');
+    assert.equal(stock(), initial);
+    assert.equal(db.paymentEvents.findById(`mock:evt_late_${intentId}`).applied, false);
+  });
+
+  describe('usos de los cupones', () => {
+    // Cupón de un solo uso, consumido por el pedido de la prueba (como hace el checkout al crearlo)
+    const useCoupon = () => {
+      const id = `cupon-${sequence}`;
+      db.store.transaction(() => {
+        db.promotions.insert({ id, name: id, code: id.toUpperCase(), type: 'fixed', value: 10, active: true, usageLimit: 1, usageCount: 0 });
+        db.promotions.recordUsage(id);
+        db.orders.update(order.id, { discounts: [{ promotionId: id, name: id, code: id.toUpperCase(), amount: 10 }] });
+      });
+      return () => db.promotions.findById(id).usageCount;
+    };
+
+    it('un pago rechazado devuelve el uso del cupón', async () => {
+      const usageCount = useCoupon();
+      assert.equal(usageCount(), 1);
+      await receive('charge.failed', { reason: 'card_declined' });
+      assert.equal(usageCount(), 0);
+    });
+
+    it('un pedido vencido sin pagar devuelve el uso del cupón', async () => {
+      const usageCount = useCoupon();
+      await expireUnpaidOrders(db, gateway, Date.parse(order.createdAt) + PAYMENT_TIMEOUT_MS + 1);
+      assert.equal(db.orders.findById(order.id).status, 'failed');
+      assert.equal(usageCount(), 0);
+    });
+
+    it('un pedido pagado conserva el uso', async () => {
+      const usageCount = useCoupon();
+      await receive('charge.succeeded');
+      assert.equal(usageCount(), 1);
+    });
+  });
+
+  it('un reembolso confirmado pasa el pedido pagado a reembolsado', async () => {
+    await receive('charge.succeeded');
+    await receive('refund.succeeded');
+    const refunded = db.orders.findById(order.id);
+    assert.equal(refunded.status, 'refunded');
+    assert.ok(refunded.payment.refundedAt);
+  });
+});
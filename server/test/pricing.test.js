@@ -0,0 +1,136 @@
+// server/test/pricing.test.js
+// Ofertas programadas (ver pricing.js): ventana de vigencia de las reglas y precio que dejan.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createPricing, isRuleActive, priceHistoryOf } from '../pricing.js';
+
+const STARTS_AT = '2025-06-01T00:00:00.000Z';
+const ENDS_AT = '2025-06-08T00:00:00.000Z';
+const at = (iso) => new Date(iso);
+const msFrom = (iso, ms) => new Date(Date.parse(iso) + ms);
+
+const rule = (fields) => ({ id: 'oferta', name: 'Oferta', active: true, startsAt: STARTS_AT, endsAt: ENDS_AT, ...fields });
+
+const hoodie = {
+  id: 'hoodie-01',
+  price: 100,
+  currency: 'MXN',
+  category: 'oversize',
+  variants: [{ sku: 'H-NEGRO-M', stock: 3 }, { sku: 'H-NEGRO-XL', stock: 1, price: 120 }],
+};
+const categories = [
+  { slug: 'ropa', parent: null },
+  { slug: 'hoodies', parent: 'ropa' },
+  { slug: 'oversize', parent: 'hoodies' },
+];
+// Lo único que usa createPricing del store
+const fakeDb = (rules) => ({ priceRules: { all: () => rules }, categories: { all: () => categories } });
+
+describe('isRuleActive', () => {
+  const sale = rule({ percentOff: 20 });
+
+  it('empieza justo en startsAt (inclusive)', () => {
+    assert.equal(isRuleActive(sale, msFrom(STARTS_AT, -1)), false);
+    assert.equal(isRuleActive(sale, at(STARTS_AT)), true);
+  });
+
+  it('termina justo en endsAt (exclusive)', () => {
+    assert.equal(isRuleActive(sale, msFrom(ENDS_AT, -1)), true);
+    assert.equal(isRuleActive(sale, at(ENDS_AT)), false);
+  });
+
+  it('una regla pausada no aplica aunque esté dentro de su ventana', () => {
+    assert.equal(isRuleActive({ ...sale, active: false }, at('2025-06-03T00:00:00.000Z')), false);
+  });
+
+  it('compara instantes, no textos: acepta fechas con otra zona horaria', () => {
+    const local = { ...sale, startsAt: '2025-05-31T18:00:00-06:00' }; // = STARTS_AT
+    assert.equal(isRuleActive(local, msFrom(STARTS_AT, -1)), false);
+    assert.equal(isRuleActive(local, at(STARTS_AT)), true);
+  });
+});
+
+describe('createPricing', () => {
+  const priceAt = (rules, now) => createPricing(fakeDb(rules), now).apply(hoodie);
+
+  it('aplica la oferta solo dentro de la ventana', () => {
+    const rules = [rule({ productId: 'hoodie-01', percentOff: 25 })];
+    assert.equal(priceAt(rules, msFrom(STARTS_AT, -1)), hoodie, 'antes de empezar: el mismo producto');
+    assert.equal(priceAt(rules, at(STARTS_AT)).price, 75);
+    assert.equal(priceAt(rules, msFrom(ENDS_AT, -1)).price, 75);
+    assert.equal(priceAt(rules, at(ENDS_AT)), hoodie, 'al terminar: el mismo producto');
+  });
+
+  it('muestra el precio normal tachado, el % de descuento y el fin de la oferta', () => {
+    const product = priceAt([rule({ productId: 'hoodie-01', percentOff: 25 })], at(STARTS_AT));
+    assert.equal(product.compareAtPrice, 100);
+    assert.deepEqual(product.sale, { ruleId: 'oferta', percentOff: 25, endsAt: ENDS_AT });
+  });
+
+  it('las variantes con precio propio bajan en la misma proporción', () => {
+    const pricing = createPricing(fakeDb([rule({ productId: 'hoodie-01', percentOff: 25 })]), at(STARTS_AT));
+    const [plain, xl] = pricing.apply(hoodie).variants;
+    assert.equal(plain.price, undefined);
+    assert.equal(xl.price, 90);
+    assert.equal(xl.compareAtPrice, 120);
+    assert.equal(pricing.variantPrice(hoodie, hoodie.variants[0]), 75);
+    assert.equal(pricing.variantPrice(hoodie, hoodie.variants[1]), 90);
+  });
+
+  it('una regla de categoría alcanza a las subcategorías', () => {
+    assert.equal(priceAt([rule({ category: 'ropa', percentOff: 10 })], at(STARTS_AT)).price, 90);
+    assert.equal(priceAt([rule({ category: 'accesorios', percentOff: 10 })], at(STARTS_AT)), hoodie);
+  });
+
+  it('entre varias reglas vigentes gana el precio más bajo', () => {
+    const product = priceAt([
+      rule({ id: 'categoria', category: 'hoodies', percentOff: 10 }),
+      rule({ id: 'producto', productId: 'hoodie-01', salePrice: 80, compareAtPrice: 95 }),
+      rule({ id: 'vencida', productId: 'hoodie-01', salePrice: 50, endsAt: STARTS_AT, startsAt: '2025-05-01T00:00:00.000Z' }),
+    ], at(STARTS_AT));
+    assert.equal(product.price, 80);
+    assert.equal(product.compareAtPrice, 95);
+    assert.deepEqual(product.sale, { ruleId: 'producto', percentOff: 16, endsAt: ENDS_AT });
+  });
+
+  it('una regla que no baja el precio no aplica', () => {
+    assert.equal(priceAt([rule({ productId: 'hoodie-01', salePrice: 100 })], at(STARTS_AT)), hoodie);
+  });
+
+  it('el precio "antes" nunca supera el precio normal', () => {
+    const product = priceAt([rule({ productId: 'hoodie-01', salePrice: 80, compareAtPrice: 200 })], at(STARTS_AT));
+    assert.equal(product.compareAtPrice, 100);
+    assert.equal(product.sale.percentOff, 20);
+    const [, xl] = product.variants;
+    assert.equal(xl.compareAtPrice, 120);
+  });
+});
+
+describe('priceHistoryOf', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+  const entry = (days, price, ruleId = null) => ({ productId: 'hoodie-01', at: daysAgo(days), price, currency: 'MXN', ruleId });
+  const lowest = (entries) => priceHistoryOf({ priceHistory: { findByProduct: () => entries } }, 'hoodie-01').lowestPrice.price;
+
+  it('sin oferta: el más bajo de los últimos días, incluido el que regía al empezar el período', () => {
+    assert.equal(lowest([entry(60, 90), entry(20, 110), entry(5, 100)]), 90);
+    assert.equal(lowest([entry(60, 90), entry(40, 120), entry(20, 110), entry(5, 100)]), 100);
+  });
+
+  it('durante una oferta no cuenta su propio precio', () => {
+    assert.equal(lowest([entry(60, 40), entry(45, 40, 'vieja'), entry(31, 100), entry(2, 31.99, 'oferta')]), 40);
+    assert.equal(lowest([entry(60, 100), entry(2, 31.99, 'oferta')]), 100);
+  });
+
+  it('durante una oferta el período termina cuando empezó', () => {
+    // La oferta empezó hace 10 días: cuentan los 30 días anteriores a eso (del día 40 al 10)
+    const entries = [entry(50, 70), entry(45, 100), entry(25, 95), entry(10, 60, 'oferta'), entry(3, 58, 'oferta')];
+    assert.equal(lowest(entries), 95);
+  });
+
+  it('sin historial anterior a la oferta no hay precio anterior', () => {
+    assert.equal(lowest([entry(2, 31.99, 'oferta')]), null);
+    assert.equal(lowest([]), null);
+  });
+});
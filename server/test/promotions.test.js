@@ -0,0 +1,118 @@
+// server/test/promotions.test.js
+// Motor de promociones (ver promotions.js): descuentos, cupones y cómo se suman.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { priceCart } from '../promotions.js';
+
+const NOW = new Date('2025-06-15T12:00:00.000Z');
+
+const line = (sku, unitPrice, qty, categories = ['ropa', 'hoodies']) => ({ sku, productId: sku, categories, unitPrice, qty });
+const promotion = (fields) => ({ name: fields.id, code: null, category: null, active: true, usageCount: 0, ...fields });
+
+const hoodies = [line('H-1', 50, 2), line('H-2', 30, 1)]; // subtotal 130
+const hats = [line('G-1', 20, 1, ['accesorios', 'hats']), line('G-2', 12, 1, ['accesorios', 'hats'])];
+
+describe('priceCart', () => {
+  it('suma todas las promociones automáticas que califican', () => {
+    const result = priceCart(hoodies, [
+      promotion({ id: 'diez', type: 'percentage', value: 10 }),
+      promotion({ id: 'cinco', type: 'fixed', value: 5 }),
+    ], { now: NOW });
+
+    assert.equal(result.subtotal, 130);
+    assert.deepEqual(result.discounts.map(d => [d.promotionId, d.amount]), [['diez', 13], ['cinco', 5]]);
+    assert.equal(result.discountTotal, 18);
+    assert.equal(result.total, 112);
+    assert.equal(result.coupon, null);
+  });
+
+  it('aplica un cupón además de las automáticas, sin distinguir mayúsculas ni espacios', () => {
+    const result = priceCart(hoodies, [
+      promotion({ id: 'diez', type: 'percentage', value: 10 }),
+      promotion({ id: 'cupon', code: 'VERANO', type: 'fixed', value: 20 }),
+    ], { couponCode: ' verano ', now: NOW });
+
+    assert.deepEqual(result.coupon, { code: 'VERANO', valid: true });
+    assert.deepEqual(result.discounts.map(d => [d.promotionId, d.code, d.amount]), [['diez', null, 13], ['cupon', 'VERANO', 20]]);
+    assert.equal(result.total, 97);
+  });
+
+  it('no aplica los cupones que no se ingresaron', () => {
+    const result = priceCart(hoodies, [promotion({ id: 'cupon', code: 'VERANO', type: 'percentage', value: 50 })], { now: NOW });
+    assert.deepEqual(result.discounts, []);
+    assert.equal(result.total, 130);
+  });
+
+  it('el descuento total nunca supera el subtotal', () => {
+    const result = priceCart(hats, [
+      promotion({ id: 'mitad', type: 'percentage', value: 50 }),
+      promotion({ id: 'fijo', type: 'fixed', value: 100 }),
+    ], { now: NOW });
+
+    assert.equal(result.subtotal, 32);
+    // El importe fijo se limita a lo que alcanza y al subtotal que queda después del primero
+    assert.deepEqual(result.discounts.map(d => d.amount), [16, 16]);
+    assert.equal(result.discountTotal, 32);
+    assert.equal(result.total, 0);
+  });
+
+  it('2x1: en cada grupo sale gratis la unidad más barata', () => {
+    const cart = [line('G-1', 20, 2, ['accesorios', 'hats']), line('G-2', 12, 1, ['accesorios', 'hats'])];
+    const result = priceCart(cart, [promotion({ id: '2x1', type: 'buy_x_get_y', buyQty: 1, getQty: 1 })], { now: NOW });
+
+    // Unidades ordenadas: 20, 20, 12 => gratis la segunda de 20; la de 12 queda sola en su grupo
+    assert.equal(result.discountTotal, 20);
+    assert.equal(result.total, 32);
+  });
+
+  it('una promoción con categoría solo alcanza a sus líneas (y las de sus subcategorías)', () => {
+    const result = priceCart([...hoodies, ...hats], [
+      promotion({ id: 'accesorios', type: 'percentage', value: 25, category: 'accesorios' }),
+    ], { now: NOW });
+
+    assert.equal(result.subtotal, 162);
+    assert.equal(result.discountTotal, 8);
+  });
+
+  it('convierte los importes fijos y la compra mínima desde la moneda base', () => {
+    const fromBase = (amount) => amount / 20;
+    const promotions = [
+      promotion({ id: 'minimo', code: 'MIN', type: 'fixed', value: 100, minSubtotal: 2000 }),
+    ];
+    // 2000 MXN = 100 en la moneda del carrito: 130 alcanza el mínimo y el descuento es de 5
+    const result = priceCart(hoodies, promotions, { couponCode: 'MIN', now: NOW, fromBase });
+    assert.deepEqual(result.coupon, { code: 'MIN', valid: true });
+    assert.equal(result.discountTotal, 5);
+
+    const below = priceCart(hats, promotions, { couponCode: 'MIN', now: NOW, fromBase });
+    assert.equal(below.coupon.reason, 'MIN_SUBTOTAL_NOT_MET');
+    assert.equal(below.discountTotal, 0);
+  });
+
+  describe('cupones que no aplican', () => {
+    const reasonFor = (fields, cart = hoodies) =>
+      priceCart(cart, [promotion({ id: 'cupon', code: 'CUPON', type: 'percentage', value: 10, ...fields })], { couponCode: 'cupon', now: NOW }).coupon;
+
+    it('inexistente', () => {
+      const coupon = priceCart(hoodies, [], { couponCode: 'nada', now: NOW }).coupon;
+      assert.deepEqual(coupon, { code: 'NADA', valid: false, reason: 'NOT_FOUND', message: 'Coupon not found' });
+    });
+
+    it('pausado', () => assert.equal(reasonFor({ active: false }).reason, 'INACTIVE'));
+    it('antes de su inicio', () => assert.equal(reasonFor({ startsAt: '2025-06-16T00:00:00.000Z' }).reason, 'NOT_STARTED'));
+    it('después de su fin', () => assert.equal(reasonFor({ endsAt: '2025-06-15T11:59:59.000Z' }).reason, 'EXPIRED'));
+    it('con los usos agotados', () => assert.equal(reasonFor({ usageLimit: 3, usageCount: 3 }).reason, 'USAGE_LIMIT_REACHED'));
+    it('sin líneas de su categoría', () => assert.equal(reasonFor({ category: 'accesorios' }).reason, 'NOT_APPLICABLE'));
+
+    it('un cupón inválido no afecta a las automáticas', () => {
+      const result = priceCart(hoodies, [
+        promotion({ id: 'diez', type: 'percentage', value: 10 }),
+        promotion({ id: 'cupon', code: 'CUPON', type: 'fixed', value: 20, active: false }),
+      ], { couponCode: 'CUPON', now: NOW });
+      assert.equal(result.coupon.valid, false);
+      assert.deepEqual(result.discounts.map(d => d.promotionId), ['diez']);
+      assert.equal(result.total, 117);
+    });
+  });
+});
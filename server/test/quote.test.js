@@ -0,0 +1,105 @@
+// server/test/quote.test.js
+// Cotización completa (ver quote.js): descuentos, envío e impuestos en el orden en que se calculan.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createConverter } from '../currency.js';
+import { quoteOrder } from '../quote.js';
+
+const NOW = new Date('2025-06-15T12:00:00.000Z');
+const mxn = createConverter([]);
+
+const line = (sku, unitPrice, qty, weight = 0.5) => ({ sku, productId: sku, categories: ['ropa'], unitPrice, qty, weight });
+const promotions = [
+  { id: 'diez', name: '10%', code: null, type: 'percentage', value: 10, active: true },
+  { id: 'cupon', name: 'Cupón', code: 'CINCO', type: 'fixed', value: 5, active: true },
+];
+
+describe('quoteOrder', () => {
+  it('descuentos, envío e IVA sobre mercadería más envío', () => {
+    // Subtotal 50; 10% automático (5) y cupón (5) => mercadería 40; envío estándar nacional 6 (1 kg);
+    // IVA 16% de 46 = 7.36
+    const quote = quoteOrder([line('H-1', 25, 2)], promotions, {
+      converter: mxn,
+      lang: 'es',
+      couponCode: 'cinco',
+      destination: { country: 'MX', postalCode: '64000' },
+      now: NOW,
+    });
+
+    assert.equal(quote.currency, 'MXN');
+    assert.equal(quote.subtotal, 50);
+    assert.equal(quote.discountTotal, 10);
+    assert.deepEqual(quote.coupon, { code: 'CINCO', valid: true });
+    assert.equal(quote.shipping.zone, 'national');
+    assert.equal(quote.shipping.selected, 'standard');
+    assert.equal(quote.shipping.amount, 6);
+    assert.deepEqual(quote.taxes.map(t => [t.id, t.base, t.amount]), [['iva', 46, 7.36]]);
+    assert.equal(quote.taxTotal, 7.36);
+    assert.equal(quote.total, 53.36);
+  });
+
+  it('el envío gratis se decide con la mercadería ya descontada', () => {
+    const options = { converter: mxn, lang: 'es', destination: { country: 'MX', postalCode: '01000' }, now: NOW };
+    // Subtotal 64 alcanza el envío gratis local (60), pero con el 10% queda en 57.6
+    const quote = quoteOrder([line('H-1', 32, 2)], promotions, options);
+    assert.equal(quote.shipping.zone, 'local');
+    assert.equal(quote.shipping.amount, 4);
+
+    const free = quoteOrder([line('H-1', 34, 2)], promotions, options);
+    assert.equal(free.shipping.amount, 0);
+    assert.equal(free.total, 70.99);
+  });
+
+  it('cobra el envío por kg adicional y respeta el método elegido', () => {
+    const quote = quoteOrder([line('H-1', 10, 5, 0.6)], [], {
+      converter: mxn,
+      lang: 'es',
+      destination: { country: 'MX', postalCode: '64000' },
+      shippingMethod: 'express',
+      now: NOW,
+    });
+    // 3 kg facturables: 12 por el primero + 3 por cada uno de los otros 2
+    assert.equal(quote.shipping.selected, 'express');
+    assert.equal(quote.shipping.amount, 18);
+    assert.equal(quote.total, 78.88);
+  });
+
+  it('sin destino solo hay retiro en tienda, que tributa como venta local', () => {
+    const quote = quoteOrder([line('H-1', 100, 1)], [], { converter: mxn, lang: 'es', now: NOW });
+    assert.deepEqual(quote.shipping.options.map(o => o.id), ['pickup']);
+    assert.equal(quote.shipping.amount, 0);
+    assert.equal(quote.taxTotal, 16);
+    assert.equal(quote.total, 116);
+  });
+
+  it('las ventas al exterior no llevan IVA', () => {
+    const quote = quoteOrder([line('H-1', 100, 1)], [], {
+      converter: mxn,
+      lang: 'en',
+      destination: { country: 'US', postalCode: '10001' },
+      now: NOW,
+    });
+    assert.equal(quote.shipping.zone, 'international');
+    assert.equal(quote.shipping.amount, 25);
+    assert.deepEqual(quote.taxes, []);
+    assert.equal(quote.total, 125);
+  });
+
+  it('en otra moneda convierte las tarifas y los importes fijos de las reglas', () => {
+    const usd = createConverter([{ currency: 'USD', rate: 20 }], 'USD');
+    // Líneas ya en USD: subtotal 2; 10% => 0.2; cupón de 5 MXN => 0.25; envío de 6 MXN => 0.3
+    const quote = quoteOrder([line('H-1', 2, 1)], promotions, {
+      converter: usd,
+      lang: 'en',
+      couponCode: 'CINCO',
+      destination: { country: 'MX', postalCode: '64000' },
+      now: NOW,
+    });
+    assert.equal(quote.currency, 'USD');
+    assert.equal(quote.discountTotal, 0.45);
+    assert.equal(quote.shipping.amount, 0.3);
+    assert.equal(quote.taxTotal, 0.3);
+    assert.equal(quote.total, 2.15);
+  });
+});
@@ -0,0 +1,60 @@
+// server/test/validate.test.js
+// Validación de las peticiones (ver middleware/validate.js): orden de los pasos y errores de una sola pasada.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findOrNotFound } from '../errors.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../schemas.js';
+
+const products = { 'hoodie-01': { id: 'hoodie-01', price: 100 } };
+
+const spec = {
+  params: idParams,
+  load: findOrNotFound(req => products[req.params.id], 'Product not found'),
+  body: { type: 'object', properties: { title: { type: 'string', minLength: 1 }, price: { type: 'number' } }, required: ['title'] },
+  check: (body, req) => {
+    const errors = body.price > req.resource.price * 2 ? { price: 'Too high' } : null;
+    return { value: { ...body, checked: true }, errors };
+  },
+};
+
+// Corre el middleware con una petición de prueba => { status, body } de la respuesta o { next: true, req }
+function run(id, body) {
+  const req = { params: { id }, query: {}, body };
+  let response = null;
+  const res = {
+    status(status) {
+      response = { status };
+      return this;
+    },
+    json(json) {
+      response.body = json;
+      return this;
+    },
+  };
+  let passed = false;
+  validate(spec)(req, res, () => { passed = true; });
+  return passed ? { next: true, req } : response;
+}
+
+describe('validate', () => {
+  it('un recurso que no existe es 404 aunque el body también tenga errores', () => {
+    const { status, body } = run('nada', { price: 'caro' });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+  });
+
+  it('los errores del esquema y los de check llegan en el mismo 422', () => {
+    const { status, body } = run('hoodie-01', { price: 500 });
+    assert.equal(status, 422);
+    assert.deepEqual(body.errors, { title: 'Required', price: 'Too high' });
+  });
+
+  it('con todo válido deja el recurso en req.resource y el value de check en req.body', () => {
+    const { next, req } = run('hoodie-01', { title: 'Hoodie', price: 120 });
+    assert.equal(next, true);
+    assert.equal(req.resource, products['hoodie-01']);
+    assert.deepEqual(req.body, { title: 'Hoodie', price: 120, checked: true });
+  });
+});
@@ -0,0 +1,58 @@
+// server/validation/account.js
+// Validación de datos de cuentas de clientes (registro y direcciones de envío).
+// Igual que validation/product.js, devuelve errores campo por campo.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+export const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : email);
+export const isValidEmail = (email) => typeof email === 'string' && EMAIL_PATTERN.test(email);
+
+// Body de POST /api/auth/register => { name, email, password }
+export function validateRegistration(input = {}) {
+  const errors = {};
+  const email = normalizeEmail(input.email);
+
+  if (!isNonEmptyString(input.name)) errors.name = 'Required';
+  if (!isNonEmptyString(email)) errors.email = 'Required';
+  else if (!isValidEmail(email)) errors.email = 'Must be a valid email';
+  if (typeof input.password !== 'string' || input.password.length < 8) errors.password = 'Must be at least 8 characters';
+
+  return {
+    value: { name: input.name?.trim?.(), email, password: input.password },
+    errors: Object.keys(errors).length ? errors : null,
+  };
+}
+
+// Dirección de envío:
+// { fullName, line1, line2?, city, state, postalCode, country (ISO 3166 alfa-2), phone?, isDefault? }
+export function validateAddress(input = {}) {
+  const errors = {};
+  for (const field of ['fullName', 'line1', 'city', 'state', 'postalCode']) {
+    if (!isNonEmptyString(input[field])) errors[field] = 'Required';
+  }
+  const country = typeof input.country === 'string' ? input.country.trim().toUpperCase() : 'MX';
+  if (!COUNTRY_PATTERN.test(country)) errors.country = 'Use a 2-letter country code (e.g. MX, US)';
+  for (const field of ['line2', 'phone']) {
+    if (input[field] !== undefined && typeof input[field] !== 'string') errors[field] = 'Must be a string';
+  }
+  if (input.isDefault !== undefined && typeof input.isDefault !== 'boolean') errors.isDefault = 'Must be true or false';
+
+  const trim = (value) => (typeof value === 'string' ? value.trim() : value);
+  return {
+    value: {
+      fullName: trim(input.fullName),
+      line1: trim(input.line1),
+      line2: trim(input.line2) ?? '',
+      city: trim(input.city),
+      state: trim(input.state),
+      postalCode: trim(input.postalCode),
+      country,
+      phone: trim(input.phone) ?? '',
+      isDefault: input.isDefault ?? false,
+    },
+    errors: Object.keys(errors).length ? errors : null,
+  };
+}
@@ -0,0 +1,53 @@
+// server/validation/category.js
+// Validación de categorías para los endpoints de administración.
+// Mismo formato que validation/product.js: { value, errors } con errores campo por campo.
+// Que el padre exista y no forme un ciclo lo comprueba la ruta (depende de las categorías guardadas).
+
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../localization.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Nombres por idioma: el del idioma base es obligatorio; los demás, opcionales (vacíos se descartan)
+function validateNames(input, errors) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    errors[`names.${DEFAULT_LANGUAGE}`] = 'Required';
+    return {};
+  }
+  const names = {};
+  for (const [lang, value] of Object.entries(input)) {
+    const key = `names.${lang}`;
+    if (!SUPPORTED_LANGUAGES.includes(lang)) errors[key] = `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(', ')}`;
+    else if (value === undefined || value === null || value === '') continue;
+    else if (typeof value !== 'string') errors[key] = 'Must be a string';
+    else if (value.length > 60) errors[key] = 'Must be at most 60 characters';
+    else if (value.trim()) names[lang] = value.trim();
+  }
+  if (!names[DEFAULT_LANGUAGE] && !errors[`names.${DEFAULT_LANGUAGE}`]) errors[`names.${DEFAULT_LANGUAGE}`] = 'Required';
+  return names;
+}
+
+// Valida el body de creación/edición de una categoría.
+// Campos: slug, parent (slug o null), names ({ es, en }), position.
+export function validateCategory(input = {}) {
+  const errors = {};
+  const category = {};
+
+  if (!isNonEmptyString(input.slug)) errors.slug = 'Required';
+  else if (!SLUG_PATTERN.test(input.slug)) errors.slug = 'Use lowercase letters, numbers and dashes (e.g. camisetas)';
+  category.slug = input.slug;
+
+  // Sin padre la categoría es raíz
+  category.parent = input.parent === undefined || input.parent === '' ? null : input.parent;
+  if (category.parent !== null && !isNonEmptyString(category.parent)) errors.parent = 'Must be a category slug';
+
+  category.names = validateNames(input.names, errors);
+
+  if (input.position !== undefined && !(Number.isInteger(input.position) && input.position >= 0)) {
+    errors.position = 'Must be an integer >= 0';
+  }
+  category.position = input.position ?? 0;
+
+  return { value: category, errors: Object.keys(errors).length ? errors : null };
+}
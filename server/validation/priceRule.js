@@ -0,0 +1,66 @@
+// server/validation/priceRule.js
+// Validación de las ofertas programadas (ver pricing.js) para los endpoints de administración.
+// Mismo formato que validation/promotion.js: { value, errors } con errores campo por campo.
+// Que el producto o la categoría existan lo comprueba la ruta.
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Convierte '' y undefined en null para los campos opcionales
+const optional = (value) => (value === undefined || value === '' ? null : value);
+
+// Valida el body de creación/edición de una oferta.
+// Campos: id, name, productId | category, percentOff | salePrice, compareAtPrice, startsAt, endsAt, active.
+export function validatePriceRule(input = {}) {
+  const errors = {};
+  const rule = {};
+
+  if (!isNonEmptyString(input.id)) errors.id = 'Required';
+  else if (!ID_PATTERN.test(input.id)) errors.id = 'Use lowercase letters, numbers and dashes (e.g. finde-gorros)';
+  rule.id = input.id;
+
+  if (!isNonEmptyString(input.name)) errors.name = 'Required';
+  rule.name = input.name?.trim?.() ?? input.name;
+
+  // Alcance: un producto o una categoría
+  rule.productId = optional(input.productId);
+  rule.category = optional(input.category);
+  if (rule.productId === null && rule.category === null) errors.productId = 'Set productId or category';
+  else if (rule.productId !== null && rule.category !== null) errors.category = 'Set productId or category, not both';
+  if (rule.productId !== null && !isNonEmptyString(rule.productId)) errors.productId = 'Must be a string';
+  if (rule.category !== null && !isNonEmptyString(rule.category)) errors.category = 'Must be a string';
+
+  // Descuento: porcentaje o precio fijo (este solo tiene sentido para un producto)
+  rule.percentOff = optional(input.percentOff);
+  rule.salePrice = optional(input.salePrice);
+  if (rule.percentOff === null && rule.salePrice === null) errors.percentOff = 'Set percentOff or salePrice';
+  else if (rule.percentOff !== null && rule.salePrice !== null) errors.salePrice = 'Set percentOff or salePrice, not both';
+  if (rule.percentOff !== null && !(Number.isInteger(rule.percentOff) && rule.percentOff >= 1 && rule.percentOff <= 99)) {
+    errors.percentOff = 'Must be an integer between 1 and 99';
+  }
+  if (rule.salePrice !== null) {
+    if (!isPositiveNumber(rule.salePrice)) errors.salePrice = 'Must be a number > 0';
+    else if (rule.category !== null) errors.salePrice = 'Only for a single product; use percentOff for a category';
+  }
+
+  rule.compareAtPrice = optional(input.compareAtPrice);
+  if (rule.compareAtPrice !== null) {
+    if (!isPositiveNumber(rule.compareAtPrice)) errors.compareAtPrice = 'Must be a number > 0';
+    else if (rule.category !== null) errors.compareAtPrice = 'Only for a single product';
+    else if (isPositiveNumber(rule.salePrice) && rule.compareAtPrice <= rule.salePrice) errors.compareAtPrice = 'Must be greater than salePrice';
+  }
+
+  rule.startsAt = input.startsAt;
+  rule.endsAt = input.endsAt;
+  if (!isDate(rule.startsAt)) errors.startsAt = 'Must be an ISO 8601 date';
+  if (!isDate(rule.endsAt)) errors.endsAt = 'Must be an ISO 8601 date';
+  else if (!errors.startsAt && Date.parse(rule.endsAt) <= Date.parse(rule.startsAt)) errors.endsAt = 'Must be after startsAt';
+
+  if (input.active !== undefined && typeof input.active !== 'boolean') errors.active = 'Must be true or false';
+  rule.active = input.active ?? true;
+
+  return { value: rule, errors: Object.keys(errors).length ? errors : null };
+}
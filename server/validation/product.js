@@ -0,0 +1,151 @@
+// server/validation/product.js
+// Validación de productos para los endpoints de administración.
+// Devuelve los errores campo por campo ({ [campo]: mensaje }) para que el formulario
+// del back-office pueda mostrarlos junto a cada input. Los errores de variantes usan
+// claves con índice, p. ej. "variants[2].stock".
+
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from '../currency.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../localization.js';
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+// Normaliza un texto para usarlo dentro de un SKU: sin acentos, mayúsculas y guiones
+const skuPart = (value) =>
+  String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// SKU por defecto de una variante: ID-COLOR-TALLE (p. ej., HOODIE-01-NEGRO-M)
+export const buildSku = (productId, color, size) =>
+  [productId, color, size].map(skuPart).join('-');
+
+// Valida las variantes contra los colores/talles del producto.
+// Si no se envían variantes, se generan todas las combinaciones con stock 0
+// (luego se reponen con el endpoint de restock).
+function validateVariants(input, product, errors) {
+  const { colors, sizes } = product;
+  if (input === undefined) {
+    if (!colors || !sizes) return undefined;
+    return colors.flatMap(color => sizes.map(size => ({ sku: buildSku(product.id, color, size), color, size, stock: 0 })));
+  }
+  if (!Array.isArray(input)) {
+    errors.variants = 'Must be an array';
+    return undefined;
+  }
+
+  const seen = new Set();
+  return input.map((raw, i) => {
+    const key = (field) => `variants[${i}].${field}`;
+    const variant = { ...raw };
+
+    if (colors && !colors.includes(variant.color)) errors[key('color')] = 'Must be one of the product colors';
+    if (sizes && !sizes.includes(variant.size)) errors[key('size')] = 'Must be one of the product sizes';
+
+    if (variant.sku === undefined || variant.sku === '') variant.sku = buildSku(product.id, variant.color, variant.size);
+    if (!isNonEmptyString(variant.sku)) errors[key('sku')] = 'Must be a non-empty string';
+    else if (seen.has(variant.sku)) errors[key('sku')] = 'Duplicated SKU';
+    seen.add(variant.sku);
+
+    if (!Number.isInteger(variant.stock) || variant.stock < 0) errors[key('stock')] = 'Must be an integer >= 0';
+
+    if (variant.price === null || variant.price === '') delete variant.price;
+    if (variant.price !== undefined && !(typeof variant.price === 'number' && variant.price > 0)) {
+      errors[key('price')] = 'Must be a number > 0';
+    }
+    return variant;
+  });
+}
+
+// Traducciones { en: { title, description } } para los idiomas distintos del base.
+// Los textos vacíos se descartan (la tienda usa el texto en español).
+function validateTranslations(input, errors) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    errors.translations = 'Must be an object keyed by language';
+    return {};
+  }
+
+  const translations = {};
+  for (const [lang, raw] of Object.entries(input)) {
+    const key = (field) => `translations.${lang}.${field}`;
+    if (lang === DEFAULT_LANGUAGE || !SUPPORTED_LANGUAGES.includes(lang)) {
+      errors[`translations.${lang}`] = `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.filter(l => l !== DEFAULT_LANGUAGE).join(', ')}`;
+      continue;
+    }
+    const texts = {};
+    for (const field of ['title', 'description']) {
+      const value = raw?.[field];
+      if (value === undefined || value === null || value === '') continue;
+      if (typeof value !== 'string') errors[key(field)] = 'Must be a string';
+      else if (field === 'title' && value.length > 120) errors[key(field)] = 'Must be at most 120 characters';
+      else if (value.trim()) texts[field] = value.trim();
+    }
+    if (Object.keys(texts).length) translations[lang] = texts;
+  }
+  return translations;
+}
+
+// Valida el body de creación/edición de un producto.
+// Campos: id, title, description, translations, price, currency, weight, images, category, colors, sizes,
+// variants (stock), featured.
+// Devuelve { value, errors }: value es el producto normalizado; errors es null si todo es válido.
+export function validateProduct(input = {}) {
+  const errors = {};
+  const product = {};
+
+  if (!isNonEmptyString(input.id)) errors.id = 'Required';
+  else if (!ID_PATTERN.test(input.id)) errors.id = 'Use lowercase letters, numbers and dashes (e.g. hoodie-03)';
+  product.id = input.id;
+
+  if (!isNonEmptyString(input.title)) errors.title = 'Required';
+  else if (input.title.length > 120) errors.title = 'Must be at most 120 characters';
+  product.title = input.title?.trim?.() ?? input.title;
+
+  if (input.description !== undefined && typeof input.description !== 'string') errors.description = 'Must be a string';
+  product.description = input.description ?? '';
+
+  product.translations = validateTranslations(input.translations, errors);
+
+  if (typeof input.price !== 'number' || !Number.isFinite(input.price) || input.price <= 0) errors.price = 'Must be a number > 0';
+  product.price = input.price;
+
+  // Moneda en la que están expresados el precio base y los precios por variante
+  if (input.currency !== undefined && !SUPPORTED_CURRENCIES.includes(input.currency)) {
+    errors.currency = `Must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
+  product.currency = input.currency ?? BASE_CURRENCY;
+
+  // Peso en kg para calcular el envío (null => se usa el peso por defecto de shipping.js)
+  if (input.weight != null && !(typeof input.weight === 'number' && Number.isFinite(input.weight) && input.weight > 0)) {
+    errors.weight = 'Must be a number > 0 (kg)';
+  }
+  product.weight = input.weight ?? null;
+
+  if (input.images !== undefined && !isStringArray(input.images)) errors.images = 'Must be a list of image paths';
+  product.images = input.images ?? [];
+
+  if (!isNonEmptyString(input.category)) errors.category = 'Required';
+  product.category = input.category;
+
+  if (!isStringArray(input.colors) || input.colors.length === 0) errors.colors = 'Add at least one color';
+  else if (new Set(input.colors).size !== input.colors.length) errors.colors = 'Colors must be unique';
+  else product.colors = input.colors;
+
+  if (!isStringArray(input.sizes) || input.sizes.length === 0) errors.sizes = 'Add at least one size';
+  else if (new Set(input.sizes).size !== input.sizes.length) errors.sizes = 'Sizes must be unique';
+  else product.sizes = input.sizes;
+
+  product.variants = validateVariants(input.variants, product, errors);
+  if (!errors.colors && !errors.sizes && product.variants?.length === 0) errors.variants = 'Add at least one variant';
+
+  if (input.featured !== undefined && typeof input.featured !== 'boolean') errors.featured = 'Must be true or false';
+  product.featured = input.featured ?? false;
+
+  return { value: product, errors: Object.keys(errors).length ? errors : null };
+}
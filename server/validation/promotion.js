@@ -0,0 +1,73 @@
+// server/validation/promotion.js
+// Validación de promociones para los endpoints de administración.
+// Mismo formato que validation/product.js: { value, errors } con errores campo por campo.
+
+import { normalizeCode, PROMOTION_TYPES } from '../promotions.js';
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Convierte '' y undefined en null para los campos opcionales
+const optional = (value) => (value === undefined || value === '' ? null : value);
+
+// Valida el body de creación/edición de una promoción.
+// Campos: id, name, code, type, value, buyQty, getQty, category, minSubtotal,
+// startsAt, endsAt, usageLimit, active. usageCount no se edita: lo mantiene el checkout.
+export function validatePromotion(input = {}) {
+  const errors = {};
+  const promotion = {};
+
+  if (!isNonEmptyString(input.id)) errors.id = 'Required';
+  else if (!ID_PATTERN.test(input.id)) errors.id = 'Use lowercase letters, numbers and dashes (e.g. verano-20)';
+  promotion.id = input.id;
+
+  if (!isNonEmptyString(input.name)) errors.name = 'Required';
+  promotion.name = input.name?.trim?.() ?? input.name;
+
+  // Sin código la promoción es automática
+  promotion.code = optional(input.code) === null ? null : normalizeCode(input.code);
+  if (promotion.code !== null && !CODE_PATTERN.test(promotion.code)) {
+    errors.code = 'Use 3-32 letters, numbers, dashes or underscores';
+  }
+
+  if (!PROMOTION_TYPES.includes(input.type)) errors.type = `Must be one of: ${PROMOTION_TYPES.join(', ')}`;
+  promotion.type = input.type;
+
+  if (input.type === 'buy_x_get_y') {
+    if (!isPositiveInteger(input.buyQty)) errors.buyQty = 'Must be a positive integer';
+    if (!isPositiveInteger(input.getQty)) errors.getQty = 'Must be a positive integer';
+    promotion.buyQty = input.buyQty;
+    promotion.getQty = input.getQty;
+  } else if (PROMOTION_TYPES.includes(input.type)) {
+    if (!isPositiveNumber(input.value)) errors.value = 'Must be a number > 0';
+    else if (input.type === 'percentage' && input.value > 100) errors.value = 'Must be at most 100';
+    promotion.value = input.value;
+  }
+
+  promotion.category = optional(input.category);
+  if (promotion.category !== null && !isNonEmptyString(promotion.category)) errors.category = 'Must be a string';
+
+  promotion.minSubtotal = optional(input.minSubtotal);
+  if (promotion.minSubtotal !== null && !isPositiveNumber(promotion.minSubtotal)) errors.minSubtotal = 'Must be a number > 0';
+
+  promotion.startsAt = optional(input.startsAt);
+  promotion.endsAt = optional(input.endsAt);
+  if (promotion.startsAt !== null && !isDate(promotion.startsAt)) errors.startsAt = 'Must be an ISO 8601 date';
+  if (promotion.endsAt !== null && !isDate(promotion.endsAt)) errors.endsAt = 'Must be an ISO 8601 date';
+  else if (promotion.startsAt && !errors.startsAt && promotion.endsAt && Date.parse(promotion.endsAt) <= Date.parse(promotion.startsAt)) {
+    errors.endsAt = 'Must be after startsAt';
+  }
+
+  promotion.usageLimit = optional(input.usageLimit);
+  if (promotion.usageLimit !== null && !isPositiveInteger(promotion.usageLimit)) errors.usageLimit = 'Must be a positive integer';
+
+  if (input.active !== undefined && typeof input.active !== 'boolean') errors.active = 'Must be true or false';
+  promotion.active = input.active ?? true;
+
+  return { value: promotion, errors: Object.keys(errors).length ? errors : null };
+}
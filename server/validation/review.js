@@ -0,0 +1,30 @@
+// server/validation/review.js
+// Validación de reseñas enviadas desde la tienda.
+// Igual que validation/product.js, devuelve errores campo por campo.
+// Que el pedido pruebe la compra lo comprueba la ruta (depende de los pedidos guardados).
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Body de POST /api/products/:id/reviews => { rating, title?, text, authorName?, orderId? }
+// Los clientes con sesión firman con el nombre de su cuenta; los invitados deben indicar uno.
+export function validateReview(input = {}, { user = null } = {}) {
+  const errors = {};
+
+  if (!Number.isInteger(input.rating) || input.rating < 1 || input.rating > 5) errors.rating = 'Must be an integer from 1 to 5';
+
+  const text = typeof input.text === 'string' ? input.text.trim() : '';
+  if (text.length < 10) errors.text = 'Must be at least 10 characters';
+  else if (text.length > 2000) errors.text = 'Must be at most 2000 characters';
+
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (title.length > 80) errors.title = 'Must be at most 80 characters';
+
+  const authorName = user ? user.name : input.authorName?.trim?.();
+  if (!isNonEmptyString(authorName)) errors.authorName = 'Required';
+  else if (authorName.length > 60) errors.authorName = 'Must be at most 60 characters';
+
+  return {
+    value: { rating: input.rating, title, text, authorName, orderId: input.orderId },
+    errors: Object.keys(errors).length ? errors : null,
+  };
+}
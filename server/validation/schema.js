@@ -0,0 +1,110 @@
+// server/validation/schema.js
+// Validador de un subconjunto de JSON Schema (el que usa OpenAPI 3.1). Las rutas validan sus params,
+// query y body con los mismos esquemas que se publican en /api/openapi.json (ver openapi.js y schemas.js).
+//
+// Palabras clave soportadas:
+// - type ('string', 'number', 'integer', 'boolean', 'object', 'array', 'null' o una lista), enum
+// - minimum, maximum, exclusiveMinimum; minLength, maxLength, pattern, format: 'date-time'
+// - properties, required, additionalProperties (false o un esquema); items, minItems, maxItems
+// - default: valor que toma una propiedad ausente
+// El resto (description, example...) solo documenta.
+// Igual que los validadores de cada recurso, devuelve { value, errors } con errores campo por campo;
+// las claves siguen la ruta del valor: "items[0].qty", "destination.country".
+
+const TYPES = {
+  string: { test: (v) => typeof v === 'string', name: 'a string' },
+  number: { test: (v) => typeof v === 'number' && Number.isFinite(v), name: 'a number' },
+  integer: { test: Number.isInteger, name: 'an integer' },
+  boolean: { test: (v) => typeof v === 'boolean', name: 'true or false' },
+  object: { test: (v) => v !== null && typeof v === 'object' && !Array.isArray(v), name: 'an object' },
+  array: { test: Array.isArray, name: 'an array' },
+  null: { test: (v) => v === null, name: 'null' },
+};
+
+const typesOf = (schema) => (schema.type === undefined ? [] : [].concat(schema.type));
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Query string y parámetros de ruta llegan como texto: se convierten al tipo que espera el esquema.
+// Si no se puede, el valor queda igual y falla la validación de tipo.
+function coerce(value, types) {
+  if (typeof value !== 'string') return value;
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function check(schema, input, path, errors, options) {
+  const types = typesOf(schema);
+  const value = options.coerce ? coerce(input, types) : input;
+  const fail = (message) => {
+    errors[path || options.root] = message;
+    return value;
+  };
+
+  if (types.length && !types.some(type => TYPES[type].test(value))) {
+    return fail(`Must be ${types.map(type => TYPES[type].name).join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) return fail(`Must be one of: ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`Must be >= ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return fail(`Must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`Must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength === 1 && value.length === 0) return fail('Required');
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(`Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`Must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`Must match ${schema.pattern}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) return fail('Must be an ISO 8601 date');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(schema.minItems === 1 ? 'Must not be empty' : `Must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`Must have at most ${schema.maxItems} items`);
+    }
+    return schema.items ? value.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors, options)) : value;
+  }
+
+  if (TYPES.object.test(value) && (schema.properties || schema.additionalProperties !== undefined)) {
+    const result = {};
+    for (const [key, raw] of Object.entries(value)) {
+      if (raw === undefined) continue;
+      const propSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (propSchema === false) errors[childPath(path, key)] = options.unknown;
+      else result[key] = propSchema && propSchema !== true ? check(propSchema, raw, childPath(path, key), errors, options) : raw;
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties ?? {})) {
+      if (value[key] !== undefined) continue;
+      if (schema.required?.includes(key)) errors[childPath(path, key)] = 'Required';
+      else if (propSchema.default !== undefined) result[key] = structuredClone(propSchema.default);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+// Valida `input` contra `schema`.
+// options.coerce: convierte textos a number/integer/boolean (query string y parámetros de ruta)
+// options.root: clave del error cuando falla el valor completo (p. ej., 'body')
+// options.unknown: mensaje para las propiedades no admitidas (additionalProperties: false)
+// Devuelve { value, errors }: value con los valores convertidos y los defaults aplicados; errors es null si es válido.
+export function validateSchema(schema, input, { coerce = false, root = 'value', unknown = 'Unknown field' } = {}) {
+  const errors = {};
+  const value = check(schema, input, '', errors, { coerce, root, unknown });
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
@@ -1,350 +1,329 @@
 // src/App.jsx
-// Componente principal de la aplicación (MVP inicial de la tienda)
+// Componente principal de la aplicación: layout común de la tienda
 // Objetivos de esta versión:
-// - Consumir la API (ya creada en server/index.js) para listar productos
-// - Soportar filtros básicos: categoría, búsqueda por texto, rango de precio, ordenamiento
-// - Carrito mínimo en memoria (sin persistencia todavía)
-// - Diseño responsivo simple usando CSS básico (refinaremos estilos en el siguiente paso)
+// - Layout compartido (barra superior, drawer del carrito y resumen fijo) para todas las rutas
+// - Estado del carrito y caché de productos, publicados a las páginas vía <Outlet context>
+//   (ver hooks/useShop.js)
+// - Carrito guardado en el navegador (sobrevive recargas y se comparte entre pestañas); con sesión
+//   iniciada además se guarda en la cuenta. Al abrir la tienda se vuelven a pedir los productos del
+//   carrito guardado y, si cambiaron precio o stock (o ya no se venden), se avisa con CartNotice
+// - Sesión del cliente (ingreso/registro/salida): al ingresar, el carrito de invitado
+//   se suma al de la cuenta; al recargar, se restaura la sesión y el carrito guardados
+// - Favoritos (ver hooks/useFavorites.js): en el navegador para invitados y también en la cuenta con sesión
+// - Cotización del servidor (promociones + cupón, envío según destino e impuestos), ver `pricing`
+// - Idioma y moneda elegidos (ver i18n/LocaleProvider.jsx): al cambiarlos se vuelven a pedir
+//   los productos del carrito y la cotización, así precios y textos quedan en la nueva elección
+// - Stock y precios en vivo: los cambios que publica el servidor (GET /api/products/stream) se aplican
+//   a la caché de productos y a las páginas (ver liveProduct); el carrito se recotiza si cambia un precio
+// - Analítica (ver services/analytics.js): cada agregado al carrito se registra como evento
+// - Catálogo y detalle de producto pueden llegar renderizados por el servidor (ver entry-server.jsx): hasta
+//   hidratarlos, el carrito y los favoritos (que solo conoce el navegador) se muestran vacíos como en ese HTML
+// - Las páginas viven en src/pages y se enrutan en routes.jsx:
+//   / (catálogo), /producto/:id (detalle), /carrito, /checkout, /pedido/:id (resultado del pago),
+//   /favoritos, /ingresar, /mis-pedidos y /mi-cuenta (estas dos requieren sesión)
 // - Comentarios detallados en español para facilitar el aprendizaje
 
-import { useEffect, useMemo, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { Outlet, useNavigate } from 'react-router-dom'
 import './App.css'
-import { Api } from './services/api'
-
-// Utilidad para formatear precios en moneda local
-const formatPrice = (value) =>
-  new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(value)
-
-// Dado que nuestra API devuelve rutas de imágenes locales (p.ej. /img/..),
-// y estas podrían no existir aún en /public/img, proveemos un fallback
-// a un placeholder para evitar imágenes rotas.
-const resolveImage = (product) => {
-  const first = product?.images?.[0]
-  if (!first || first.startsWith('/img/')) {
-    // Placeholder con el título del producto
-    return `https://placehold.co/600x600?text=${encodeURIComponent(product.title)}`
-  }
-  return first
-}
-
-// Utilidades para robustez de datos entre productos
-const getId = (p) => p?.id ?? p?.productId ?? p?._id
-const getPrice = (p) => {
-  const val = p?.price ?? p?.precio ?? p?.cost ?? p?.costo
-  return typeof val === 'string' ? Number(val) : val
-}
-const getStock = (p) => p?.stock ?? p?.existencias ?? p?.inventory ?? p?.cantidad
-
-// Componente: Barra de navegación superior
-function Navbar({ cartCount, onOpenCart }) {
-  return (
-    <header className="nav">
-      {/* Sección izquierda: Marca / título */}
-      <div className="nav__brand">Sudaderas & Gorros</div>
-      {/* Sección derecha: Indicador del carrito (futuro: botón para abrir modal/drawer) */}
-      <div className="nav__actions">
-        <button className="btn btn--ghost" aria-label="Ver carrito" onClick={onOpenCart}>
-          🛒 <span className="badge">{cartCount}</span>
-        </button>
-      </div>
-    </header>
-  )
-}
-
-// Componente: Controles de filtrado y ordenamiento
-
-function FilterBar({ filters, onChange }) {
-  // Manejadores locales que actualizan el objeto de filtros del padre
-  const handleInput = (key) => (e) => onChange({ ...filters, [key]: e.target.value })
-
-  return (
-    <section className="filters">
-      {/* Búsqueda por texto en título y descripción */}
-      <div className="filters__group">
-        <label className="label">Buscar</label>
-        <input
-          className="input"
-          type="search"
-          placeholder="sudadera, gorro, urbano..."
-          value={filters.q}
-          onChange={handleInput('q')}
-        />
-      </div>
-
-      {/* Categoría: hats / hoodies */}
-      <div className="filters__group">
-        <label className="label">Categoría</label>
-        <select className="input" value={filters.category} onChange={handleInput('category')}>
-          <option value="">Todas</option>
-          <option value="hats">Gorros</option>
-          <option value="hoodies">Sudaderas</option>
-        </select>
-      </div>
-
-      {/* Rango de precio mínimo y máximo */}
-      <div className="filters__group filters__group--row">
-        <div>
-          <label className="label">Precio mín.</label>
-          <input
-            className="input"
-            type="number"
-            min="0"
-            step="0.01"
-            placeholder="0"
-            value={filters.minPrice}
-            onChange={handleInput('minPrice')}
-          />
-        </div>
-        <div>
-          <label className="label">Precio máx.</label>
-          <input
-            className="input"
-            type="number"
-            min="0"
-            step="0.01"
-            placeholder="9999"
-            value={filters.maxPrice}
-            onChange={handleInput('maxPrice')}
-          />
-        </div>
-      </div>
-
-      {/* Ordenamiento */}
-      <div className="filters__group">
-        <label className="label">Ordenar por</label>
-        <select className="input" value={filters.sort} onChange={handleInput('sort')}>
-          <option value="">Relevancia</option>
-          <option value="price_asc">Precio: menor a mayor</option>
-          <option value="price_desc">Precio: mayor a menor</option>
-          <option value="title_asc">Título: A → Z</option>
-        </select>
-      </div>
-    </section>
-  )
-}
-
-// Componentes atómicos: Precio, Disponibilidad y Botón Agregar
-function PriceTag({ price }) {
-  const hasPrice = price !== undefined && price !== null && !Number.isNaN(Number(price))
-  return <p className="card__price">{hasPrice ? formatPrice(Number(price)) : 'Precio no disponible'}</p>
-}
-
-function AvailabilityBadge({ stock }) {
-  const hasStockInfo = stock !== undefined && stock !== null
-  const inStock = !hasStockInfo || Number(stock) > 0
-  const label = inStock ? `Disponible${hasStockInfo ? `: ${stock}` : ''}` : 'Agotado'
-  const style = {
-    display: 'inline-block',
-    padding: '0.125rem 0.5rem',
-    borderRadius: '999px',
-    fontSize: '0.75rem',
-    fontWeight: 600,
-    background: inStock ? 'rgba(16,185,129,.15)' : 'rgba(239,68,68,.15)',
-    color: inStock ? '#065f46' : '#7f1d1d',
-  }
-  return <span style={style}>{label}</span>
-}
-
-function AddToCartButton({ product, onAddToCart }) {
-  const stockVal = getStock(product)
-  const hasStockInfo = stockVal !== undefined && stockVal !== null
-  const disabled = !product || (hasStockInfo && Number(stockVal) <= 0)
-  return (
-    <button className="btn btn--primary" style={{ width: '100%' }} disabled={disabled} onClick={() => onAddToCart(product)}>
-      {disabled ? 'Sin stock' : 'Agregar al carrito'}
-    </button>
-  )
-}
-
-// Componente: Tarjeta de producto
-function ProductCard({ product, onAddToCart }) {
-  const img = resolveImage(product)
-  return (
-    <article className="card">
-      <div className="card__media">
-        <img src={img} alt={product.title} />
-      </div>
-      <div className="card__body">
-        <h3 className="card__title">{product.title}</h3>
-        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', flexWrap: 'wrap' }}>
-          <PriceTag price={getPrice(product)} />
-          <AvailabilityBadge stock={getStock(product)} />
-        </div>
-        <AddToCartButton product={product} onAddToCart={onAddToCart} />
-      </div>
-    </article>
-  )
-}
-
-// Componente: Grid de productos responsivo
-function ProductGrid({ products, onAddToCart }) {
-  if (!products?.length) {
-    return <p className="empty">No hay productos que coincidan con los filtros.</p>
-  }
-
-  return (
-    <section className="grid">
-      {products.map((p) => (
-        <ProductCard key={getId(p)} product={p} onAddToCart={onAddToCart} />
-      ))}
-    </section>
-  )
-}
-
-function CartDrawer({ open, onClose, items, total, onInc, onDec, onRemove }) {
-  if (!open) return null
-  return (
-    <>
-      <div
-        role="presentation"
-        onClick={onClose}
-        style={{
-          position: 'fixed',
-          inset: 0,
-          background: 'rgba(0,0,0,0.6)',
-          zIndex: 40,
-        }}
-      />
-      <aside
-        aria-label="Carrito"
-        style={{
-          position: 'fixed',
-          top: 0,
-          right: 0,
-          height: '100dvh',
-          width: 'min(480px, 100%)',
-          background: 'var(--surface)',
-          borderLeft: '1px solid var(--border)',
-          padding: '1rem',
-          display: 'grid',
-          gridTemplateRows: 'auto 1fr auto',
-          gap: '1rem',
-          zIndex: 50,
-          overflow: 'hidden',
-        }}
-      >
-        <header style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-          <h2 style={{ margin: 0 }}>Tu carrito</h2>
-          <button className="btn btn--ghost" onClick={onClose} aria-label="Cerrar">✕</button>
-        </header>
-        <div style={{ overflow: 'auto', display: 'grid', gap: '0.75rem' }}>
-          {items.length === 0 ? (
-            <p className="empty">Tu carrito está vacío.</p>
-          ) : (
-            items.map(({ product, qty }) => (
-              <div key={getId(product)} style={{ display: 'grid', gridTemplateColumns: '64px 1fr auto', gap: '0.75rem', alignItems: 'center', border: '1px solid var(--border)', borderRadius: 12, padding: '0.5rem' }}>
-                <img src={resolveImage(product)} alt={product.title} style={{ width: 64, height: 64, objectFit: 'cover', borderRadius: 8 }} />
-                <div style={{ display: 'grid', gap: '0.25rem' }}>
-                  <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem' }}>
-                    <strong>{product.title}</strong>
-                    <button className="btn btn--ghost" onClick={() => onRemove(getId(product))} aria-label="Quitar">🗑️</button>
-                  </div>
-                  <span className="card__price">{formatPrice(getPrice(product))} c/u</span>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                    <button className="btn" onClick={() => onDec(getId(product))} aria-label="Disminuir">−</button>
-                    <span>{qty}</span>
-                    <button className="btn" onClick={() => onInc(getId(product))} aria-label="Aumentar">+</button>
-                  </div>
-                </div>
-                <div style={{ fontWeight: 600 }}>{formatPrice(getPrice(product) * qty)}</div>
-              </div>
-            ))
-          )}
-        </div>
-        <footer style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem' }}>
-          <div><strong>Total:</strong> {formatPrice(total)}</div>
-          <button className="btn btn--primary" disabled={items.length === 0}>Finalizar compra</button>
-        </footer>
-      </aside>
-    </>
-  )
-}
+import CartDrawer from './components/CartDrawer'
+import CartNotice from './components/CartNotice'
+import Navbar from './components/Navbar'
+import { useFavorites } from './hooks/useFavorites'
+import { useHydrated } from './hooks/useHydrated'
+import { useLocale } from './hooks/useLocale'
+import { AccountApi, Api, getSavedCart, getSessionToken, saveCart, setSessionToken, subscribeToSavedCart } from './services/api'
+import { track } from './services/analytics'
+import { findCartChanges } from './utils/checkout'
+import { applyProductUpdate, getId, getVariantPrice, getVariants } from './utils/product'
+
+// Carrito { [sku]: qty } => líneas [{ sku, qty }] como las espera la API de la cuenta
+const toCartLines = (cart) => Object.entries(cart).map(([sku, qty]) => ({ sku, qty }))
+// Carrito guardado en el navegador => { [sku]: qty }
+const fromSavedCart = (saved) => Object.fromEntries((saved?.items ?? []).map(({ sku, qty }) => [sku, qty]))
+// Favoritos mientras se hidrata la página del servidor: ninguno
+const notFavorite = () => false
+// Mismas líneas y cantidades (el orden no importa)
+const sameCart = (a, b) => Object.keys(a).length === Object.keys(b).length && Object.entries(a).every(([sku, qty]) => b[sku] === qty)
 
 export default function App() {
-
-  // Estado: filtros de búsqueda
-  const [filters, setFilters] = useState({
-    q: '',
-    category: '',
-    minPrice: '',
-    maxPrice: '',
-    sort: '',
-  })
-
-  // Estado: datos de productos
-  const [items, setItems] = useState([])
-  const [total, setTotal] = useState(0)
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState(null)
-
-  // Estado: carrito simple en memoria
-  // Estructura: { [productId]: quantity }
-  const [cart, setCart] = useState({})
+  const navigate = useNavigate()
+  const { lang, currency, t, formatPrice } = useLocale()
+
+  // Carrito guardado al abrir la tienda (se revalida contra el servidor una sola vez)
+  const [savedCart] = useState(getSavedCart)
+  // Estado: carrito. Estructura: { [sku]: quantity } => cada variante (color + talle) es una línea distinta
+  const [cart, setCart] = useState(() => fromSavedCart(savedCart))
+  // Datos guardados de cada línea ({ [sku]: { productId, title, price, currency } }): permiten pedir el producto
+  // de las líneas que llegan sin producto conocido (recarga, otra pestaña) y conservarlos mientras tanto
+  const lineHints = useRef(Object.fromEntries((savedCart?.items ?? []).map((line) => [line.sku, line])))
+  // Productos ya pedidos para completar líneas del carrito (evita repetir la consulta)
+  const requestedProducts = useRef(new Set())
+  // Cambios encontrados al revalidar el carrito guardado (ver CartNotice)
+  const [cartChanges, setCartChanges] = useState([])
   const [isCartOpen, setIsCartOpen] = useState(false)
+  // Caché de productos ya vistos (catálogo, detalle) para armar las líneas del carrito
   const [productMap, setProductMap] = useState({})
-
+  // Último cambio en vivo de cada producto: { [id]: update } (ver Api.subscribeToProductUpdates)
+  const [liveUpdates, setLiveUpdates] = useState({})
+  // lineErrors: { [sku]: error } con los rechazos por línea devueltos por POST /api/orders
+  const [lineErrors, setLineErrors] = useState({})
+  // Sesión del cliente: user es null para invitados.
+  // authReady indica si ya se resolvió la sesión guardada (evita redirigir a /ingresar antes de tiempo)
+  const [user, setUser] = useState(null)
+  const [authReady, setAuthReady] = useState(() => !getSessionToken())
+  // Favoritos (ids de producto), sincronizados con la cuenta cuando hay sesión
+  const { favoriteIds, isFavorite, toggleFavorite, clearFavorites } = useFavorites(user)
+  // Cupón aplicado ('' si no hay) y último cálculo de importes del servidor (POST /api/cart/quote)
+  const [couponCode, setCouponCode] = useState('')
+  const [quote, setQuote] = useState(null)
+  // Destino de envío { country, postalCode } (null => solo retiro en tienda) y método elegido
+  // ('' => el que propone el servidor)
+  const [destination, setDestination] = useState(null)
+  const [shippingMethod, setShippingMethod] = useState('')
 
   // Derivado: cantidad total de productos en el carrito
   const cartCount = useMemo(
     () => Object.values(cart).reduce((acc, qty) => acc + qty, 0),
     [cart]
   )
+  // Lo guardado en el navegador, recién después de hidratar la página del servidor (ver hooks/useHydrated.js)
+  const hydrated = useHydrated()
+  const visibleCartCount = hydrated ? cartCount : 0
 
   const productsById = productMap
 
+  // Índice SKU -> { product, variant } construido con los productos ya conocidos
+  const variantsBySku = useMemo(() => {
+    const index = {}
+    Object.values(productsById).forEach((product) => {
+      getVariants(product).forEach((variant) => {
+        index[variant.sku] = { product, variant }
+      })
+    })
+    return index
+  }, [productsById])
 
   const cartItems = useMemo(
     () =>
       Object.entries(cart)
-        .map(([id, qty]) => ({ product: productsById[id], qty }))
+        .map(([sku, qty]) => ({ sku, ...variantsBySku[sku], qty }))
         .filter((i) => i.product),
-    [cart, productsById]
+    [cart, variantsBySku]
   )
 
-  // Efecto: cargar productos cada que cambien los filtros
+  // Acción: recordar productos recibidos de la API (estable para usarse en efectos)
+  const rememberProducts = useCallback((products) => {
+    setProductMap((prev) => ({ ...prev, ...Object.fromEntries(products.map((p) => [getId(p), p])) }))
+  }, [])
 
+  // Efecto: al abrir la tienda, volver a pedir los productos del carrito guardado y comparar precio y stock
+  // con los guardados. Las líneas de productos que ya no se venden se quitan del carrito.
   useEffect(() => {
-    const controller = new AbortController()
-
-    async function load() {
-      setLoading(true)
-      setError(null)
-      try {
-        // Llamada a la API con los filtros actuales
-        const { items, total } = await Api.fetchProducts(
-          {
-            q: filters.q,
-            category: filters.category,
-            minPrice: filters.minPrice,
-            maxPrice: filters.maxPrice,
-            sort: filters.sort,
-          },
-          { signal: controller.signal }
+    const lines = savedCart?.items ?? []
+    const ids = [...new Set(lines.map((line) => line.productId).filter(Boolean))]
+    if (ids.length === 0) return
+    ids.forEach((id) => requestedProducts.current.add(id))
+    Promise.all(
+      ids.map((id) =>
+        // null: el producto ya no existe; undefined: no se pudo consultar (se conserva la línea)
+        Api.fetchProductById(id).then(
+          (product) => [id, product],
+          (err) => [id, err?.status === 404 ? null : undefined]
         )
-        setItems(items)
-        setTotal(total)
-        setProductMap((prev) => ({ ...prev, ...Object.fromEntries(items.map((p) => [getId(p), p])) }))
-      } catch (err) {
-        // Si el backend no está activo, mostraremos un error amigable
-        setError('No se pudo cargar el catálogo. ¿Iniciaste el servidor en el puerto 4000?')
-        console.error(err)
-      } finally {
-        setLoading(false)
+      )
+    ).then((entries) => {
+      const products = Object.fromEntries(entries.filter(([, product]) => product !== undefined))
+      rememberProducts(Object.values(products).filter(Boolean))
+      const changes = findCartChanges(lines, products)
+      const removed = changes.filter((c) => c.kind === 'removed').map((c) => c.sku)
+      if (removed.length) {
+        setCart((prev) => Object.fromEntries(Object.entries(prev).filter(([sku]) => !removed.includes(sku))))
       }
-    }
+      setCartChanges(changes)
+    })
+  }, [savedCart, rememberProducts])
+
+  // Efecto: pedir los productos de líneas del carrito que todavía no se conocen
+  // (p. ej., las que agregó otra pestaña)
+  useEffect(() => {
+    const ids = Object.keys(cart)
+      .filter((sku) => !variantsBySku[sku])
+      .map((sku) => lineHints.current[sku]?.productId)
+      .filter((id) => id && !requestedProducts.current.has(id))
+    if (ids.length === 0) return
+    ids.forEach((id) => requestedProducts.current.add(id))
+    Promise.all([...new Set(ids)].map((id) => Api.fetchProductById(id).catch(() => null))).then((products) =>
+      rememberProducts(products.filter(Boolean))
+    )
+  }, [cart, variantsBySku, rememberProducts])
+
+  // Efecto: guardar el carrito en el navegador con los datos de cada línea.
+  // Las líneas cuyo producto todavía no se conoce conservan los datos que ya tenían.
+  useEffect(() => {
+    const items = Object.entries(cart).map(([sku, qty]) => {
+      const known = variantsBySku[sku]
+      const hint = known
+        ? {
+            productId: getId(known.product),
+            title: known.product.title,
+            price: getVariantPrice(known.product, known.variant),
+            currency: known.product.currency,
+          }
+        : lineHints.current[sku]
+      return { ...hint, sku, qty }
+    })
+    lineHints.current = Object.fromEntries(items.map((line) => [line.sku, line]))
+    saveCart({ items })
+  }, [cart, variantsBySku])
+
+  // Efecto: adoptar el carrito que guarda otra pestaña. Si las cantidades ya coinciden no se toca el estado,
+  // así dos pestañas no se reenvían el mismo carrito una y otra vez.
+  useEffect(
+    () =>
+      subscribeToSavedCart((saved) => {
+        saved.items.forEach((line) => {
+          lineHints.current[line.sku] = { ...lineHints.current[line.sku], ...line }
+        })
+        const next = fromSavedCart(saved)
+        setCart((prev) => (sameCart(prev, next) ? prev : next))
+      }),
+    []
+  )
+
+  // Acción: volver a pedir al servidor los productos de las líneas del carrito
+  const reloadCartProducts = useCallback(
+    (items) => {
+      const ids = [...new Set(items.map(({ product }) => getId(product)))]
+      Promise.all(ids.map((id) => Api.fetchProductById(id).catch(() => null))).then((products) =>
+        rememberProducts(products.filter(Boolean))
+      )
+    },
+    [rememberProducts]
+  )
+
+  // Efecto: al cambiar el idioma o la moneda, volver a pedir los productos del carrito
+  // (el resto de la caché se renueva a medida que las páginas los vuelven a cargar).
+  // La referencia guarda la elección con la que se cargaron, para no repetir la consulta por cada cambio del carrito.
+  const productsLocale = useRef(`${lang}-${currency}`)
+  useEffect(() => {
+    const key = `${lang}-${currency}`
+    if (productsLocale.current === key) return
+    productsLocale.current = key
+    reloadCartProducts(cartItems)
+  }, [lang, currency, cartItems, reloadCartProducts])
+
+  // Líneas del carrito vigentes, para recargarlas si se corta la conexión en vivo sin reabrirla por cada cambio
+  const latestCartItems = useRef(cartItems)
+  useEffect(() => {
+    latestCartItems.current = cartItems
+  }, [cartItems])
 
-    load()
+  // Efecto: escuchar los cambios de stock y precio del servidor (en la moneda elegida).
+  // Cada cambio actualiza la caché de productos (líneas del carrito) y queda en liveUpdates para las páginas.
+  // La conexión lleva idioma y moneda en la URL: se reabre cuando cambian.
+  useEffect(() => {
+    return Api.subscribeToProductUpdates(
+      (update) => {
+        setLiveUpdates((prev) => ({ ...prev, [update.id]: update }))
+        setProductMap((prev) => (prev[update.id] ? { ...prev, [update.id]: applyProductUpdate(prev[update.id], update) } : prev))
+      },
+      { onReconnect: () => reloadCartProducts(latestCartItems.current) }
+    )
+  }, [lang, currency, reloadCartProducts])
+
+  // Producto con los últimos cambios en vivo aplicados (lo usan el catálogo y el detalle)
+  const liveProduct = useCallback((product) => applyProductUpdate(product, liveUpdates[getId(product)]), [liveUpdates])
+
+  // Reemplaza el carrito local por el de la cuenta y trae los productos de sus líneas,
+  // necesarios para mostrarlas (la API devuelve { items: [{ sku, qty, productId }] })
+  const applyAccountCart = useCallback(
+    async ({ items }) => {
+      setCart(Object.fromEntries(items.map(({ sku, qty }) => [sku, qty])))
+      const ids = [...new Set(items.map((line) => line.productId).filter(Boolean))]
+      const products = await Promise.all(ids.map((id) => Api.fetchProductById(id).catch(() => null)))
+      rememberProducts(products.filter(Boolean))
+    },
+    [rememberProducts]
+  )
 
+  // Efecto: restaurar la sesión guardada (usuario y carrito de la cuenta) al cargar la app.
+  // El usuario se publica después del carrito para que la sincronización no pise el carrito guardado.
+  useEffect(() => {
+    if (!getSessionToken()) return
+    const controller = new AbortController()
+    const { signal } = controller
+    Promise.all([AccountApi.me({ signal }), AccountApi.getCart({ signal })])
+      .then(async ([me, accountCart]) => {
+        await applyAccountCart(accountCart)
+        setUser(me)
+      })
+      .catch((err) => {
+        if (err?.name === 'AbortError') return
+        // Token vencido o revocado: se continúa como invitado
+        if (err?.status === 401) setSessionToken(null)
+        else console.error('No se pudo restaurar la sesión:', err)
+      })
+      .finally(() => {
+        if (!signal.aborted) setAuthReady(true)
+      })
     return () => controller.abort()
-  }, [filters])
+  }, [applyAccountCart])
 
-  // Acción: agregar producto al carrito
-  const handleAddToCart = (product) => {
-    const id = getId(product)
-    setCart((prev) => ({ ...prev, [id]: (prev[id] || 0) + 1 }))
+  // Efecto: con sesión iniciada, guardar el carrito en la cuenta
+  // (con una pequeña demora para agrupar clics seguidos en +/-)
+  useEffect(() => {
+    if (!user) return
+    const timer = setTimeout(() => {
+      AccountApi.saveCart(toCartLines(cart)).catch((err) => console.error('No se pudo guardar el carrito:', err))
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [cart, user])
+
+  // Inicia la sesión devuelta por login/register: guarda el token y suma el carrito de invitado al de la cuenta
+  const startSession = async ({ user: account, token }) => {
+    setSessionToken(token)
+    try {
+      await applyAccountCart(await AccountApi.mergeCart(toCartLines(cart)))
+    } catch (err) {
+      // El ingreso es válido aunque falle la fusión; el carrito local se guardará con la próxima sincronización
+      console.error('No se pudo combinar el carrito:', err)
+    }
+    setUser(account)
+    return account
+  }
+
+  // Acciones de sesión: los errores (401/422) se propagan para que el formulario los muestre
+  const login = (email, password) => AccountApi.login(email, password).then(startSession)
+  const register = (data) => AccountApi.register(data).then(startSession)
+  const logout = async () => {
+    try {
+      await AccountApi.logout()
+    } catch (err) {
+      console.error('No se pudo cerrar la sesión en el servidor:', err)
+    }
+    setSessionToken(null)
+    setUser(null)
+    clearCart()
+    clearFavorites()
+  }
+
+  // Acción: agregar una variante al carrito
+  const handleAddToCart = (product, variant) => {
+    const sku = variant?.sku
+    if (!sku) return
+    setCart((prev) => ({ ...prev, [sku]: (prev[sku] || 0) + 1 }))
+    track('add_to_cart', { productId: getId(product), sku, qty: 1 })
   }
 
   const updateQty = (id, qty) => {
+    // Al cambiar la cantidad, el error previo de esa línea deja de aplicar
+    setLineErrors((prev) => {
+      if (!prev[id]) return prev
+      const next = { ...prev }
+      delete next[id]
+      return next
+    })
     setCart((prev) => {
       const next = { ...prev }
       if (qty <= 0) delete next[id]
@@ -356,44 +335,183 @@ export default function App() {
   const decQty = (id) => updateQty(id, (cart[id] || 0) - 1)
   const removeItem = (id) => updateQty(id, 0)
 
+  // Acción: vaciar el carrito tras un pedido confirmado
+  const clearCart = () => {
+    setCart({})
+    setLineErrors({})
+    setCouponCode('')
+    setQuote(null)
+  }
+
+  // Acción: volver a poner en el carrito las líneas de un pedido que no se pudo cobrar
+  // (se suman a las que ya haya); primero se traen sus productos para poder mostrarlas
+  const restoreCart = useCallback(
+    async (items) => {
+      const ids = [...new Set(items.map((line) => line.productId))]
+      const products = await Promise.all(ids.map((id) => Api.fetchProductById(id).catch(() => null)))
+      rememberProducts(products.filter(Boolean))
+      setCart((prev) => {
+        const next = { ...prev }
+        for (const { sku, qty } of items) next[sku] = (next[sku] || 0) + qty
+        return next
+      })
+    },
+    [rememberProducts]
+  )
+
+  // Precios vigentes de las líneas: si un cambio en vivo los modifica, hay que recotizar
+  const cartPrices = cartItems.map(({ sku, product, variant }) => `${sku}:${getVariantPrice(product, variant)}`).join()
+
+  // Efecto: recotizar en el servidor cuando cambian el carrito, el cupón, el envío, el idioma/moneda
+  // o el precio de alguna línea (con una pequeña demora para no pedir un cálculo por cada clic en +/-)
+  useEffect(() => {
+    if (Object.keys(cart).length === 0) return
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      Api.quoteCart(toCartLines(cart), { couponCode, destination, shippingMethod, signal: controller.signal })
+        .then(setQuote)
+        .catch((err) => {
+          if (err?.name !== 'AbortError') console.error('No se pudo cotizar el carrito:', err)
+        })
+    }, 250)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [cart, couponCode, destination, shippingMethod, lang, currency, cartPrices])
+
+  // Acción: validar y aplicar un cupón. Devuelve coupon ({ code, valid, reason? }) para que el formulario
+  // muestre el motivo si no aplica; un cupón inválido no reemplaza al que ya estaba aplicado.
+  const applyCoupon = async (code) => {
+    const result = await Api.validateCoupon(code, toCartLines(cart), { destination, shippingMethod })
+    if (result.coupon.valid) {
+      setCouponCode(result.coupon.code)
+      setQuote(result)
+    }
+    return result.coupon
+  }
+  const removeCoupon = () => setCouponCode('')
+
+  // Acción: registrar los rechazos de un pedido (409) y actualizar precio/stock conocidos
+  // de cada variante para que el carrito refleje los valores vigentes
+  const applyOrderErrors = (errors) => {
+    setLineErrors(Object.fromEntries(errors.map((e) => [e.sku, e])))
+    setProductMap((prev) => {
+      const next = { ...prev }
+      errors.forEach((e) => {
+        const product = next[e.productId]
+        if (!product) return
+        next[e.productId] = {
+          ...product,
+          variants: getVariants(product).map((v) =>
+            v.sku !== e.sku
+              ? v
+              : {
+                  ...v,
+                  ...(e.currentPrice !== undefined && { price: e.currentPrice }),
+                  ...(e.available !== undefined && { stock: e.available }),
+                }
+          ),
+        }
+      })
+      return next
+    })
+  }
+
 
   // Derivado: total del carrito (precio acumulado)
       const cartTotal = useMemo(() => {
-    return cartItems.reduce((acc, { product, qty }) => acc + (getPrice(product) || 0) * qty, 0)
+    return cartItems.reduce((acc, { product, variant, qty }) => acc + (getVariantPrice(product, variant) || 0) * qty, 0)
   }, [cartItems])
 
+  // Derivado: importes a mostrar. Salen de la última cotización del servidor; mientras no la hay
+  // (carrito recién cargado) se muestra la suma de precios conocidos en el cliente.
+  const pricing = useMemo(() => {
+    if (cartCount > 0 && quote) return quote
+    return {
+      subtotal: cartTotal,
+      discounts: [],
+      discountTotal: 0,
+      coupon: null,
+      shipping: null,
+      taxes: [],
+      taxTotal: 0,
+      total: cartTotal,
+    }
+  }, [cartCount, cartTotal, quote])
+
+  // Acción: ir a confirmar el pedido
+  const goToCheckout = () => {
+    setIsCartOpen(false)
+    navigate('/checkout')
+  }
+
+  // Estado y acciones que consumen las páginas (ver hooks/useShop.js)
+  const shop = {
+    cartItems,
+    cartCount,
+    cartTotal,
+    pricing,
+    couponCode,
+    applyCoupon,
+    removeCoupon,
+    destination,
+    setDestination,
+    setShippingMethod,
+    lineErrors,
+    addToCart: handleAddToCart,
+    incQty,
+    decQty,
+    removeItem,
+    clearCart,
+    restoreCart,
+    applyOrderErrors,
+    rememberProducts,
+    liveProduct,
+    favoriteIds,
+    isFavorite: hydrated ? isFavorite : notFavorite,
+    toggleFavorite,
+    user,
+    authReady,
+    login,
+    register,
+    logout,
+  }
+
   return (
     <div className="app">
       {/* Barra superior */}
-      <Navbar cartCount={cartCount} onOpenCart={() => setIsCartOpen(true)} />
+      <Navbar
+        cartCount={visibleCartCount}
+        favoritesCount={hydrated ? favoriteIds.length : 0}
+        onOpenCart={() => setIsCartOpen(true)}
+        user={user}
+        onLogout={logout}
+      />
 
 
-      {/* Contenedor principal */}
+      {/* Contenedor principal: la página de la ruta actual */}
       <main className="container">
-        {/* Panel de filtros */}
-        <FilterBar filters={filters} onChange={setFilters} />
-
-        {/* Estados de carga / error */}
-        {loading && <p className="status">Cargando productos...</p>}
-        {error && <p className="status status--error">{error}</p>}
-
-        {/* Resultados */}
-        {!loading && !error && (
-          <>
-            <div className="results__meta">Resultados: {total}</div>
-            <ProductGrid products={items} onAddToCart={handleAddToCart} />
-          </>
-        )}
+        <CartNotice changes={cartChanges} onDismiss={() => setCartChanges([])} />
+        <Outlet context={shop} />
       </main>
 
       <CartDrawer
         open={isCartOpen}
         onClose={() => setIsCartOpen(false)}
         items={cartItems}
-        total={cartTotal}
+        pricing={pricing}
+        couponCode={couponCode}
+        onApplyCoupon={applyCoupon}
+        onRemoveCoupon={removeCoupon}
+        destination={destination}
+        onDestinationChange={setDestination}
+        onShippingMethodChange={setShippingMethod}
+        lineErrors={lineErrors}
         onInc={incQty}
         onDec={decQty}
         onRemove={removeItem}
+        onCheckout={goToCheckout}
       />
       
       
@@ -401,13 +519,13 @@ export default function App() {
       
       <footer className="cartbar">
         <div>
-          <strong>Carrito:</strong> {cartCount} artículos
+          <strong>{t('cart.bar')}</strong> {t('cart.items', { count: visibleCartCount })}
         </div>
         <div>
-          <strong>Total:</strong> {formatPrice(cartTotal)}
+          <strong>{t('cart.total')}</strong> {formatPrice(pricing.total)}
         </div>
-        <button className="btn btn--primary" disabled={cartCount === 0}>
-          Finalizar compra
+        <button className="btn btn--primary" disabled={visibleCartCount === 0} onClick={goToCheckout}>
+          {t('cart.checkout')}
         </button>
       </footer>
     </div>
@@ -0,0 +1,236 @@
+// src/admin/AdminPage.jsx
+// Back-office de la tienda (ruta /admin).
+// - Pide el token de administrador y lo guarda en sessionStorage (se borra al cerrar la pestaña)
+// - Lista todos los productos (incluidos los archivados) con acciones de editar y archivar
+// - Abre ProductForm para crear o editar
+// - Administra el árbol de categorías (ProductForm elige la categoría de esa lista)
+// - Lista los pedidos con su estado de pago y permite reembolsar los pagados
+// - Muestra la analítica: búsquedas sin resultados, embudo por producto, ventas por categoría y stock bajo
+// - Modera las reseñas pendientes de los clientes
+// - Permite actualizar los tipos de cambio de las monedas de la tienda
+
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import '../App.css'
+import { AdminApi } from '../services/api'
+import { formatPrice } from '../utils/format'
+import CategoriesPanel from './CategoriesPanel'
+import ExchangeRatesPanel from './ExchangeRatesPanel'
+import OrdersPanel from './OrdersPanel'
+import ProductForm from './ProductForm'
+import ReportsPanel from './ReportsPanel'
+import ReviewsPanel from './ReviewsPanel'
+
+const TOKEN_KEY = 'adminToken'
+
+// Pantalla de acceso: el token se configura en el servidor con ADMIN_TOKEN
+function TokenForm({ onSubmit, error }) {
+  const [value, setValue] = useState('')
+  return (
+    <form
+      className="admin-panel"
+      style={{ maxWidth: 420, margin: '2rem auto', display: 'grid', gap: '0.75rem' }}
+      onSubmit={(e) => {
+        e.preventDefault()
+        onSubmit(value.trim())
+      }}
+    >
+      <h2 style={{ margin: 0 }}>Acceso al back-office</h2>
+      <label className="label">Token de administrador</label>
+      <input className="input" type="password" value={value} onChange={(e) => setValue(e.target.value)} autoFocus />
+      {error && <span className="field-error">{error}</span>}
+      <button className="btn btn--primary" type="submit" disabled={!value.trim()}>Entrar</button>
+    </form>
+  )
+}
+
+function ProductTable({ products, onEdit, onToggleArchived }) {
+  if (!products.length) return <p className="empty">Todavía no hay productos.</p>
+  return (
+    <table className="table">
+      <thead>
+        <tr>
+          <th>Id</th>
+          <th>Título</th>
+          <th>Categoría</th>
+          <th>Precio</th>
+          <th>Stock</th>
+          <th>Estado</th>
+          <th />
+        </tr>
+      </thead>
+      <tbody>
+        {products.map((p) => (
+          <tr key={p.id} style={p.archived ? { opacity: 0.6 } : undefined}>
+            <td>{p.id}</td>
+            <td>
+              {p.title} {p.featured && '★'}
+            </td>
+            <td>{p.category}</td>
+            <td>{formatPrice(p.price, p.currency)}</td>
+            <td>{p.stock}</td>
+            <td>{p.archived ? 'Archivado' : 'Activo'}</td>
+            <td style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+              <button className="btn" onClick={() => onEdit(p)}>Editar</button>
+              <button className="btn btn--ghost" onClick={() => onToggleArchived(p)}>
+                {p.archived ? 'Restaurar' : 'Archivar'}
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+export default function AdminPage() {
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || '')
+  const [authError, setAuthError] = useState(null)
+  const [products, setProducts] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  // editing: null (tabla) | 'new' | producto en edición
+  const [editing, setEditing] = useState(null)
+
+  const login = (value) => {
+    sessionStorage.setItem(TOKEN_KEY, value)
+    setAuthError(null)
+    setToken(value)
+  }
+
+  const logout = (message = null) => {
+    sessionStorage.removeItem(TOKEN_KEY)
+    setToken('')
+    setEditing(null)
+    setAuthError(message)
+  }
+
+  // Token inválido o vencido: volvemos a la pantalla de acceso
+  const handleUnauthorized = () => logout('El token no es válido.')
+
+  // Efecto: cargar el catálogo completo al entrar con un token
+  useEffect(() => {
+    if (!token) return
+    const controller = new AbortController()
+
+    async function load() {
+      setLoading(true)
+      setError(null)
+      try {
+        const [productList, categoryList] = await Promise.all([
+          AdminApi.listProducts(token, { signal: controller.signal }),
+          AdminApi.listCategories(token, { signal: controller.signal }),
+        ])
+        setProducts(productList.items)
+        setCategories(categoryList.items)
+      } catch (err) {
+        if (err?.name === 'AbortError') return
+        if (err?.status === 401) {
+          sessionStorage.removeItem(TOKEN_KEY)
+          setToken('')
+          setAuthError('El token no es válido.')
+          return
+        }
+        setError('No se pudo cargar el catálogo.')
+        console.error(err)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    load()
+    return () => controller.abort()
+  }, [token])
+
+  // Tras crear o borrar una categoría: recargamos el árbol (y la cantidad de productos de cada una)
+  const reloadCategories = async () => {
+    try {
+      const { items } = await AdminApi.listCategories(token)
+      setCategories(items)
+    } catch (err) {
+      if (err?.status === 401) return handleUnauthorized()
+      console.error(err)
+    }
+  }
+
+  // Reemplaza (o agrega) un producto en la tabla tras guardarlo
+  const upsert = (saved) =>
+    setProducts((prev) => (prev.some((p) => p.id === saved.id) ? prev.map((p) => (p.id === saved.id ? saved : p)) : [...prev, saved]))
+
+  const handleSaved = (saved) => {
+    upsert(saved)
+    setEditing(null)
+    // El producto pudo cambiar de categoría
+    reloadCategories()
+  }
+
+  // Cambios que no cierran el formulario (reposición de stock, imágenes)
+  const handleUpdated = (saved) => {
+    upsert(saved)
+    setEditing(saved)
+  }
+
+  const toggleArchived = async (product) => {
+    try {
+      const saved = product.archived
+        ? await AdminApi.unarchiveProduct(token, product.id)
+        : await AdminApi.archiveProduct(token, product.id)
+      upsert(saved)
+    } catch (err) {
+      if (err?.status === 401) return handleUnauthorized()
+      setError('No se pudo actualizar el producto.')
+      console.error(err)
+    }
+  }
+
+  return (
+    <div className="app">
+      <header className="nav">
+        <div className="nav__brand">Back-office · Sudaderas & Gorros</div>
+        <div className="nav__actions">
+          <Link className="btn btn--ghost" to="/">Ver tienda</Link>
+          {token && <button className="btn btn--ghost" onClick={() => logout()}>Salir</button>}
+        </div>
+      </header>
+
+      <main className="container">
+        {!token ? (
+          <TokenForm onSubmit={login} error={authError} />
+        ) : editing ? (
+          <ProductForm
+            key={editing === 'new' ? 'new' : editing.id}
+            product={editing === 'new' ? null : editing}
+            categories={categories}
+            token={token}
+            onSaved={handleSaved}
+            onUpdated={handleUpdated}
+            onCancel={() => setEditing(null)}
+            onUnauthorized={handleUnauthorized}
+          />
+        ) : (
+          <>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+              <h2>Productos</h2>
+              <button className="btn btn--primary" onClick={() => setEditing('new')}>Nuevo producto</button>
+            </div>
+            {loading && <p className="status">Cargando productos...</p>}
+            {error && <p className="status status--error">{error}</p>}
+            {!loading && <ProductTable products={products} onEdit={setEditing} onToggleArchived={toggleArchived} />}
+            <CategoriesPanel
+              categories={categories}
+              token={token}
+              onChanged={reloadCategories}
+              onUnauthorized={handleUnauthorized}
+            />
+            <OrdersPanel token={token} onUnauthorized={handleUnauthorized} />
+            <ReportsPanel token={token} />
+            <ReviewsPanel token={token} onUnauthorized={handleUnauthorized} />
+            <ExchangeRatesPanel token={token} onUnauthorized={handleUnauthorized} />
+          </>
+        )}
+      </main>
+      <footer />
+    </div>
+  )
+}
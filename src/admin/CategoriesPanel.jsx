@@ -0,0 +1,129 @@
+// src/admin/CategoriesPanel.jsx
+// Árbol de categorías de la tienda: alta con nombre por idioma y categoría padre, y baja.
+// Una categoría solo puede borrarse si no tiene subcategorías, productos ni promociones
+// (el servidor responde 409 CATEGORY_IN_USE); la lista muestra cuántos productos tiene cada una.
+
+import { useState } from 'react'
+import { AdminApi } from '../services/api'
+import { indent, sortCategoryRows } from '../utils/categories'
+
+const EMPTY_FORM = { slug: '', parent: '', nameEs: '', nameEn: '' }
+
+function CategoryForm({ categories, token, onCreated, onUnauthorized }) {
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const set = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrors({})
+    try {
+      await AdminApi.createCategory(token, {
+        slug: form.slug.trim(),
+        parent: form.parent || null,
+        names: { es: form.nameEs, en: form.nameEn },
+      })
+      setForm(EMPTY_FORM)
+      onCreated()
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      setErrors(err?.data?.errors ?? { slug: 'No se pudo crear la categoría.' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className="admin-form__row" onSubmit={submit}>
+      <div className="filters__group">
+        <label className="label">Slug</label>
+        <input className="input" value={form.slug} onChange={set('slug')} placeholder="camisetas" />
+        {errors.slug && <span className="field-error">{errors.slug}</span>}
+      </div>
+      <div className="filters__group">
+        <label className="label">Nombre (es)</label>
+        <input className="input" value={form.nameEs} onChange={set('nameEs')} placeholder="Camisetas" />
+        {errors['names.es'] && <span className="field-error">{errors['names.es']}</span>}
+      </div>
+      <div className="filters__group">
+        <label className="label">Nombre (en)</label>
+        <input className="input" value={form.nameEn} onChange={set('nameEn')} placeholder="T-shirts" />
+        {errors['names.en'] && <span className="field-error">{errors['names.en']}</span>}
+      </div>
+      <div className="filters__group">
+        <label className="label">Dentro de</label>
+        <select className="input" value={form.parent} onChange={set('parent')}>
+          <option value="">(categoría principal)</option>
+          {categories.map((c) => (
+            <option key={c.slug} value={c.slug}>
+              {indent(c.depth)}
+              {c.names.es}
+            </option>
+          ))}
+        </select>
+        {errors.parent && <span className="field-error">{errors.parent}</span>}
+      </div>
+      <button className="btn" type="submit" disabled={saving || !form.slug.trim() || !form.nameEs.trim()}>
+        {saving ? 'Guardando...' : 'Agregar'}
+      </button>
+    </form>
+  )
+}
+
+// categories: filas de GET /api/admin/categories; onChanged: vuelve a pedirlas tras un alta o baja
+export default function CategoriesPanel({ categories, token, onChanged, onUnauthorized }) {
+  const [error, setError] = useState(null)
+  const rows = sortCategoryRows(categories)
+
+  const remove = async (category) => {
+    setError(null)
+    try {
+      await AdminApi.deleteCategory(token, category.slug)
+      onChanged()
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      setError(
+        err?.code === 'CATEGORY_IN_USE'
+          ? `"${category.names.es}" todavía tiene subcategorías, productos o promociones.`
+          : 'No se pudo borrar la categoría.'
+      )
+    }
+  }
+
+  return (
+    <section className="admin-panel">
+      <h2 style={{ marginTop: 0 }}>Categorías</h2>
+      {error && <p className="status status--error">{error}</p>}
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Nombre</th>
+            <th>Slug</th>
+            <th>Productos</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((c) => (
+            <tr key={c.slug}>
+              <td>
+                {indent(c.depth)}
+                {c.names.es}
+                {c.names.en && ` / ${c.names.en}`}
+              </td>
+              <td>{c.slug}</td>
+              <td>{c.productCount}</td>
+              <td style={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <button className="btn btn--ghost" onClick={() => remove(c)}>Borrar</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <CategoryForm categories={rows} token={token} onCreated={onChanged} onUnauthorized={onUnauthorized} />
+    </section>
+  )
+}
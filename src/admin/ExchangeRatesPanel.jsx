@@ -0,0 +1,69 @@
+// src/admin/ExchangeRatesPanel.jsx
+// Tipos de cambio de la tienda: cuánto vale 1 unidad de cada moneda en la moneda base.
+// La tienda convierte precios, envíos y descuentos con estos valores; los pedidos ya creados
+// conservan el tipo de cambio con el que se cobraron.
+
+import { useEffect, useState } from 'react'
+import { AdminApi } from '../services/api'
+
+function RateRow({ row, base, token, onSaved, onUnauthorized }) {
+  const [value, setValue] = useState(String(row.rate))
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError(null)
+    try {
+      onSaved(await AdminApi.updateExchangeRate(token, row.currency, Number(value)))
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      setError(err?.data?.errors?.rate ?? 'No se pudo guardar el tipo de cambio.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className="admin-form__row" onSubmit={submit}>
+      <div className="filters__group">
+        <label className="label">1 {row.currency} = ? {base}</label>
+        <input className="input" type="number" min="0" step="0.0001" value={value} onChange={(e) => setValue(e.target.value)} />
+        {error && <span className="field-error">{error}</span>}
+      </div>
+      <span className="status">Actualizado: {new Date(row.updatedAt).toLocaleString('es-MX')}</span>
+      <button className="btn" type="submit" disabled={saving || !value}>
+        {saving ? 'Guardando...' : 'Guardar'}
+      </button>
+    </form>
+  )
+}
+
+export default function ExchangeRatesPanel({ token, onUnauthorized }) {
+  const [data, setData] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    AdminApi.listExchangeRates(token, { signal: controller.signal })
+      .then(setData)
+      .catch((err) => {
+        if (err?.name !== 'AbortError') console.error(err)
+      })
+    return () => controller.abort()
+  }, [token])
+
+  if (!data) return null
+
+  const replace = (saved) =>
+    setData((prev) => ({ ...prev, items: prev.items.map((r) => (r.currency === saved.currency ? saved : r)) }))
+
+  return (
+    <section className="admin-panel">
+      <h2 style={{ marginTop: 0 }}>Tipos de cambio</h2>
+      {data.items.map((row) => (
+        <RateRow key={row.currency} row={row} base={data.base} token={token} onSaved={replace} onUnauthorized={onUnauthorized} />
+      ))}
+    </section>
+  )
+}
@@ -0,0 +1,108 @@
+// src/admin/OrdersPanel.jsx
+// Pedidos de la tienda con su estado de pago, filtrables por estado.
+// Los pagados se pueden reembolsar: la pasarela confirma el reembolso por webhook y recién entonces
+// el pedido pasa a "Reembolsado" (mientras tanto se muestra "Reembolso pedido").
+
+import { useEffect, useState } from 'react'
+import { AdminApi } from '../services/api'
+import { formatPrice } from '../utils/format'
+
+const STATUS_LABELS = { pending: 'Pendiente de pago', paid: 'Pagado', failed: 'Pago fallido', refunded: 'Reembolsado' }
+
+function OrderRow({ order, token, onChanged, onUnauthorized }) {
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const refund = async () => {
+    if (!window.confirm(`¿Reembolsar ${formatPrice(order.total, order.currency)} del pedido ${order.id}?`)) return
+    setSaving(true)
+    setError(null)
+    try {
+      onChanged(await AdminApi.refundOrder(token, order.id))
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      setError(err?.code === 'ORDER_NOT_PAID' ? 'El pedido ya no está pagado.' : 'La pasarela no aceptó el reembolso.')
+      console.error(err)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const refundRequested = Boolean(order.payment?.refundRequestedAt)
+  return (
+    <tr>
+      <td>{new Date(order.createdAt).toLocaleString('es-MX')}</td>
+      <td>
+        <code>{order.id}</code>
+        {error && <div className="field-error">{error}</div>}
+      </td>
+      <td>{order.itemCount}</td>
+      <td>{formatPrice(order.total, order.currency)}</td>
+      <td>
+        {STATUS_LABELS[order.status] ?? order.status}
+        {order.status === 'failed' && order.payment?.failureReason && <div className="status">{order.payment.failureReason}</div>}
+      </td>
+      <td style={{ textAlign: 'right' }}>
+        {order.status === 'paid' && (
+          <button className="btn btn--ghost" disabled={saving || refundRequested} onClick={refund}>
+            {refundRequested ? 'Reembolso pedido' : 'Reembolsar'}
+          </button>
+        )}
+      </td>
+    </tr>
+  )
+}
+
+export default function OrdersPanel({ token, onUnauthorized }) {
+  const [status, setStatus] = useState('')
+  const [orders, setOrders] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    AdminApi.listOrders(token, { status }, { signal: controller.signal })
+      .then((data) => setOrders(data.items))
+      .catch((err) => {
+        if (err?.name !== 'AbortError') console.error(err)
+      })
+    return () => controller.abort()
+  }, [token, status])
+
+  if (!orders) return null
+
+  const replace = (updated) => setOrders((prev) => prev.map((o) => (o.id === updated.id ? updated : o)))
+
+  return (
+    <section className="admin-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+        <h2 style={{ marginTop: 0 }}>Pedidos</h2>
+        <select className="input" style={{ maxWidth: 220 }} value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="">Todos los estados</option>
+          {Object.entries(STATUS_LABELS).map(([value, text]) => (
+            <option key={value} value={value}>{text}</option>
+          ))}
+        </select>
+      </div>
+      {!orders.length ? (
+        <p className="empty">No hay pedidos{status && ' en este estado'}.</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Fecha</th>
+              <th>Pedido</th>
+              <th>Unidades</th>
+              <th>Total</th>
+              <th>Estado</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order) => (
+              <OrderRow key={order.id} order={order} token={token} onChanged={replace} onUnauthorized={onUnauthorized} />
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
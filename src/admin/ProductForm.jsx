@@ -0,0 +1,394 @@
+// src/admin/ProductForm.jsx
+// Formulario de alta/edición de productos del back-office.
+// - Los campos de lista (imágenes, colores, talles) se escriben separados por comas
+// - En productos ya guardados se pueden subir imágenes: el servidor genera sus versiones y las agrega
+// - Las variantes se generan a partir de colores × talles; cada fila guarda stock y precio propio
+// - Los errores de validación del servidor ({ [campo]: mensaje }) se muestran junto a cada input
+// - El precio (y los precios por variante) se cargan en la moneda elegida; título y descripción en
+//   español, con su traducción al inglés opcional (si falta, la tienda muestra el texto en español)
+// - La categoría se elige del árbol de categorías (se administran en CategoriesPanel)
+
+import { useState } from 'react'
+import { CURRENCIES, DEFAULT_CURRENCY } from '../i18n/messages'
+import ProductImage from '../components/ProductImage'
+import { AdminApi } from '../services/api'
+import { indent, sortCategoryRows } from '../utils/categories'
+
+// Clave interna de una combinación color + talle
+const variantKey = (color, size) => `${color}|${size}`
+
+// "negro, gris" => ['negro', 'gris']
+const splitList = (text) => text.split(',').map((s) => s.trim()).filter(Boolean)
+
+// Estado del formulario a partir de un producto (o vacío para uno nuevo)
+const toFormState = (product) => ({
+  id: product?.id ?? '',
+  title: product?.title ?? '',
+  description: product?.description ?? '',
+  titleEn: product?.translations?.en?.title ?? '',
+  descriptionEn: product?.translations?.en?.description ?? '',
+  price: product?.price != null ? String(product.price) : '',
+  currency: product?.currency ?? DEFAULT_CURRENCY,
+  weight: product?.weight != null ? String(product.weight) : '',
+  category: product?.category ?? '',
+  images: (product?.images ?? []).join(', '),
+  colors: (product?.colors ?? []).join(', '),
+  sizes: (product?.sizes ?? []).join(', '),
+  featured: Boolean(product?.featured),
+  // Datos por combinación: { [color|talle]: { sku, stock, price } }
+  variants: Object.fromEntries(
+    (product?.variants ?? []).map((v) => [
+      variantKey(v.color, v.size),
+      { sku: v.sku, stock: String(v.stock), price: v.price != null ? String(v.price) : '' },
+    ])
+  ),
+})
+
+// Filas de variantes: todas las combinaciones de los colores y talles escritos
+const variantRows = (form) => {
+  const colors = [...new Set(splitList(form.colors))]
+  const sizes = [...new Set(splitList(form.sizes))]
+  return colors.flatMap((color) => sizes.map((size) => ({ color, size, key: variantKey(color, size) })))
+}
+
+// Body para la API. Los números inválidos viajan como null para que el servidor los marque.
+const toPayload = (form) => ({
+  id: form.id.trim(),
+  title: form.title,
+  description: form.description,
+  translations: { en: { title: form.titleEn, description: form.descriptionEn } },
+  price: form.price === '' ? undefined : Number(form.price),
+  currency: form.currency,
+  weight: form.weight === '' ? null : Number(form.weight),
+  category: form.category.trim(),
+  images: splitList(form.images),
+  colors: splitList(form.colors),
+  sizes: splitList(form.sizes),
+  featured: form.featured,
+  variants: variantRows(form).map(({ color, size, key }) => {
+    const data = form.variants[key] ?? {}
+    return {
+      sku: data.sku ?? '',
+      color,
+      size,
+      stock: data.stock ? Number(data.stock) : 0,
+      ...(data.price ? { price: Number(data.price) } : {}),
+    }
+  }),
+})
+
+function Field({ label, error, children }) {
+  return (
+    <div className="filters__group">
+      <label className="label">{label}</label>
+      {children}
+      {error && <span className="field-error">{error}</span>}
+    </div>
+  )
+}
+
+// Reposición de stock de una variante de un producto ya guardado
+// (el stock de variantes existentes no se edita en el formulario principal)
+function RestockForm({ product, token, onRestocked, onUnauthorized }) {
+  const [sku, setSku] = useState(product.variants[0]?.sku ?? '')
+  const [qty, setQty] = useState('')
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrors({})
+    try {
+      const updated = await AdminApi.restockProduct(token, product.id, sku, Number(qty))
+      setQty('')
+      onRestocked(updated)
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      setErrors(err?.data?.errors ?? { qty: 'No se pudo reponer el stock.' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className="admin-form__row" onSubmit={submit}>
+      <Field label="Variante" error={errors.sku}>
+        <select className="input" value={sku} onChange={(e) => setSku(e.target.value)}>
+          {product.variants.map((v) => (
+            <option key={v.sku} value={v.sku}>
+              {v.sku} ({v.stock} u.)
+            </option>
+          ))}
+        </select>
+      </Field>
+      <Field label="Unidades a sumar" error={errors.qty}>
+        <input className="input" type="number" min="1" step="1" value={qty} onChange={(e) => setQty(e.target.value)} />
+      </Field>
+      <button className="btn" type="submit" disabled={saving || !qty}>
+        {saving ? 'Guardando...' : 'Reponer'}
+      </button>
+    </form>
+  )
+}
+
+// Imágenes de un producto ya guardado: subir nuevas y quitar las procesadas por el servidor.
+// "/images/<id>" son imágenes subidas; el resto son rutas escritas a mano (se editan en el campo de texto).
+function ImagesForm({ product, token, onUpdated, onUnauthorized }) {
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const run = async (request) => {
+    setBusy(true)
+    setError(null)
+    try {
+      onUpdated(await request())
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      if (err?.status === 413) setError('La imagen supera los 10 MB.')
+      else if (err?.status === 415 || err?.status === 422) setError('El archivo no es una imagen JPEG, PNG, WebP o AVIF.')
+      else {
+        setError('No se pudo actualizar la imagen.')
+        console.error(err)
+      }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const upload = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (file) run(() => AdminApi.uploadProductImage(token, product.id, file))
+  }
+
+  return (
+    <div className="filters__group">
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+        {product.images.map((src, i) => {
+          const imageId = src.match(/^\/images\/(.+)$/)?.[1]
+          return (
+            <div key={`${src}-${i}`} style={{ display: 'grid', gap: '0.25rem', width: 96 }}>
+              <div style={{ width: 96, height: 96, borderRadius: 8, overflow: 'hidden' }}>
+                <ProductImage product={product} index={i} variant="thumb" alt="" />
+              </div>
+              {imageId && (
+                <button
+                  className="btn btn--ghost"
+                  type="button"
+                  disabled={busy}
+                  onClick={() => run(() => AdminApi.deleteProductImage(token, product.id, imageId))}
+                >
+                  Quitar
+                </button>
+              )}
+            </div>
+          )
+        })}
+      </div>
+      <input className="input" type="file" accept="image/jpeg,image/png,image/webp,image/avif" onChange={upload} disabled={busy} />
+      {busy && <span className="status">Procesando imagen...</span>}
+      {error && <span className="field-error">{error}</span>}
+    </div>
+  )
+}
+
+// product: producto a editar o null para crear uno nuevo
+export default function ProductForm({ product, categories = [], token, onSaved, onUpdated, onCancel, onUnauthorized }) {
+  const isNew = !product
+  const [form, setForm] = useState(() => toFormState(product))
+  const [errors, setErrors] = useState({})
+  const [formError, setFormError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const set = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+    setForm((prev) => ({ ...prev, [key]: value }))
+  }
+  const setVariant = (key, field) => (e) => {
+    const value = e.target.value
+    setForm((prev) => ({ ...prev, variants: { ...prev.variants, [key]: { ...prev.variants[key], [field]: value } } }))
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrors({})
+    setFormError(null)
+    try {
+      const payload = toPayload(form)
+      const saved = isNew
+        ? await AdminApi.createProduct(token, payload)
+        : await AdminApi.updateProduct(token, product.id, payload)
+      onSaved(saved)
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      if (err?.status === 422) {
+        setErrors(err.data?.errors ?? {})
+        setFormError('Revisa los campos marcados.')
+      } else {
+        setFormError('No se pudo guardar el producto.')
+        console.error(err)
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Las imágenes subidas o quitadas ya quedaron guardadas: se reflejan en el campo de texto
+  // para que "Guardar" no las pise con la lista anterior
+  const handleImagesUpdated = (updated) => {
+    setForm((prev) => ({ ...prev, images: updated.images.join(', ') }))
+    onUpdated(updated)
+  }
+
+  const rows = variantRows(form)
+
+  return (
+    <section className="admin-panel">
+      <h2 style={{ marginTop: 0 }}>{isNew ? 'Nuevo producto' : `Editar ${product.title}`}</h2>
+      <form className="admin-form" onSubmit={submit}>
+        <Field label="Id" error={errors.id}>
+          <input className="input" value={form.id} onChange={set('id')} disabled={!isNew} placeholder="hoodie-03" />
+        </Field>
+        <Field label="Título" error={errors.title}>
+          <input className="input" value={form.title} onChange={set('title')} />
+        </Field>
+        <Field label="Descripción" error={errors.description}>
+          <textarea className="input" rows={3} value={form.description} onChange={set('description')} />
+        </Field>
+        <Field label="Título en inglés (opcional)" error={errors['translations.en.title']}>
+          <input className="input" value={form.titleEn} onChange={set('titleEn')} />
+        </Field>
+        <Field label="Descripción en inglés (opcional)" error={errors['translations.en.description']}>
+          <textarea className="input" rows={3} value={form.descriptionEn} onChange={set('descriptionEn')} />
+        </Field>
+        <div className="admin-form__row">
+          <Field label="Precio" error={errors.price}>
+            <input className="input" type="number" min="0" step="0.01" value={form.price} onChange={set('price')} />
+          </Field>
+          <Field label="Moneda" error={errors.currency}>
+            <select className="input" value={form.currency} onChange={set('currency')}>
+              {CURRENCIES.map((code) => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </Field>
+          <Field label="Peso en kg (para el envío)" error={errors.weight}>
+            <input className="input" type="number" min="0" step="0.01" value={form.weight} onChange={set('weight')} placeholder="0.5" />
+          </Field>
+          <Field label="Categoría" error={errors.category}>
+            <select className="input" value={form.category} onChange={set('category')}>
+              <option value="">Elige una categoría</option>
+              {sortCategoryRows(categories).map((c) => (
+                <option key={c.slug} value={c.slug}>
+                  {indent(c.depth)}
+                  {c.names.es}
+                </option>
+              ))}
+            </select>
+          </Field>
+        </div>
+        <Field label="Imágenes (separadas por comas)" error={errors.images}>
+          <input className="input" value={form.images} onChange={set('images')} placeholder="/foto-1.png, /foto-2.png" />
+        </Field>
+        <div className="admin-form__row">
+          <Field label="Colores (separados por comas)" error={errors.colors}>
+            <input className="input" value={form.colors} onChange={set('colors')} placeholder="negro, gris" />
+          </Field>
+          <Field label="Talles (separados por comas)" error={errors.sizes}>
+            <input className="input" value={form.sizes} onChange={set('sizes')} placeholder="S, M, L" />
+          </Field>
+        </div>
+        <label className="label" style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <input type="checkbox" checked={form.featured} onChange={set('featured')} /> Destacado
+        </label>
+
+        {/* Variantes: en productos existentes el stock solo cambia con "Reponer" */}
+        <div className="filters__group">
+          <span className="label">Variantes</span>
+          {errors.variants && <span className="field-error">{errors.variants}</span>}
+          {rows.length === 0 ? (
+            <p className="status" style={{ margin: 0 }}>Escribe colores y talles para generar las variantes.</p>
+          ) : (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Color</th>
+                  <th>Talle</th>
+                  <th>Stock</th>
+                  <th>Precio propio</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ color, size, key }, i) => {
+                  const data = form.variants[key] ?? {}
+                  const existing = product?.variants?.find((v) => v.sku === data.sku)
+                  const rowError = ['sku', 'color', 'size', 'stock', 'price']
+                    .map((field) => errors[`variants[${i}].${field}`])
+                    .filter(Boolean)
+                    .join(' · ')
+                  return (
+                    <tr key={key}>
+                      <td>{color}</td>
+                      <td>{size}</td>
+                      <td>
+                        {existing ? (
+                          existing.stock
+                        ) : (
+                          <input
+                            className="input"
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={data.stock ?? ''}
+                            placeholder="0"
+                            onChange={setVariant(key, 'stock')}
+                          />
+                        )}
+                      </td>
+                      <td>
+                        <input
+                          className="input"
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={data.price ?? ''}
+                          placeholder={form.price || '—'}
+                          onChange={setVariant(key, 'price')}
+                        />
+                        {rowError && <span className="field-error">{rowError}</span>}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {formError && <p className="status status--error" style={{ margin: 0 }}>{formError}</p>}
+        <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+          <button className="btn" type="button" onClick={onCancel} disabled={saving}>Cancelar</button>
+          <button className="btn btn--primary" type="submit" disabled={saving}>
+            {saving ? 'Guardando...' : 'Guardar'}
+          </button>
+        </div>
+      </form>
+
+      {!isNew && (
+        <>
+          <h3>Imágenes</h3>
+          <ImagesForm product={product} token={token} onUpdated={handleImagesUpdated} onUnauthorized={onUnauthorized} />
+        </>
+      )}
+
+      {!isNew && product.variants?.length > 0 && (
+        <>
+          <h3>Reponer stock</h3>
+          <RestockForm product={product} token={token} onRestocked={onUpdated} onUnauthorized={onUnauthorized} />
+        </>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,127 @@
+// src/admin/ReportsPanel.jsx
+// Tablero de analítica de la tienda (ver server/analytics.js), para el período elegido:
+// - búsquedas sin resultados: qué buscan los clientes y el catálogo no tiene
+// - embudo por producto: impresiones, agregados al carrito (y su tasa), checkouts y unidades vendidas
+// - ventas por categoría de los pedidos pagados, en moneda base
+// - stock bajo: variantes a la venta con pocas unidades (no depende del período)
+
+import { useEffect, useState } from 'react'
+import { AdminApi } from '../services/api'
+import { formatPrice } from '../utils/format'
+
+const PERIODS = [7, 30, 90]
+const REPORTS = ['searches', 'products', 'revenue', 'low-stock']
+// Moneda de las ventas del reporte (la base del servidor)
+const BASE_CURRENCY = 'MXN'
+
+const percent = (rate) => (rate === null ? '—' : `${(rate * 100).toFixed(1)} %`)
+
+function ReportTable({ title, empty, columns, rows }) {
+  return (
+    <div>
+      <h3>{title}</h3>
+      {!rows.length ? (
+        <p className="empty">{empty}</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              {columns.map(([label]) => (
+                <th key={label}>{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={i}>
+                {columns.map(([label, render]) => (
+                  <td key={label}>{render(row)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default function ReportsPanel({ token }) {
+  const [days, setDays] = useState(30)
+  const [reports, setReports] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    Promise.all(REPORTS.map((name) => AdminApi.fetchReport(token, name, name === 'low-stock' ? {} : { days }, { signal: controller.signal })))
+      .then(([searches, products, revenue, lowStock]) => setReports({ searches, products, revenue, lowStock }))
+      .catch((err) => {
+        if (err?.name !== 'AbortError') console.error(err)
+      })
+    return () => controller.abort()
+  }, [token, days])
+
+  if (!reports) return null
+  const { searches, products, revenue, lowStock } = reports
+
+  return (
+    <section className="admin-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+        <h2 style={{ marginTop: 0 }}>Analítica</h2>
+        <select className="input" style={{ maxWidth: 220 }} value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {PERIODS.map((n) => (
+            <option key={n} value={n}>Últimos {n} días</option>
+          ))}
+        </select>
+      </div>
+
+      <ReportTable
+        title={`Búsquedas sin resultados (${searches.zeroResults} de ${searches.searches})`}
+        empty="Todas las búsquedas encontraron productos."
+        columns={[
+          ['Búsqueda', (row) => row.query],
+          ['Veces', (row) => row.count],
+          ['Última', (row) => new Date(row.lastSearchedAt).toLocaleString('es-MX')],
+        ]}
+        rows={searches.items}
+      />
+
+      <ReportTable
+        title="Productos más vistos"
+        empty="Todavía no hay impresiones registradas."
+        columns={[
+          ['Producto', (row) => row.title],
+          ['Impresiones', (row) => row.impressions],
+          ['Al carrito', (row) => row.addToCarts],
+          ['Tasa', (row) => percent(row.addToCartRate)],
+          ['Checkouts', (row) => row.checkouts],
+          ['Vendidas', (row) => row.unitsSold],
+        ]}
+        rows={products.items}
+      />
+
+      <ReportTable
+        title={`Ventas por categoría (${formatPrice(revenue.revenue, BASE_CURRENCY)})`}
+        empty="No hay pedidos pagados en el período."
+        columns={[
+          ['Categoría', (row) => row.name ?? 'Sin categoría'],
+          ['Pedidos', (row) => row.orders],
+          ['Unidades', (row) => row.units],
+          ['Ventas', (row) => formatPrice(row.revenue, BASE_CURRENCY)],
+        ]}
+        rows={revenue.items}
+      />
+
+      <ReportTable
+        title="Stock bajo"
+        empty="Ninguna variante tiene stock bajo."
+        columns={[
+          ['Producto', (row) => row.title],
+          ['Variante', (row) => `${row.color} / ${row.size}`],
+          ['SKU', (row) => <code>{row.sku}</code>],
+          ['Stock', (row) => (row.stock === 0 ? <span className="field-error">Agotado</span> : row.stock)],
+        ]}
+        rows={lowStock.items}
+      />
+    </section>
+  )
+}
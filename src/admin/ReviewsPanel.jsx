@@ -0,0 +1,90 @@
+// src/admin/ReviewsPanel.jsx
+// Moderación de reseñas: las nuevas llegan pendientes y solo se publican al aprobarlas.
+// Aprobar o rechazar recalcula en el servidor la calificación promedio del producto.
+
+import { useEffect, useState } from 'react'
+import { AdminApi } from '../services/api'
+
+function ReviewRow({ review, token, onModerated, onUnauthorized }) {
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const moderate = async (status) => {
+    setSaving(true)
+    setError(null)
+    try {
+      onModerated(await AdminApi.moderateReview(token, review.id, status))
+    } catch (err) {
+      if (err?.status === 401) return onUnauthorized()
+      setError('No se pudo moderar la reseña.')
+      console.error(err)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <tr>
+      <td>{review.productId}</td>
+      <td>{'★'.repeat(review.rating)}</td>
+      <td>
+        {review.title && <strong>{review.title}. </strong>}
+        {review.text}
+        {error && <div className="field-error">{error}</div>}
+      </td>
+      <td>
+        {review.authorName}
+        {review.verifiedPurchase && <span className="badge">Compra verificada</span>}
+      </td>
+      <td style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+        <button className="btn" disabled={saving} onClick={() => moderate('approved')}>Aprobar</button>
+        <button className="btn btn--ghost" disabled={saving} onClick={() => moderate('rejected')}>Rechazar</button>
+      </td>
+    </tr>
+  )
+}
+
+export default function ReviewsPanel({ token, onUnauthorized }) {
+  const [pending, setPending] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    AdminApi.listReviews(token, { status: 'pending' }, { signal: controller.signal })
+      .then((data) => setPending(data.items))
+      .catch((err) => {
+        if (err?.name !== 'AbortError') console.error(err)
+      })
+    return () => controller.abort()
+  }, [token])
+
+  if (!pending) return null
+
+  // Una reseña moderada sale de la cola
+  const remove = (moderated) => setPending((prev) => prev.filter((r) => r.id !== moderated.id))
+
+  return (
+    <section className="admin-panel">
+      <h2 style={{ marginTop: 0 }}>Reseñas pendientes</h2>
+      {!pending.length ? (
+        <p className="empty">No hay reseñas esperando moderación.</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Producto</th>
+              <th>Estrellas</th>
+              <th>Reseña</th>
+              <th>Autor</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {pending.map((review) => (
+              <ReviewRow key={review.id} review={review} token={token} onModerated={remove} onUnauthorized={onUnauthorized} />
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
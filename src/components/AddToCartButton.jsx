@@ -0,0 +1,17 @@
+// src/components/AddToCartButton.jsx
+import { useLocale } from '../hooks/useLocale'
+import { getStock } from '../utils/product'
+
+// Componente atómico: Botón Agregar
+// Si el producto tiene variantes, el stock que cuenta es el de la variante elegida
+export default function AddToCartButton({ product, variant, onAddToCart }) {
+  const { t } = useLocale()
+  const stockVal = variant ? variant.stock : getStock(product)
+  const hasStockInfo = stockVal !== undefined && stockVal !== null
+  const disabled = !product || (hasStockInfo && Number(stockVal) <= 0)
+  return (
+    <button className="btn btn--primary" style={{ width: '100%' }} disabled={disabled} onClick={() => onAddToCart(product, variant)}>
+      {disabled ? t('product.noStock') : t('product.addToCart')}
+    </button>
+  )
+}
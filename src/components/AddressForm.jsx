@@ -0,0 +1,81 @@
+// src/components/AddressForm.jsx
+import { useState } from 'react'
+import { useLocale } from '../hooks/useLocale'
+
+// Campos de una dirección de envío, en el orden en que se muestran (etiqueta: t('address.<campo>'))
+const FIELDS = [
+  { name: 'fullName', autoComplete: 'name' },
+  { name: 'line1', autoComplete: 'address-line1' },
+  { name: 'line2', autoComplete: 'address-line2' },
+  { name: 'city', autoComplete: 'address-level2' },
+  { name: 'state', autoComplete: 'address-level1' },
+  { name: 'postalCode', autoComplete: 'postal-code' },
+  { name: 'country', autoComplete: 'country' },
+  { name: 'phone', autoComplete: 'tel' },
+]
+
+const EMPTY_ADDRESS = Object.fromEntries(FIELDS.map(({ name }) => [name, name === 'country' ? 'MX' : '']))
+
+// Componente: Formulario de alta/edición de una dirección
+// - initial: dirección a editar (o undefined para una nueva)
+// - onSubmit(address): debe devolver una promesa; si falla con 422 se muestran los errores por campo
+// - showDefault: muestra la opción "predeterminada" (no aplica a direcciones que no se guardan)
+export default function AddressForm({ initial, onSubmit, onCancel, showDefault = true, submitLabel }) {
+  const { t } = useLocale()
+  const [form, setForm] = useState(() => ({ ...EMPTY_ADDRESS, isDefault: false, ...initial }))
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrors({})
+    try {
+      const { id: _id, ...address } = form
+      await onSubmit(address)
+    } catch (err) {
+      if (err?.status === 422) setErrors(err.data?.errors ?? {})
+      else setErrors({ form: t('address.saveError') })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className="admin-form" onSubmit={handleSubmit} noValidate>
+      <div className="admin-form__row">
+        {FIELDS.map(({ name, autoComplete }) => (
+          <label key={name} className="filters__group">
+            <span className="label">{t(`address.${name}`)}</span>
+            <input
+              className="input"
+              value={form[name]}
+              autoComplete={autoComplete}
+              onChange={(e) => setForm((prev) => ({ ...prev, [name]: e.target.value }))}
+            />
+            {errors[name] && <span className="field-error">{errors[name]}</span>}
+          </label>
+        ))}
+      </div>
+      {showDefault && (
+        <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <input
+            type="checkbox"
+            checked={form.isDefault}
+            onChange={(e) => setForm((prev) => ({ ...prev, isDefault: e.target.checked }))}
+          />
+          {t('address.makeDefault')}
+        </label>
+      )}
+      {errors.form && <p className="status status--error">{errors.form}</p>}
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button className="btn btn--primary" type="submit" disabled={saving}>
+          {saving ? t('address.saving') : submitLabel ?? t('address.save')}
+        </button>
+        {onCancel && (
+          <button className="btn" type="button" onClick={onCancel}>{t('address.cancel')}</button>
+        )}
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,20 @@
+// src/components/AvailabilityBadge.jsx
+import { useLocale } from '../hooks/useLocale'
+
+// Componente atómico: Disponibilidad
+export default function AvailabilityBadge({ stock }) {
+  const { t } = useLocale()
+  const hasStockInfo = stock !== undefined && stock !== null
+  const inStock = !hasStockInfo || Number(stock) > 0
+  const label = !inStock ? t('product.soldOut') : hasStockInfo ? t('product.inStockCount', { count: stock }) : t('product.inStock')
+  const style = {
+    display: 'inline-block',
+    padding: '0.125rem 0.5rem',
+    borderRadius: '999px',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    background: inStock ? 'rgba(16,185,129,.15)' : 'rgba(239,68,68,.15)',
+    color: inStock ? '#065f46' : '#7f1d1d',
+  }
+  return <span style={style}>{label}</span>
+}
@@ -0,0 +1,101 @@
+// src/components/CartDrawer.jsx
+import { Link } from 'react-router-dom'
+import { useLocale } from '../hooks/useLocale'
+import { getId } from '../utils/product'
+import CartLines from './CartLines'
+import CartSummary from './CartSummary'
+import CouponForm from './CouponForm'
+import RecommendationCarousel from './RecommendationCarousel'
+import ShippingEstimator from './ShippingEstimator'
+import ShippingOptions from './ShippingOptions'
+
+// Componente: Drawer lateral con el carrito.
+// Vista rápida del carrito; el pedido se confirma en la página /checkout.
+// pricing es la cotización del servidor: descuentos (promociones y cupón), envío, impuestos y total.
+// Debajo de las líneas, productos recomendados para completar la compra (comprados juntos o similares).
+// El destino se ingresa aquí para estimar el envío; en el checkout lo reemplaza la dirección elegida.
+export default function CartDrawer({
+  open,
+  onClose,
+  items,
+  pricing,
+  couponCode,
+  onApplyCoupon,
+  onRemoveCoupon,
+  destination,
+  onDestinationChange,
+  onShippingMethodChange,
+  lineErrors,
+  onInc,
+  onDec,
+  onRemove,
+  onCheckout,
+}) {
+  const { t } = useLocale()
+  if (!open) return null
+  return (
+    <>
+      <div
+        role="presentation"
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          inset: 0,
+          background: 'rgba(0,0,0,0.6)',
+          zIndex: 40,
+        }}
+      />
+      <aside
+        aria-label={t('cart.title')}
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          height: '100dvh',
+          width: 'min(480px, 100%)',
+          background: 'var(--surface)',
+          borderLeft: '1px solid var(--border)',
+          padding: '1rem',
+          display: 'grid',
+          gridTemplateRows: 'auto 1fr auto',
+          gap: '1rem',
+          zIndex: 50,
+          overflow: 'hidden',
+        }}
+      >
+        <header style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <h2 style={{ margin: 0 }}>{t('cart.title')}</h2>
+          <button className="btn btn--ghost" onClick={onClose} aria-label={t('cart.close')}>✕</button>
+        </header>
+        <div style={{ overflow: 'auto', display: 'grid', gap: '0.75rem', alignContent: 'start' }}>
+          <CartLines items={items} lineErrors={lineErrors} onInc={onInc} onDec={onDec} onRemove={onRemove} />
+          {items.length > 0 && (
+            <RecommendationCarousel
+              productIds={[...new Set(items.map((item) => getId(item.product)))]}
+              title={t('recommendations.cartTitle')}
+              onNavigate={onClose}
+            />
+          )}
+        </div>
+        <footer style={{ display: 'grid', gap: '0.5rem' }}>
+          {items.length > 0 && (
+            <>
+              <CouponForm code={couponCode} onApply={onApplyCoupon} onRemove={onRemoveCoupon} />
+              <ShippingEstimator destination={destination} onChange={onDestinationChange} />
+              <ShippingOptions shipping={pricing.shipping} onSelect={onShippingMethodChange} />
+            </>
+          )}
+          <CartSummary pricing={pricing} />
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '1rem' }}>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <Link className="btn" to="/carrito" onClick={onClose}>{t('cart.view')}</Link>
+              <button className="btn btn--primary" onClick={onCheckout} disabled={items.length === 0}>
+                {t('cart.checkout')}
+              </button>
+            </div>
+          </div>
+        </footer>
+      </aside>
+    </>
+  )
+}
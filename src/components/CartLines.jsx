@@ -0,0 +1,53 @@
+// src/components/CartLines.jsx
+import { Link } from 'react-router-dom'
+import { useLocale } from '../hooks/useLocale'
+import { describeLineError } from '../utils/checkout'
+import { getVariantPrice, missingStock, productPath, variantLabel } from '../utils/product'
+import ProductImage from './ProductImage'
+
+// Componente: Líneas del carrito (una por variante) con controles de cantidad.
+// Lo comparten el drawer, la página del carrito y el checkout.
+// lineErrors: { [sku]: error } con los rechazos por línea devueltos por POST /api/orders
+// Las líneas que piden más unidades de las disponibles (el stock se actualiza en vivo) quedan marcadas.
+export default function CartLines({ items, lineErrors = {}, onInc, onDec, onRemove }) {
+  const { t, label, formatPrice } = useLocale()
+  if (items.length === 0) return <p className="empty">{t('cart.empty')}</p>
+
+  return items.map(({ sku, product, variant, qty }) => {
+    const short = missingStock({ variant, qty }) > 0
+    return (
+      <div key={sku} style={{ display: 'grid', gridTemplateColumns: '64px 1fr auto', gap: '0.75rem', alignItems: 'center', border: `1px solid ${short ? '#ef4444' : 'var(--border)'}`, borderRadius: 12, padding: '0.5rem' }}>
+        <div style={{ width: 64, height: 64, borderRadius: 8, overflow: 'hidden' }}>
+          <ProductImage product={product} variant="thumb" />
+        </div>
+        <div style={{ display: 'grid', gap: '0.25rem' }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem' }}>
+            <Link to={productPath(product)}>
+              <strong>{product.title}</strong>
+            </Link>
+            <button className="btn btn--ghost" onClick={() => onRemove(sku)} aria-label={t('cart.remove')}>🗑️</button>
+          </div>
+          <span className="card__price">{variantLabel(variant, label)}</span>
+          <span className="card__price">{t('cart.unitPrice', { price: formatPrice(getVariantPrice(product, variant)) })}</span>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <button className="btn" onClick={() => onDec(sku)} aria-label={t('cart.decrease')}>−</button>
+            <span>{qty}</span>
+            <button className="btn" onClick={() => onInc(sku)} aria-label={t('cart.increase')} disabled={qty >= variant.stock}>+</button>
+          </div>
+        </div>
+        <div style={{ fontWeight: 600 }}>{formatPrice(getVariantPrice(product, variant) * qty)}</div>
+        {lineErrors[sku] ? (
+          <p className="status status--error" style={{ gridColumn: '1 / -1', margin: 0 }}>
+            {describeLineError(lineErrors[sku], t, formatPrice)}
+          </p>
+        ) : (
+          short && (
+            <p className="status status--error" style={{ gridColumn: '1 / -1', margin: 0 }}>
+              {variant.stock > 0 ? t('cart.shortStock', { count: variant.stock }) : t('cart.soldOut')}
+            </p>
+          )
+        )}
+      </div>
+    )
+  })
+}
@@ -0,0 +1,38 @@
+// src/components/CartNotice.jsx
+import { useLocale } from '../hooks/useLocale'
+
+// Componente: Aviso de cambios en el carrito guardado (ver findCartChanges en utils/checkout.js)
+// Se muestra al volver a la tienda si algún artículo cambió de precio, tiene menos stock o dejó de venderse.
+export default function CartNotice({ changes, onDismiss }) {
+  const { t, formatPrice } = useLocale()
+  if (changes.length === 0) return null
+
+  const describe = (change) => {
+    switch (change.kind) {
+      case 'removed':
+        return t('cartNotice.removed', { title: change.title })
+      case 'price':
+        return t('cartNotice.price', {
+          title: change.title,
+          from: formatPrice(change.from, change.currency),
+          to: formatPrice(change.to, change.currency),
+        })
+      default:
+        return change.available > 0
+          ? t('cartNotice.stock', { title: change.title, count: change.available })
+          : t('cartNotice.soldOut', { title: change.title })
+    }
+  }
+
+  return (
+    <div className="notice" role="status">
+      <strong>{t('cartNotice.title')}</strong>
+      <ul style={{ margin: 0, paddingLeft: '1.25rem' }}>
+        {changes.map((change) => (
+          <li key={`${change.sku}-${change.kind}`}>{describe(change)}</li>
+        ))}
+      </ul>
+      <button className="btn btn--ghost" onClick={onDismiss}>{t('cartNotice.dismiss')}</button>
+    </div>
+  )
+}
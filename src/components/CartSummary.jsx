@@ -0,0 +1,51 @@
+// src/components/CartSummary.jsx
+import { useLocale } from '../hooks/useLocale'
+import { describeCouponError } from '../utils/checkout'
+
+const row = { display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }
+
+// Componente: Resumen de importes del carrito, línea por línea:
+// subtotal, una línea por promoción, envío elegido, impuestos y total.
+// pricing: cotización de POST /api/cart/quote (ver App.jsx)
+export default function CartSummary({ pricing }) {
+  const { t, formatPrice } = useLocale()
+  const { subtotal, discounts, shipping, taxes, total, coupon } = pricing
+  const shippingOption = shipping?.options.find((o) => o.id === shipping.selected)
+  return (
+    <div style={{ display: 'grid', gap: '0.25rem' }}>
+      <div style={row}>
+        <span>{t('totals.subtotal')}</span>
+        <span>{formatPrice(subtotal)}</span>
+      </div>
+      {discounts.map((discount) => (
+        <div key={discount.promotionId} style={{ ...row, color: 'var(--primary)' }}>
+          <span>
+            {discount.name}
+            {discount.code && <span className="chip chip--active" style={{ marginLeft: '0.5rem' }}>{discount.code}</span>}
+          </span>
+          <span>-{formatPrice(discount.amount)}</span>
+        </div>
+      ))}
+      {shippingOption && (
+        <div style={row}>
+          <span>{shippingOption.label}</span>
+          <span>{shippingOption.amount === 0 ? t('totals.free') : formatPrice(shippingOption.amount)}</span>
+        </div>
+      )}
+      {taxes.map((tax) => (
+        <div key={tax.id} style={row}>
+          <span>{tax.name} ({Math.round(tax.rate * 100)}%)</span>
+          <span>{formatPrice(tax.amount)}</span>
+        </div>
+      ))}
+      {/* Un cupón aplicado puede dejar de valer si cambia el carrito (p. ej., baja del mínimo) */}
+      {coupon && !coupon.valid && (
+        <span className="field-error">{t('coupon.invalid', { code: coupon.code, reason: describeCouponError(coupon, t) })}</span>
+      )}
+      <div style={row}>
+        <strong>{t('totals.total')}</strong>
+        <strong>{formatPrice(total)}</strong>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+// src/components/CouponForm.jsx
+import { useState } from 'react'
+import { useLocale } from '../hooks/useLocale'
+import { describeCouponError } from '../utils/checkout'
+
+// Componente: Campo para ingresar un cupón de descuento
+// - code: cupón aplicado actualmente ('' si no hay)
+// - onApply(code): valida el cupón y devuelve { code, valid, reason? }
+// - onRemove(): quita el cupón aplicado
+export default function CouponForm({ code, onApply, onRemove }) {
+  const { t } = useLocale()
+  const [value, setValue] = useState('')
+  const [error, setError] = useState(null)
+  const [checking, setChecking] = useState(false)
+
+  if (code) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem' }}>
+        <span>{t('coupon.applied')} <span className="chip chip--active">{code}</span></span>
+        <button className="btn btn--ghost" type="button" onClick={onRemove}>{t('coupon.remove')}</button>
+      </div>
+    )
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!value.trim()) return
+    setChecking(true)
+    setError(null)
+    try {
+      const coupon = await onApply(value)
+      if (coupon.valid) setValue('')
+      else setError(describeCouponError(coupon, t))
+    } catch (err) {
+      setError(t('coupon.failed'))
+      console.error(err)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'grid', gap: '0.25rem' }}>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <input
+          className="input"
+          placeholder={t('coupon.placeholder')}
+          aria-label={t('coupon.placeholder')}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          style={{ flex: 1 }}
+        />
+        <button className="btn" type="submit" disabled={checking || !value.trim()}>
+          {checking ? t('coupon.checking') : t('coupon.apply')}
+        </button>
+      </div>
+      {error && <span className="field-error">{error}</span>}
+    </form>
+  )
+}
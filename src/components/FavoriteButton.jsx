@@ -0,0 +1,23 @@
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+
+// Componente atómico: Corazón de favoritos
+// Agrega o quita el producto de los favoritos de la tienda (ver hooks/useFavorites.js).
+export default function FavoriteButton({ productId }) {
+  const { isFavorite, toggleFavorite } = useShop()
+  const { t } = useLocale()
+  const active = isFavorite(productId)
+  const text = t(active ? 'favorites.remove' : 'favorites.add')
+  return (
+    <button
+      type="button"
+      className={`favorite${active ? ' favorite--active' : ''}`}
+      aria-pressed={active}
+      aria-label={text}
+      title={text}
+      onClick={() => toggleFavorite(productId)}
+    >
+      {active ? '♥' : '♡'}
+    </button>
+  )
+}
@@ -0,0 +1,190 @@
+// src/components/FilterBar.jsx
+import { useEffect, useState } from 'react'
+import { useLocale } from '../hooks/useLocale'
+import { track } from '../services/analytics'
+import { Api } from '../services/api'
+import { flattenCategoryTree, indent } from '../utils/categories'
+
+// Opciones de una faceta ([{ value, count }]) asegurando que el valor elegido siga en la lista
+// aunque ya no tenga resultados con el resto de los filtros
+const facetOptions = (options = [], selected) =>
+  selected && !options.some((o) => o.value === selected) ? [...options, { value: selected, count: 0 }] : options
+
+// Hook: sugerencias de autocompletado para el buscador.
+// Espera a que el usuario deje de tipear (debounce) antes de consultar la API.
+// lang: los títulos sugeridos llegan en el idioma elegido, así que cambiarlo vuelve a consultar.
+function useSearchSuggestions(q, lang) {
+  const [suggestions, setSuggestions] = useState([])
+
+  useEffect(() => {
+    const term = q.trim()
+    if (term.length < 2) {
+      setSuggestions([])
+      return
+    }
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const { products, terms } = await Api.fetchSuggestions(term, { signal: controller.signal })
+        // Títulos de productos primero y luego términos, sin repetir
+        setSuggestions([...new Set([...products.map((p) => p.title), ...terms])])
+      } catch {
+        setSuggestions([])
+      }
+    }, 200)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [q, lang])
+
+  return suggestions
+}
+
+// Hook: registra la búsqueda en la analítica (ver services/analytics.js) cuando el texto deja de cambiar
+// por SEARCH_SETTLE_MS, así no cuenta cada letra tipeada. El servidor calcula cuántos productos encontró.
+const SEARCH_SETTLE_MS = 1500
+
+function useTrackSearch(q) {
+  useEffect(() => {
+    const term = q.trim()
+    if (term.length < 2) return
+    const timer = setTimeout(() => track('search', { q: term }), SEARCH_SETTLE_MS)
+    return () => clearTimeout(timer)
+  }, [q])
+}
+
+// Hook: árbol de categorías con los nombres en el idioma elegido (GET /api/categories).
+// Solo se usa para la estructura y los nombres: los conteos que se muestran son los de las facetas,
+// que respetan el resto de los filtros. Arranca con el del caché (el que trae la página del servidor).
+function useCategoryTree(lang) {
+  const [tree, setTree] = useState(() => Api.peekCategories()?.items ?? [])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    Api.fetchCategories({ signal: controller.signal, onRevalidate: (data) => setTree(data.items) })
+      .then((data) => setTree(data.items))
+      .catch((err) => {
+        if (err?.name !== 'AbortError') console.error(err)
+      })
+    return () => controller.abort()
+  }, [lang])
+
+  return tree
+}
+
+// Componente: Controles de filtrado y ordenamiento
+// facets: conteos por categoría/color/talle devueltos por la API (una categoría incluye sus subcategorías)
+// priceRange: { min, max } del resultado (en la moneda elegida), usado como sugerencia en los inputs de precio
+export default function FilterBar({ filters, onChange, facets, priceRange }) {
+  const { lang, t, label } = useLocale()
+  const categories = flattenCategoryTree(useCategoryTree(lang))
+  const categoryCount = (slug) => facets.category.find((f) => f.value === slug)?.count ?? 0
+  // Manejadores locales que actualizan el objeto de filtros del padre
+  const handleInput = (key) => (e) => onChange({ ...filters, [key]: e.target.value })
+  const suggestions = useSearchSuggestions(filters.q, lang)
+  useTrackSearch(filters.q)
+
+  return (
+    <section className="filters">
+      {/* Búsqueda por texto (ignora acentos y tolera errores de tipeo) con autocompletado */}
+      <div className="filters__group">
+        <label className="label">{t('filters.search')}</label>
+        <input
+          className="input"
+          type="search"
+          placeholder={t('filters.searchPlaceholder')}
+          value={filters.q}
+          onChange={handleInput('q')}
+          list="search-suggestions"
+          autoComplete="off"
+        />
+        <datalist id="search-suggestions">
+          {suggestions.map((text) => (
+            <option key={text} value={text} />
+          ))}
+        </datalist>
+      </div>
+
+      {/* Categoría (con sus subcategorías anidadas) y la cantidad de productos de cada una */}
+      <div className="filters__group">
+        <label className="label">{t('filters.category')}</label>
+        <select className="input" value={filters.category} onChange={handleInput('category')}>
+          <option value="">{t('filters.allCategories')}</option>
+          {categories.map(({ slug, name, depth }) => {
+            const count = categoryCount(slug)
+            return (
+              <option key={slug} value={slug} disabled={count === 0 && slug !== filters.category}>
+                {indent(depth)}
+                {name} ({count})
+              </option>
+            )
+          })}
+        </select>
+      </div>
+
+      {/* Color y talle: filtran por variantes disponibles */}
+      <div className="filters__group filters__group--row">
+        <div>
+          <label className="label">{t('filters.color')}</label>
+          <select className="input" value={filters.color} onChange={handleInput('color')}>
+            <option value="">{t('filters.all')}</option>
+            {facetOptions(facets.color, filters.color).map(({ value, count }) => (
+              <option key={value} value={value}>{label('color', value)} ({count})</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">{t('filters.size')}</label>
+          <select className="input" value={filters.size} onChange={handleInput('size')}>
+            <option value="">{t('filters.all')}</option>
+            {facetOptions(facets.size, filters.size).map(({ value, count }) => (
+              <option key={value} value={value}>{label('size', value)} ({count})</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Rango de precio mínimo y máximo */}
+      <div className="filters__group filters__group--row">
+        <div>
+          <label className="label">{t('filters.minPrice')}</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder={priceRange.min ?? '0'}
+            value={filters.minPrice}
+            onChange={handleInput('minPrice')}
+          />
+        </div>
+        <div>
+          <label className="label">{t('filters.maxPrice')}</label>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder={priceRange.max ?? '9999'}
+            value={filters.maxPrice}
+            onChange={handleInput('maxPrice')}
+          />
+        </div>
+      </div>
+
+      {/* Ordenamiento */}
+      <div className="filters__group">
+        <label className="label">{t('filters.sort')}</label>
+        <select className="input" value={filters.sort} onChange={handleInput('sort')}>
+          <option value="">{t('filters.sort.relevance')}</option>
+          <option value="price_asc">{t('filters.sort.price_asc')}</option>
+          <option value="price_desc">{t('filters.sort.price_desc')}</option>
+          <option value="title_asc">{t('filters.sort.title_asc')}</option>
+          <option value="rating_desc">{t('filters.sort.rating_desc')}</option>
+        </select>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,23 @@
+// src/components/LocaleSwitcher.jsx
+import { useLocale } from '../hooks/useLocale'
+import { CURRENCIES, LANGUAGES } from '../i18n/messages'
+
+// Componente: Selectores de idioma y moneda de la tienda.
+// Al cambiarlos, las páginas vuelven a pedir los productos (textos traducidos y precios convertidos).
+export default function LocaleSwitcher() {
+  const { lang, currency, setLang, setCurrency, t } = useLocale()
+  return (
+    <div className="locale-switcher">
+      <select className="input" aria-label={t('nav.language')} value={lang} onChange={(e) => setLang(e.target.value)}>
+        {LANGUAGES.map((l) => (
+          <option key={l.code} value={l.code}>{l.name}</option>
+        ))}
+      </select>
+      <select className="input" aria-label={t('nav.currency')} value={currency} onChange={(e) => setCurrency(e.target.value)}>
+        {CURRENCIES.map((code) => (
+          <option key={code} value={code}>{code}</option>
+        ))}
+      </select>
+    </div>
+  )
+}
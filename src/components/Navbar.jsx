@@ -0,0 +1,37 @@
+// src/components/Navbar.jsx
+import { Link } from 'react-router-dom'
+import { useLocale } from '../hooks/useLocale'
+import LocaleSwitcher from './LocaleSwitcher'
+
+// Componente: Barra de navegación superior
+// user: cliente con sesión iniciada (o null para invitados); onLogout cierra la sesión
+// favoritesCount: cantidad de favoritos (el enlace lleva a /favoritos)
+export default function Navbar({ cartCount, favoritesCount, onOpenCart, user, onLogout }) {
+  const { t } = useLocale()
+  return (
+    <header className="nav">
+      {/* Sección izquierda: Marca / título (vuelve al catálogo) */}
+      <Link className="nav__brand" to="/">{t('nav.brand')}</Link>
+      {/* Sección derecha: idioma/moneda, favoritos, cuenta del cliente e indicador del carrito (abre el drawer) */}
+      <div className="nav__actions">
+        <LocaleSwitcher />
+        <Link className="btn btn--ghost" to="/favoritos" aria-label={t('nav.favorites')}>
+          ♥ <span className="badge">{favoritesCount}</span>
+        </Link>
+        {user ? (
+          <>
+            <span className="nav__user">{t('nav.hello', { name: user.name })}</span>
+            <Link className="btn btn--ghost" to="/mis-pedidos">{t('nav.orders')}</Link>
+            <Link className="btn btn--ghost" to="/mi-cuenta">{t('nav.account')}</Link>
+            <button className="btn btn--ghost" onClick={onLogout}>{t('nav.logout')}</button>
+          </>
+        ) : (
+          <Link className="btn btn--ghost" to="/ingresar">{t('nav.login')}</Link>
+        )}
+        <button className="btn btn--ghost" aria-label={t('nav.cart')} onClick={onOpenCart}>
+          🛒 <span className="badge">{cartCount}</span>
+        </button>
+      </div>
+    </header>
+  )
+}
@@ -0,0 +1,27 @@
+// src/components/OrderConfirmation.jsx
+import { useLocale } from '../hooks/useLocale'
+import { variantLabel } from '../utils/product'
+import OrderTotals from './OrderTotals'
+
+// Componente: Resumen del pedido ya creado (el agradecimiento solo cuando ya está pagado)
+export default function OrderConfirmation({ order }) {
+  const { t, label, formatPrice } = useLocale()
+  return (
+    <div style={{ display: 'grid', gap: '0.75rem', alignContent: 'start' }}>
+      {order.status === 'paid' && <p style={{ margin: 0 }}>{t('order.thanks')}</p>}
+      <p className="card__price" style={{ margin: 0 }}>{t('order.id', { id: order.id })}</p>
+      {order.items.map((item) => (
+        <div key={item.sku} style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+          <span>{item.qty} × {item.title} ({variantLabel(item, label)})</span>
+          <span>{formatPrice(item.lineTotal, order.currency)}</span>
+        </div>
+      ))}
+      <OrderTotals order={order} />
+    </div>
+  )
+}
+
+// Pasos del checkout dentro del drawer:
+// - 'cart': revisión libre del carrito
+// - 'review': confirmación antes de enviar el pedido al servidor
+// - 'done': pedido creado, se muestra el resumen devuelto por la API
@@ -0,0 +1,43 @@
+// src/components/OrderTotals.jsx
+import { useLocale } from '../hooks/useLocale'
+
+const row = { display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }
+
+// Componente: Importes de un pedido ya creado (subtotal, descuentos, envío, impuestos y total).
+// Los pedidos anteriores a envío/impuestos no traen esos campos y solo muestran el total.
+// Los importes se muestran en la moneda en que se cobró el pedido (los anteriores a multimoneda, en MXN).
+export default function OrderTotals({ order }) {
+  const { t, formatPrice: format } = useLocale()
+  const formatPrice = (amount) => format(amount, order.currency ?? 'MXN')
+  return (
+    <>
+      <div style={{ ...row, borderTop: '1px solid var(--border)', paddingTop: '0.5rem' }}>
+        <span>{t('totals.subtotal')}</span>
+        <span>{formatPrice(order.subtotal)}</span>
+      </div>
+      {/* Descuentos aplicados (promociones automáticas y cupón) */}
+      {order.discounts?.map((discount) => (
+        <div key={discount.promotionId} style={{ ...row, color: 'var(--primary)' }}>
+          <span>{discount.name}{discount.code && ` (${discount.code})`}</span>
+          <span>-{formatPrice(discount.amount)}</span>
+        </div>
+      ))}
+      {order.shipping && (
+        <div style={row}>
+          <span>{order.shipping.label}</span>
+          <span>{order.shipping.amount === 0 ? t('totals.free') : formatPrice(order.shipping.amount)}</span>
+        </div>
+      )}
+      {order.taxes?.map((tax) => (
+        <div key={tax.id} style={row}>
+          <span>{tax.name} ({Math.round(tax.rate * 100)}%)</span>
+          <span>{formatPrice(tax.amount)}</span>
+        </div>
+      ))}
+      <div style={row}>
+        <strong>{t('totals.total')}</strong>
+        <strong>{formatPrice(order.total)}</strong>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,19 @@
+// src/components/Pagination.jsx
+import { useLocale } from '../hooks/useLocale'
+
+// Componente: Paginación simple del catálogo
+export default function Pagination({ page, pages, onPageChange }) {
+  const { t } = useLocale()
+  if (pages <= 1) return null
+  return (
+    <nav className="pagination" aria-label={t('pagination.label')}>
+      <button className="btn" disabled={page <= 1} onClick={() => onPageChange(page - 1)}>
+        {t('pagination.previous')}
+      </button>
+      <span>{t('pagination.pageOf', { page, pages })}</span>
+      <button className="btn" disabled={page >= pages} onClick={() => onPageChange(page + 1)}>
+        {t('pagination.next')}
+      </button>
+    </nav>
+  )
+}
@@ -0,0 +1,25 @@
+// src/components/PriceTag.jsx
+import { useLocale } from '../hooks/useLocale'
+
+// Componente atómico: Precio (en la moneda elegida; la API ya lo devuelve convertido)
+// Durante una oferta (compareAtPrice mayor que price) muestra también el precio "antes" tachado y el % de descuento.
+export default function PriceTag({ price, compareAtPrice }) {
+  const { t, formatPrice } = useLocale()
+  const hasPrice = price !== undefined && price !== null && !Number.isNaN(Number(price))
+  if (!hasPrice) return <p className="card__price">{t('product.priceUnavailable')}</p>
+  const onSale = Number(compareAtPrice) > Number(price)
+  return (
+    <p className={`card__price${onSale ? ' card__price--sale' : ''}`}>
+      {formatPrice(Number(price))}
+      {onSale && (
+        <>
+          {' '}
+          <s className="card__compare" aria-label={t('product.compareAt', { price: formatPrice(Number(compareAtPrice)) })}>
+            {formatPrice(Number(compareAtPrice))}
+          </s>{' '}
+          <span className="badge badge--sale">{t('product.percentOff', { percent: Math.round((1 - price / compareAtPrice) * 100) })}</span>
+        </>
+      )}
+    </p>
+  )
+}
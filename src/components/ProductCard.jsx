@@ -0,0 +1,50 @@
+// src/components/ProductCard.jsx
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useImpression } from '../hooks/useImpression'
+import { defaultVariant, getPrice, getStock, getVariantCompareAtPrice, getVariantPrice, getVariants, productPath } from '../utils/product'
+import AddToCartButton from './AddToCartButton'
+import AvailabilityBadge from './AvailabilityBadge'
+import FavoriteButton from './FavoriteButton'
+import PriceTag from './PriceTag'
+import ProductImage from './ProductImage'
+import StarRating from './StarRating'
+import StockAlertForm from './StockAlertForm'
+import VariantPicker from './VariantPicker'
+
+// Componente: Tarjeta de producto
+// Guarda localmente la variante elegida (por SKU) para mostrar su precio y stock.
+// La imagen y el título llevan a la página de detalle; debajo del título, la calificación promedio (si tiene reseñas).
+// Junto al título, el corazón de favoritos; si la variante está agotada, se puede pedir aviso de vuelta de stock.
+// Cuando la tarjeta se ve en pantalla registra una impresión del producto (analítica).
+export default function ProductCard({ product, onAddToCart }) {
+  const [sku, setSku] = useState(() => defaultVariant(product)?.sku)
+  const variant = getVariants(product).find((v) => v.sku === sku)
+  const impressionRef = useImpression(product.id)
+  return (
+    <article className="card" ref={impressionRef}>
+      <Link className="card__media" to={productPath(product)}>
+        <ProductImage product={product} variant="card" />
+      </Link>
+      <div className="card__body">
+        <div style={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: '0.5rem' }}>
+          <h3 className="card__title">
+            <Link to={productPath(product)}>{product.title}</Link>
+          </h3>
+          <FavoriteButton productId={product.id} />
+        </div>
+        <StarRating value={product.rating?.average} count={product.rating?.count} />
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', flexWrap: 'wrap' }}>
+          <PriceTag
+            price={variant ? getVariantPrice(product, variant) : getPrice(product)}
+            compareAtPrice={getVariantCompareAtPrice(product, variant)}
+          />
+          <AvailabilityBadge stock={variant ? variant.stock : getStock(product)} />
+        </div>
+        {variant && <VariantPicker product={product} selected={variant} onSelect={(v) => setSku(v.sku)} />}
+        <AddToCartButton product={product} variant={variant} onAddToCart={onAddToCart} />
+        {variant?.stock === 0 && <StockAlertForm key={variant.sku} product={product} variant={variant} />}
+      </div>
+    </article>
+  )
+}
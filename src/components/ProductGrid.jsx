@@ -0,0 +1,20 @@
+// src/components/ProductGrid.jsx
+import { useLocale } from '../hooks/useLocale'
+import { getId } from '../utils/product'
+import ProductCard from './ProductCard'
+
+// Componente: Grid de productos responsivo
+export default function ProductGrid({ products, onAddToCart }) {
+  const { t } = useLocale()
+  if (!products?.length) {
+    return <p className="empty">{t('catalog.empty')}</p>
+  }
+
+  return (
+    <section className="grid">
+      {products.map((p) => (
+        <ProductCard key={getId(p)} product={p} onAddToCart={onAddToCart} />
+      ))}
+    </section>
+  )
+}
@@ -0,0 +1,27 @@
+// src/components/ProductImage.jsx
+import { resolveImage } from '../utils/product'
+
+// Tamaños de uso: ancho de la versión por defecto y `sizes` (ancho que ocupa en pantalla),
+// con lo que el navegador elige del srcset la versión justa para cada caso.
+const VARIANTS = {
+  thumb: { width: 160, sizes: '64px' },
+  mini: { width: 320, sizes: '160px' },
+  card: { width: 480, sizes: '(max-width: 520px) 100vw, (max-width: 800px) 50vw, (max-width: 1100px) 33vw, 300px' },
+  detail: { width: 1080, sizes: '(max-width: 800px) 100vw, 600px' },
+}
+
+// Componente: Imagen de un producto (variant: 'thumb' | 'mini' | 'card' | 'detail')
+// Las imágenes procesadas por el servidor se sirven en AVIF/WebP con srcset; sin imagen se usa
+// un placeholder generado localmente. `eager` desactiva la carga diferida (imagen principal del detalle).
+export default function ProductImage({ product, index = 0, variant = 'card', alt = product?.title ?? '', eager = false }) {
+  const { width, sizes } = VARIANTS[variant]
+  const { src, sources = [] } = resolveImage(product, index, width)
+  return (
+    <picture className="product-image">
+      {sources.map((source) => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img src={src} alt={alt} loading={eager ? 'eager' : 'lazy'} decoding="async" />
+    </picture>
+  )
+}
@@ -0,0 +1,152 @@
+// src/components/ProductReviews.jsx
+import { useEffect, useState } from 'react'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { LOCALE_TAGS } from '../i18n/messages'
+import { Api } from '../services/api'
+import StarRating from './StarRating'
+
+const PAGE_SIZE = 5
+const EMPTY_REVIEW = { rating: '5', title: '', text: '', authorName: '' }
+
+// Componente: Formulario para enviar una reseña
+// Los clientes con sesión firman con el nombre de su cuenta (y el servidor detecta si compraron el producto);
+// los invitados escriben su nombre. La reseña no aparece en la lista hasta que el back-office la aprueba.
+function ReviewForm({ productId }) {
+  const { t } = useLocale()
+  const { user } = useShop()
+  const [form, setForm] = useState(EMPTY_REVIEW)
+  const [errors, setErrors] = useState({})
+  const [sending, setSending] = useState(false)
+  // sent: null | 'reviews.thanks' | 'reviews.alreadyReviewed'
+  const [sent, setSent] = useState(null)
+
+  const set = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSending(true)
+    setErrors({})
+    try {
+      await Api.submitReview(productId, {
+        rating: Number(form.rating),
+        title: form.title,
+        text: form.text,
+        authorName: user ? undefined : form.authorName,
+      })
+      setSent('reviews.thanks')
+    } catch (err) {
+      if (err?.code === 'ALREADY_REVIEWED') setSent('reviews.alreadyReviewed')
+      else if (err?.status === 422) setErrors(err.data?.errors ?? {})
+      else setErrors({ form: t('reviews.sendError') })
+    } finally {
+      setSending(false)
+    }
+  }
+
+  if (sent) return <p className="status">{t(sent)}</p>
+
+  return (
+    <form className="admin-form" onSubmit={handleSubmit} noValidate>
+      <h3 style={{ margin: 0 }}>{t('reviews.write')}</h3>
+      <div className="admin-form__row">
+        <label className="filters__group">
+          <span className="label">{t('reviews.rating')}</span>
+          <select className="input" value={form.rating} onChange={set('rating')}>
+            {[5, 4, 3, 2, 1].map((n) => (
+              <option key={n} value={n} aria-label={t('rating.stars', { value: n })}>
+                {'★'.repeat(n)}
+                {'☆'.repeat(5 - n)}
+              </option>
+            ))}
+          </select>
+          {errors.rating && <span className="field-error">{errors.rating}</span>}
+        </label>
+        {!user && (
+          <label className="filters__group">
+            <span className="label">{t('reviews.authorName')}</span>
+            <input className="input" value={form.authorName} onChange={set('authorName')} autoComplete="name" />
+            {errors.authorName && <span className="field-error">{errors.authorName}</span>}
+          </label>
+        )}
+        <label className="filters__group">
+          <span className="label">{t('reviews.reviewTitle')}</span>
+          <input className="input" value={form.title} onChange={set('title')} maxLength={80} />
+          {errors.title && <span className="field-error">{errors.title}</span>}
+        </label>
+      </div>
+      <label className="filters__group">
+        <span className="label">{t('reviews.text')}</span>
+        <textarea className="input" rows={4} value={form.text} onChange={set('text')} maxLength={2000} />
+        {errors.text && <span className="field-error">{errors.text}</span>}
+      </label>
+      {errors.form && <p className="status status--error">{errors.form}</p>}
+      <div>
+        <button className="btn btn--primary" type="submit" disabled={sending || !form.text.trim()}>
+          {sending ? t('reviews.sending') : t('reviews.submit')}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+// Componente: Reseñas aprobadas de un producto, con el promedio y el formulario para opinar.
+// Se cargan de a PAGE_SIZE; "Ver más" agrega la página siguiente a la lista.
+// Se monta con key={productId} para empezar de cero al cambiar de producto.
+export default function ProductReviews({ productId }) {
+  const { lang, t, formatDate } = useLocale()
+  const [data, setData] = useState(null)
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(false)
+
+  // Efecto: cargar la página pedida (la primera reemplaza la lista, las siguientes se agregan)
+  useEffect(() => {
+    const controller = new AbortController()
+    setLoading(true)
+    setError(false)
+    Api.fetchReviews(productId, { page, limit: PAGE_SIZE }, { signal: controller.signal })
+      .then((result) => setData((prev) => (page > 1 && prev ? { ...result, items: [...prev.items, ...result.items] } : result)))
+      .catch((err) => {
+        if (err?.name === 'AbortError') return
+        setError(true)
+        console.error(err)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false)
+      })
+    return () => controller.abort()
+  }, [productId, page])
+
+  return (
+    <section className="reviews">
+      <h2 style={{ margin: 0 }}>{t('reviews.title')}</h2>
+      {data?.rating.count > 0 && (
+        <p className="reviews__summary">
+          <StarRating value={data.rating.average} />{' '}
+          {t('reviews.summary', { value: data.rating.average.toLocaleString(LOCALE_TAGS[lang]), count: data.rating.count })}
+        </p>
+      )}
+      {error && <p className="status status--error">{t('reviews.error')}</p>}
+      {data && !data.items.length && <p className="empty">{t('reviews.empty')}</p>}
+      {data?.items.map((review) => (
+        <article key={review.id} className="review">
+          <div className="review__header">
+            <StarRating value={review.rating} />
+            {review.title && <strong>{review.title}</strong>}
+          </div>
+          <p style={{ margin: 0 }}>{review.text}</p>
+          <p className="review__meta">
+            {review.authorName} · {formatDate(review.createdAt)}
+            {review.verifiedPurchase && <span className="badge">{t('reviews.verified')}</span>}
+          </p>
+        </article>
+      ))}
+      {loading && <p className="status">{t('reviews.loading')}</p>}
+      {!loading && data && page < data.pages && (
+        <button className="btn" onClick={() => setPage((p) => p + 1)}>{t('reviews.more')}</button>
+      )}
+      <ReviewForm productId={productId} />
+    </section>
+  )
+}
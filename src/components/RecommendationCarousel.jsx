@@ -0,0 +1,67 @@
+// src/components/RecommendationCarousel.jsx
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useImpression } from '../hooks/useImpression'
+import { useLocale } from '../hooks/useLocale'
+import { Api } from '../services/api'
+import { getPrice, productPath } from '../utils/product'
+import PriceTag from './PriceTag'
+import ProductImage from './ProductImage'
+
+// Componente: Producto de la fila (imagen, título y precio, que llevan al detalle)
+// Los que se compran junto con el de partida llevan una etiqueta; cada uno registra su impresión.
+function RecommendationItem({ product, onNavigate }) {
+  const { t } = useLocale()
+  const impressionRef = useImpression(product.id)
+  return (
+    <li className="carousel__item" ref={impressionRef}>
+      <Link className="card__media" to={productPath(product)} onClick={onNavigate}>
+        <ProductImage product={product} variant="mini" />
+      </Link>
+      <Link to={productPath(product)} onClick={onNavigate}>{product.title}</Link>
+      <PriceTag price={getPrice(product)} compareAtPrice={product.compareAtPrice} />
+      {product.reason === 'bought_together' && <span className="carousel__reason">{t('recommendations.boughtTogether')}</span>}
+    </li>
+  )
+}
+
+// Componente: Fila deslizable de productos recomendados (ver GET /api/products/:id/recommendations)
+// - productId: recomendaciones para la página de ese producto
+// - productIds: recomendaciones para el carrito (nunca repite sus productos)
+// Se vuelven a pedir al cambiar el idioma o la moneda. Sin recomendaciones (o si fallan) no se muestra nada:
+// es contenido secundario. onNavigate se llama al elegir un producto (p. ej., para cerrar el carrito).
+export default function RecommendationCarousel({ productId, productIds, title, onNavigate }) {
+  const { lang, currency } = useLocale()
+  const [items, setItems] = useState([])
+  // Clave estable para el efecto: el carrito arma un array nuevo en cada render
+  const idsKey = productIds?.join(',') ?? ''
+
+  useEffect(() => {
+    if (!productId && !idsKey) return
+    const controller = new AbortController()
+    const request = productId
+      ? Api.fetchRecommendations(productId, { signal: controller.signal })
+      : Api.fetchCartRecommendations(idsKey.split(','), { signal: controller.signal })
+    request
+      .then((data) => setItems(data.items))
+      .catch((err) => {
+        if (err?.name === 'AbortError') return
+        setItems([])
+        console.error(err)
+      })
+    return () => controller.abort()
+  }, [productId, idsKey, lang, currency])
+
+  if (!items.length) return null
+
+  return (
+    <section className="carousel" aria-label={title}>
+      <h2 style={{ margin: 0 }}>{title}</h2>
+      <ul className="carousel__track">
+        {items.map((product) => (
+          <RecommendationItem key={product.id} product={product} onNavigate={onNavigate} />
+        ))}
+      </ul>
+    </section>
+  )
+}
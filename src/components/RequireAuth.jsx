@@ -0,0 +1,23 @@
+// src/components/RequireAuth.jsx
+import { Navigate, Outlet, useLocation } from 'react-router-dom'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+
+// Ruta "layout" que solo deja pasar a clientes con sesión iniciada.
+// A los invitados los manda a /ingresar?next=<ruta actual> para volver después de ingresar.
+// Reenvía el contexto de la tienda a las rutas hijas (useShop sigue funcionando).
+export default function RequireAuth() {
+  const shop = useShop()
+  const location = useLocation()
+  const { t } = useLocale()
+
+  // Mientras se restaura la sesión guardada no se sabe si hay usuario
+  if (!shop.authReady) return <p className="status">{t('account.loading')}</p>
+
+  if (!shop.user) {
+    const next = encodeURIComponent(location.pathname + location.search)
+    return <Navigate to={`/ingresar?next=${next}`} replace />
+  }
+
+  return <Outlet context={shop} />
+}
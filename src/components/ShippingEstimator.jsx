@@ -0,0 +1,37 @@
+// src/components/ShippingEstimator.jsx
+import { useState } from 'react'
+import { useLocale } from '../hooks/useLocale'
+import { COUNTRY_CODES } from '../utils/checkout'
+
+// Componente: Destino para cotizar el envío antes del checkout (país + código postal)
+// - destination: destino actual ({ country, postalCode }) o null
+// - onChange(destination | null)
+export default function ShippingEstimator({ destination, onChange }) {
+  const { t } = useLocale()
+  const [country, setCountry] = useState(destination?.country ?? 'MX')
+  const [postalCode, setPostalCode] = useState(destination?.postalCode ?? '')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onChange({ country, postalCode: postalCode.trim() })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+      <select className="input" aria-label={t('shipping.country')} value={country} onChange={(e) => setCountry(e.target.value)}>
+        {COUNTRY_CODES.map((code) => (
+          <option key={code} value={code}>{t(`country.${code}`)}</option>
+        ))}
+      </select>
+      <input
+        className="input"
+        placeholder={t('shipping.postalCode')}
+        aria-label={t('shipping.postalCode')}
+        value={postalCode}
+        onChange={(e) => setPostalCode(e.target.value)}
+        style={{ flex: 1, minWidth: 100 }}
+      />
+      <button className="btn" type="submit">{t('shipping.estimate')}</button>
+    </form>
+  )
+}
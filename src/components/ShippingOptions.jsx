@@ -0,0 +1,35 @@
+// src/components/ShippingOptions.jsx
+import { useLocale } from '../hooks/useLocale'
+import { formatDeliveryDays } from '../utils/checkout'
+
+// Componente: Métodos de envío disponibles para el destino (selección con radios)
+// shipping: { options: [{ id, label, amount, estimatedDays, freeOver? }], selected } de la cotización
+// (las etiquetas ya vienen en el idioma elegido)
+export default function ShippingOptions({ shipping, onSelect }) {
+  const { t, formatPrice } = useLocale()
+  if (!shipping) return null
+  return (
+    <fieldset style={{ border: 0, padding: 0, margin: 0, display: 'grid', gap: '0.25rem' }}>
+      <legend className="label" style={{ marginBottom: '0.25rem' }}>{t('shipping.legend')}</legend>
+      {shipping.options.map((option) => (
+        <label key={option.id} style={{ display: 'flex', gap: '0.5rem', alignItems: 'baseline', cursor: 'pointer' }}>
+          <input
+            type="radio"
+            name="shipping-method"
+            value={option.id}
+            checked={shipping.selected === option.id}
+            onChange={() => onSelect(option.id)}
+          />
+          <span style={{ flex: 1 }}>
+            {option.label}{' '}
+            <span className="status">
+              ({formatDeliveryDays(option.estimatedDays, t)}
+              {option.freeOver != null && option.amount > 0 && t('shipping.freeOver', { amount: formatPrice(option.freeOver) })})
+            </span>
+          </span>
+          <span>{option.amount === 0 ? t('totals.free') : formatPrice(option.amount)}</span>
+        </label>
+      ))}
+    </fieldset>
+  )
+}
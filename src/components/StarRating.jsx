@@ -0,0 +1,21 @@
+import { useLocale } from '../hooks/useLocale'
+import { LOCALE_TAGS } from '../i18n/messages'
+
+// Componente atómico: Calificación en estrellas
+// value: promedio (o estrellas de una reseña) de 1 a 5; count: cantidad de reseñas (opcional, se muestra al lado).
+// Sin calificación no muestra nada.
+export default function StarRating({ value, count }) {
+  const { lang, t } = useLocale()
+  if (value === null || value === undefined) return null
+  const filled = Math.round(value)
+  const vars = { value: value.toLocaleString(LOCALE_TAGS[lang]), count }
+  return (
+    <span className="stars" role="img" aria-label={t(count === undefined ? 'rating.stars' : 'rating.withCount', vars)}>
+      <span aria-hidden="true">
+        {'★'.repeat(filled)}
+        {'☆'.repeat(5 - filled)}
+      </span>
+      {count !== undefined && <span className="stars__count" aria-hidden="true">({count})</span>}
+    </span>
+  )
+}
@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { Api } from '../services/api'
+
+// Componente: Aviso de vuelta de stock
+// Se muestra bajo el botón Agregar cuando la variante elegida está agotada. Con sesión el aviso va al
+// email de la cuenta; los invitados escriben a dónde quieren recibirlo.
+export default function StockAlertForm({ product, variant }) {
+  const { user } = useShop()
+  const { t } = useLocale()
+  const [open, setOpen] = useState(false)
+  const [email, setEmail] = useState('')
+  const [status, setStatus] = useState('idle') // idle | sending | done | error
+  const [sentTo, setSentTo] = useState('')
+
+  if (status === 'done') return <p className="status">{t('stockAlert.done', { email: sentTo })}</p>
+
+  if (!open) {
+    return (
+      <button type="button" className="btn btn--ghost" style={{ width: '100%' }} onClick={() => setOpen(true)}>
+        {t('stockAlert.open')}
+      </button>
+    )
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setStatus('sending')
+    try {
+      const alert = await Api.createStockAlert(product.id, variant?.sku, user ? undefined : email.trim())
+      setSentTo(alert.email)
+      setStatus('done')
+    } catch (err) {
+      console.error(err)
+      setStatus('error')
+    }
+  }
+
+  return (
+    <form className="admin-form" onSubmit={handleSubmit}>
+      {!user && (
+        <label className="filters__group">
+          <span className="label">{t('stockAlert.email')}</span>
+          <input className="input" type="email" required value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" />
+        </label>
+      )}
+      {status === 'error' && <p className="status status--error">{t('stockAlert.error')}</p>}
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button type="submit" className="btn btn--primary" disabled={status === 'sending'}>
+          {status === 'sending' ? t('stockAlert.sending') : t('stockAlert.submit')}
+        </button>
+        <button type="button" className="btn btn--ghost" onClick={() => setOpen(false)}>
+          {t('stockAlert.cancel')}
+        </button>
+      </div>
+    </form>
+  )
+}
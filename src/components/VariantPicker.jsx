@@ -0,0 +1,58 @@
+// src/components/VariantPicker.jsx
+import { useLocale } from '../hooks/useLocale'
+import { getVariants } from '../utils/product'
+
+// Componente: Selector de variante (color + talle)
+// Al cambiar el color se intenta conservar el talle elegido; si esa combinación
+// no existe, se pasa a la primera variante de ese color.
+export default function VariantPicker({ product, selected, onSelect }) {
+  const { t, label } = useLocale()
+  const variants = getVariants(product)
+  const colors = [...new Set(variants.map((v) => v.color))]
+  const sizes = [...new Set(variants.map((v) => v.size))]
+  const find = (color, size) => variants.find((v) => v.color === color && v.size === size)
+
+  const pickColor = (color) => onSelect(find(color, selected?.size) ?? variants.find((v) => v.color === color))
+  const pickSize = (size) => {
+    const variant = find(selected?.color, size)
+    if (variant) onSelect(variant)
+  }
+
+  return (
+    <div className="variants">
+      <div className="variants__row" role="group" aria-label={t('filters.color')}>
+        {colors.map((color) => (
+          <button
+            key={color}
+            type="button"
+            className={`chip${selected?.color === color ? ' chip--active' : ''}`}
+            aria-pressed={selected?.color === color}
+            onClick={() => pickColor(color)}
+          >
+            {label('color', color)}
+          </button>
+        ))}
+      </div>
+      {sizes.length > 1 && (
+        <div className="variants__row" role="group" aria-label={t('filters.size')}>
+          {sizes.map((size) => {
+            const variant = find(selected?.color, size)
+            const soldOut = !variant || Number(variant.stock) <= 0
+            return (
+              <button
+                key={size}
+                type="button"
+                className={`chip${selected?.size === size ? ' chip--active' : ''}${soldOut ? ' chip--soldout' : ''}`}
+                aria-pressed={selected?.size === size}
+                disabled={!variant}
+                onClick={() => pickSize(size)}
+              >
+                {label('size', size)}
+              </button>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,59 @@
+// src/entry-server.jsx
+// Render en el servidor de las páginas de la tienda que indexan los buscadores: catálogo (/) y detalle de
+// producto (/producto/:id). Lo compila `vite build --ssr` (ver npm run build) y lo usa server/ssr.js.
+// 1. Pide a la API (fetchApi, del servidor) las mismas consultas que hará la página en el navegador,
+//    con el idioma y la moneda de la petición
+// 2. Renderiza las mismas rutas que el navegador (routes.jsx) con esas respuestas en el caché de la API:
+//    las páginas las toman en su primer render (ver Api.peekProducts)
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import { matchPath, StaticRouter } from 'react-router-dom'
+import LocaleProvider from './i18n/LocaleProvider.jsx'
+import AppRoutes from './routes.jsx'
+import { renderWithResponses, storefrontPaths } from './services/api'
+import { catalogQuery, filtersFromParams } from './utils/catalog'
+
+// Página de la URL y sus consultas a la API ({ nombre: path }); null si no se renderiza en el servidor
+function matchPage(pathname, searchParams, locale) {
+  if (pathname === '/') {
+    const filters = filtersFromParams(searchParams)
+    return {
+      name: 'catalog',
+      requests: {
+        products: storefrontPaths.products(catalogQuery(filters), locale),
+        categories: storefrontPaths.categories(locale),
+      },
+    }
+  }
+  const match = matchPath('/producto/:id', pathname)
+  if (match) return { name: 'product', requests: { product: storefrontPaths.product(match.params.id, locale) } }
+  return null
+}
+
+// url: path y query de la petición; locale: { lang, currency }; fetchApi(path) => data, o null si no existe (404).
+// Si una consulta falla, la promesa se rechaza (el servidor entrega la página sin renderizar).
+// Devuelve null para las demás rutas (se arman en el navegador) o { html, page, responses }:
+// - page: { name: 'catalog' | 'product', data: { nombre: data | null } } para el <head> (ver server/seo.js)
+// - responses: { path: data } para window.__SSR_DATA__ (el navegador las carga en su caché antes de hidratar)
+export async function render(url, { locale, fetchApi }) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost')
+  const page = matchPage(pathname, searchParams, locale)
+  if (!page) return null
+
+  const results = await Promise.all(
+    Object.entries(page.requests).map(async ([name, path]) => ({ name, path, data: await fetchApi(path) }))
+  )
+  const responses = Object.fromEntries(results.filter((r) => r.data).map((r) => [r.path, r.data]))
+  const html = renderWithResponses({ locale, responses }, () =>
+    renderToString(
+      <StrictMode>
+        <LocaleProvider>
+          <StaticRouter location={url}>
+            <AppRoutes />
+          </StaticRouter>
+        </LocaleProvider>
+      </StrictMode>
+    )
+  )
+  return { html, page: { name: page.name, data: Object.fromEntries(results.map((r) => [r.name, r.data])) }, responses }
+}
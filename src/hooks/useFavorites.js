@@ -0,0 +1,57 @@
+// src/hooks/useFavorites.js
+// Favoritos de la tienda (ids de producto). Los usa App.jsx, que los publica a las páginas vía useShop:
+// - Siempre se guardan en el navegador: sobreviven recargas y se comparten entre pestañas
+// - Con sesión además se guardan en la cuenta; al ingresar (o restaurar la sesión) los de invitado
+//   se suman a los de la cuenta, y recién entonces se empiezan a guardar los cambios en el servidor
+// - Al salir se vacían en el navegador (siguen en la cuenta)
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { AccountApi, getSavedFavorites, saveFavorites, subscribeToSavedFavorites } from '../services/api'
+
+export function useFavorites(user) {
+  const [ids, setIds] = useState(getSavedFavorites)
+  // Cliente cuyos favoritos ya se combinaron con los de la cuenta
+  const [syncedUserId, setSyncedUserId] = useState(null)
+  const userId = user?.id ?? null
+
+  // Efecto: guardar en el navegador y adoptar los cambios de otras pestañas
+  useEffect(() => saveFavorites(ids), [ids])
+  useEffect(() => subscribeToSavedFavorites(setIds), [])
+
+  // Efecto: al iniciar la sesión, sumar los favoritos del navegador a los de la cuenta
+  useEffect(() => {
+    if (!userId) return
+    let cancelled = false
+    AccountApi.mergeFavorites(getSavedFavorites())
+      .then(({ items }) => {
+        if (cancelled) return
+        setIds(items)
+        setSyncedUserId(userId)
+      })
+      .catch((err) => console.error('No se pudieron combinar los favoritos:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [userId])
+
+  // Efecto: con la sesión ya combinada, guardar los cambios en la cuenta (agrupando clics seguidos)
+  useEffect(() => {
+    if (!userId || syncedUserId !== userId) return
+    const timer = setTimeout(() => {
+      AccountApi.saveFavorites(ids).catch((err) => console.error('No se pudieron guardar los favoritos:', err))
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [ids, userId, syncedUserId])
+
+  const favoriteSet = useMemo(() => new Set(ids), [ids])
+  const isFavorite = useCallback((id) => favoriteSet.has(id), [favoriteSet])
+  const toggleFavorite = useCallback(
+    (id) => setIds((prev) => (prev.includes(id) ? prev.filter((fav) => fav !== id) : [...prev, id])),
+    []
+  )
+  const clearFavorites = useCallback(() => {
+    setSyncedUserId(null)
+    setIds([])
+  }, [])
+
+  return { favoriteIds: ids, isFavorite, toggleFavorite, clearFavorites }
+}
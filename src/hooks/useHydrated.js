@@ -0,0 +1,12 @@
+// src/hooks/useHydrated.js
+// false mientras React hidrata una página renderizada en el servidor (ver entry-server.jsx) y true después;
+// cuando la página se arma en el navegador es true desde el primer render.
+// Sirve para mostrar lo que solo conoce el navegador (carrito, favoritos) sin que el primer render
+// difiera del HTML del servidor.
+import { useSyncExternalStore } from 'react'
+
+const subscribe = () => () => {}
+
+export function useHydrated() {
+  return useSyncExternalStore(subscribe, () => true, () => false)
+}
@@ -0,0 +1,29 @@
+// src/hooks/useImpression.js
+// Impresiones de productos para la analítica (ver services/analytics.js): se registra una la primera vez que
+// el elemento (la tarjeta) se ve al menos a medias en pantalla. Cada montaje cuenta una vez, p. ej., al
+// volver a la página. Devuelve la ref para el elemento.
+import { useEffect, useRef } from 'react'
+import { track } from '../services/analytics'
+
+const VISIBLE_RATIO = 0.5
+
+export function useImpression(productId) {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element || typeof IntersectionObserver === 'undefined') return
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (!entry.isIntersecting) return
+        track('impression', { productId })
+        observer.disconnect()
+      },
+      { threshold: VISIBLE_RATIO }
+    )
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [productId])
+
+  return ref
+}
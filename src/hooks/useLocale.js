@@ -0,0 +1,7 @@
+// src/hooks/useLocale.js
+// Acceso al idioma y la moneda elegidos (ver i18n/LocaleProvider.jsx):
+// { lang, currency, setLang, setCurrency, t(clave, variables), label(grupo, valor), formatPrice, formatDate }
+import { useContext } from 'react'
+import { LocaleContext } from '../i18n/LocaleContext'
+
+export const useLocale = () => useContext(LocaleContext)
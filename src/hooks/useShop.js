@@ -0,0 +1,6 @@
+// src/hooks/useShop.js
+// Acceso al estado compartido de la tienda (carrito, caché de productos) que App
+// publica a las páginas mediante el contexto del <Outlet /> de react-router.
+import { useOutletContext } from 'react-router-dom'
+
+export const useShop = () => useOutletContext()
@@ -0,0 +1,5 @@
+// src/i18n/LocaleContext.js
+// Contexto con el idioma y la moneda de la tienda (lo publica LocaleProvider, se lee con hooks/useLocale.js)
+import { createContext } from 'react'
+
+export const LocaleContext = createContext(null)
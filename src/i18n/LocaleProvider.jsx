@@ -0,0 +1,61 @@
+// src/i18n/LocaleProvider.jsx
+// Proveedor de idioma y moneda de la tienda.
+// - La elección se guarda en localStorage y viaja en cada consulta a la API (?lang=&currency=, ver services/api.js),
+//   así el servidor devuelve textos traducidos y precios ya convertidos. También queda en cookies, con las que el
+//   servidor renderiza las páginas de la tienda en la misma elección (ver entry-server.jsx)
+// - t('clave', { variable }) traduce los textos de la interfaz (ver i18n/messages.js)
+// - label('color', 'negro') traduce valores del catálogo; si no hay traducción se muestra el valor tal cual
+// - formatPrice usa la moneda elegida salvo que se indique otra (p. ej., la de un pedido ya cobrado)
+
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { getLocalePreference, saveLocaleCookies, setLocalePreference } from '../services/api'
+import { formatPrice } from '../utils/format'
+import { LocaleContext } from './LocaleContext'
+import { DEFAULT_LANGUAGE, LOCALE_TAGS, MESSAGES } from './messages'
+
+// Reemplaza {variable} por su valor
+const interpolate = (text, vars = {}) => text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match))
+
+export default function LocaleProvider({ children }) {
+  const [locale, setLocale] = useState(getLocalePreference)
+
+  // La preferencia se guarda al elegirla (antes del próximo render) para que las consultas
+  // que disparan los efectos ya salgan con el idioma y la moneda nuevos
+  const update = useCallback(
+    (changes) => {
+      const next = { ...locale, ...changes }
+      setLocalePreference(next)
+      setLocale(next)
+    },
+    [locale]
+  )
+
+  // Idioma del documento (lectores de pantalla, corrector ortográfico del navegador)
+  useEffect(() => {
+    document.documentElement.lang = locale.lang
+  }, [locale.lang])
+
+  // Cookies al día también sin elección guardada (idioma del navegador) o si se guardó antes de usarlas
+  useEffect(() => {
+    saveLocaleCookies(locale)
+  }, [locale])
+
+  const value = useMemo(() => {
+    const { lang, currency } = locale
+    const messages = MESSAGES[lang] ?? {}
+    const fallback = MESSAGES[DEFAULT_LANGUAGE]
+    const tag = LOCALE_TAGS[lang]
+    return {
+      lang,
+      currency,
+      setLang: (code) => update({ lang: code }),
+      setCurrency: (code) => update({ currency: code }),
+      t: (key, vars) => interpolate(messages[key] ?? fallback[key] ?? key, vars),
+      label: (group, value) => messages[`${group}.${value}`] ?? fallback[`${group}.${value}`] ?? value,
+      formatPrice: (amount, code = currency) => formatPrice(amount, code, tag),
+      formatDate: (iso) => new Date(iso).toLocaleString(tag, { dateStyle: 'medium', timeStyle: 'short' }),
+    }
+  }, [locale, update])
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>
+}
@@ -0,0 +1,544 @@
+// src/i18n/messages.js
+// Textos de la tienda por idioma (el back-office sigue solo en español).
+// Claves planas agrupadas por prefijo; los valores pueden llevar variables entre llaves: 'Hola, {name}'.
+// Si una clave falta en un idioma se usa la versión en español (ver i18n/LocaleProvider.jsx).
+// Los grupos color.* y size.* traducen los valores del catálogo (que se guardan en español); los nombres
+// de las categorías llegan ya traducidos desde GET /api/categories.
+
+// Idiomas y monedas que ofrece el selector (deben coincidir con los del servidor)
+export const LANGUAGES = [
+  { code: 'es', name: 'Español' },
+  { code: 'en', name: 'English' },
+]
+export const CURRENCIES = ['MXN', 'USD']
+export const DEFAULT_LANGUAGE = 'es'
+export const DEFAULT_CURRENCY = 'MXN'
+
+// Configuración regional de Intl (números, monedas y fechas) para cada idioma
+export const LOCALE_TAGS = { es: 'es-MX', en: 'en-US' }
+
+export const MESSAGES = {
+  es: {
+    'nav.brand': 'Sudaderas & Gorros',
+    'nav.hello': 'Hola, {name}',
+    'nav.orders': 'Mis pedidos',
+    'nav.account': 'Mi cuenta',
+    'nav.logout': 'Salir',
+    'nav.login': 'Ingresar',
+    'nav.cart': 'Ver carrito',
+    'nav.favorites': 'Mis favoritos',
+    'nav.language': 'Idioma',
+    'nav.currency': 'Moneda',
+
+    'catalog.loading': 'Cargando productos...',
+    'catalog.error': 'No se pudo cargar el catálogo.',
+    'error.network': 'No hay conexión con el servidor. Revisa tu conexión e intenta de nuevo.',
+    'error.server': 'El servidor tuvo un problema. Intenta de nuevo en unos segundos.',
+    'catalog.results': 'Resultados: {total}',
+    'catalog.empty': 'No hay productos que coincidan con los filtros.',
+    'catalog.goBack': 'Ir al catálogo',
+
+    'pagination.label': 'Paginación',
+    'pagination.previous': '← Anterior',
+    'pagination.next': 'Siguiente →',
+    'pagination.pageOf': 'Página {page} de {pages}',
+
+    'filters.search': 'Buscar',
+    'filters.searchPlaceholder': 'sudadera, gorro, urbano...',
+    'filters.category': 'Categoría',
+    'filters.allCategories': 'Todas',
+    'filters.color': 'Color',
+    'filters.size': 'Talle',
+    'filters.all': 'Todos',
+    'filters.minPrice': 'Precio mín.',
+    'filters.maxPrice': 'Precio máx.',
+    'filters.sort': 'Ordenar por',
+    'filters.sort.relevance': 'Relevancia',
+    'filters.sort.price_asc': 'Precio: menor a mayor',
+    'filters.sort.price_desc': 'Precio: mayor a menor',
+    'filters.sort.title_asc': 'Título: A → Z',
+    'filters.sort.rating_desc': 'Mejor valorados',
+
+    'product.priceUnavailable': 'Precio no disponible',
+    'product.compareAt': 'Antes {price}',
+    'product.percentOff': '-{percent} %',
+    'product.inStock': 'Disponible',
+    'product.inStockCount': 'Disponible: {count}',
+    'product.soldOut': 'Agotado',
+    'product.addToCart': 'Agregar al carrito',
+    'product.noStock': 'Sin stock',
+    'product.loading': 'Cargando producto...',
+    'product.notFound': 'Este producto no existe o ya no está disponible.',
+    'product.loadError': 'No se pudo cargar el producto.',
+    'product.back': '← Volver',
+    'product.viewImage': 'Ver imagen {n}',
+    'product.sku': 'SKU: {sku}',
+
+    'rating.stars': '{value} de 5 estrellas',
+    'rating.withCount': '{value} de 5 estrellas ({count} reseñas)',
+    'reviews.title': 'Reseñas',
+    'reviews.summary': '{value} de 5 · {count} reseñas',
+    'reviews.loading': 'Cargando reseñas...',
+    'reviews.error': 'No se pudieron cargar las reseñas.',
+    'reviews.empty': 'Todavía no hay reseñas de este producto. ¡Sé el primero en opinar!',
+    'reviews.verified': 'Compra verificada',
+    'reviews.more': 'Ver más reseñas',
+    'reviews.write': 'Escribe una reseña',
+    'reviews.rating': 'Calificación',
+    'reviews.reviewTitle': 'Título (opcional)',
+    'reviews.text': 'Tu opinión',
+    'reviews.authorName': 'Tu nombre',
+    'reviews.submit': 'Enviar reseña',
+    'reviews.sending': 'Enviando...',
+    'reviews.thanks': '¡Gracias! Tu reseña se publicará en cuanto la revisemos.',
+    'reviews.alreadyReviewed': 'Ya dejaste una reseña de este producto.',
+    'reviews.sendError': 'No se pudo enviar la reseña. Intenta de nuevo en unos segundos.',
+    'recommendations.title': 'También te puede gustar',
+    'recommendations.cartTitle': 'Completa tu compra',
+    'recommendations.boughtTogether': 'Se compran juntos',
+
+    'cart.title': 'Tu carrito',
+    'cart.empty': 'Tu carrito está vacío.',
+    'cart.close': 'Cerrar',
+    'cart.remove': 'Quitar',
+    'cart.decrease': 'Disminuir',
+    'cart.increase': 'Aumentar',
+    'cart.unitPrice': '{price} c/u',
+    'cart.shortStock': 'Solo quedan {count} disponibles: ajusta la cantidad.',
+    'cart.soldOut': 'Se agotó: quítalo del carrito para continuar.',
+    'cartNotice.title': 'Tu carrito cambió desde tu última visita',
+    'cartNotice.removed': '{title} ya no está disponible y se quitó del carrito.',
+    'cartNotice.price': '{title}: el precio pasó de {from} a {to}.',
+    'cartNotice.stock': '{title}: solo quedan {count} disponibles.',
+    'cartNotice.soldOut': '{title} se agotó.',
+    'cartNotice.dismiss': 'Entendido',
+    'cart.view': 'Ver carrito',
+    'cart.checkout': 'Finalizar compra',
+    'cart.continue': 'Seguir comprando',
+    'cart.bar': 'Carrito:',
+    'cart.items': '{count} artículos',
+    'cart.total': 'Total:',
+
+    'totals.subtotal': 'Subtotal',
+    'totals.free': 'Gratis',
+    'totals.total': 'Total',
+
+    'coupon.placeholder': 'Código de cupón',
+    'coupon.apply': 'Aplicar',
+    'coupon.checking': 'Validando...',
+    'coupon.applied': 'Cupón aplicado:',
+    'coupon.remove': 'Quitar',
+    'coupon.failed': 'No se pudo validar el cupón. Intenta de nuevo.',
+    'coupon.invalid': 'Cupón {code}: {reason}',
+    'coupon.reason.NOT_FOUND': 'El cupón no existe.',
+    'coupon.reason.INACTIVE': 'El cupón ya no está vigente.',
+    'coupon.reason.EXPIRED': 'El cupón ya no está vigente.',
+    'coupon.reason.NOT_STARTED': 'El cupón todavía no está vigente.',
+    'coupon.reason.USAGE_LIMIT_REACHED': 'El cupón alcanzó su límite de usos.',
+    'coupon.reason.MIN_SUBTOTAL_NOT_MET': 'Tu compra no alcanza el mínimo para este cupón.',
+    'coupon.reason.NOT_APPLICABLE': 'El cupón no aplica a los productos de tu carrito.',
+    'coupon.reason.default': 'No se pudo aplicar el cupón.',
+
+    'lineError.OUT_OF_STOCK': 'Este producto se agotó.',
+    'lineError.INSUFFICIENT_STOCK': 'Solo quedan {available} unidades disponibles.',
+    'lineError.PRICE_CHANGED': 'El precio cambió a {price}. Revisa el total antes de confirmar.',
+    'lineError.NOT_FOUND': 'Este producto ya no está disponible.',
+    'lineError.INVALID_QUANTITY': 'La cantidad no es válida.',
+    'lineError.default': 'No se pudo procesar este artículo.',
+
+    'shipping.legend': 'Envío',
+    'shipping.freeOver': ', gratis desde {amount}',
+    'shipping.country': 'País',
+    'shipping.postalCode': 'Código postal',
+    'shipping.estimate': 'Calcular envío',
+    'shipping.todayOrTomorrow': 'Hoy o mañana',
+    'shipping.tomorrow': 'Mañana',
+    'shipping.days': '{min} a {max} días hábiles',
+
+    'country.MX': 'México',
+    'country.US': 'Estados Unidos',
+    'country.CA': 'Canadá',
+    'country.ES': 'España',
+
+    'address.fullName': 'Nombre completo',
+    'address.line1': 'Calle y número',
+    'address.line2': 'Depto, interior (opcional)',
+    'address.city': 'Ciudad',
+    'address.state': 'Estado',
+    'address.postalCode': 'Código postal',
+    'address.country': 'País (código de 2 letras)',
+    'address.phone': 'Teléfono (opcional)',
+    'address.makeDefault': 'Usar como dirección predeterminada',
+    'address.save': 'Guardar dirección',
+    'address.saving': 'Guardando...',
+    'address.saveError': 'No se pudo guardar la dirección.',
+    'address.cancel': 'Cancelar',
+    'address.required': 'Obligatorio',
+    'address.shipTo': 'Envío a {name}: {address}',
+
+    'checkout.title': 'Confirmar pedido',
+    'checkout.delivery': 'Entrega',
+    'checkout.pickup': 'Retiro en tienda',
+    'checkout.otherAddress': 'Otra dirección',
+    'checkout.homeDelivery': 'Envío a domicilio',
+    'checkout.change': 'Cambiar',
+    'checkout.useAddress': 'Usar esta dirección',
+    'checkout.loginLink': 'Ingresa',
+    'checkout.loginHint': 'para usar tus direcciones guardadas y ver tus pedidos después.',
+    'checkout.backToCart': 'Volver al carrito',
+    'checkout.confirm': 'Confirmar y pagar',
+    'checkout.processing': 'Procesando...',
+    'checkout.redirecting': 'Te llevamos a la página de pago...',
+    'checkout.lineErrors': 'Algunos artículos necesitan tu atención antes de confirmar.',
+    'checkout.stockIssues': 'Algunos artículos ya no tienen stock suficiente. Ajusta el carrito para confirmar.',
+    'checkout.couponError': 'Cupón {code}: {reason} Quítalo para continuar.',
+    'checkout.addressError': 'Revisa la dirección de envío.',
+    'checkout.shippingError': 'El método de envío elegido no está disponible para esta dirección. Elige otro.',
+    'checkout.error': 'No se pudo crear el pedido. Intenta de nuevo en unos segundos.',
+    'checkout.paymentUnavailable': 'El pago no está disponible en este momento. No se te cobró nada: intenta de nuevo en unos minutos.',
+
+    'order.thanks': '¡Gracias por tu compra! Tu pedido fue registrado.',
+    'order.id': 'Pedido: {id}',
+    'order.status.pending': 'Pendiente de pago',
+    'order.status.paid': 'Pagado',
+    'order.status.failed': 'Pago fallido',
+    'order.status.refunded': 'Reembolsado',
+
+    'payment.title.pending': 'Confirmando tu pago',
+    'payment.title.paid': 'Pedido confirmado',
+    'payment.title.failed': 'No se pudo cobrar el pedido',
+    'payment.title.refunded': 'Pedido reembolsado',
+    'payment.loading': 'Cargando el pedido...',
+    'payment.notFound': 'No encontramos ese pedido.',
+    'payment.error': 'No se pudo consultar el pedido. Intenta de nuevo en unos segundos.',
+    'payment.waiting': 'Estamos esperando la confirmación de la pasarela de pago. Puede tardar unos segundos.',
+    'payment.stillPending': 'Todavía no recibimos la confirmación del pago. Si no lo completaste, puedes volver a la página de pago.',
+    'payment.pay': 'Ir a pagar',
+    'payment.refresh': 'Volver a consultar',
+    'payment.reason.declined': 'La pasarela rechazó el pago.',
+    'payment.reason.card_declined': 'Tu tarjeta fue rechazada.',
+    'payment.reason.expired': 'Se agotó el tiempo para pagar y liberamos los artículos reservados.',
+    'payment.reason.gateway_error': 'La pasarela de pago no respondió.',
+    'payment.retryHint': 'No se te cobró nada: puedes volver a poner los artículos en el carrito e intentarlo otra vez.',
+    'payment.retry': 'Reintentar la compra',
+    'payment.refunded': 'Te devolvimos el importe de este pedido.',
+
+    'orders.title': 'Mis pedidos',
+    'orders.loading': 'Cargando pedidos...',
+    'orders.error': 'No se pudieron cargar tus pedidos.',
+    'orders.empty': 'Todavía no hiciste ningún pedido.',
+
+    'favorites.title': 'Mis favoritos',
+    'favorites.loading': 'Cargando favoritos...',
+    'favorites.error': 'No se pudieron cargar algunos favoritos.',
+    'favorites.empty': 'Todavía no guardaste ningún favorito. Toca el corazón de un producto para guardarlo.',
+    'favorites.add': 'Agregar a favoritos',
+    'favorites.remove': 'Quitar de favoritos',
+
+    'stockAlert.open': 'Avísame cuando vuelva',
+    'stockAlert.email': 'Email para el aviso',
+    'stockAlert.submit': 'Pedir aviso',
+    'stockAlert.sending': 'Enviando...',
+    'stockAlert.cancel': 'Cancelar',
+    'stockAlert.done': 'Listo: te escribiremos a {email} cuando vuelva a haber stock.',
+    'stockAlert.error': 'No se pudo registrar el aviso. Revisa el email e intenta de nuevo.',
+
+    'login.title': 'Ingresar',
+    'login.registerTitle': 'Crear cuenta',
+    'login.name': 'Nombre',
+    'login.email': 'Email',
+    'login.password': 'Contraseña',
+    'login.submit': 'Ingresar',
+    'login.registerSubmit': 'Crear cuenta',
+    'login.processing': 'Procesando...',
+    'login.invalidCredentials': 'Email o contraseña incorrectos.',
+    'login.error': 'No se pudo completar la operación. Intenta de nuevo en unos segundos.',
+    'login.haveAccount': '¿Ya tienes cuenta?',
+    'login.newCustomer': '¿Eres nuevo?',
+    'login.switchToLogin': 'Ingresar',
+    'login.switchToRegister': 'Crear una cuenta',
+
+    'account.title': 'Mi cuenta',
+    'account.loading': 'Cargando tu cuenta...',
+    'account.addresses': 'Direcciones de envío',
+    'account.addAddress': 'Agregar dirección',
+    'account.loadingAddresses': 'Cargando direcciones...',
+    'account.addressesError': 'No se pudieron cargar tus direcciones.',
+    'account.noAddresses': 'Todavía no guardaste ninguna dirección.',
+    'account.default': 'Predeterminada',
+    'account.phone': 'Tel. {phone}',
+    'account.edit': 'Editar',
+    'account.delete': 'Eliminar',
+    'account.confirmDelete': '¿Eliminar esta dirección?',
+    'account.deleteError': 'No se pudo eliminar la dirección.',
+
+    'notFound.title': 'Página no encontrada',
+    'notFound.text': 'La dirección que buscas no existe.',
+  },
+
+  en: {
+    'nav.brand': 'Hoodies & Beanies',
+    'nav.hello': 'Hi, {name}',
+    'nav.orders': 'My orders',
+    'nav.account': 'My account',
+    'nav.logout': 'Log out',
+    'nav.login': 'Sign in',
+    'nav.cart': 'View cart',
+    'nav.favorites': 'My favorites',
+    'nav.language': 'Language',
+    'nav.currency': 'Currency',
+
+    'catalog.loading': 'Loading products...',
+    'catalog.error': 'The catalog could not be loaded.',
+    'error.network': 'Cannot reach the server. Check your connection and try again.',
+    'error.server': 'The server ran into a problem. Try again in a few seconds.',
+    'catalog.results': 'Results: {total}',
+    'catalog.empty': 'No products match these filters.',
+    'catalog.goBack': 'Go to catalog',
+
+    'pagination.label': 'Pagination',
+    'pagination.previous': '← Previous',
+    'pagination.next': 'Next →',
+    'pagination.pageOf': 'Page {page} of {pages}',
+
+    'filters.search': 'Search',
+    'filters.searchPlaceholder': 'hoodie, beanie, urban...',
+    'filters.category': 'Category',
+    'filters.allCategories': 'All',
+    'filters.color': 'Color',
+    'filters.size': 'Size',
+    'filters.all': 'All',
+    'filters.minPrice': 'Min. price',
+    'filters.maxPrice': 'Max. price',
+    'filters.sort': 'Sort by',
+    'filters.sort.relevance': 'Relevance',
+    'filters.sort.price_asc': 'Price: low to high',
+    'filters.sort.price_desc': 'Price: high to low',
+    'filters.sort.title_asc': 'Title: A → Z',
+    'filters.sort.rating_desc': 'Top rated',
+
+    'color.negro': 'black',
+    'color.gris': 'gray',
+    'color.azul': 'blue',
+    'color.verde': 'green',
+    'color.blanco': 'white',
+    'color.beige': 'beige',
+    'size.única': 'one size',
+
+    'product.priceUnavailable': 'Price not available',
+    'product.compareAt': 'Was {price}',
+    'product.percentOff': '{percent}% off',
+    'product.inStock': 'In stock',
+    'product.inStockCount': 'In stock: {count}',
+    'product.soldOut': 'Sold out',
+    'product.addToCart': 'Add to cart',
+    'product.noStock': 'Out of stock',
+    'product.loading': 'Loading product...',
+    'product.notFound': 'This product does not exist or is no longer available.',
+    'product.loadError': 'The product could not be loaded.',
+    'product.back': '← Back',
+    'product.viewImage': 'View image {n}',
+    'product.sku': 'SKU: {sku}',
+
+    'rating.stars': '{value} out of 5 stars',
+    'rating.withCount': '{value} out of 5 stars ({count} reviews)',
+    'reviews.title': 'Reviews',
+    'reviews.summary': '{value} out of 5 · {count} reviews',
+    'reviews.loading': 'Loading reviews...',
+    'reviews.error': 'The reviews could not be loaded.',
+    'reviews.empty': 'This product has no reviews yet. Be the first to share your opinion!',
+    'reviews.verified': 'Verified purchase',
+    'reviews.more': 'Show more reviews',
+    'reviews.write': 'Write a review',
+    'reviews.rating': 'Rating',
+    'reviews.reviewTitle': 'Title (optional)',
+    'reviews.text': 'Your review',
+    'reviews.authorName': 'Your name',
+    'reviews.submit': 'Submit review',
+    'reviews.sending': 'Sending...',
+    'reviews.thanks': 'Thank you! Your review will be published once we check it.',
+    'reviews.alreadyReviewed': 'You already reviewed this product.',
+    'reviews.sendError': 'The review could not be sent. Please try again in a few seconds.',
+    'recommendations.title': 'You may also like',
+    'recommendations.cartTitle': 'Complete your order',
+    'recommendations.boughtTogether': 'Frequently bought together',
+
+    'cart.title': 'Your cart',
+    'cart.empty': 'Your cart is empty.',
+    'cart.close': 'Close',
+    'cart.remove': 'Remove',
+    'cart.decrease': 'Decrease',
+    'cart.increase': 'Increase',
+    'cart.unitPrice': '{price} each',
+    'cart.shortStock': 'Only {count} left: adjust the quantity.',
+    'cart.soldOut': 'Sold out: remove it from your cart to continue.',
+    'cartNotice.title': 'Your cart changed since your last visit',
+    'cartNotice.removed': '{title} is no longer available and was removed from your cart.',
+    'cartNotice.price': '{title}: the price changed from {from} to {to}.',
+    'cartNotice.stock': '{title}: only {count} left.',
+    'cartNotice.soldOut': '{title} sold out.',
+    'cartNotice.dismiss': 'Got it',
+    'cart.view': 'View cart',
+    'cart.checkout': 'Checkout',
+    'cart.continue': 'Continue shopping',
+    'cart.bar': 'Cart:',
+    'cart.items': '{count} items',
+    'cart.total': 'Total:',
+
+    'totals.subtotal': 'Subtotal',
+    'totals.free': 'Free',
+    'totals.total': 'Total',
+
+    'coupon.placeholder': 'Coupon code',
+    'coupon.apply': 'Apply',
+    'coupon.checking': 'Checking...',
+    'coupon.applied': 'Coupon applied:',
+    'coupon.remove': 'Remove',
+    'coupon.failed': 'The coupon could not be checked. Please try again.',
+    'coupon.invalid': 'Coupon {code}: {reason}',
+    'coupon.reason.NOT_FOUND': 'This coupon does not exist.',
+    'coupon.reason.INACTIVE': 'This coupon is no longer valid.',
+    'coupon.reason.EXPIRED': 'This coupon is no longer valid.',
+    'coupon.reason.NOT_STARTED': 'This coupon is not valid yet.',
+    'coupon.reason.USAGE_LIMIT_REACHED': 'This coupon has reached its usage limit.',
+    'coupon.reason.MIN_SUBTOTAL_NOT_MET': 'Your order does not reach the minimum for this coupon.',
+    'coupon.reason.NOT_APPLICABLE': 'This coupon does not apply to the products in your cart.',
+    'coupon.reason.default': 'The coupon could not be applied.',
+
+    'lineError.OUT_OF_STOCK': 'This product is sold out.',
+    'lineError.INSUFFICIENT_STOCK': 'Only {available} units left.',
+    'lineError.PRICE_CHANGED': 'The price changed to {price}. Check the total before confirming.',
+    'lineError.NOT_FOUND': 'This product is no longer available.',
+    'lineError.INVALID_QUANTITY': 'The quantity is not valid.',
+    'lineError.default': 'This item could not be processed.',
+
+    'shipping.legend': 'Shipping',
+    'shipping.freeOver': ', free over {amount}',
+    'shipping.country': 'Country',
+    'shipping.postalCode': 'Postal code',
+    'shipping.estimate': 'Estimate shipping',
+    'shipping.todayOrTomorrow': 'Today or tomorrow',
+    'shipping.tomorrow': 'Tomorrow',
+    'shipping.days': '{min} to {max} business days',
+
+    'country.MX': 'Mexico',
+    'country.US': 'United States',
+    'country.CA': 'Canada',
+    'country.ES': 'Spain',
+
+    'address.fullName': 'Full name',
+    'address.line1': 'Street and number',
+    'address.line2': 'Apartment, unit (optional)',
+    'address.city': 'City',
+    'address.state': 'State',
+    'address.postalCode': 'Postal code',
+    'address.country': 'Country (2-letter code)',
+    'address.phone': 'Phone (optional)',
+    'address.makeDefault': 'Use as default address',
+    'address.save': 'Save address',
+    'address.saving': 'Saving...',
+    'address.saveError': 'The address could not be saved.',
+    'address.cancel': 'Cancel',
+    'address.required': 'Required',
+    'address.shipTo': 'Ship to {name}: {address}',
+
+    'checkout.title': 'Confirm order',
+    'checkout.delivery': 'Delivery',
+    'checkout.pickup': 'Store pickup',
+    'checkout.otherAddress': 'Another address',
+    'checkout.homeDelivery': 'Home delivery',
+    'checkout.change': 'Change',
+    'checkout.useAddress': 'Use this address',
+    'checkout.loginLink': 'Sign in',
+    'checkout.loginHint': 'to use your saved addresses and see your orders later.',
+    'checkout.backToCart': 'Back to cart',
+    'checkout.confirm': 'Confirm and pay',
+    'checkout.processing': 'Processing...',
+    'checkout.redirecting': 'Taking you to the payment page...',
+    'checkout.lineErrors': 'Some items need your attention before confirming.',
+    'checkout.stockIssues': 'Some items no longer have enough stock. Adjust your cart to confirm.',
+    'checkout.couponError': 'Coupon {code}: {reason} Remove it to continue.',
+    'checkout.addressError': 'Please check the shipping address.',
+    'checkout.shippingError': 'The selected shipping method is not available for this address. Choose another one.',
+    'checkout.error': 'The order could not be created. Please try again in a few seconds.',
+    'checkout.paymentUnavailable': 'Payment is not available right now. You were not charged: please try again in a few minutes.',
+
+    'order.thanks': 'Thank you for your purchase! Your order has been placed.',
+    'order.id': 'Order: {id}',
+    'order.status.pending': 'Awaiting payment',
+    'order.status.paid': 'Paid',
+    'order.status.failed': 'Payment failed',
+    'order.status.refunded': 'Refunded',
+
+    'payment.title.pending': 'Confirming your payment',
+    'payment.title.paid': 'Order confirmed',
+    'payment.title.failed': 'The order could not be charged',
+    'payment.title.refunded': 'Order refunded',
+    'payment.loading': 'Loading the order...',
+    'payment.notFound': 'We could not find that order.',
+    'payment.error': 'The order could not be loaded. Try again in a few seconds.',
+    'payment.waiting': 'We are waiting for the payment gateway to confirm. It may take a few seconds.',
+    'payment.stillPending': 'We have not received the payment confirmation yet. If you did not finish paying, you can go back to the payment page.',
+    'payment.pay': 'Go to payment',
+    'payment.refresh': 'Check again',
+    'payment.reason.declined': 'The payment gateway declined the payment.',
+    'payment.reason.card_declined': 'Your card was declined.',
+    'payment.reason.expired': 'The time to pay ran out and we released the reserved items.',
+    'payment.reason.gateway_error': 'The payment gateway did not respond.',
+    'payment.retryHint': 'You were not charged: you can put the items back in your cart and try again.',
+    'payment.retry': 'Retry the purchase',
+    'payment.refunded': 'We refunded the amount of this order.',
+
+    'orders.title': 'My orders',
+    'orders.loading': 'Loading orders...',
+    'orders.error': 'Your orders could not be loaded.',
+    'orders.empty': 'You have not placed any orders yet.',
+
+    'favorites.title': 'My favorites',
+    'favorites.loading': 'Loading favorites...',
+    'favorites.error': 'Some favorites could not be loaded.',
+    'favorites.empty': 'You have not saved any favorites yet. Tap the heart on a product to save it.',
+    'favorites.add': 'Add to favorites',
+    'favorites.remove': 'Remove from favorites',
+
+    'stockAlert.open': 'Notify me when it is back',
+    'stockAlert.email': 'Email for the alert',
+    'stockAlert.submit': 'Notify me',
+    'stockAlert.sending': 'Sending...',
+    'stockAlert.cancel': 'Cancel',
+    'stockAlert.done': 'Done: we will email {email} when it is back in stock.',
+    'stockAlert.error': 'The alert could not be saved. Check the email and try again.',
+
+    'login.title': 'Sign in',
+    'login.registerTitle': 'Create account',
+    'login.name': 'Name',
+    'login.email': 'Email',
+    'login.password': 'Password',
+    'login.submit': 'Sign in',
+    'login.registerSubmit': 'Create account',
+    'login.processing': 'Processing...',
+    'login.invalidCredentials': 'Wrong email or password.',
+    'login.error': 'The operation could not be completed. Please try again in a few seconds.',
+    'login.haveAccount': 'Already have an account?',
+    'login.newCustomer': 'New here?',
+    'login.switchToLogin': 'Sign in',
+    'login.switchToRegister': 'Create an account',
+
+    'account.title': 'My account',
+    'account.loading': 'Loading your account...',
+    'account.addresses': 'Shipping addresses',
+    'account.addAddress': 'Add address',
+    'account.loadingAddresses': 'Loading addresses...',
+    'account.addressesError': 'Your addresses could not be loaded.',
+    'account.noAddresses': 'You have not saved any addresses yet.',
+    'account.default': 'Default',
+    'account.phone': 'Phone {phone}',
+    'account.edit': 'Edit',
+    'account.delete': 'Delete',
+    'account.confirmDelete': 'Delete this address?',
+    'account.deleteError': 'The address could not be deleted.',
+
+    'notFound.title': 'Page not found',
+    'notFound.text': 'The page you are looking for does not exist.',
+  },
+}
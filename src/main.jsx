@@ -1,10 +1,29 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import './index.css'
-import App from './App.jsx'
+import LocaleProvider from './i18n/LocaleProvider.jsx'
+import AppRoutes from './routes.jsx'
+import { primeCache } from './services/api'
 
-createRoot(document.getElementById('root')).render(
+const app = (
   <StrictMode>
-    <App />
-  </StrictMode>,
+    {/* Idioma y moneda de la tienda (ver i18n/LocaleProvider.jsx) */}
+    <LocaleProvider>
+      <BrowserRouter>
+        <AppRoutes />
+      </BrowserRouter>
+    </LocaleProvider>
+  </StrictMode>
 )
+
+// Catálogo y detalle de producto llegan renderizados por el servidor (ver entry-server.jsx) con las respuestas
+// de la API que usaron: se cargan en el caché y React hidrata ese HTML. El resto de las rutas se arma acá.
+const root = document.getElementById('root')
+const ssrData = window.__SSR_DATA__
+if (ssrData) {
+  primeCache(ssrData.responses)
+  hydrateRoot(root, app)
+} else {
+  createRoot(root).render(app)
+}
@@ -0,0 +1,109 @@
+// src/pages/AccountPage.jsx
+// Cuenta del cliente (ruta /mi-cuenta, requiere sesión): datos básicos y direcciones de envío.
+// Las direcciones se guardan en el servidor; la predeterminada se preselecciona en el checkout.
+
+import { useEffect, useState } from 'react'
+import AddressForm from '../components/AddressForm'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { AccountApi } from '../services/api'
+import { formatAddress } from '../utils/checkout'
+
+export default function AccountPage() {
+  const { user } = useShop()
+  const { t } = useLocale()
+  const [addresses, setAddresses] = useState([])
+  const [loading, setLoading] = useState(true)
+  // error: clave del mensaje a mostrar (ver i18n/messages.js)
+  const [error, setError] = useState(null)
+  // editing: null (sin formulario), 'new' o el id de la dirección en edición
+  const [editing, setEditing] = useState(null)
+
+  const reload = () => AccountApi.listAddresses().then((data) => setAddresses(data.items))
+
+  useEffect(() => {
+    const controller = new AbortController()
+    AccountApi.listAddresses({ signal: controller.signal })
+      .then((data) => setAddresses(data.items))
+      .catch((err) => {
+        if (err?.name === 'AbortError') return
+        setError('account.addressesError')
+        console.error(err)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false)
+      })
+    return () => controller.abort()
+  }, [])
+
+  // Tras guardar se recarga la lista: cambiar la predeterminada afecta a las demás direcciones
+  const saveAddress = async (address) => {
+    if (editing === 'new') await AccountApi.createAddress(address)
+    else await AccountApi.updateAddress(editing, address)
+    setEditing(null)
+    await reload()
+  }
+
+  const deleteAddress = async (id) => {
+    if (!window.confirm(t('account.confirmDelete'))) return
+    try {
+      await AccountApi.deleteAddress(id)
+      await reload()
+    } catch (err) {
+      setError('account.deleteError')
+      console.error(err)
+    }
+  }
+
+  return (
+    <section className="page">
+      <h1 className="page__title">{t('account.title')}</h1>
+      <div className="admin-panel">
+        <strong>{user.name}</strong>
+        <div className="status">{user.email}</div>
+      </div>
+
+      <div className="page__actions">
+        <h2 style={{ margin: 0, fontSize: '1.1rem' }}>{t('account.addresses')}</h2>
+        {editing === null && (
+          <button className="btn" onClick={() => setEditing('new')}>{t('account.addAddress')}</button>
+        )}
+      </div>
+      {loading && <p className="status">{t('account.loadingAddresses')}</p>}
+      {error && <p className="status status--error">{t(error)}</p>}
+      {!loading && addresses.length === 0 && editing === null && (
+        <p className="status">{t('account.noAddresses')}</p>
+      )}
+
+      {editing === 'new' && (
+        <div className="admin-panel">
+          <AddressForm onSubmit={saveAddress} onCancel={() => setEditing(null)} />
+        </div>
+      )}
+      {addresses.map((address) => (
+        <div key={address.id} className="admin-panel" style={{ display: 'grid', gap: '0.5rem' }}>
+          {editing === address.id ? (
+            <AddressForm initial={address} onSubmit={saveAddress} onCancel={() => setEditing(null)} />
+          ) : (
+            <>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                <strong>{address.fullName}</strong>
+                {address.isDefault && <span className="chip chip--active">{t('account.default')}</span>}
+              </div>
+              <span className="status">{formatAddress(address)}</span>
+              {address.phone && <span className="status">{t('account.phone', { phone: address.phone })}</span>}
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button className="btn" onClick={() => setEditing(address.id)} disabled={editing !== null}>
+                  {t('account.edit')}
+                </button>
+                <button className="btn btn--ghost" onClick={() => deleteAddress(address.id)}>
+                  {t('account.delete')}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+    </section>
+  )
+}
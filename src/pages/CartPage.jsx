@@ -0,0 +1,53 @@
+// src/pages/CartPage.jsx
+// Página del carrito (ruta /carrito): versión a pantalla completa del drawer.
+
+import { Link } from 'react-router-dom'
+import CartLines from '../components/CartLines'
+import CartSummary from '../components/CartSummary'
+import CouponForm from '../components/CouponForm'
+import ShippingEstimator from '../components/ShippingEstimator'
+import ShippingOptions from '../components/ShippingOptions'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+
+export default function CartPage() {
+  const {
+    cartItems,
+    pricing,
+    couponCode,
+    applyCoupon,
+    removeCoupon,
+    destination,
+    setDestination,
+    setShippingMethod,
+    lineErrors,
+    incQty,
+    decQty,
+    removeItem,
+  } = useShop()
+  const { t } = useLocale()
+
+  return (
+    <section className="page">
+      <h1 className="page__title">{t('cart.title')}</h1>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        <CartLines items={cartItems} lineErrors={lineErrors} onInc={incQty} onDec={decQty} onRemove={removeItem} />
+      </div>
+      {cartItems.length > 0 && (
+        <div style={{ display: 'grid', gap: '0.75rem', maxWidth: 420, marginLeft: 'auto', width: '100%' }}>
+          <CouponForm code={couponCode} onApply={applyCoupon} onRemove={removeCoupon} />
+          <ShippingEstimator destination={destination} onChange={setDestination} />
+          <ShippingOptions shipping={pricing.shipping} onSelect={setShippingMethod} />
+          <CartSummary pricing={pricing} />
+        </div>
+      )}
+      <div className="page__actions">
+        <span />
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <Link className="btn" to="/">{t('cart.continue')}</Link>
+          {cartItems.length > 0 && <Link className="btn btn--primary" to="/checkout">{t('cart.checkout')}</Link>}
+        </div>
+      </div>
+    </section>
+  )
+}
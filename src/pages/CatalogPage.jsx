@@ -0,0 +1,111 @@
+// src/pages/CatalogPage.jsx
+// Página del catálogo (ruta /).
+// Los filtros viven en el query string (?q=gorro&category=hats&page=2) para que una vista
+// filtrada se pueda compartir, guardar en favoritos y sobreviva recargas y el botón Atrás.
+// Al abrirla, el servidor la entrega ya renderizada con los productos (ver entry-server.jsx).
+
+import { useEffect, useMemo, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import FilterBar from '../components/FilterBar'
+import Pagination from '../components/Pagination'
+import ProductGrid from '../components/ProductGrid'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { Api, errorKind } from '../services/api'
+import { catalogQuery, filtersFromParams, paramsFromFilters } from '../utils/catalog'
+
+// Filtros que se escriben letra por letra: reemplazan la entrada del historial en lugar de
+// apilar una por tecla (así Atrás vuelve a la vista anterior y no a la letra anterior)
+const TYPED_KEYS = ['q', 'minPrice', 'maxPrice']
+
+export default function CatalogPage() {
+  const { addToCart, rememberProducts, liveProduct } = useShop()
+  const { lang, currency, t } = useLocale()
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  // Estado: filtros de búsqueda, derivados de la URL
+  const queryString = searchParams.toString()
+  const filters = useMemo(() => filtersFromParams(new URLSearchParams(queryString)), [queryString])
+
+  // Estado: datos de productos. Arranca con la respuesta que ya esté en el caché: la que trae el HTML
+  // renderizado en el servidor (así el primer render coincide con él) o una ya vista
+  const [cached] = useState(() => Api.peekProducts(catalogQuery(filters)))
+  const [items, setItems] = useState(cached?.items ?? [])
+  const [total, setTotal] = useState(cached?.total ?? 0)
+  const [pages, setPages] = useState(cached?.pages ?? 1)
+  const [facets, setFacets] = useState(cached?.facets ?? { category: [], color: [], size: [] })
+  const [priceRange, setPriceRange] = useState(cached?.price ?? { min: null, max: null })
+  const [loading, setLoading] = useState(false)
+  // error: clave del mensaje a mostrar (ver i18n/messages.js)
+  const [error, setError] = useState(null)
+
+  // Efecto: cargar productos cada que cambien los filtros, el idioma o la moneda
+
+  useEffect(() => {
+    const controller = new AbortController()
+
+    // Publica una respuesta de la API (la del caché y, si cambió, la revalidada)
+    const show = ({ items, total, pages, facets, price }) => {
+      setItems(items)
+      setTotal(total)
+      setPages(pages ?? 1)
+      if (facets) setFacets(facets)
+      if (price) setPriceRange(price)
+      rememberProducts(items)
+    }
+
+    async function load() {
+      setLoading(true)
+      setError(null)
+      try {
+        // Llamada a la API con los filtros actuales. Una combinación ya vista se muestra al instante
+        // desde el caché y se actualiza sola si el servidor devuelve algo distinto (ver services/api.js)
+        const data = await Api.fetchProducts(catalogQuery(filters), { signal: controller.signal, onRevalidate: show })
+        show(data)
+      } catch (err) {
+        if (err?.name === 'AbortError') return
+        // El mensaje distingue si no hay conexión, si falló el servidor o si fue otro error
+        const kind = errorKind(err)
+        setError(kind === 'network' || kind === 'server' ? `error.${kind}` : 'catalog.error')
+        console.error(err)
+      } finally {
+        if (!controller.signal.aborted) setLoading(false)
+      }
+    }
+
+    load()
+
+    return () => controller.abort()
+    // La consulta lleva el idioma y la moneda guardados (ver services/api.js)
+  }, [filters, rememberProducts, lang, currency])
+
+  // Acciones de filtros: cualquier cambio de filtro vuelve a la primera página
+  const handleFiltersChange = (next) => {
+    const typed = TYPED_KEYS.some((key) => next[key] !== filters[key])
+    setSearchParams(paramsFromFilters({ ...next, page: 1 }), { replace: typed })
+  }
+  const handlePageChange = (page) => {
+    setSearchParams(paramsFromFilters({ ...filters, page }))
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  return (
+    <>
+      {/* Panel de filtros */}
+      <FilterBar filters={filters} onChange={handleFiltersChange} facets={facets} priceRange={priceRange} />
+
+      {/* Estados de carga / error */}
+      {loading && <p className="status">{t('catalog.loading')}</p>}
+      {error && <p className="status status--error">{t(error)}</p>}
+
+      {/* Resultados */}
+      {!loading && !error && (
+        <>
+          <div className="results__meta">{t('catalog.results', { total })}</div>
+          <ProductGrid products={items.map(liveProduct)} onAddToCart={addToCart} />
+          <Pagination page={filters.page} pages={pages} onPageChange={handlePageChange} />
+        </>
+      )}
+    </>
+  )
+}
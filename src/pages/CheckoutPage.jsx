@@ -0,0 +1,222 @@
+// src/pages/CheckoutPage.jsx
+// Página de checkout (ruta /checkout).
+// Pasos:
+// - revisión: el cliente ve sus líneas (puede ajustar cantidades) y confirma
+// - pago: el pedido se crea pendiente (POST /api/orders) y el cliente pasa a la página de la pasarela,
+//   que lo devuelve a /pedido/:id con el resultado (ver OrderPage.jsx). Si la pasarela no está disponible
+//   (PAYMENT_UNAVAILABLE) no se cobró nada y el carrito sigue igual para reintentar.
+// Si el servidor rechaza líneas (ORDER_REJECTED), los errores quedan marcados en cada una.
+// Los descuentos (promociones y cupón) se recalculan en el servidor al crear el pedido;
+// si el cupón dejó de valer (COUPON_REJECTED con data.coupon) se avisa para que el cliente lo quite.
+// Entrega: retiro en tienda, una dirección guardada (con sesión; se preselecciona la predeterminada)
+// u otra dirección escrita en el momento (también para invitados). La dirección elegida define el
+// destino de la cotización, así el envío y los impuestos que se ven son los que se cobran.
+// Si el stock en vivo ya no alcanza para alguna línea, no se puede confirmar hasta ajustarla.
+// Cada confirmación registra un evento de checkout con los productos del carrito (analítica).
+
+import { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import AddressForm from '../components/AddressForm'
+import CartLines from '../components/CartLines'
+import CartSummary from '../components/CartSummary'
+import CouponForm from '../components/CouponForm'
+import ShippingOptions from '../components/ShippingOptions'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { track } from '../services/analytics'
+import { AccountApi, Api } from '../services/api'
+import { describeCouponError, formatAddress } from '../utils/checkout'
+import { getId, getVariantPrice, missingStock } from '../utils/product'
+
+// Valores especiales del selector de entrega (el resto son ids de direcciones guardadas)
+const PICKUP = ''
+const OTHER_ADDRESS = 'other'
+
+// Campos obligatorios de una dirección escrita en el checkout (el servidor vuelve a validarla)
+const REQUIRED_FIELDS = ['fullName', 'line1', 'city', 'state', 'postalCode']
+
+// Destino de cotización a partir de una dirección
+const toDestination = (address) => ({ country: address.country.trim().toUpperCase(), postalCode: address.postalCode.trim() })
+
+export default function CheckoutPage() {
+  const {
+    cartItems,
+    pricing,
+    couponCode,
+    applyCoupon,
+    removeCoupon,
+    destination,
+    setDestination,
+    setShippingMethod,
+    lineErrors,
+    incQty,
+    decQty,
+    removeItem,
+    clearCart,
+    applyOrderErrors,
+    user,
+  } = useShop()
+  const { t } = useLocale()
+  const navigate = useNavigate()
+  const [orderError, setOrderError] = useState(null)
+  const [placing, setPlacing] = useState(false)
+  // El pedido ya se creó y el navegador está yendo a la página de pago
+  const [redirecting, setRedirecting] = useState(false)
+  // Direcciones guardadas del cliente y la opción de entrega elegida.
+  // Si ya se estimó el envío a un destino, se arranca con "otra dirección" para completarla.
+  const [addresses, setAddresses] = useState([])
+  const [addressChoice, setAddressChoice] = useState(() => (destination ? OTHER_ADDRESS : PICKUP))
+  // Dirección escrita en el checkout (no se guarda en la cuenta)
+  const [otherAddress, setOtherAddress] = useState(null)
+
+  // Efecto: cargar las direcciones del cliente cuando hay sesión y preseleccionar la predeterminada
+  useEffect(() => {
+    if (!user) return
+    const controller = new AbortController()
+    AccountApi.listAddresses({ signal: controller.signal })
+      .then(({ items }) => {
+        setAddresses(items)
+        const preferred = items.find((a) => a.isDefault)
+        if (preferred) {
+          setAddressChoice(preferred.id)
+          setDestination(toDestination(preferred))
+        }
+      })
+      .catch((err) => {
+        if (err?.name !== 'AbortError') console.error(err)
+      })
+    return () => controller.abort()
+  }, [user, setDestination])
+
+  // Cambia la opción de entrega y, con ella, el destino de la cotización
+  const chooseAddress = (value) => {
+    setAddressChoice(value)
+    const saved = addresses.find((a) => a.id === value)
+    if (saved) setDestination(toDestination(saved))
+    else if (value === PICKUP) setDestination(null)
+    else if (otherAddress) setDestination(toDestination(otherAddress))
+  }
+
+  const saveOtherAddress = async (address) => {
+    const missing = REQUIRED_FIELDS.filter((field) => !address[field]?.trim())
+    if (missing.length) {
+      const error = new Error('Validation failed')
+      error.status = 422
+      error.data = { errors: Object.fromEntries(missing.map((field) => [field, t('address.required')])) }
+      throw error
+    }
+    setOtherAddress(address)
+    setDestination(toDestination(address))
+  }
+
+  const needsAddress = addressChoice === OTHER_ADDRESS && !otherAddress
+  const stockIssues = cartItems.some((item) => missingStock(item) > 0)
+
+  const placeOrder = async () => {
+    setPlacing(true)
+    setOrderError(null)
+    track('checkout', { productIds: [...new Set(cartItems.map(({ product }) => getId(product)))] })
+    try {
+      const created = await Api.createOrder(
+        cartItems.map(({ sku, product, variant, qty }) => ({ sku, qty, price: getVariantPrice(product, variant) })),
+        {
+          shippingAddressId: addresses.some((a) => a.id === addressChoice) ? addressChoice : undefined,
+          shippingAddress: addressChoice === OTHER_ADDRESS ? otherAddress : undefined,
+          shippingMethod: pricing.shipping?.selected,
+          couponCode: couponCode || undefined,
+        }
+      )
+      clearCart()
+      if (created.payment?.redirectUrl) {
+        setRedirecting(true)
+        window.location.assign(created.payment.redirectUrl)
+      } else {
+        navigate(`/pedido/${encodeURIComponent(created.id)}`)
+      }
+    } catch (err) {
+      if (err?.code === 'ORDER_REJECTED') {
+        applyOrderErrors(err.data.errors)
+        setOrderError(t('checkout.lineErrors'))
+      } else if (err?.code === 'COUPON_REJECTED') {
+        setOrderError(t('checkout.couponError', { code: err.data.coupon.code, reason: describeCouponError(err.data.coupon, t) }))
+      } else if (err?.code === 'VALIDATION_FAILED') {
+        // La dirección escrita no pasó la validación del servidor: se vuelve a editar
+        setOtherAddress(null)
+        setOrderError(t('checkout.addressError'))
+      } else if (err?.code === 'SHIPPING_UNAVAILABLE') {
+        setOrderError(t('checkout.shippingError'))
+      } else if (err?.code === 'PAYMENT_UNAVAILABLE') {
+        setOrderError(t('checkout.paymentUnavailable'))
+      } else {
+        setOrderError(t('checkout.error'))
+        console.error(err)
+      }
+    } finally {
+      setPlacing(false)
+    }
+  }
+
+  return (
+    <section className="page">
+      <h1 className="page__title">{t('checkout.title')}</h1>
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        <CartLines items={cartItems} lineErrors={lineErrors} onInc={incQty} onDec={decQty} onRemove={removeItem} />
+      </div>
+      <div className="filters__group">
+        <label className="label" htmlFor="delivery">{t('checkout.delivery')}</label>
+        <select id="delivery" className="input" value={addressChoice} onChange={(e) => chooseAddress(e.target.value)}>
+          <option value={PICKUP}>{t('checkout.pickup')}</option>
+          {addresses.map((a) => (
+            <option key={a.id} value={a.id}>{a.fullName} — {formatAddress(a)}</option>
+          ))}
+          <option value={OTHER_ADDRESS}>{addresses.length ? t('checkout.otherAddress') : t('checkout.homeDelivery')}</option>
+        </select>
+      </div>
+      {addressChoice === OTHER_ADDRESS &&
+        (otherAddress ? (
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+            <span className="status">
+              {t('address.shipTo', { name: otherAddress.fullName, address: formatAddress(otherAddress) })}
+            </span>
+            <button className="btn btn--ghost" onClick={() => setOtherAddress(null)}>{t('checkout.change')}</button>
+          </div>
+        ) : (
+          <div className="admin-panel">
+            <AddressForm
+              initial={destination ?? undefined}
+              onSubmit={saveOtherAddress}
+              showDefault={false}
+              submitLabel={t('checkout.useAddress')}
+            />
+          </div>
+        ))}
+      {!user && (
+        <p className="status">
+          <Link to="/ingresar?next=/checkout">{t('checkout.loginLink')}</Link> {t('checkout.loginHint')}
+        </p>
+      )}
+      {cartItems.length > 0 && (
+        <div style={{ display: 'grid', gap: '0.75rem', maxWidth: 420, marginLeft: 'auto', width: '100%' }}>
+          <ShippingOptions shipping={pricing.shipping} onSelect={setShippingMethod} />
+          <CouponForm code={couponCode} onApply={applyCoupon} onRemove={removeCoupon} />
+          <CartSummary pricing={pricing} />
+        </div>
+      )}
+      {stockIssues && <p className="status status--error">{t('checkout.stockIssues')}</p>}
+      {orderError && <p className="status status--error">{orderError}</p>}
+      <div className="page__actions">
+        <span />
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <Link className="btn" to="/carrito">{t('checkout.backToCart')}</Link>
+          <button
+            className="btn btn--primary"
+            onClick={placeOrder}
+            disabled={cartItems.length === 0 || placing || redirecting || needsAddress || stockIssues}
+          >
+            {redirecting ? t('checkout.redirecting') : placing ? t('checkout.processing') : t('checkout.confirm')}
+          </button>
+        </div>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,71 @@
+// src/pages/FavoritesPage.jsx
+// Favoritos del cliente (ruta /favoritos): funciona con o sin sesión (ver hooks/useFavorites.js).
+// Solo se piden los productos que todavía no se cargaron (de nuevo todos si cambian idioma o moneda);
+// los que ya no se venden se quitan de la lista.
+
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import ProductGrid from '../components/ProductGrid'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { Api } from '../services/api'
+
+export default function FavoritesPage() {
+  const { favoriteIds, toggleFavorite, addToCart, rememberProducts, liveProduct } = useShop()
+  const { lang, currency, t } = useLocale()
+  // Productos cargados por id (null: ya no existe) y la elección de idioma/moneda con la que se pidieron
+  const [loaded, setLoaded] = useState({ locale: null, byId: {} })
+  const [error, setError] = useState(false)
+
+  const locale = `${lang}-${currency}`
+  const byId = loaded.locale === locale ? loaded.byId : {}
+  const missingKey = favoriteIds.filter((id) => !(id in byId)).join(',')
+
+  // Efecto: pedir los favoritos que faltan
+  useEffect(() => {
+    if (!missingKey) return
+    const controller = new AbortController()
+    setError(false)
+    Promise.all(
+      missingKey.split(',').map((id) =>
+        // null: el producto ya no se vende; undefined: no se pudo consultar
+        Api.fetchProductById(id, { signal: controller.signal }).then(
+          (product) => [id, product],
+          (err) => {
+            if (err?.name === 'AbortError') throw err
+            return [id, err?.status === 404 ? null : undefined]
+          }
+        )
+      )
+    )
+      .then((entries) => {
+        const found = entries.filter(([, product]) => product !== undefined)
+        rememberProducts(found.map(([, product]) => product).filter(Boolean))
+        setLoaded((prev) => ({ locale, byId: { ...(prev.locale === locale ? prev.byId : {}), ...Object.fromEntries(found) } }))
+        found.filter(([, product]) => product === null).forEach(([id]) => toggleFavorite(id))
+        if (found.length < entries.length) setError(true)
+      })
+      .catch((err) => {
+        if (err?.name !== 'AbortError') console.error(err)
+      })
+    return () => controller.abort()
+  }, [missingKey, locale, rememberProducts, toggleFavorite])
+
+  const products = favoriteIds.map((id) => byId[id]).filter(Boolean)
+
+  return (
+    <section className="page">
+      <h1 className="page__title">{t('favorites.title')}</h1>
+      {error && <p className="status status--error">{t('favorites.error')}</p>}
+      {missingKey && !error && <p className="status">{t('favorites.loading')}</p>}
+      {favoriteIds.length === 0 ? (
+        <div className="empty">
+          <p>{t('favorites.empty')}</p>
+          <Link className="btn btn--primary" to="/">{t('catalog.goBack')}</Link>
+        </div>
+      ) : (
+        products.length > 0 && <ProductGrid products={products.map(liveProduct)} onAddToCart={addToCart} />
+      )}
+    </section>
+  )
+}
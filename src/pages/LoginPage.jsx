@@ -0,0 +1,104 @@
+// src/pages/LoginPage.jsx
+// Página de ingreso / registro de clientes (ruta /ingresar).
+// - Un mismo formulario con dos modos: 'login' (email + contraseña) y 'register' (además, nombre)
+// - Tras ingresar, el carrito de invitado se suma al de la cuenta (ver App.jsx)
+// - ?next=/ruta vuelve a la página protegida que pidió el ingreso
+
+import { useState } from 'react'
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+
+const EMPTY_FORM = { name: '', email: '', password: '' }
+
+// Solo se aceptan rutas internas como destino (evita redirecciones a otros sitios)
+const safeNext = (next) => (next && next.startsWith('/') && !next.startsWith('//') ? next : '/')
+
+export default function LoginPage() {
+  const { user, login, register } = useShop()
+  const { t } = useLocale()
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const next = safeNext(searchParams.get('next'))
+
+  const [mode, setMode] = useState('login')
+  const [form, setForm] = useState(EMPTY_FORM)
+  // fieldErrors: { [campo]: mensaje } devueltos por el servidor (422)
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  // Si ya hay sesión no tiene sentido mostrar el formulario
+  if (user && !submitting) return <Navigate to={next} replace />
+
+  const isRegister = mode === 'register'
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register')
+    setFieldErrors({})
+    setError(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setFieldErrors({})
+    setError(null)
+    try {
+      if (isRegister) await register(form)
+      else await login(form.email, form.password)
+      navigate(next, { replace: true })
+    } catch (err) {
+      if (err?.status === 422) setFieldErrors(err.data?.errors ?? {})
+      else if (err?.status === 401) setError(t('login.invalidCredentials'))
+      else {
+        setError(t('login.error'))
+        console.error(err)
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <section className="page" style={{ maxWidth: 420 }}>
+      <h1 className="page__title">{isRegister ? t('login.registerTitle') : t('login.title')}</h1>
+      <form className="admin-form" onSubmit={handleSubmit} noValidate>
+        {isRegister && (
+          <label className="filters__group">
+            <span className="label">{t('login.name')}</span>
+            <input className="input" value={form.name} onChange={setField('name')} autoComplete="name" />
+            {fieldErrors.name && <span className="field-error">{fieldErrors.name}</span>}
+          </label>
+        )}
+        <label className="filters__group">
+          <span className="label">{t('login.email')}</span>
+          <input className="input" type="email" value={form.email} onChange={setField('email')} autoComplete="email" />
+          {fieldErrors.email && <span className="field-error">{fieldErrors.email}</span>}
+        </label>
+        <label className="filters__group">
+          <span className="label">{t('login.password')}</span>
+          <input
+            className="input"
+            type="password"
+            value={form.password}
+            onChange={setField('password')}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+          />
+          {fieldErrors.password && <span className="field-error">{fieldErrors.password}</span>}
+        </label>
+        {error && <p className="status status--error">{error}</p>}
+        <button className="btn btn--primary" type="submit" disabled={submitting}>
+          {submitting ? t('login.processing') : isRegister ? t('login.registerSubmit') : t('login.submit')}
+        </button>
+      </form>
+      <p className="status">
+        {isRegister ? t('login.haveAccount') : t('login.newCustomer')}{' '}
+        <button className="btn btn--ghost" type="button" onClick={switchMode}>
+          {isRegister ? t('login.switchToLogin') : t('login.switchToRegister')}
+        </button>
+      </p>
+    </section>
+  )
+}
@@ -0,0 +1,15 @@
+// src/pages/NotFoundPage.jsx
+import { Link } from 'react-router-dom'
+import { useLocale } from '../hooks/useLocale'
+
+// Página para rutas inexistentes
+export default function NotFoundPage() {
+  const { t } = useLocale()
+  return (
+    <section className="page">
+      <h1 className="page__title">{t('notFound.title')}</h1>
+      <p className="status">{t('notFound.text')}</p>
+      <Link className="btn" to="/">{t('catalog.goBack')}</Link>
+    </section>
+  )
+}
@@ -0,0 +1,116 @@
+// src/pages/OrderPage.jsx
+// Resultado del pago de un pedido (ruta /pedido/:id): la pasarela devuelve aquí al cliente.
+// El resultado le llega al servidor aparte, por webhook, y puede tardar unos segundos más que el regreso
+// del cliente: mientras el pedido siga pendiente se vuelve a consultar cada POLL_MS, hasta POLL_LIMIT veces;
+// después se ofrece volver a la página de pago o consultar de nuevo.
+// - pagado: agradecimiento y resumen del pedido
+// - fallido (rechazado, vencido o pasarela caída): el motivo y la opción de volver a poner los artículos
+//   en el carrito para reintentar la compra (el stock reservado ya se devolvió)
+// - reembolsado: aviso y resumen
+
+import { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import OrderConfirmation from '../components/OrderConfirmation'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { Api, errorKind } from '../services/api'
+
+const POLL_MS = 2000
+const POLL_LIMIT = 15
+
+// Motivos de fallo con texto propio; los demás motivos de la pasarela se muestran como rechazo
+const FAILURE_REASONS = ['declined', 'card_declined', 'expired', 'gateway_error']
+
+export default function OrderPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { restoreCart } = useShop()
+  const { t } = useLocale()
+  const [order, setOrder] = useState(null)
+  const [error, setError] = useState(null)
+  // Consultas hechas (se vuelve a 0 para consultar otra vez)
+  const [polls, setPolls] = useState(0)
+  const [restoring, setRestoring] = useState(false)
+
+  const settled = order && (order.status !== 'pending' || polls >= POLL_LIMIT)
+
+  // Efecto: consultar el pedido (enseguida la primera vez; después, cada POLL_MS mientras siga pendiente)
+  useEffect(() => {
+    if (settled || error) return
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      Api.fetchOrder(id, { signal: controller.signal })
+        .then((next) => {
+          setOrder(next)
+          setPolls((n) => n + 1)
+        })
+        .catch((err) => {
+          if (err?.name === 'AbortError') return
+          const kind = errorKind(err)
+          setError(kind === 'notFound' ? 'payment.notFound' : 'payment.error')
+          if (kind !== 'notFound') console.error(err)
+        })
+    }, polls ? POLL_MS : 0)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [id, polls, settled, error])
+
+  const retry = async () => {
+    setRestoring(true)
+    try {
+      await restoreCart(order.items)
+      navigate('/checkout')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  if (error) {
+    return (
+      <section className="page">
+        <p className="status status--error">{t(error)}</p>
+        <Link className="btn btn--primary" to="/">{t('catalog.goBack')}</Link>
+      </section>
+    )
+  }
+  if (!order) return <p className="status">{t('payment.loading')}</p>
+
+  const reason = order.payment?.failureReason
+  return (
+    <section className="page">
+      <h1 className="page__title">{t(`payment.title.${order.status}`)}</h1>
+      {order.status === 'pending' &&
+        (settled ? (
+          <>
+            <p className="status">{t('payment.stillPending')}</p>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              {order.payment?.redirectUrl && (
+                <a className="btn btn--primary" href={order.payment.redirectUrl}>{t('payment.pay')}</a>
+              )}
+              <button className="btn" onClick={() => setPolls(0)}>{t('payment.refresh')}</button>
+            </div>
+          </>
+        ) : (
+          <p className="status">{t('payment.waiting')}</p>
+        ))}
+      {order.status === 'failed' && (
+        <>
+          <p className="status status--error">
+            {t(`payment.reason.${FAILURE_REASONS.includes(reason) ? reason : 'declined'}`)} {t('payment.retryHint')}
+          </p>
+          <button className="btn btn--primary" style={{ justifySelf: 'start' }} onClick={retry} disabled={restoring}>
+            {t('payment.retry')}
+          </button>
+        </>
+      )}
+      {order.status === 'refunded' && <p className="status">{t('payment.refunded')}</p>}
+      <OrderConfirmation order={order} />
+      <div className="page__actions">
+        <span />
+        <Link className="btn btn--primary" to="/">{t('cart.continue')}</Link>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,76 @@
+// src/pages/OrdersPage.jsx
+// Historial de pedidos del cliente (ruta /mis-pedidos, requiere sesión).
+// Los pedidos llegan del más reciente al más antiguo desde GET /api/me/orders.
+// Los que siguen pendientes de pago ofrecen volver a la página de la pasarela.
+
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import OrderTotals from '../components/OrderTotals'
+import { useLocale } from '../hooks/useLocale'
+import { AccountApi } from '../services/api'
+import { formatAddress } from '../utils/checkout'
+import { productPath, variantLabel } from '../utils/product'
+
+export default function OrdersPage() {
+  const { t, label, formatPrice, formatDate } = useLocale()
+  const [orders, setOrders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(false)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    AccountApi.listOrders({ signal: controller.signal })
+      .then((data) => setOrders(data.items))
+      .catch((err) => {
+        if (err?.name === 'AbortError') return
+        setError(true)
+        console.error(err)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false)
+      })
+    return () => controller.abort()
+  }, [])
+
+  return (
+    <section className="page">
+      <h1 className="page__title">{t('orders.title')}</h1>
+      {loading && <p className="status">{t('orders.loading')}</p>}
+      {error && <p className="status status--error">{t('orders.error')}</p>}
+      {!loading && !error && orders.length === 0 && (
+        <div className="empty">
+          <p>{t('orders.empty')}</p>
+          <Link className="btn btn--primary" to="/">{t('catalog.goBack')}</Link>
+        </div>
+      )}
+      {orders.map((order) => (
+        <article key={order.id} className="admin-panel" style={{ display: 'grid', gap: '0.5rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem', flexWrap: 'wrap' }}>
+            <strong>{formatDate(order.createdAt)}</strong>
+            <span className="chip chip--active">{label('order.status', order.status)}</span>
+          </div>
+          <span className="card__price">{t('order.id', { id: order.id })}</span>
+          {order.items.map((item) => (
+            <div key={item.sku} style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+              <span>
+                {item.qty} × <Link to={productPath({ id: item.productId })}>{item.title}</Link> ({variantLabel(item, label)})
+              </span>
+              <span>{formatPrice(item.lineTotal, order.currency ?? 'MXN')}</span>
+            </div>
+          ))}
+          {order.shippingAddress && (
+            <span className="status">
+              {t('address.shipTo', { name: order.shippingAddress.fullName, address: formatAddress(order.shippingAddress) })}
+            </span>
+          )}
+          <OrderTotals order={order} />
+          {order.status === 'pending' && order.payment?.redirectUrl && (
+            <a className="btn btn--primary" style={{ justifySelf: 'end' }} href={order.payment.redirectUrl}>
+              {t('payment.pay')}
+            </a>
+          )}
+        </article>
+      ))}
+    </section>
+  )
+}
@@ -0,0 +1,148 @@
+// src/pages/ProductPage.jsx
+// Página de detalle de un producto (ruta /producto/:id).
+// Galería de imágenes, descripción, selector de variante con su SKU y stock, botón de compra
+// (o aviso de vuelta de stock si la variante está agotada), corazón de favoritos
+// y, debajo, los productos recomendados y la calificación y las reseñas de los clientes.
+// Al abrirla, el servidor la entrega ya renderizada con el producto (ver entry-server.jsx).
+
+import { useEffect, useState } from 'react'
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom'
+import AddToCartButton from '../components/AddToCartButton'
+import AvailabilityBadge from '../components/AvailabilityBadge'
+import FavoriteButton from '../components/FavoriteButton'
+import PriceTag from '../components/PriceTag'
+import ProductImage from '../components/ProductImage'
+import ProductReviews from '../components/ProductReviews'
+import RecommendationCarousel from '../components/RecommendationCarousel'
+import StarRating from '../components/StarRating'
+import StockAlertForm from '../components/StockAlertForm'
+import VariantPicker from '../components/VariantPicker'
+import { useLocale } from '../hooks/useLocale'
+import { useShop } from '../hooks/useShop'
+import { Api, errorKind } from '../services/api'
+import { defaultVariant, getVariantCompareAtPrice, getVariantPrice, getVariants } from '../utils/product'
+
+// Componente: Galería con imagen principal y miniaturas
+function ProductGallery({ product }) {
+  const { t } = useLocale()
+  const [index, setIndex] = useState(0)
+  const count = Math.max(product.images?.length ?? 0, 1)
+  return (
+    <div className="gallery">
+      <div className="gallery__main">
+        <ProductImage product={product} index={index} variant="detail" eager />
+      </div>
+      {count > 1 && (
+        <div className="gallery__thumbs">
+          {product.images.map((src, i) => (
+            <button
+              key={`${src}-${i}`}
+              type="button"
+              className={`gallery__thumb${i === index ? ' gallery__thumb--active' : ''}`}
+              onClick={() => setIndex(i)}
+              aria-label={t('product.viewImage', { n: i + 1 })}
+            >
+              <ProductImage product={product} index={i} variant="thumb" alt="" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function ProductPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const { addToCart, rememberProducts, liveProduct } = useShop()
+  const { lang, currency, t } = useLocale()
+
+  // Producto tal como llegó de la API (los cambios de stock y precio en vivo se aplican al mostrarlo).
+  // Arranca con el que ya esté en el caché: el que trae el HTML renderizado en el servidor
+  const [cached] = useState(() => Api.peekProduct(id))
+  const [loadedProduct, setLoadedProduct] = useState(cached ?? null)
+  const [sku, setSku] = useState(() => defaultVariant(cached)?.sku ?? null)
+  const [loading, setLoading] = useState(!cached)
+  // error: clave del mensaje a mostrar (ver i18n/messages.js)
+  const [error, setError] = useState(null)
+
+  // Efecto: cargar el producto de la URL (de nuevo si cambian el idioma o la moneda)
+  useEffect(() => {
+    const controller = new AbortController()
+
+    const show = (data) => {
+      setLoadedProduct(data)
+      // Se conserva la variante elegida si el producto es el mismo (p. ej., al cambiar de moneda)
+      setSku((prev) => (getVariants(data).some((v) => v.sku === prev) ? prev : defaultVariant(data)?.sku ?? null))
+      rememberProducts([data])
+    }
+
+    async function load() {
+      // Con el producto en el caché (página del servidor) se muestra ese y se actualiza sin pasar por "Cargando"
+      const cachedProduct = Api.peekProduct(id)
+      if (cachedProduct) show(cachedProduct)
+      else setLoading(true)
+      setError(null)
+      try {
+        show(await Api.fetchProductById(id, { signal: controller.signal }))
+      } catch (err) {
+        if (err?.name === 'AbortError') return
+        setLoadedProduct(null)
+        const kind = errorKind(err)
+        setError(kind === 'notFound' ? 'product.notFound' : kind === 'network' || kind === 'server' ? `error.${kind}` : 'product.loadError')
+        if (kind !== 'notFound') console.error(err)
+      } finally {
+        if (!controller.signal.aborted) setLoading(false)
+      }
+    }
+
+    load()
+    return () => controller.abort()
+  }, [id, rememberProducts, lang, currency])
+
+  // Volver respeta los filtros del catálogo si venimos de ahí (historial); si no, va al inicio
+  const goBack = () => (location.key !== 'default' ? navigate(-1) : navigate('/'))
+
+  if (loading) return <p className="status">{t('product.loading')}</p>
+  if (error || !loadedProduct) {
+    return (
+      <>
+        <p className="status status--error">{error && t(error)}</p>
+        <Link className="btn" to="/">{t('catalog.goBack')}</Link>
+      </>
+    )
+  }
+
+  const product = liveProduct(loadedProduct)
+  const variant = getVariants(product).find((v) => v.sku === sku)
+
+  return (
+    <article className="product-page">
+      <button className="btn btn--ghost product-page__back" onClick={goBack}>{t('product.back')}</button>
+      <ProductGallery key={product.id} product={product} />
+      <div className="product-page__info">
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <h1 className="product-page__title">{product.title}</h1>
+          <FavoriteButton productId={product.id} />
+        </div>
+        <StarRating value={product.rating?.average} count={product.rating?.count} />
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+          <PriceTag price={getVariantPrice(product, variant)} compareAtPrice={getVariantCompareAtPrice(product, variant)} />
+          <AvailabilityBadge stock={variant ? variant.stock : product.stock} />
+        </div>
+        <p>{product.description}</p>
+        {variant && (
+          <>
+            <VariantPicker product={product} selected={variant} onSelect={(v) => setSku(v.sku)} />
+            <p className="card__price" style={{ margin: 0 }}>{t('product.sku', { sku: variant.sku })}</p>
+          </>
+        )}
+        <AddToCartButton product={product} variant={variant} onAddToCart={addToCart} />
+        {variant?.stock === 0 && <StockAlertForm key={variant.sku} product={product} variant={variant} />}
+      </div>
+      <RecommendationCarousel productId={product.id} title={t('recommendations.title')} />
+      <ProductReviews key={product.id} productId={product.id} />
+    </article>
+  )
+}
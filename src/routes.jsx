@@ -0,0 +1,42 @@
+// src/routes.jsx
+// Rutas de la aplicación, compartidas por el navegador (main.jsx) y el render en el servidor (entry-server.jsx)
+import { Route, Routes } from 'react-router-dom'
+import App from './App.jsx'
+import AdminPage from './admin/AdminPage.jsx'
+import RequireAuth from './components/RequireAuth.jsx'
+import AccountPage from './pages/AccountPage.jsx'
+import CartPage from './pages/CartPage.jsx'
+import CatalogPage from './pages/CatalogPage.jsx'
+import CheckoutPage from './pages/CheckoutPage.jsx'
+import FavoritesPage from './pages/FavoritesPage.jsx'
+import LoginPage from './pages/LoginPage.jsx'
+import NotFoundPage from './pages/NotFoundPage.jsx'
+import OrderPage from './pages/OrderPage.jsx'
+import OrdersPage from './pages/OrdersPage.jsx'
+import ProductPage from './pages/ProductPage.jsx'
+
+export default function AppRoutes() {
+  return (
+    <Routes>
+      {/* Back-office: gestión del catálogo (requiere token de administrador) */}
+      <Route path="/admin" element={<AdminPage />} />
+      {/* Tienda: App es el layout común (barra, carrito) y cada página se muestra en su <Outlet /> */}
+      <Route path="/" element={<App />}>
+        <Route index element={<CatalogPage />} />
+        <Route path="producto/:id" element={<ProductPage />} />
+        <Route path="carrito" element={<CartPage />} />
+        <Route path="checkout" element={<CheckoutPage />} />
+        {/* Regreso desde la pasarela de pago: estado del pedido */}
+        <Route path="pedido/:id" element={<OrderPage />} />
+        <Route path="favoritos" element={<FavoritesPage />} />
+        <Route path="ingresar" element={<LoginPage />} />
+        {/* Cuenta del cliente: sin sesión redirige a /ingresar */}
+        <Route element={<RequireAuth />}>
+          <Route path="mis-pedidos" element={<OrdersPage />} />
+          <Route path="mi-cuenta" element={<AccountPage />} />
+        </Route>
+        <Route path="*" element={<NotFoundPage />} />
+      </Route>
+    </Routes>
+  )
+}
@@ -0,0 +1,37 @@
+// src/services/analytics.js
+// Eventos de analítica de la tienda (tipos en server/analytics.js): búsquedas, impresiones de productos,
+// agregados al carrito y checkouts.
+// - track(type, data) solo encola: los eventos se envían en lotes cada FLUSH_MS o al juntar MAX_BATCH
+// - cuando la pestaña se oculta (cambio de pestaña, cierre) se envía lo pendiente con keepalive
+// - nunca interrumpen la tienda: si el envío falla, ese lote se descarta
+
+import { sendEvents } from './api';
+
+const FLUSH_MS = 5000;
+const MAX_BATCH = 50;
+
+let queue = [];
+let timer = null;
+
+function flush() {
+  clearTimeout(timer);
+  timer = null;
+  if (!queue.length) return;
+  const events = queue.slice(0, MAX_BATCH);
+  queue = queue.slice(MAX_BATCH);
+  sendEvents(events).catch((err) => console.warn('No se pudieron enviar los eventos de analítica', err));
+  if (queue.length) flush();
+}
+
+export function track(type, data = {}) {
+  queue.push({ type, ...data });
+  if (queue.length >= MAX_BATCH) flush();
+  else if (!timer) timer = setTimeout(flush, FLUSH_MS);
+}
+
+// Solo en el navegador (el módulo también se carga al renderizar páginas en el servidor)
+if (typeof document !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+}
@@ -1,8 +1,145 @@
 // src/services/api.js
 // Cliente API centralizado (fetch) para comunicar el frontend con el backend Express.
 // Ventajas: separa la lógica de red de los componentes y facilita pruebas/extensión.
+// - URL base configurable con VITE_API_URL (por defecto /api, que el servidor de Vite redirige al backend)
+// - Errores tipados: ApiError (con status y body del servidor) y NetworkError (sin respuesta)
+// - Las consultas GET se reintentan con espera creciente ante fallas de red o del servidor
+// - El listado de productos usa un caché "stale-while-revalidate" (ver cachedGet)
+// - También corre en el servidor para renderizar las páginas de la tienda (ver entry-server.jsx): ahí no hay
+//   localStorage y el idioma y la moneda son los de la petición (ver renderWithResponses)
 
-const BASE_URL = 'http://localhost:4000/api';
+import { CURRENCIES, DEFAULT_CURRENCY, DEFAULT_LANGUAGE, LANGUAGES } from '../i18n/messages';
+
+// URL base de la API: relativa (mismo origen, vía el proxy de Vite o el servidor que sirva el build)
+// o absoluta, p. ej. VITE_API_URL=https://api.mitienda.com/api
+const BASE_URL = (import.meta.env.VITE_API_URL ?? '/api').replace(/\/$/, '');
+// Origen del servidor: ahí también se sirven las imágenes procesadas de productos (/images/...)
+const SERVER_URL = BASE_URL.replace(/\/api$/, '');
+export const assetUrl = (path) => `${SERVER_URL}${path}`;
+
+// ========================
+// Errores
+// ========================
+// Respuesta no OK del servidor: status HTTP, data (el body: { code, message, errors?, ... }) y su code
+// (p. ej., 'VALIDATION_FAILED' o 'ORDER_REJECTED', ver server/errors.js) para que la UI pueda mostrar el detalle.
+export class ApiError extends Error {
+  constructor(message, { status, data = null, url } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = data?.code ?? null;
+    this.data = data;
+    this.url = url;
+  }
+}
+
+// No hubo respuesta: servidor apagado, sin conexión o bloqueo de CORS (status 0)
+export class NetworkError extends ApiError {
+  constructor(url, cause) {
+    super('Network request failed', { status: 0, url });
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+// Tipo de falla para elegir el mensaje a mostrar:
+// 'network' (sin respuesta), 'server' (5xx), 'notFound' (404) u 'other' (el resto de los errores)
+export const errorKind = (err) => {
+  if (err instanceof NetworkError) return 'network';
+  if (err?.status >= 500) return 'server';
+  if (err?.status === 404) return 'notFound';
+  return 'other';
+};
+
+// Lectura de localStorage; en el servidor no hay nada guardado
+const readStorage = (key) => (typeof localStorage === 'undefined' ? null : localStorage.getItem(key));
+
+// Token de sesión del cliente (se guarda en localStorage para sobrevivir recargas)
+const SESSION_KEY = 'sessionToken';
+export const getSessionToken = () => readStorage(SESSION_KEY);
+export const setSessionToken = (token) =>
+  token ? localStorage.setItem(SESSION_KEY, token) : localStorage.removeItem(SESSION_KEY);
+
+// Idioma y moneda elegidos en la tienda (también en localStorage). Sin elección guardada se usa
+// el idioma del navegador si está soportado y la moneda por defecto.
+// También se guardan en cookies (lang, currency) para que el servidor renderice las páginas con la misma
+// elección y el navegador encuentre en el caché las respuestas que trae el HTML (ver primeCache).
+const LANG_KEY = 'lang';
+const CURRENCY_KEY = 'currency';
+const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+// Elección de la petición mientras se renderiza una página en el servidor (ver renderWithResponses)
+let serverLocale = null;
+export const getLocalePreference = () => {
+  if (serverLocale) return serverLocale;
+  const browserLang = globalThis.navigator?.language?.slice(0, 2);
+  const stored = { lang: readStorage(LANG_KEY), currency: readStorage(CURRENCY_KEY) };
+  return {
+    lang: [stored.lang, browserLang].find((code) => LANGUAGES.some((l) => l.code === code)) ?? DEFAULT_LANGUAGE,
+    currency: CURRENCIES.includes(stored.currency) ? stored.currency : DEFAULT_CURRENCY,
+  };
+};
+export const saveLocaleCookies = ({ lang, currency }) => {
+  for (const [key, value] of [[LANG_KEY, lang], [CURRENCY_KEY, currency]]) {
+    document.cookie = `${key}=${value}; path=/; max-age=${LOCALE_COOKIE_MAX_AGE}; samesite=lax`;
+  }
+};
+export const setLocalePreference = ({ lang, currency }) => {
+  localStorage.setItem(LANG_KEY, lang);
+  localStorage.setItem(CURRENCY_KEY, currency);
+  saveLocaleCookies({ lang, currency });
+};
+
+// Carrito guardado en el navegador: sobrevive recargas y se comparte entre pestañas.
+// Formato: { items: [{ sku, qty, productId, title, price, currency }] }; productId permite volver a pedir el
+// producto de cada línea, y price (en `currency`) detectar cambios de precio desde la última visita.
+const CART_KEY = 'cart';
+const parseSavedCart = (raw) => {
+  try {
+    const data = JSON.parse(raw);
+    return Array.isArray(data?.items) ? data : null;
+  } catch {
+    return null;
+  }
+};
+export const getSavedCart = () => parseSavedCart(readStorage(CART_KEY));
+// No escribe si no hay cambios, así las pestañas no se reenvían el mismo carrito
+export const saveCart = (data) => {
+  const raw = JSON.stringify(data);
+  if (localStorage.getItem(CART_KEY) !== raw) localStorage.setItem(CART_KEY, raw);
+};
+// Avisa cuando otra pestaña cambia el carrito guardado (el evento storage no llega a la pestaña que escribió).
+// Devuelve una función para dejar de escuchar.
+export const subscribeToSavedCart = (listener) => {
+  const handler = (event) => {
+    if (event.key === CART_KEY) listener(parseSavedCart(event.newValue) ?? { items: [] });
+  };
+  window.addEventListener('storage', handler);
+  return () => window.removeEventListener('storage', handler);
+};
+
+// Favoritos guardados en el navegador: ids de producto (para invitados y como copia local con sesión)
+const FAVORITES_KEY = 'favorites';
+const parseSavedFavorites = (raw) => {
+  try {
+    const data = JSON.parse(raw);
+    return Array.isArray(data) ? data.filter((id) => typeof id === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+export const getSavedFavorites = () => parseSavedFavorites(readStorage(FAVORITES_KEY));
+export const saveFavorites = (ids) => {
+  const raw = JSON.stringify(ids);
+  if (localStorage.getItem(FAVORITES_KEY) !== raw) localStorage.setItem(FAVORITES_KEY, raw);
+};
+// Avisa cuando otra pestaña cambia los favoritos guardados; devuelve una función para dejar de escuchar
+export const subscribeToSavedFavorites = (listener) => {
+  const handler = (event) => {
+    if (event.key === FAVORITES_KEY) listener(parseSavedFavorites(event.newValue));
+  };
+  window.addEventListener('storage', handler);
+  return () => window.removeEventListener('storage', handler);
+};
 
 // Helper: construir query string a partir de un objeto, ignorando valores vacíos
 function buildQuery(params = {}) {
@@ -16,37 +153,397 @@ function buildQuery(params = {}) {
   return queryString ? `?${queryString}` : '';
 }
 
-// Obtener lista de productos con filtros/ordenamiento opcionales
-// params: { category, q, minPrice, maxPrice, sort }
-// options: { signal } => permite cancelar solicitudes al cambiar filtros rápido
-export async function fetchProducts(params = {}, options = {}) {
-  const url = `${BASE_URL}/products${buildQuery(params)}`;
-  const { signal } = options;
-  try {
-    const res = await fetch(url, { signal });
-    if (!res.ok) throw new Error(`Request failed with status ${res.status}`);
-    const data = await res.json();
-    return data; // { items: Product[], total: number }
-  } catch (err) {
-    // Si la petición fue abortada, re-lanzar o silenciar según preferencia
-    if (err?.name === 'AbortError') return { items: [], total: 0 };
-    console.error('fetchProducts error:', err);
-    throw err;
+// Query de las rutas de la tienda: textos en el idioma y precios en la moneda elegidos
+const withLocale = (params = {}, locale = getLocalePreference()) => buildQuery({ ...params, ...locale });
+
+// Rutas de la API que necesitan las páginas renderizadas en el servidor (ver entry-server.jsx).
+// locale: { lang, currency } (por defecto, la elección guardada); el servidor las pide con la de la petición.
+export const storefrontPaths = {
+  products: (params, locale) => `/products${withLocale(params, locale)}`,
+  product: (id, locale) => `/products/${encodeURIComponent(id)}${withLocale({}, locale)}`,
+  categories: (locale) => `/categories${withLocale({}, locale)}`,
+};
+
+// ========================
+// Peticiones
+// ========================
+
+// Reintentos de las consultas GET (idempotentes): hasta 2 más, esperando 300 ms, 600 ms... más un azar
+// para que muchos clientes no reintenten a la vez. Solo ante fallas de red o respuestas que suelen ser pasajeras.
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 300;
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+// Espera ms milisegundos; se corta si se aborta la petición
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true }
+    );
+  });
+
+// Helper: enviar/recibir JSON. Si la respuesta no es OK lanza un ApiError con
+// `status` y `data` (el body del servidor) para que la UI pueda mostrar el detalle;
+// si no hay respuesta, un NetworkError. Las cancelaciones (AbortError) se propagan tal cual.
+// Si no se indica `token`, se envía el de la sesión del cliente (si hay una); token: null no envía ninguno.
+// Un `body` que es un archivo (File/Blob) se envía tal cual, con su propio Content-Type.
+// keepalive: la petición sigue aunque se cierre la página (solo para bodies chicos, como la analítica).
+async function requestJson(path, { method = 'GET', body, token = getSessionToken(), signal, keepalive } = {}) {
+  const isFile = body instanceof Blob;
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = isFile ? body.type : 'application/json';
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const url = `${BASE_URL}${path}`;
+  const retries = method === 'GET' ? MAX_RETRIES : 0;
+
+  for (let attempt = 0; ; attempt += 1) {
+    let res;
+    try {
+      res = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined || isFile ? body : JSON.stringify(body),
+        signal,
+        keepalive,
+      });
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err;
+      if (attempt < retries) {
+        await wait(RETRY_BASE_MS * 2 ** attempt + Math.random() * 100, signal);
+        continue;
+      }
+      throw new NetworkError(url, err);
+    }
+
+    if (!res.ok && RETRYABLE_STATUS.includes(res.status) && attempt < retries) {
+      await wait(RETRY_BASE_MS * 2 ** attempt + Math.random() * 100, signal);
+      continue;
+    }
+    const data = res.status === 204 ? null : await res.json().catch(() => null);
+    if (!res.ok) {
+      throw new ApiError(data?.message || `Request failed with status ${res.status}`, { status: res.status, data, url });
+    }
+    return data;
   }
 }
 
-// Obtener un solo producto por id
-export async function fetchProductById(id, options = {}) {
-  const { signal } = options;
+// Caché de respuestas GET "stale-while-revalidate", por URL (incluye filtros, idioma y moneda):
+// - con menos de CACHE_FRESH_MS se devuelve sin consultar al servidor
+// - con menos de CACHE_MAX_AGE_MS se devuelve al instante y se vuelve a pedir en segundo plano;
+//   si la respuesta nueva es distinta se entrega a onRevalidate
+// - más vieja (o inexistente), se espera la respuesta del servidor
+const CACHE_FRESH_MS = 15_000;
+const CACHE_MAX_AGE_MS = 5 * 60_000;
+const CACHE_MAX_ENTRIES = 50;
+const responseCache = new Map(); // path => { data, raw, time }
+const revalidating = new Map(); // path => Promise (una sola consulta en segundo plano por URL)
+
+const remember = (path, data) => {
+  // El Map conserva el orden de inserción: se reinserta la entrada para descartar primero la menos usada
+  responseCache.delete(path);
+  responseCache.set(path, { data, raw: JSON.stringify(data), time: Date.now() });
+  if (responseCache.size > CACHE_MAX_ENTRIES) responseCache.delete(responseCache.keys().next().value);
+};
+
+// Respuestas que trae la página renderizada en el servidor (window.__SSR_DATA__.responses: { path: data }):
+// las consultas iguales de las páginas se responden desde el caché al hidratar, sin esperar al servidor
+export const primeCache = (responses) => Object.entries(responses).forEach(([path, data]) => remember(path, data));
+
+// Respuesta del caché para `path`, sin consultar al servidor (undefined si no está): así las páginas arrancan
+// con los datos del HTML en el primer render, igual que en el servidor
+const peek = (path) => responseCache.get(path)?.data;
+export const peekProducts = (params = {}) => peek(storefrontPaths.products(params));
+export const peekCategories = () => peek(storefrontPaths.categories());
+export const peekProduct = (id) => peek(storefrontPaths.product(id));
+
+// Render de una página en el servidor: mientras corre `render` (síncrono) las preferencias son las de la
+// petición (locale) y el caché tiene solo sus respuestas. El caché se vacía al terminar, así las peticiones
+// no se mezclan.
+export function renderWithResponses({ locale, responses }, render) {
+  serverLocale = locale;
+  primeCache(responses);
   try {
-    const res = await fetch(`${BASE_URL}/products/${id}`, { signal });
-    if (!res.ok) throw new Error(`Request failed with status ${res.status}`);
-    return await res.json();
-  } catch (err) {
-    if (err?.name === 'AbortError') return null;
-    console.error('fetchProductById error:', err);
-    throw err;
+    return render();
+  } finally {
+    serverLocale = null;
+    responseCache.clear();
+  }
+}
+
+async function cachedGet(path, { signal, onRevalidate } = {}) {
+  const entry = responseCache.get(path);
+  const age = entry ? Date.now() - entry.time : Infinity;
+  if (age < CACHE_FRESH_MS) return entry.data;
+  if (age < CACHE_MAX_AGE_MS) {
+    if (!revalidating.has(path)) {
+      const pending = requestJson(path, { token: null })
+        .then((data) => {
+          const changed = responseCache.get(path)?.raw !== JSON.stringify(data);
+          remember(path, data);
+          return changed ? data : null;
+        })
+        .finally(() => revalidating.delete(path));
+      revalidating.set(path, pending);
+    }
+    revalidating
+      .get(path)
+      .then((data) => {
+        if (data && !signal?.aborted) onRevalidate?.(data);
+      })
+      .catch((err) => console.warn('No se pudo revalidar', path, err));
+    return entry.data;
   }
+  const data = await requestJson(path, { token: null, signal });
+  remember(path, data);
+  return data;
 }
 
-export const Api = { fetchProducts, fetchProductById };
+// Obtener lista de productos con filtros/ordenamiento opcionales
+// params: { category, q, color, size, minPrice, maxPrice, sort, page, limit }
+// options.signal: permite cancelar solicitudes al cambiar filtros rápido (lanza AbortError)
+// options.onRevalidate(data): recibe la versión actualizada cuando la respuesta salió del caché
+// Devuelve { items: Product[], total, page, limit, pages, facets, price: { min, max }, currency }
+export function fetchProducts(params = {}, options = {}) {
+  return cachedGet(storefrontPaths.products(params), options);
+}
+
+// Árbol de categorías con nombres en el idioma elegido y cantidad de productos (incluye subcategorías)
+// Devuelve { items: [{ slug, name, parent, path, count, children }] }; usa el mismo caché que fetchProducts
+export function fetchCategories(options = {}) {
+  return cachedGet(storefrontPaths.categories(), options);
+}
+
+// Obtener un solo producto por id (siempre del servidor: se usa también para revalidar el carrito).
+// Un producto inexistente responde ApiError con status 404.
+export function fetchProductById(id, options = {}) {
+  return requestJson(storefrontPaths.product(id), { token: null, signal: options.signal });
+}
+
+// Reseñas aprobadas de un producto, de la más reciente a la más antigua
+// params: { page, limit }
+// Devuelve { items: [{ id, authorName, rating, title, text, verifiedPurchase, createdAt }], total, page, limit, pages,
+//   rating: { average, count }, distribution: { 1: n, ..., 5: n } }
+export function fetchReviews(productId, params = {}, options = {}) {
+  return requestJson(`/products/${encodeURIComponent(productId)}/reviews${buildQuery(params)}`, { token: null, signal: options.signal });
+}
+
+// Productos recomendados para la página de un producto (comprados juntos, similares o destacados)
+// Devuelve { items: [Product & { reason: 'bought_together' | 'similar' | 'featured' }] }
+export function fetchRecommendations(productId, options = {}) {
+  return requestJson(`/products/${encodeURIComponent(productId)}/recommendations${withLocale()}`, { token: null, signal: options.signal });
+}
+
+// Productos recomendados para el carrito (nunca incluye los productos de productIds); mismo formato
+export function fetchCartRecommendations(productIds, options = {}) {
+  return requestJson(`/recommendations${withLocale({ productIds: productIds.join(',') })}`, { token: null, signal: options.signal });
+}
+
+// Enviar una reseña: { rating: 1-5, title?, text, authorName? (invitados), orderId? }
+// Con sesión firma con el nombre de la cuenta y, si el cliente compró el producto, queda como compra verificada.
+// La reseña se publica cuando el back-office la aprueba (la respuesta trae status: 'pending').
+// Errores: 422 VALIDATION_FAILED con data.errors por campo; 409 ALREADY_REVIEWED si ya reseñó el producto.
+export async function submitReview(productId, review) {
+  return requestJson(`/products/${encodeURIComponent(productId)}/reviews`, { method: 'POST', body: review });
+}
+
+// Pedir un aviso cuando una variante agotada vuelva a tener stock (el mensaje llega en el idioma elegido).
+// email es obligatorio para invitados; con sesión, si falta, se usa el de la cuenta.
+// Devuelve { id, productId, sku, email, createdAt, notifiedAt }; 422 con data.errors si el email no es válido.
+export async function createStockAlert(productId, sku, email) {
+  return requestJson(`/products/${encodeURIComponent(productId)}/stock-alerts${withLocale()}`, {
+    method: 'POST',
+    body: { sku, email: email || undefined },
+  });
+}
+
+// Sugerencias para autocompletar el buscador
+// Devuelve { products: [{ id, title }], terms: [string] }
+export function fetchSuggestions(q, options = {}) {
+  return requestJson(`/search/suggestions${withLocale({ q, limit: 5 })}`, { token: null, signal: options.signal });
+}
+
+// Cambios de stock y precio en vivo (Server-Sent Events, ver GET /api/products/stream), en la moneda elegida.
+// onUpdate recibe { id, price, currency, stock, variants: [{ sku, stock, price? }] } o { id, archived: true }.
+// onReconnect se llama cuando la conexión vuelve tras un corte: los cambios de ese lapso no se reenvían,
+// así que conviene volver a pedir los productos que se muestran.
+// Devuelve una función que cierra la conexión.
+export function subscribeToProductUpdates(onUpdate, { onReconnect } = {}) {
+  const source = new EventSource(`${BASE_URL}/products/stream${withLocale()}`);
+  let interrupted = false;
+  source.addEventListener('product', (event) => onUpdate(JSON.parse(event.data)));
+  // EventSource se reconecta solo; aquí solo se registra el corte
+  source.addEventListener('error', () => {
+    interrupted = true;
+  });
+  source.addEventListener('open', () => {
+    if (interrupted) onReconnect?.();
+    interrupted = false;
+  });
+  return () => source.close();
+}
+
+// Crear un pedido a partir de las líneas del carrito
+// El pedido se crea pendiente de pago (status 'pending'): para cobrarlo hay que llevar al cliente a
+// payment.redirectUrl, la página de la pasarela, que lo devuelve a /pedido/:id (ver fetchOrder).
+// items: [{ sku, qty, price }] => una línea por variante; price es el precio unitario que vio el cliente
+// (en la moneda elegida), así el servidor puede rechazar líneas con precio desactualizado.
+// options.shippingAddressId: dirección guardada del cliente (requiere sesión).
+// options.shippingAddress: dirección de un invitado (VALIDATION_FAILED con data.errors si no es válida).
+// options.couponCode: cupón a aplicar (si ya no es válido responde COUPON_REJECTED con data.coupon).
+// options.shippingMethod: método de envío elegido en la cotización (SHIPPING_UNAVAILABLE si ya no aplica).
+// Si el servidor rechaza el pedido, el ApiError lanzado incluye `status`, `code` y `data`
+// (con ORDER_REJECTED, data.errors trae un error por línea: { sku, productId, code, message, available?, currentPrice? }).
+export async function createOrder(items, options = {}) {
+  const { signal, shippingAddressId, shippingAddress, couponCode, shippingMethod } = options;
+  return requestJson(`/orders${withLocale()}`, {
+    method: 'POST',
+    body: { items, shippingAddressId, shippingAddress, couponCode, shippingMethod },
+    signal,
+  }); // Order
+}
+
+// Un pedido por id (sin caché: su estado cambia cuando la pasarela confirma el pago)
+// status: 'pending' | 'paid' | 'failed' | 'refunded'; payment.failureReason dice por qué falló.
+export async function fetchOrder(id, options = {}) {
+  return requestJson(`/orders/${encodeURIComponent(id)}`, { signal: options.signal });
+}
+
+// Cotización del carrito: promociones, cupón, envío e impuestos
+// items: [{ sku, qty }]; options: { couponCode, destination: { country, postalCode } | null, shippingMethod, signal }
+// Devuelve { currency, subtotal, discounts, discountTotal, coupon, shipping: { options, selected, amount }, taxes, taxTotal, total }.
+// coupon es null o { code, valid, reason?, message? }; un cupón inválido no lanza error.
+export async function quoteCart(items, options = {}) {
+  const { couponCode, destination, shippingMethod, signal } = options;
+  return requestJson(`/cart/quote${withLocale()}`, {
+    method: 'POST',
+    body: { items, couponCode: couponCode || undefined, destination, shippingMethod: shippingMethod || undefined },
+    signal,
+  });
+}
+
+// Valida un cupón contra el carrito actual. Misma respuesta que quoteCart (ver coupon.valid / coupon.reason)
+// options: { destination, shippingMethod } para que la cotización devuelta incluya el envío elegido
+export async function validateCoupon(code, items, options = {}) {
+  const { destination, shippingMethod } = options;
+  return requestJson(`/coupons/validate${withLocale()}`, {
+    method: 'POST',
+    body: { code, items, destination, shippingMethod: shippingMethod || undefined },
+  });
+}
+
+// Enviar eventos de analítica (ver services/analytics.js): [{ type, ...datos }], hasta 50 por lote.
+// Son anónimos: no llevan el token de sesión. Devuelve { received, accepted }.
+export function sendEvents(events) {
+  return requestJson('/events', { method: 'POST', body: { events }, token: null, keepalive: true });
+}
+
+// ========================
+// Cuenta del cliente (usa el token de sesión guardado)
+// ========================
+// register/login devuelven { user, token }; el llamador guarda el token con setSessionToken.
+// Las líneas de carrito viajan como { items: [{ sku, qty }] }.
+export const AccountApi = {
+  register: (data) => requestJson('/auth/register', { method: 'POST', body: data }),
+  login: (email, password) => requestJson('/auth/login', { method: 'POST', body: { email, password } }),
+  logout: () => requestJson('/auth/logout', { method: 'POST' }),
+  me: (options = {}) => requestJson('/me', { signal: options.signal }),
+  listOrders: (options = {}) => requestJson('/me/orders', { signal: options.signal }),
+  listAddresses: (options = {}) => requestJson('/me/addresses', { signal: options.signal }),
+  createAddress: (address) => requestJson('/me/addresses', { method: 'POST', body: address }),
+  updateAddress: (id, address) =>
+    requestJson(`/me/addresses/${encodeURIComponent(id)}`, { method: 'PUT', body: address }),
+  deleteAddress: (id) => requestJson(`/me/addresses/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+  getCart: (options = {}) => requestJson('/me/cart', { signal: options.signal }),
+  saveCart: (items) => requestJson('/me/cart', { method: 'PUT', body: { items } }),
+  // Suma el carrito de invitado al de la cuenta y devuelve el resultado
+  mergeCart: (items) => requestJson('/me/cart/merge', { method: 'POST', body: { items } }),
+  // Favoritos => { items: [productId] }
+  getFavorites: (options = {}) => requestJson('/me/favorites', { signal: options.signal }),
+  saveFavorites: (items) => requestJson('/me/favorites', { method: 'PUT', body: { items } }),
+  // Agrega los favoritos de invitado a los de la cuenta y devuelve el resultado
+  mergeFavorites: (items) => requestJson('/me/favorites/merge', { method: 'POST', body: { items } }),
+};
+
+// ========================
+// Back-office (requiere token de administrador)
+// ========================
+// Los errores de validación llegan como error.status === 422 y
+// error.data.errors = { [campo]: mensaje } para mostrarlos junto a cada input.
+export const AdminApi = {
+  // Lista completa, incluidos los archivados => { items, total }
+  listProducts: (token, options = {}) => requestJson('/admin/products', { token, signal: options.signal }),
+  createProduct: (token, product) => requestJson('/admin/products', { method: 'POST', body: product, token }),
+  updateProduct: (token, id, product) =>
+    requestJson(`/admin/products/${encodeURIComponent(id)}`, { method: 'PUT', body: product, token }),
+  archiveProduct: (token, id) =>
+    requestJson(`/admin/products/${encodeURIComponent(id)}/archive`, { method: 'POST', token }),
+  unarchiveProduct: (token, id) =>
+    requestJson(`/admin/products/${encodeURIComponent(id)}/unarchive`, { method: 'POST', token }),
+  // Suma qty unidades al stock de la variante sku
+  restockProduct: (token, id, sku, qty) =>
+    requestJson(`/admin/products/${encodeURIComponent(id)}/restock`, { method: 'POST', body: { sku, qty }, token }),
+  // Sube un archivo de imagen (File) y lo agrega al producto => producto actualizado.
+  // 415 si el tipo no es JPEG/PNG/WebP/AVIF; 422 con data.errors.image si el archivo no es válido.
+  uploadProductImage: (token, id, file) =>
+    requestJson(`/admin/products/${encodeURIComponent(id)}/images`, { method: 'POST', body: file, token }),
+  // imageId: el id de una imagen procesada ("/images/<imageId>")
+  deleteProductImage: (token, id, imageId) =>
+    requestJson(`/admin/products/${encodeURIComponent(id)}/images/${encodeURIComponent(imageId)}`, { method: 'DELETE', token }),
+  // Categorías => { items: [{ slug, parent, names: { es, en }, position, productCount }], total }
+  listCategories: (token, options = {}) => requestJson('/admin/categories', { token, signal: options.signal }),
+  createCategory: (token, category) => requestJson('/admin/categories', { method: 'POST', body: category, token }),
+  updateCategory: (token, slug, category) =>
+    requestJson(`/admin/categories/${encodeURIComponent(slug)}`, { method: 'PUT', body: category, token }),
+  // 409 (CATEGORY_IN_USE) si todavía tiene subcategorías, productos o promociones
+  deleteCategory: (token, slug) =>
+    requestJson(`/admin/categories/${encodeURIComponent(slug)}`, { method: 'DELETE', token }),
+  // Reseñas => { items: [{ id, productId, authorName, rating, title, text, verifiedPurchase, status, ... }], total }
+  // params: { status: 'pending' | 'approved' | 'rejected', productId }
+  listReviews: (token, params = {}, options = {}) =>
+    requestJson(`/admin/reviews${buildQuery(params)}`, { token, signal: options.signal }),
+  // status: 'approved' (se publica y cuenta en la calificación del producto) | 'rejected'
+  moderateReview: (token, id, status) =>
+    requestJson(`/admin/reviews/${encodeURIComponent(id)}`, { method: 'PUT', body: { status }, token }),
+  // Pedidos => { items: [Order], total }, del más reciente al más antiguo; params: { status, userId }
+  listOrders: (token, params = {}, options = {}) =>
+    requestJson(`/admin/orders${buildQuery(params)}`, { token, signal: options.signal }),
+  // Pide el reembolso de un pedido pagado (409 ORDER_NOT_PAID si no lo está); pasa a 'refunded' cuando la pasarela lo confirma
+  refundOrder: (token, id) => requestJson(`/admin/orders/${encodeURIComponent(id)}/refund`, { method: 'POST', token }),
+  // Tipos de cambio => { base, items: [{ currency, rate, updatedAt }] } (rate = valor de 1 unidad en moneda base)
+  listExchangeRates: (token, options = {}) => requestJson('/admin/exchange-rates', { token, signal: options.signal }),
+  updateExchangeRate: (token, currency, rate) =>
+    requestJson(`/admin/exchange-rates/${encodeURIComponent(currency)}`, { method: 'PUT', body: { rate }, token }),
+  // Reportes de analítica; params: { days, limit } (threshold en 'low-stock')
+  // - 'searches' => { searches, zeroResults, items: [{ query, count, lastSearchedAt }] }
+  // - 'products' => { items: [{ productId, title, impressions, addToCarts, checkouts, unitsSold, addToCartRate }] }
+  // - 'revenue' => { revenue, items: [{ category, name, orders, units, revenue }] } (en moneda base)
+  // - 'low-stock' => { items: [{ productId, title, sku, color, size, stock }] }
+  fetchReport: (token, name, params = {}, options = {}) =>
+    requestJson(`/admin/reports/${name}${buildQuery(params)}`, { token, signal: options.signal }),
+};
+
+export const Api = {
+  fetchProducts,
+  fetchCategories,
+  fetchProductById,
+  peekProducts,
+  peekCategories,
+  peekProduct,
+  fetchReviews,
+  fetchRecommendations,
+  fetchCartRecommendations,
+  submitReview,
+  createStockAlert,
+  fetchSuggestions,
+  subscribeToProductUpdates,
+  createOrder,
+  fetchOrder,
+  quoteCart,
+  validateCoupon,
+};
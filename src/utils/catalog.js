@@ -0,0 +1,38 @@
+// src/utils/catalog.js
+// Filtros del catálogo en la URL y consulta a la API que arman. Los usan la página del catálogo y el render
+// en el servidor (ver entry-server.jsx), que tiene que pedir exactamente lo mismo que pedirá el navegador.
+
+// Cantidad de productos por página del catálogo
+export const PAGE_SIZE = 12
+
+// Filtros que se reflejan en la URL
+export const FILTER_KEYS = ['q', 'category', 'color', 'size', 'minPrice', 'maxPrice', 'sort']
+
+// URL => objeto de filtros (valores vacíos como '' para los inputs controlados)
+export const filtersFromParams = (params) => ({
+  ...Object.fromEntries(FILTER_KEYS.map((key) => [key, params.get(key) ?? ''])),
+  page: Math.max(1, Number.parseInt(params.get('page'), 10) || 1),
+})
+
+// Objeto de filtros => URL, omitiendo vacíos y la página 1 para mantenerla corta
+export const paramsFromFilters = (filters) => {
+  const params = new URLSearchParams()
+  FILTER_KEYS.forEach((key) => {
+    if (filters[key] !== '' && filters[key] !== undefined) params.set(key, filters[key])
+  })
+  if (filters.page > 1) params.set('page', String(filters.page))
+  return params
+}
+
+// Objeto de filtros => parámetros de Api.fetchProducts
+export const catalogQuery = (filters) => ({
+  q: filters.q,
+  category: filters.category,
+  color: filters.color,
+  size: filters.size,
+  minPrice: filters.minPrice,
+  maxPrice: filters.maxPrice,
+  sort: filters.sort,
+  page: filters.page,
+  limit: PAGE_SIZE,
+})
@@ -0,0 +1,20 @@
+// src/utils/categories.js
+// Helpers de la taxonomía de categorías (ver GET /api/categories y /api/admin/categories)
+
+// Árbol [{ slug, name, count, children }] => lista en orden de lectura con la profundidad de cada
+// categoría, para dibujarla en un <select> con sangría
+export const flattenCategoryTree = (nodes, depth = 0) =>
+  nodes.flatMap((node) => [{ ...node, depth }, ...flattenCategoryTree(node.children, depth + 1)])
+
+// Filas del back-office [{ slug, parent, names, position }] => la misma lista ordenada como árbol, con depth
+export function sortCategoryRows(rows) {
+  const childrenOf = (parent) =>
+    rows
+      .filter((row) => row.parent === parent)
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || a.slug.localeCompare(b.slug))
+  const walk = (parent, depth) => childrenOf(parent).flatMap((row) => [{ ...row, depth }, ...walk(row.slug, depth + 1)])
+  return walk(null, 0)
+}
+
+// Sangría para las opciones de un <select> (espacios no separables: los normales se colapsan)
+export const indent = (depth) => '\u00A0\u00A0\u00A0'.repeat(depth)
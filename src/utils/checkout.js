@@ -0,0 +1,72 @@
+// src/utils/checkout.js
+// Utilidades del checkout compartidas por el carrito y la página de confirmación.
+// Los textos salen de i18n/messages.js: las funciones reciben `t` (y `formatPrice`) de useLocale().
+
+// Traduce los errores por línea que devuelve POST /api/orders a mensajes para el cliente
+export const describeLineError = (error, t, formatPrice) => {
+  switch (error?.code) {
+    case 'OUT_OF_STOCK':
+    case 'NOT_FOUND':
+    case 'INVALID_QUANTITY':
+      return t(`lineError.${error.code}`)
+    case 'INSUFFICIENT_STOCK':
+      return t('lineError.INSUFFICIENT_STOCK', { available: error.available })
+    case 'PRICE_CHANGED':
+      return t('lineError.PRICE_CHANGED', { price: formatPrice(error.currentPrice) })
+    default:
+      return t('lineError.default')
+  }
+}
+
+// Compara las líneas de un carrito guardado con sus productos recién pedidos al servidor.
+// lines: [{ sku, qty, productId, title, price, currency }] (ver getSavedCart);
+// products: { [productId]: producto, o null si ya no está a la venta } (los que no se pudieron pedir no figuran).
+// Devuelve los cambios [{ sku, kind, title, ... }] con kind:
+// - 'removed': el producto o la variante ya no se venden
+// - 'price': cambió el precio (solo se compara en la misma moneda) => from, to, currency
+// - 'stock': quedan menos unidades que las pedidas => available
+export const findCartChanges = (lines, products) =>
+  lines.flatMap((line) => {
+    const product = products[line.productId]
+    if (product === undefined) return []
+    const variant = product?.variants?.find((v) => v.sku === line.sku)
+    if (!variant) return [{ sku: line.sku, kind: 'removed', title: line.title ?? line.sku }]
+    const title = product.title
+    const changes = []
+    const price = variant.price ?? product.price
+    if (line.currency === product.currency && line.price != null && line.price !== price) {
+      changes.push({ sku: line.sku, kind: 'price', title, from: line.price, to: price, currency: product.currency })
+    }
+    if (variant.stock < line.qty) changes.push({ sku: line.sku, kind: 'stock', title, available: Math.max(0, variant.stock) })
+    return changes
+  })
+
+// Motivos conocidos por los que un cupón no aplica (coupon.reason de la API)
+const COUPON_REASONS = [
+  'NOT_FOUND',
+  'INACTIVE',
+  'EXPIRED',
+  'NOT_STARTED',
+  'USAGE_LIMIT_REACHED',
+  'MIN_SUBTOTAL_NOT_MET',
+  'NOT_APPLICABLE',
+]
+
+// Traduce el motivo por el que un cupón no aplica
+export const describeCouponError = (coupon, t) =>
+  t(`coupon.reason.${COUPON_REASONS.includes(coupon?.reason) ? coupon.reason : 'default'}`)
+
+// Dirección de envío en una línea (selector del checkout, listado de la cuenta)
+export const formatAddress = (address) =>
+  [address.line1, address.line2, `${address.city}, ${address.state} ${address.postalCode}`, address.country]
+    .filter(Boolean)
+    .join(' · ')
+
+// Países a los que se puede cotizar el envío (código ISO; el nombre visible es t('country.<código>'))
+export const COUNTRY_CODES = ['MX', 'US', 'CA', 'ES']
+
+// Plazo estimado de un método de envío ([mínimo, máximo] en días hábiles)
+export const formatDeliveryDays = ([min, max], t) => {
+  if (max <= 1) return min === 0 ? t('shipping.todayOrTomorrow') : t('shipping.tomorrow')
+  return t('shipping.days', { min, max })
+}
@@ -0,0 +1,6 @@
+// src/utils/format.js
+// Utilidades de formato compartidas entre la tienda y el back-office.
+
+// Utilidad para formatear precios (por defecto en pesos mexicanos; la tienda pasa la moneda elegida)
+export const formatPrice = (value, currency = 'MXN', locale = 'es-MX') =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value)
@@ -0,0 +1,100 @@
+// src/utils/product.js
+// Utilidades de datos de productos compartidas por tarjetas, detalle, carrito y checkout.
+
+import { assetUrl } from '../services/api'
+
+// Anchos y formatos que genera el servidor para cada imagen subida (ver server/images.js).
+// Los formatos van en orden de preferencia: el navegador usa el primero que soporte.
+export const IMAGE_WIDTHS = [160, 480, 1080]
+const IMAGE_FORMATS = ['avif', 'webp']
+
+// Placeholder generado en el navegador (SVG como data URI, sin depender de servicios externos):
+// las iniciales del producto sobre un color que sale del título, así cada producto tiene siempre el mismo.
+export const placeholderImage = (title = '') => {
+  const hue = [...title].reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) % 360, 0)
+  const initials = title.split(/\s+/).filter(Boolean).slice(0, 2).map((word) => word[0].toUpperCase()).join('')
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="600" viewBox="0 0 600 600">' +
+    `<rect width="600" height="600" fill="hsl(${hue} 35% 22%)"/>` +
+    `<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="system-ui, sans-serif" font-size="200" fill="hsl(${hue} 45% 70%)">${initials}</text>` +
+    '</svg>'
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`
+}
+
+// Fuentes de la imagen `index` de un producto para <ProductImage>:
+// - imagen procesada por el servidor ("/images/<id>"): { src, sources: [{ type, srcSet }] } con todas las versiones;
+//   src es la versión WebP de `width` px (para navegadores sin <picture>)
+// - otra ruta (archivo estático): { src } tal cual
+// - sin imagen, o una ruta /img/ que todavía no existe: { src } con el placeholder
+export const resolveImage = (product, index = 0, width = 480) => {
+  const image = product?.images?.[index]
+  if (!image || image.startsWith('/img/')) return { src: placeholderImage(product?.title) }
+  if (!image.startsWith('/images/')) return { src: image }
+  const url = (w, format) => assetUrl(`${image}/${w}.${format}`)
+  return {
+    src: url(width, 'webp'),
+    sources: IMAGE_FORMATS.map((format) => ({
+      type: `image/${format}`,
+      srcSet: IMAGE_WIDTHS.map((w) => `${url(w, format)} ${w}w`).join(', '),
+    })),
+  }
+}
+
+// Utilidades para robustez de datos entre productos
+export const getId = (p) => p?.id ?? p?.productId ?? p?._id
+export const getPrice = (p) => {
+  const val = p?.price ?? p?.precio ?? p?.cost ?? p?.costo
+  return typeof val === 'string' ? Number(val) : val
+}
+export const getStock = (p) => p?.stock ?? p?.existencias ?? p?.inventory ?? p?.cantidad
+
+// Utilidades de variantes (combinaciones color + talle con stock y precio propios)
+export const getVariants = (p) => p?.variants ?? []
+// Precio efectivo de una variante: su precio propio o, si no tiene, el del producto
+export const getVariantPrice = (product, variant) => variant?.price ?? getPrice(product)
+// Precio "antes" de una variante durante una oferta (undefined sin oferta): el suyo si tiene precio propio,
+// si no el del producto
+export const getVariantCompareAtPrice = (product, variant) =>
+  variant?.price !== undefined ? variant.compareAtPrice : product?.compareAtPrice
+// Etiqueta corta para carrito y pedidos, p. ej. "negro · M".
+// label(grupo, valor) traduce color y talle (ver useLocale); sin él se muestran tal cual.
+export const variantLabel = (variant, label = (_group, value) => value) =>
+  [variant?.color && label('color', variant.color), variant?.size && label('size', variant.size)]
+    .filter(Boolean)
+    .join(' · ')
+// Variante inicial de una tarjeta: la primera con stock (o la primera a secas)
+export const defaultVariant = (product) => {
+  const variants = getVariants(product)
+  return variants.find((v) => Number(v.stock) > 0) ?? variants[0]
+}
+
+// Unidades que faltan para cubrir la cantidad de una línea del carrito (0 si el stock alcanza)
+export const missingStock = ({ variant, qty }) => {
+  const stock = Number(variant?.stock)
+  return Number.isFinite(stock) ? Math.max(0, qty - Math.max(0, stock)) : 0
+}
+
+// Aplica a un producto un cambio recibido en vivo (ver subscribeToProductUpdates).
+// Los cambios en otra moneda se ignoran (llegan de una conexión anterior al cambio de moneda);
+// un producto que dejó de venderse queda sin stock.
+export const applyProductUpdate = (product, update) => {
+  if (!product || !update) return product
+  if (update.archived) {
+    return { ...product, stock: 0, variants: getVariants(product).map((v) => ({ ...v, stock: 0 })) }
+  }
+  if (update.currency !== product.currency) return product
+  const bySku = Object.fromEntries(update.variants.map((v) => [v.sku, v]))
+  // compareAtPrice llega null (producto) o sin definir (variantes) cuando no hay oferta
+  return {
+    ...product,
+    price: update.price,
+    compareAtPrice: update.compareAtPrice ?? undefined,
+    stock: update.stock,
+    variants: getVariants(product).map((v) =>
+      bySku[v.sku] ? { ...v, stock: bySku[v.sku].stock, price: bySku[v.sku].price, compareAtPrice: bySku[v.sku].compareAtPrice } : v
+    ),
+  }
+}
+
+// Ruta de la página de detalle de un producto
+export const productPath = (product) => `/producto/${encodeURIComponent(getId(product))}`
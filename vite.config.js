@@ -1,7 +1,25 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+// En desarrollo, /api (y las imágenes en /images, sitemap.xml y robots.txt) se redirigen al servidor Express,
+// así el frontend usa rutas relativas sin depender de CORS. El destino se cambia con API_PROXY_TARGET.
+// El build del render en el servidor (vite build --ssr, ver npm run build) no copia public/: ya está en dist/.
+export default defineConfig(({ mode, isSsrBuild }) => {
+  const env = loadEnv(mode, '.', '')
+  const target = env.API_PROXY_TARGET || 'http://localhost:4000'
+  return {
+    plugins: [react()],
+    build: {
+      copyPublicDir: !isSsrBuild,
+    },
+    server: {
+      proxy: {
+        '/api': target,
+        '/images': target,
+        '/sitemap.xml': target,
+        '/robots.txt': target,
+      },
+    },
+  }
 })